@@ -0,0 +1,82 @@
+/**
+ *  Micro-benchmarks of {@link HashMap} and {@link OpenAddressingHashMap}
+ *  against the built-in `Map`.
+ *
+ *  Times adding, looking up, checking and deleting `n` keys, for string keys
+ *  and for object keys, and prints the average time per operation. The
+ *  numbers are only comparable with each other on the same machine.
+ *
+ *  Run with `npm run bench`, or `node benchmarks/hashmap.js [n]`.
+ */
+const { HashMap, OpenAddressingHashMap } = require("../source").Maps
+
+const n = Number(process.argv[2]) || 100000
+const rounds = 5
+
+const contenders = {
+  "Map": () => new Map(),
+  "HashMap": () => new HashMap(),
+  "HashMap (ordered)": () => new HashMap({ ordered: true }),
+  "OpenAddressingHashMap": () => new OpenAddressingHashMap()
+}
+
+const keySets = {
+  "string keys": Array.from({ length: n }, (_, index) => `key-${index}`),
+  "object keys": Array.from({ length: n }, (_, id) => ({ id }))
+}
+
+for (const [keySetName, keys] of Object.entries(keySets)) {
+  console.log(`\n${n} ${keySetName}, best of ${rounds} rounds, ns per operation`)
+
+  const rows = Object.entries(contenders).map(([name, create]) => {
+    const row = { name }
+    for (let round = 0; round < rounds; round++) {
+      record(row, run(create, keys))
+    }
+    return row
+  })
+
+  console.table(rows.reduce((table, { name, ...timings }) => {
+    table[name] = timings
+    return table
+  }, {}))
+}
+
+/**
+ *  Runs every operation once over all `keys` on a fresh map, and returns the
+ *  time each took in nanoseconds per key.
+ *  @private
+ */
+function run(create, keys) {
+  const map = create()
+  const add = typeof map.add === "function" ? (key, value) => map.add(key, value) : (key, value) => map.set(key, value)
+
+  return {
+    add: time(keys, key => add(key, 1)),
+    get: time(keys, key => map.get(key)),
+    has: time(keys, key => map.has(key)),
+    // One pass over all values, still per key
+    iterate: time([null], () => Array.from(map.values())),
+    delete: time(keys, key => map.delete(key))
+  }
+}
+
+/** @private */
+function time(keys, operation) {
+  const start = process.hrtime.bigint()
+  for (const key of keys) {
+    operation(key)
+  }
+  return Number(process.hrtime.bigint() - start) / n
+}
+
+/**
+ *  Keeps the fastest timing of each operation seen so far.
+ *  @private
+ */
+function record(row, timings) {
+  for (const [operation, nanoseconds] of Object.entries(timings)) {
+    const rounded = Math.round(nanoseconds)
+    row[operation] = operation in row ? Math.min(row[operation], rounded) : rounded
+  }
+}
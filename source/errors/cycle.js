@@ -0,0 +1,20 @@
+/**
+ *  Thrown when an operation needs a graph without cycles, such as a 
+ *  topological sort, but the graph has one. The vertices making up the 
+ *  cycle are available in `cycle`.
+ *  
+ *  @class
+ */
+class CycleError extends Error {
+  constructor(cycle = [], message = "Graph contains a cycle") {
+    super(message)
+    this.name = "CycleError"
+    /** 
+     *  Vertex values along the cycle, starting and ending with the same one.
+     *  @type {array} 
+     */
+    this.cycle = cycle
+  }
+}
+
+module.exports = CycleError
@@ -8,9 +8,18 @@
  * 
  *  @module errors
  */
+const CycleError = require("./cycle")
+const NegativeCycleError = require("./negativeCycle")
 const OutOfBoundsError = require("./outOfBounds")
+const OverflowError = require("./overflow")
 
 module.exports = {
+  /** @type CycleError */
+  CycleError,
+  /** @type NegativeCycleError */
+  NegativeCycleError,
   /** @type OutOfBoundsError */
-  OutOfBoundsError
+  OutOfBoundsError,
+  /** @type OverflowError */
+  OverflowError
 }
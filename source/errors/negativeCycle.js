@@ -0,0 +1,18 @@
+const CycleError = require("./cycle")
+
+/**
+ *  Thrown when a shortest path is asked for in a graph where some path can 
+ *  be made ever cheaper by going around a cycle whose edges weigh less than 
+ *  zero in total. The vertices making up the cycle are available in `cycle`.
+ *  
+ *  @class
+ *  @extends CycleError
+ */
+class NegativeCycleError extends CycleError {
+  constructor(cycle = [], message = "Graph contains a negative-weight cycle") {
+    super(cycle, message)
+    this.name = "NegativeCycleError"
+  }
+}
+
+module.exports = NegativeCycleError
@@ -0,0 +1,14 @@
+/**
+ *  Thrown when an item is added to a collection which is full and has been
+ *  told not to make room for it.
+ *  
+ *  @class
+ */
+class OverflowError extends Error {
+  constructor(message = "Collection is full") {
+    super(message)
+    this.name = "OverflowError"
+  }
+}
+
+module.exports = OverflowError
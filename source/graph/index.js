@@ -8,6 +8,9 @@
 const { Stack, Queue } = require("../linear")
 const GraphNode = require("./node")
 const HashMap = require("../maps").HashMap
+const RedBlackTree = require("../trees").RedBlackTree
+const { MergeSort, ByKey, HashFor, StrictEqual } = require("../toolbox")
+const Errors = require("../errors")
 
 /**
  *  The connection between two nodes in a graph is called an **edge**.
@@ -20,15 +23,30 @@ const HashMap = require("../maps").HashMap
  *  Graphs can be **cyclic** or **acyclic**. A graph in which you can
  *  pass through a node more than once is called a cyclic graph. Those
  *  who don't share this characteristic are acyclic graphs.
+ * 
+ *  Edges can carry a **weight**, e.g. the length of a road or the cost 
+ *  of a dependency, along with any other attributes. An edge added without
+ *  a weight weighs 1. In an undirected graph, both directions of a 
+ *  connection share the very same edge object, so they never go out of sync.
  */
 class Graph {
   /**
    *  Instantiates a graph.
    *  @param {boolean} [directed=true] Edge direction. Set to `false`
    *    for an undirected graph.
+   *  @param {Equality} [equals=StrictEqual] decides whether two vertex values
+   *    are the same, see `toolbox/equality`. Vertices are looked up by value
+   *    with it, and maps of vertex values returned by the graph, such as the 
+   *    one from [distancesFrom]{@link Graph#distancesFrom}, use it too.
+   *  @param {HashFunction} [hash] turns a vertex value into a number, and must
+   *    give equal values the same number. Goes by `equals` if left out, see
+   *    `HashFor` in `toolbox/hash`.
    */
-  constructor(directed = true) {
-    this._nodes = new HashMap()
+  constructor(directed = true, equals = StrictEqual, hash = HashFor(equals)) {
+    this._equals = equals
+    this._hash = hash
+    // Kept in insertion order, so that traversals of the whole graph are repeatable
+    this._nodes = this.vertexMap(true)
     this._isDirected = directed
   }
 
@@ -36,6 +54,18 @@ class Graph {
     return this._nodes.count
   }
 
+  /**
+   *  Returns an empty map keyed by vertex value, which tells vertex values
+   *  apart the same way this graph does.
+   *  
+   *  @private
+   *  @param {boolean} [ordered=false] iterate in insertion order
+   *  @returns {HashMap}
+   */
+  vertexMap(ordered = false) {
+    return new HashMap({ equals: this._equals, hash: this._hash, ordered })
+  }
+
   /**
    *  Add a vertex to the graph. Returns the new vertex or the existing
    *  one if it already exists.
@@ -71,38 +101,121 @@ class Graph {
     }
 
     const current = this._nodes.get(data)
-    Array.from(this._nodes.values()).forEach(node => node.removeNeighbour(current))
+    Array.from(this.vertices()).forEach(node => node.removeNeighbour(current))
     return this._nodes.delete(data)
   }
 
+  /**
+   *  Iterates over all vertices of the graph in the order they were added.
+   * 
+   *  @private
+   *  @yields {GraphNode}
+   */
+  * vertices() {
+    yield* this._nodes.values()
+  }
+
   /**
    *  Create a connection between `source` node and `destination` node. If the
    *  graph is undirected, it will also create the connection from `destination`
    *  to `destination`.
    *  If the nodes don't exist, they will be created anew with values set to 
-   *  `source` and `destination` respectively.
+   *  `source` and `destination` respectively. If the connection already exists,
+   *  its edge is replaced.
    * 
-   *  Return source/destination node pair as 
-   *    `{ source: GraphNode, destination: GraphNode }`
+   *  Return source/destination node pair and the edge as 
+   *    `{ source: GraphNode, destination: GraphNode, edge: object }`
    * 
    *  Runtime: `O(1)`
    * 
    *  @param {any} source 
    *  @param {any} destination
-   *  @returns {{GraphNode, GraphNode}} source/destination node pair
+   *  @param {object} [attributes={}] edge attributes, such as `weight` (1 by
+   *    default), a label or anything else
+   *  @returns {{GraphNode, GraphNode, object}} source/destination node pair and
+   *    the edge
+   *  @example
+   *  roads.addEdge("London", "Oxford", { weight: 90, motorway: "M40" })
    */
-  addEdge(source, destination) {
+  addEdge(source, destination, attributes = {}) {
     const sourceNode = this.addVertex(source)
     const destNode = this.addVertex(destination)
+    const edge = { weight: 1, ...attributes }
     
-    sourceNode.addNeighbour(destNode)
+    sourceNode.addNeighbour(destNode, edge)
     if(!this._isDirected) {
-      destNode.addNeighbour(sourceNode)
+      destNode.addNeighbour(sourceNode, edge)
     }
 
     return {
       source: sourceNode,
-      destination: destNode
+      destination: destNode,
+      edge
+    }
+  }
+
+  /**
+   *  Returns the edge connecting `source` to `destination`, or `null` if
+   *  there is none. The edge is an object holding its `weight` and other 
+   *  attributes; changes made to it are kept.
+   * 
+   *  Runtime: `O(1)`
+   * 
+   *  @param {any} source 
+   *  @param {any} destination 
+   *  @returns {?object} edge
+   */
+  getEdge(source, destination) {
+    const sourceNode = this._nodes.get(source)
+    const destNode = this._nodes.get(destination)
+
+    if (sourceNode && destNode) {
+      return sourceNode.edgeTo(destNode)
+    }
+
+    return null
+  }
+
+  /**
+   *  Merges the given `attributes`, such as a new `weight`, into the edge 
+   *  connecting `source` to `destination`. In an undirected graph, the 
+   *  connection from `destination` to `source` is updated too.
+   * 
+   *  Returns the updated edge or `null` if there is no such edge.
+   * 
+   *  Runtime: `O(1)`
+   * 
+   *  @param {any} source 
+   *  @param {any} destination 
+   *  @param {object} attributes
+   *  @returns {?object} edge
+   *  @example
+   *  roads.updateEdge("London", "Oxford", { weight: 120, closed: true })
+   */
+  updateEdge(source, destination, attributes) {
+    const edge = this.getEdge(source, destination)
+    return edge ? Object.assign(edge, attributes) : null
+  }
+
+  /**
+   *  Iterates over all edges in the graph, in no particular order. Each edge
+   *  is yielded as `{ source: any, destination: any, edge: object }`. In an
+   *  undirected graph, each connection is yielded only once.
+   * 
+   *  Runtime: `O(n)` where n = number of vertices + number of edges
+   * 
+   *  @yields {object}
+   */
+  * edges() {
+    const seen = new Set()
+
+    for (const node of this.vertices()) {
+      for (const [neighbour, edge] of node._neighbours) {
+        if (!seen.has(edge)) {
+          seen.add(edge)
+          yield { source: node._data, destination: neighbour._data, edge }
+        }
+      }
     }
   }
 
@@ -173,6 +286,814 @@ class Graph {
     yield* Graph.Search(startVertex, Queue)
   }
 
+  /**
+   *  Finds the cheapest path from the vertex `from` to the vertex `to`, where the
+   *  cost of a path is the sum of the weights of its edges. The algorithm is
+   *  picked to suit the graph:
+   *  
+   *  - A* if a `heuristic` is given, `O(E log V)` at worst but usually much less
+   *  - breadth-first search if no edge has a weight other than 1, in which case
+   *    the cost is the number of hops, `O(V + E)`
+   *  - Dijkstra's algorithm if no edge weight is negative, `O(E log V)`
+   *  - Bellman-Ford otherwise, `O(V × E)`
+   *  
+   *  Returns `{ path: array, cost: number }` where `path` lists the values of 
+   *  the vertices along the way, both ends included, or `null` if `to` can't be 
+   *  reached from `from`.
+   *  
+   *  @param {any} from value of the vertex to start from
+   *  @param {any} to value of the vertex to reach
+   *  @param {Graph.Heuristic} [heuristic] estimates the cost left from a vertex to
+   *    `to`. It must never overestimate, or the path found may not be the cheapest.
+   *  @returns {?{path: array, cost: number}}
+   *  @throws {NegativeCycleError} if a negative-weight cycle is reachable from `from`
+   *  @example
+   *  roads.shortestPath("London", "Leeds")
+   *  // { path: ["London", "Nottingham", "Leeds"], cost: 313 }
+   */
+  shortestPath(from, to, heuristic = null) {
+    const start = this._nodes.get(from)
+    const goal = this._nodes.get(to)
+    if (!start || !goal) {
+      return null
+    }
+
+    const { distances, previous } = heuristic 
+      ? this.searchCheapest(start, goal, heuristic)
+      : this.searchShortestPaths(start, goal)
+
+    // Walk back along the values stored in the graph, which are the same
+    // object every time, unlike `from` and `to` which may only be equal to them
+    if (!distances.has(goal._data)) {
+      return null
+    }
+
+    const path = [goal._data]
+    for (let step = goal._data; step !== start._data;) {
+      step = previous.get(step)
+      path.push(step)
+    }
+
+    return {
+      path: path.reverse(),
+      cost: distances.get(goal._data)
+    }
+  }
+
+  /**
+   *  Finds the cost of the cheapest path from the vertex `from` to every vertex
+   *  reachable from it. Picks the algorithm the same way as 
+   *  [shortestPath]{@link Graph#shortestPath} does, heuristic aside.
+   *  
+   *  Returns a {@link HashMap} of vertex values to costs, or `null` if there is no
+   *  vertex `from`. Unreachable vertices are left out.
+   *  
+   *  @param {any} from value of the vertex to start from
+   *  @returns {?HashMap}
+   *  @throws {NegativeCycleError} if a negative-weight cycle is reachable from `from`
+   */
+  distancesFrom(from) {
+    const start = this._nodes.get(from)
+    return start ? this.searchShortestPaths(start, null).distances : null
+  }
+
+  /**
+   *  Looks at the edge weights to pick the cheapest algorithm that finds the
+   *  shortest paths from `start` correctly.
+   *  
+   *  @private
+   *  @param {GraphNode} start
+   *  @param {?GraphNode} goal search may stop once this vertex is settled
+   *  @returns {{distances: HashMap, previous: HashMap}}
+   */
+  searchShortestPaths(start, goal) {
+    const weights = Array.from(this.edges(), ({ edge }) => edge.weight)
+
+    if (weights.some(weight => weight < 0)) {
+      return this.searchBellmanFord(start)
+    }
+    if (weights.every(weight => weight === 1)) {
+      return this.searchHops(start, goal)
+    }
+    return this.searchCheapest(start, goal, () => 0)
+  }
+
+  /**
+   *  Breadth-first search keeping track of the number of hops to each vertex. 
+   *  Finds the shortest paths when every edge weighs the same.
+   *  
+   *  @private
+   *  @param {GraphNode} start
+   *  @param {?GraphNode} goal search stops once this vertex is reached
+   *  @returns {{distances: HashMap, previous: HashMap}}
+   */
+  searchHops(start, goal) {
+    const distances = this.vertexMap()
+    const previous = this.vertexMap()
+    const queue = new Queue()
+
+    distances.add(start._data, 0)
+    queue.enqueue(start)
+
+    while (queue.length > 0) {
+      const node = queue.dequeue()
+      if (node === goal) {
+        break
+      }
+
+      const hops = distances.get(node._data) + 1
+      for (const neighbour of node._neighbours.keys()) {
+        if (!distances.has(neighbour._data)) {
+          distances.add(neighbour._data, hops)
+          previous.add(neighbour._data, node._data)
+          queue.enqueue(neighbour)
+        }
+      }
+    }
+
+    return { distances, previous }
+  }
+
+  /**
+   *  A* search. Always expands the vertex with the lowest known cost plus the 
+   *  estimated cost left, according to `heuristic`. With a heuristic returning 
+   *  0 it becomes Dijkstra's algorithm. Edge weights must not be negative.
+   *  
+   *  Candidate vertices wait in a {@link RedBlackTree} ordered by priority.
+   *  A heuristic which never overestimates, but isn't consistent, can settle a
+   *  vertex before the cheapest way to it is known. Finding a cheaper way
+   *  later queues the vertex again, so that its neighbours are relaxed again.
+   *  Each candidate keeps the cost it was queued with, and is passed over if
+   *  a cheaper way to its vertex has been found since.
+   *  
+   *  @private
+   *  @param {GraphNode} start
+   *  @param {?GraphNode} goal search stops once this vertex is settled
+   *  @param {Graph.Heuristic} heuristic
+   *  @returns {{distances: HashMap, previous: HashMap}}
+   */
+  searchCheapest(start, goal, heuristic) {
+    const distances = this.vertexMap()
+    const previous = this.vertexMap()
+    const goalValue = goal ? goal._data : undefined
+
+    let order = 0
+    const candidates = new RedBlackTree(Graph.ByPriority)
+
+    distances.add(start._data, 0)
+    candidates.add({ 
+      node: start, 
+      distance: 0, 
+      priority: heuristic(start._data, goalValue), 
+      order: order++ 
+    })
+
+    while (candidates.count > 0) {
+      const candidate = candidates.min
+      candidates.remove(candidate)
+
+      const node = candidate.node
+      const distance = distances.get(node._data)
+      if (candidate.distance > distance) {
+        // A cheaper way to this vertex was found after it had been queued
+        continue
+      }
+      if (node === goal) {
+        break
+      }
+
+      for (const [neighbour, edge] of node._neighbours) {
+        const cost = distance + edge.weight
+        if (!distances.has(neighbour._data) || cost < distances.get(neighbour._data)) {
+          distances.add(neighbour._data, cost)
+          previous.add(neighbour._data, node._data)
+          candidates.add({ 
+            node: neighbour, 
+            distance: cost, 
+            priority: cost + heuristic(neighbour._data, goalValue), 
+            order: order++ 
+          })
+        }
+      }
+    }
+
+    return { distances, previous }
+  }
+
+  /**
+   *  Orders candidates of the form `{ priority, order }` by `priority`, then
+   *  by `order`, a number counting up as candidates are queued. A tree keeps
+   *  items which compare equal as copies of one another, so ties must be
+   *  broken for every candidate to stay in it on its own.
+   *  
+   *  @private
+   *  @param {object} a
+   *  @param {object} b
+   *  @returns {number}
+   */
+  static ByPriority(a, b) {
+    return (a.priority - b.priority) || (a.order - b.order)
+  }
+
+  /**
+   *  Bellman-Ford algorithm. Relaxes every edge once per vertex, which copes
+   *  with negative edge weights. If edges can still be relaxed after that, 
+   *  there is a negative-weight cycle.
+   *  
+   *  @private
+   *  @param {GraphNode} start
+   *  @returns {{distances: HashMap, previous: HashMap}}
+   *  @throws {NegativeCycleError}
+   */
+  searchBellmanFord(start) {
+    const vertices = Array.from(this.vertices())
+    const distances = this.vertexMap()
+    const previous = this.vertexMap()
+    let lastRelaxed = null
+
+    distances.add(start._data, 0)
+
+    for (let round = 0; round < vertices.length; round++) {
+      let relaxed = false
+
+      for (const node of vertices) {
+        if (!distances.has(node._data)) {
+          continue
+        }
+
+        const distance = distances.get(node._data)
+        for (const [neighbour, edge] of node._neighbours) {
+          const cost = distance + edge.weight
+          if (!distances.has(neighbour._data) || cost < distances.get(neighbour._data)) {
+            distances.add(neighbour._data, cost)
+            previous.add(neighbour._data, node._data)
+            lastRelaxed = neighbour._data
+            relaxed = true
+          }
+        }
+      }
+
+      if (!relaxed) {
+        return { distances, previous }
+      }
+    }
+
+    throw new Errors.NegativeCycleError(Graph.TraceCycle(previous, lastRelaxed, vertices.length))
+  }
+
+  /**
+   *  Follows the `previous` links back from `value` until it runs in a circle,
+   *  and returns the vertex values along that circle in forward order, with
+   *  the first one repeated at the end.
+   *  
+   *  @private
+   *  @param {HashMap} previous map of vertex values to their predecessor's value
+   *  @param {any} value value of a vertex on or leading to the cycle
+   *  @param {number} count number of vertices in the graph
+   *  @returns {array}
+   */
+  static TraceCycle(previous, value, count) {
+    // After `count` steps back, we are bound to be on the cycle itself
+    let start = value
+    for (let step = 0; step < count; step++) {
+      start = previous.get(start)
+    }
+
+    const cycle = [start]
+    for (let step = previous.get(start); step !== start; step = previous.get(step)) {
+      cycle.push(step)
+    }
+    cycle.push(start)
+
+    return cycle.reverse()
+  }
+
+  /**
+   *  Splits an undirected graph into its **connected components**: groups of
+   *  vertices which can all reach one another, but none of the vertices in
+   *  other groups. Think of islands linked by bridges among themselves, but
+   *  not to other islands.
+   *  
+   *  Returns an array of groups, each an array of vertex values.
+   *  
+   *  Runtime: `O(V + E)`
+   *  
+   *  @returns {array[]}
+   *  @throws {Error} if the graph is directed; see 
+   *    [stronglyConnectedComponents]{@link Graph#stronglyConnectedComponents}
+   *  @example
+   *  islands.addEdge("Skye", "Raasay")
+   *  islands.addEdge("Mull", "Iona")
+   *  islands.connectedComponents()  // [["Skye", "Raasay"], ["Mull", "Iona"]]
+   */
+  connectedComponents() {
+    if (this._isDirected) {
+      throw new Error("Connected components need an undirected graph")
+    }
+
+    const grouped = this.vertexMap()
+    const components = []
+
+    for (const node of this.vertices()) {
+      if (grouped.get(node._data)) {
+        continue
+      }
+
+      const component = []
+      for (const member of Graph.Search(node, Queue)) {
+        grouped.add(member._data, true)
+        component.push(member._data)
+      }
+      components.push(component)
+    }
+
+    return components
+  }
+
+  /**
+   *  Splits a directed graph into its **strongly connected components**: 
+   *  groups of vertices where every vertex can reach every other one by 
+   *  following the edges. A vertex on no cycle forms a group of its own.
+   *  
+   *  Uses Tarjan's algorithm. The groups come in reverse topological order, 
+   *  i.e. no edge leads from a group to one listed after it. In an undirected
+   *  graph, these are the same groups as the connected components.
+   *  
+   *  Returns an array of groups, each an array of vertex values.
+   *  
+   *  Runtime: `O(V + E)`
+   *  
+   *  @returns {array[]}
+   *  @example
+   *  // Given edges a → b → c → a and c → d
+   *  graph.stronglyConnectedComponents()  // [["d"], ["c", "b", "a"]]
+   */
+  stronglyConnectedComponents() {
+    // Tarjan numbers vertices in the order they are discovered. A vertex's
+    // `low` number is the lowest one reachable from its subtree which is still
+    // on `pending`. A vertex whose `low` number is its own heads a component.
+    const discovered = this.vertexMap()
+    const low = this.vertexMap()
+    const isPending = this.vertexMap()
+    const pending = new Stack()
+    const components = []
+    let counter = 0
+
+    for (const root of this.vertices()) {
+      if (discovered.get(root._data) !== null) {
+        continue
+      }
+
+      const stack = new Stack()
+      const visit = node => {
+        discovered.add(node._data, counter)
+        low.add(node._data, counter)
+        counter += 1
+        pending.push(node)
+        isPending.add(node._data, true)
+        stack.push({ node, neighbours: node._neighbours.keys() })
+      }
+      visit(root)
+
+      while (stack.depth > 0) {
+        const frame = stack.pop()
+        const { value: next, done } = frame.neighbours.next()
+        const data = frame.node._data
+
+        if (!done) {
+          stack.push(frame)
+          if (discovered.get(next._data) === null) {
+            visit(next)
+          }
+          else if (isPending.get(next._data)) {
+            low.add(data, Math.min(low.get(data), discovered.get(next._data)))
+          }
+          continue
+        }
+
+        if (low.get(data) === discovered.get(data)) {
+          const component = []
+          let member
+          do {
+            member = pending.pop()
+            isPending.add(member._data, false)
+            component.push(member._data)
+          } while (member !== frame.node)
+          components.push(component)
+        }
+
+        // Done with this vertex, so pass its `low` number on to its parent
+        if (stack.depth > 0) {
+          const parent = stack.pop()
+          low.add(parent.node._data, Math.min(low.get(parent.node._data), low.get(data)))
+          stack.push(parent)
+        }
+      }
+    }
+
+    return components
+  }
+
+  /**
+   *  Returns `true` if every vertex can reach every other vertex. Directed
+   *  graphs must be strongly connected, i.e. the trip back has to be possible
+   *  too. An empty graph is connected.
+   *  
+   *  Runtime: `O(V + E)`
+   *  
+   *  @returns {boolean}
+   */
+  isConnected() {
+    const components = this._isDirected
+      ? this.stronglyConnectedComponents()
+      : this.connectedComponents()
+
+    return components.length <= 1
+  }
+
+  /**
+   *  Collapses each strongly connected component into a single vertex and 
+   *  returns the result as a new `Graph`. The value of each vertex is the 
+   *  array of values of the vertices it stands for, as returned by
+   *  [stronglyConnectedComponents]{@link Graph#stronglyConnectedComponents}.
+   *  
+   *  Two components are connected if any edge led from one to the other. The 
+   *  new edge weighs as much as the lightest of those edges. The condensation
+   *  of a directed graph is always acyclic, so it can be sorted topologically.
+   *  
+   *  Runtime: `O(V + E)`
+   *  
+   *  @returns {Graph}
+   *  @example
+   *  // Given edges a → b → a and b → c
+   *  const dag = graph.condensation()
+   *  dag.topologicalSort()  // [["b", "a"], ["c"]]
+   */
+  condensation() {
+    const components = this.stronglyConnectedComponents()
+    const componentOf = this.vertexMap()
+    const condensed = new Graph(this._isDirected)
+
+    for (const component of components) {
+      condensed.addVertex(component)
+      component.forEach(data => componentOf.add(data, component))
+    }
+
+    for (const { source, destination, edge } of this.edges()) {
+      const from = componentOf.get(source)
+      const to = componentOf.get(destination)
+      if (from === to) {
+        continue
+      }
+
+      const existing = condensed.getEdge(from, to)
+      if (!existing || edge.weight < existing.weight) {
+        condensed.addEdge(from, to, { weight: edge.weight })
+      }
+    }
+
+    return condensed
+  }
+
+  /**
+   *  Picks the cheapest set of edges of an undirected graph which still keeps
+   *  all the vertices connected, e.g. the shortest length of cable needed to 
+   *  wire up a group of buildings. The result is a **minimum spanning tree**.
+   *  
+   *  If the graph is not connected, each of its connected components gets a
+   *  tree of its own, which together make a minimum spanning forest.
+   *  
+   *  Two algorithms are available, both `O(E log E)`:
+   *  - `"kruskal"` goes through all edges from the lightest up, keeping every 
+   *    edge which joins two trees that weren't joined yet
+   *  - `"prim"` grows a tree from a vertex, adding the lightest edge to a 
+   *    vertex not in the tree yet, over and over
+   *  
+   *  Returns the tree as a new undirected `Graph` with the same vertices and
+   *  copies of the chosen edges, together with its total weight.
+   *  
+   *  @param {string} [algorithm="kruskal"] `"kruskal"` or `"prim"`
+   *  @returns {{tree: Graph, weight: number}}
+   *  @throws {Error} if the graph is directed
+   *  @example
+   *  cables.addEdge("Library", "Lab", { weight: 120 })
+   *  cables.addEdge("Lab", "Hall", { weight: 80 })
+   *  cables.addEdge("Hall", "Library", { weight: 150 })
+   *  cables.minimumSpanningTree().weight  // 200
+   */
+  minimumSpanningTree(algorithm = "kruskal") {
+    if (this._isDirected) {
+      throw new Error("Minimum spanning tree needs an undirected graph")
+    }
+
+    const tree = new Graph(false, this._equals)
+    for (const node of this.vertices()) {
+      tree.addVertex(node._data)
+    }
+
+    const chosen = algorithm === "prim" ? this.spanByPrim() : this.spanByKruskal()
+    let weight = 0
+    for (const { source, destination, edge } of chosen) {
+      tree.addEdge(source, destination, edge)
+      weight += edge.weight
+    }
+
+    return { tree, weight }
+  }
+
+  /**
+   *  Kruskal's algorithm. Keeps track of which vertices are already joined
+   *  with a disjoint-set forest, where each vertex points towards the leader
+   *  of its set.
+   *  
+   *  @private
+   *  @returns {array} chosen edges as `{ source, destination, edge }`
+   */
+  spanByKruskal() {
+    const leaders = this.vertexMap()
+    for (const node of this.vertices()) {
+      leaders.add(node._data, node._data)
+    }
+
+    const chosen = []
+    for (const candidate of MergeSort(this.edges(), ByKey(({ edge }) => edge.weight))) {
+      const sourceLeader = Graph.FindLeader(leaders, candidate.source)
+      const destinationLeader = Graph.FindLeader(leaders, candidate.destination)
+
+      if (sourceLeader !== destinationLeader) {
+        leaders.add(sourceLeader, destinationLeader)
+        chosen.push(candidate)
+      }
+    }
+
+    return chosen
+  }
+
+  /**
+   *  Prim's algorithm, restarted from every vertex not reached yet so that 
+   *  disconnected graphs get a spanning forest. Candidate edges wait in a 
+   *  {@link RedBlackTree} ordered by weight, see {@link Graph.ByPriority}.
+   *  
+   *  @private
+   *  @returns {array} chosen edges as `{ source, destination, edge }`
+   */
+  spanByPrim() {
+    const reached = this.vertexMap()
+    const chosen = []
+
+    let order = 0
+    const candidates = new RedBlackTree(Graph.ByPriority)
+    const reach = node => {
+      reached.add(node._data, true)
+      for (const [neighbour, edge] of node._neighbours) {
+        if (!reached.get(neighbour._data)) {
+          candidates.add({ source: node._data, destination: neighbour, edge, priority: edge.weight, order: order++ })
+        }
+      }
+    }
+
+    for (const root of this.vertices()) {
+      if (reached.get(root._data)) {
+        continue
+      }
+
+      reach(root)
+      while (candidates.count > 0) {
+        const candidate = candidates.min
+        candidates.remove(candidate)
+
+        const { source, destination, edge } = candidate
+        if (reached.get(destination._data)) {
+          continue
+        }
+
+        chosen.push({ source, destination: destination._data, edge })
+        reach(destination)
+      }
+    }
+
+    return chosen
+  }
+
+  /**
+   *  Follows the `leaders` links from `data` up to the leader of its set, 
+   *  pointing every vertex on the way straight at the leader so that the
+   *  next lookup is quicker.
+   *  
+   *  @private
+   *  @param {HashMap} leaders map of vertex values to a value closer to 
+   *    their leader
+   *  @param {any} data
+   *  @returns {any} value of the leader
+   */
+  static FindLeader(leaders, data) {
+    let leader = data
+    while (leaders.get(leader) !== leader) {
+      leader = leaders.get(leader)
+    }
+
+    let step = data
+    while (step !== leader) {
+      const next = leaders.get(step)
+      leaders.add(step, leader)
+      step = next
+    }
+
+    return leader
+  }
+
+  /**
+   *  Orders the vertices of a directed acyclic graph (DAG) so that every edge
+   *  points from an earlier vertex to a later one. For a graph of build steps
+   *  and their dependencies, that is an order in which to run the steps.
+   *  
+   *  Two algorithms are available, both `O(V + E)`:
+   *  - `"kahn"` repeatedly takes out the vertices no edge points to
+   *  - `"depth-first"` lists the vertices in reverse order of finishing a
+   *    depth-first search
+   *  
+   *  Returns an array of vertex values.
+   *  
+   *  @param {string} [algorithm="kahn"] `"kahn"` or `"depth-first"`
+   *  @returns {array}
+   *  @throws {CycleError} if the graph has a cycle; the error carries it
+   *  @throws {Error} if the graph is undirected
+   *  @example
+   *  build.addEdge("compile", "test")
+   *  build.addEdge("compile", "package")
+   *  build.addEdge("test", "publish")
+   *  build.addEdge("package", "publish")
+   *  build.topologicalSort()  // ["compile", "test", "package", "publish"]
+   */
+  topologicalSort(algorithm = "kahn") {
+    if (!this._isDirected) {
+      throw new Error("Topological sort needs a directed graph")
+    }
+
+    if (algorithm === "depth-first") {
+      const { finished, cycle } = this.searchDepthFirstOrder()
+      if (cycle) {
+        throw new Errors.CycleError(cycle)
+      }
+      return finished.reverse()
+    }
+
+    const sorted = this.sortByInDegree()
+    if (sorted.length < this.count) {
+      throw new Errors.CycleError(this.findCycle())
+    }
+    return sorted
+  }
+
+  /**
+   *  Returns `true` if the graph has a cycle. In an undirected graph, going 
+   *  back and forth over the same edge doesn't count as a cycle.
+   *  
+   *  Runtime: `O(V + E)`
+   *  
+   *  @returns {boolean}
+   */
+  hasCycle() {
+    return this.findCycle() !== null
+  }
+
+  /**
+   *  Returns the values of the vertices along a cycle in the graph, starting
+   *  and ending with the same vertex, or `null` if the graph has no cycle.
+   *  
+   *  Runtime: `O(V + E)`
+   *  
+   *  @returns {?array}
+   *  @example
+   *  // Given edges a → b → c → a
+   *  graph.findCycle()  // ["a", "b", "c", "a"]
+   */
+  findCycle() {
+    return this.searchDepthFirstOrder().cycle
+  }
+
+  /**
+   *  Kahn's algorithm. Visits the vertices no edge points to, then removes
+   *  (counts down) their outgoing edges, which frees up more vertices, and
+   *  so on. Vertices on or behind a cycle never free up, so they are left 
+   *  out of the result.
+   *  
+   *  @private
+   *  @returns {array} vertex values
+   */
+  sortByInDegree() {
+    const inDegrees = this.vertexMap()
+    for (const node of this.vertices()) {
+      inDegrees.add(node._data, 0)
+    }
+    for (const node of this.vertices()) {
+      for (const neighbour of node._neighbours.keys()) {
+        inDegrees.add(neighbour._data, inDegrees.get(neighbour._data) + 1)
+      }
+    }
+
+    const ready = new Queue()
+    for (const node of this.vertices()) {
+      if (inDegrees.get(node._data) === 0) {
+        ready.enqueue(node)
+      }
+    }
+
+    const sorted = []
+    while (ready.length > 0) {
+      const node = ready.dequeue()
+      sorted.push(node._data)
+
+      for (const neighbour of node._neighbours.keys()) {
+        const inDegree = inDegrees.get(neighbour._data) - 1
+        inDegrees.add(neighbour._data, inDegree)
+        if (inDegree === 0) {
+          ready.enqueue(neighbour)
+        }
+      }
+    }
+
+    return sorted
+  }
+
+  /**
+   *  Depth-first search over the whole graph, which stops at the first cycle
+   *  it runs into. Uses a {@link Stack} of neighbour iterators instead of 
+   *  recursion, so deep graphs don't overflow the call stack.
+   *  
+   *  Returns `{ finished: array, cycle: ?array }` where `finished` lists the
+   *  vertex values in the order their search completed.
+   *  
+   *  @private
+   *  @returns {{finished: array, cycle: ?array}}
+   */
+  searchDepthFirstOrder() {
+    // Vertices are "open" while their descendants are being searched, and
+    // "done" afterwards. Running into an open vertex means we went in a circle.
+    const states = this.vertexMap()
+    const parents = this.vertexMap()
+    const finished = []
+
+    for (const root of this.vertices()) {
+      if (states.get(root._data)) {
+        continue
+      }
+
+      const stack = new Stack()
+      stack.push({ node: root, parent: null, neighbours: root._neighbours.keys() })
+      states.add(root._data, "open")
+
+      while (stack.depth > 0) {
+        const frame = stack.pop()
+        const { value: next, done } = frame.neighbours.next()
+
+        if (done) {
+          states.add(frame.node._data, "done")
+          finished.push(frame.node._data)
+          continue
+        }
+        stack.push(frame)
+
+        if (!this._isDirected && next === frame.parent) {
+          continue
+        }
+
+        const state = states.get(next._data)
+        if (state === "open") {
+          return { finished, cycle: Graph.TraceBack(parents, frame.node._data, next._data) }
+        }
+        if (!state) {
+          states.add(next._data, "open")
+          parents.add(next._data, frame.node._data)
+          stack.push({ node: next, parent: frame.node, neighbours: next._neighbours.keys() })
+        }
+      }
+    }
+
+    return { finished, cycle: null }
+  }
+
+  /**
+   *  Follows the `parents` links back from `value` to its ancestor `ancestor`.
+   *  Returns the cycle closed by an edge from `value` to `ancestor`, as vertex
+   *  values in forward order, starting and ending with `ancestor`.
+   *  
+   *  @private
+   *  @param {HashMap} parents map of vertex values to their parent's value
+   *  @param {any} value
+   *  @param {any} ancestor
+   *  @returns {array}
+   */
+  static TraceBack(parents, value, ancestor) {
+    const cycle = [ancestor]
+    for (let step = value; step !== ancestor; step = parents.get(step)) {
+      cycle.push(step)
+    }
+    cycle.push(ancestor)
+
+    return cycle.reverse()
+  }
+
   /**
    *  Generic graph search method. Can be passed a `Type` which determines
    *  the search method used.
@@ -195,10 +1116,23 @@ class Graph {
       if (node && !visited.has(node)) {
         yield node
         visited.add(node)
-        node._neighbours.forEach(neighbour => Type == Stack ? visitList.push(neighbour) : visitList.enqueue(neighbour))
+        node._neighbours.forEach((edge, neighbour) => Type == Stack ? visitList.push(neighbour) : visitList.enqueue(neighbour))
       }
     }
   }
 }
 
 module.exports = Graph
+
+// ------------------ Type definitions ------------------------------- //
+
+/**
+ *  Used by [shortestPath]{@link Graph#shortestPath} to estimate the cost of 
+ *  the cheapest path from a vertex to the goal, e.g. the straight-line distance 
+ *  between two places on a map.
+ *  
+ *  @callback Graph.Heuristic
+ *  @param {any} value value of the vertex
+ *  @param {any} goal value of the goal vertex
+ *  @returns {number} estimated cost, never more than the actual cost
+ */
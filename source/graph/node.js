@@ -1,14 +1,16 @@
 /**
  *  Graph node/vertex that can hold adjacent nodes. For performance,
- *  uses a `Set` instead of array for neighbours. Unlike trees, a
- *  graph does not have a root node and can be traversed from anywhere.
+ *  uses a `Map` instead of array for neighbours. Each neighbour is mapped 
+ *  to the edge leading to it, an object holding the edge's `weight` and 
+ *  any other attributes. Unlike trees, a graph does not have a root node 
+ *  and can be traversed from anywhere.
  *  
  *  @class GraphNode
  */
 class GraphNode {
   constructor(data) {
     this._data = data
-    this._neighbours = new Set()
+    this._neighbours = new Map()
   }
 
   /**
@@ -33,13 +35,27 @@ class GraphNode {
   }
 
   /**
-   *  Add `neighbour` to the neighbours list
+   *  Returns the edge leading to the given `node`, or `null` if the node
+   *  is not a neighbour.
    *  Runtime: `O(1)`
    * 
    *  @param {GraphNode} neighbour
+   *  @returns {?object} edge
    */
-  addNeighbour(node) {
-    this._neighbours.add(node)
+  edgeTo(node) {
+    return this._neighbours.get(node) || null
+  }
+
+  /**
+   *  Add `neighbour` to the neighbours list. If it already is a neighbour,
+   *  the edge leading to it is replaced.
+   *  Runtime: `O(1)`
+   * 
+   *  @param {GraphNode} neighbour
+   *  @param {object} [edge={ weight: 1 }] edge leading to the neighbour
+   */
+  addNeighbour(node, edge = { weight: 1 }) {
+    this._neighbours.set(node, edge)
   }
 }
 
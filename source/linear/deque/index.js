@@ -0,0 +1,155 @@
+const List = require("../list")
+const Ring = require("./ring")
+
+/**
+ *  Deque (double-ended queue, pronounced "deck") is a linear data structure
+ *  which allows items to be added or removed at both ends, but not in the
+ *  middle. It can stand in for both a {@link Stack} and a {@link Queue}, e.g.
+ *  for a work-stealing scheduler or an undo history with a size limit.
+ *
+ *  The items are kept in one of two ways, picked when the deque is created:
+ *  - `"list"` (default) keeps them in a {@link List}. Memory is allocated
+ *    one item at a time, as needed.
+ *  - `"array"` keeps them in an array used as a ring buffer, whose start moves
+ *    around instead of the items. Items sit next to each other in memory,
+ *    which makes better use of the CPU cache on hot paths. The array doubles
+ *    in size whenever it fills up.
+ *
+ *  All operations at either end take `O(1)`, or amortised `O(1)` in
+ *  `"array"` mode.
+ *
+ *  @class
+ */
+class Deque {
+  /**
+   *  @constructor
+   *  @param {string} [backing="list"] `"list"` or `"array"`
+   *  @param {number} [capacity=16] initial size of the array in `"array"`
+   *    mode; ignored otherwise
+   *  @throws {Error} if `backing` is neither `"list"` nor `"array"`
+   */
+  constructor(backing = "list", capacity = 16) {
+    if (backing !== "list" && backing !== "array") {
+      throw new Error(`Unknown backing "${backing}", expected "list" or "array"`)
+    }
+
+    /** @private */
+    this._items = backing === "array" ? new Ring(capacity) : new List()
+  }
+
+  /**
+   *  Returns the number of items in the deque
+   *  @returns {number}
+   */
+  get length() {
+    return this._items.count
+  }
+
+  /**
+   *  Adds item to the front of the deque. Returns the Deque instance to
+   *  allow chaining of commands.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @param {any} item
+   *  @returns {Deque} the Deque instance
+   */
+  pushFront(item) {
+    this._items.addAtStart(item)
+    return this
+  }
+
+  /**
+   *  Adds item to the back of the deque. Returns the Deque instance to
+   *  allow chaining of commands.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @param {any} item
+   *  @returns {Deque} the Deque instance
+   *  @example
+   *  deque.pushBack(20)
+   *    .pushBack(30)
+   *    .pushFront(10)
+   *    .peekBack()   // 30
+   */
+  pushBack(item) {
+    this._items.addAtLast(item)
+    return this
+  }
+
+  /**
+   *  Removes item from the front of the deque and returns it, or `null` if
+   *  the deque is empty.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @returns {?any} item removed
+   */
+  popFront() {
+    return this._items.removeFirst()
+  }
+
+  /**
+   *  Removes item from the back of the deque and returns it, or `null` if
+   *  the deque is empty.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @returns {?any} item removed
+   */
+  popBack() {
+    return this._items.removeLast()
+  }
+
+  /**
+   *  Returns the item at the front of the deque without removing it, or
+   *  `null` if the deque is empty.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @returns {?any}
+   */
+  peekFront() {
+    if (this.length === 0) {
+      return null
+    }
+    return this._items instanceof List ? this._items.first.data : this._items.itemAtIndex(0)
+  }
+
+  /**
+   *  Returns the item at the back of the deque without removing it, or
+   *  `null` if the deque is empty.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @returns {?any}
+   */
+  peekBack() {
+    if (this.length === 0) {
+      return null
+    }
+    return this._items instanceof List ? this._items.last.data : this._items.itemAtIndex(this.length - 1)
+  }
+
+  /**
+   *  Iterates over the items from front to back.
+   *  @yields {any}
+   */
+  * [Symbol.iterator]() {
+    yield* this._items
+  }
+
+  /**
+   *  Returns the items from front to back.
+   *
+   *  Runtime: `O(n)`
+   *
+   *  @returns {array}
+   */
+  toArray() {
+    return Array.from(this)
+  }
+}
+
+module.exports = Deque
@@ -0,0 +1,104 @@
+/**
+ *  A growable ring buffer, i.e. an array whose start can be anywhere in it, 
+ *  wrapping around the end. Items can be added or removed at both ends in 
+ *  `O(1)` without shifting the rest. When the array fills up, the items are 
+ *  copied into one twice the size.
+ *  
+ *  Backs a {@link Deque} created in `"array"` mode. Its method names mirror
+ *  those of {@link List}, so the Deque can use either one the same way.
+ *  
+ *  @private
+ *  @class
+ */
+class Ring {
+  /**
+   *  @param {number} capacity initial size of the array
+   */
+  constructor(capacity) {
+    this._slots = new Array(Math.max(1, capacity))
+    this._head = 0
+    this._count = 0
+  }
+
+  get count() {
+    return this._count
+  }
+
+  addAtStart(data) {
+    this.growIfFull()
+    this._head = this.wrap(this._head - 1)
+    this._slots[this._head] = data
+    this._count += 1
+  }
+
+  addAtLast(data) {
+    this.growIfFull()
+    this._slots[this.wrap(this._head + this._count)] = data
+    this._count += 1
+  }
+
+  removeFirst() {
+    if (this._count === 0) {
+      return null
+    }
+
+    const data = this._slots[this._head]
+    // Let go of the item so that it can be garbage collected
+    this._slots[this._head] = undefined
+    this._head = this.wrap(this._head + 1)
+    this._count -= 1
+
+    return data
+  }
+
+  removeLast() {
+    if (this._count === 0) {
+      return null
+    }
+
+    const tail = this.wrap(this._head + this._count - 1)
+    const data = this._slots[tail]
+    this._slots[tail] = undefined
+    this._count -= 1
+
+    return data
+  }
+
+  /**
+   *  Runtime: `O(1)`
+   *  @param {number} index 0 for the first item
+   */
+  itemAtIndex(index) {
+    return this._slots[this.wrap(this._head + index)]
+  }
+
+  * [Symbol.iterator]() {
+    for (let index = 0; index < this._count; index++) {
+      yield this.itemAtIndex(index)
+    }
+  }
+
+  /**
+   *  Maps a position, which may have run off either end, back into the array.
+   */
+  wrap(position) {
+    const size = this._slots.length
+    return ((position % size) + size) % size
+  }
+
+  growIfFull() {
+    if (this._count < this._slots.length) {
+      return
+    }
+
+    const slots = new Array(this._slots.length * 2)
+    for (let index = 0; index < this._count; index++) {
+      slots[index] = this.itemAtIndex(index)
+    }
+
+    this._slots = slots
+    this._head = 0
+  }
+}
+
+module.exports = Ring
@@ -0,0 +1,244 @@
+const { NaturalOrder } = require("../../toolbox/compare")
+
+/**
+ *  A binary heap keeps its items partially ordered, so that the item which
+ *  comes first is always at hand. It is the usual way to implement a
+ *  {@link PriorityQueue}.
+ *
+ *  The heap is a complete binary tree stored level by level in an array. The
+ *  children of the item at index `i` live at `2i + 1` and `2i + 2`, and no
+ *  item comes after either of its children. The tree is always as short as
+ *  it can be, so adding or taking out an item moves at most `log n` others.
+ *
+ *  Items are ordered by a comparator, see `toolbox/compare`. By default,
+ *  the smallest item comes first (a min-heap). For a max-heap, pass a
+ *  reversed comparator.
+ *
+ *  ```
+ *  const min = new BinaryHeap()
+ *  const max = new BinaryHeap(ReverseOrder())
+ *  const byDeadline = new BinaryHeap(ByKey(task => task.deadline), tasks)
+ *  ```
+ *
+ *  @class
+ */
+class BinaryHeap {
+  /**
+   *  Instantiates a heap and fills it with the given `items` in `O(n)`.
+   *
+   *  @param {Comparator} [comparator=NaturalOrder] decides which item comes
+   *    first
+   *  @param {Iterable} [items=[]] initial items
+   */
+  constructor(comparator = NaturalOrder, items = []) {
+    /** @private */
+    this._compare = comparator
+    /** @private */
+    this._items = Array.from(items)
+    this.heapify()
+  }
+
+  /**
+   *  Returns the number of items in the heap
+   *  @returns {number}
+   */
+  get count() {
+    return this._items.length
+  }
+
+  /**
+   *  Returns the comparator used to order the items
+   *  @returns {Comparator}
+   */
+  get comparator() {
+    return this._compare
+  }
+
+  /**
+   *  Adds an item to the heap. Returns the BinaryHeap instance to allow
+   *  the `push()` calls to be chained.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {any} item
+   *  @returns {BinaryHeap} the BinaryHeap instance
+   *  @example
+   *  heap.push(30)
+   *    .push(10)
+   *    .push(20)
+   *    .peek()   // 10
+   */
+  push(item) {
+    this.place(item, this._items.length)
+    this.siftUp(this._items.length - 1)
+    return this
+  }
+
+  /**
+   *  Removes the item which comes first and returns it, or `null` if the
+   *  heap is empty.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @returns {?any} removed item
+   */
+  pop() {
+    return this.count > 0 ? this.removeAt(0) : null
+  }
+
+  /**
+   *  Returns the item which comes first without removing it, or `null` if
+   *  the heap is empty.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @returns {?any}
+   */
+  peek() {
+    return this.count > 0 ? this._items[0] : null
+  }
+
+  /**
+   *  Returns the items in no particular order.
+   *
+   *  Runtime: `O(n)`
+   *
+   *  @returns {array}
+   */
+  toArray() {
+    return this._items.slice()
+  }
+
+  /**
+   *  Iterates over the items in no particular order.
+   *  @yields {any}
+   */
+  * [Symbol.iterator]() {
+    yield* this._items
+  }
+
+  /**
+   *  Removes the item at `index` and returns it. The last item fills the
+   *  hole, then moves up or down to where it belongs.
+   *
+   *  @private
+   *  @param {number} index
+   *  @returns {any} removed item
+   */
+  removeAt(index) {
+    const removed = this._items[index]
+    const last = this._items.pop()
+
+    if (index < this._items.length) {
+      this.place(last, index)
+      this.update(index)
+    }
+
+    return removed
+  }
+
+  /**
+   *  Moves the item at `index` to where it belongs after its order relative
+   *  to the others has changed.
+   *
+   *  @private
+   *  @param {number} index
+   */
+  update(index) {
+    if (index > 0 && this.precedes(index, parentOf(index))) {
+      this.siftUp(index)
+    }
+    else {
+      this.siftDown(index)
+    }
+  }
+
+  /**
+   *  Floyd's method. Sifts down every item which has children, starting from
+   *  the last one. Most items sit near the bottom and barely move, which makes
+   *  this `O(n)` rather than the `O(n log n)` of pushing the items one by one.
+   *
+   *  @private
+   */
+  heapify() {
+    for (let index = parentOf(this._items.length - 1); index >= 0; index--) {
+      this.siftDown(index)
+    }
+  }
+
+  /**
+   *  Swaps the item at `index` with its parent for as long as it comes first.
+   *  @private
+   *  @param {number} index
+   */
+  siftUp(index) {
+    let current = index
+    while (current > 0 && this.precedes(current, parentOf(current))) {
+      this.swap(current, parentOf(current))
+      current = parentOf(current)
+    }
+  }
+
+  /**
+   *  Swaps the item at `index` with its first child for as long as the child
+   *  comes first.
+   *  @private
+   *  @param {number} index
+   */
+  siftDown(index) {
+    let current = index
+
+    while (true) {
+      const left = 2 * current + 1
+      const right = left + 1
+      let first = current
+
+      if (left < this._items.length && this.precedes(left, first)) {
+        first = left
+      }
+      if (right < this._items.length && this.precedes(right, first)) {
+        first = right
+      }
+      if (first === current) {
+        return
+      }
+
+      this.swap(current, first)
+      current = first
+    }
+  }
+
+  /**
+   *  Whether the item at index `a` comes before the item at index `b`.
+   *  @private
+   */
+  precedes(a, b) {
+    return this._compare(this._items[a], this._items[b]) < 0
+  }
+
+  /** @private */
+  swap(a, b) {
+    const item = this._items[a]
+    this.place(this._items[b], a)
+    this.place(item, b)
+  }
+
+  /**
+   *  Puts the `item` at `index` in the array. Every move of an item goes
+   *  through here, so that subclasses can keep track of where items are.
+   *
+   *  @private
+   *  @param {any} item
+   *  @param {number} index
+   */
+  place(item, index) {
+    this._items[index] = item
+  }
+}
+
+/** @private */
+function parentOf(index) {
+  return Math.floor((index - 1) / 2)
+}
+
+module.exports = BinaryHeap
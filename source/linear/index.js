@@ -1,9 +1,14 @@
 /**
  *  JavaScript ships a built-in `Array` type. This `linear` module introduces 
- *  three more linear data structures to the mix:
+ *  more linear data structures to the mix:
  *    - `List`, a doubly-linked list, with random access
  *    - `Stack`, a last-in-first-out data structure, without random access
  *    - `Queue`, a first-in-first-out data structure, without random access
+ *    - `Deque`, a queue open at both ends, without random access
+ *    - `BinaryHeap`, an array kept partially ordered, so the first item is 
+ *      always at hand
+ *    - `PriorityQueue`, a queue that hands out items by priority
+ *    - `RingBuffer`, a fixed-size buffer of the latest items, with random access
  *  
  *  Use an `Array` when:
  *  - data needs to be accessed quickly in random order (using an index)
@@ -23,17 +28,41 @@
  *  - data needs to be access first-in, first-out
  *  - one needs to implement a Breadth-first search
  * 
+ *  Use a `Deque` when:
+ *  - data needs to be added or removed at both ends, e.g. a sliding window
+ *  - one needs a `Stack` and a `Queue` in one
+ * 
+ *  Use a `PriorityQueue` (or a bare `BinaryHeap`) when:
+ *  - data needs to be accessed most-urgent first, e.g. scheduling jobs
+ *  - one needs to implement Dijkstra's algorithm or an event simulation
+ * 
+ *  Use a `RingBuffer` when:
+ *  - only the latest few items of a stream matter, e.g. telemetry samples
+ *  - producers must wait, or fail, when consumers fall behind
+ * 
  *  @module linear
  */
+const BinaryHeap = require("./heap")
+const Deque = require("./deque")
 const List = require("./list")
+const PriorityQueue = require("./priorityQueue")
 const Queue = require("./queue")
+const RingBuffer = require("./ringBuffer")
 const Stack = require("./stack")
 
 module.exports = {
+  /** @type BinaryHeap */
+  BinaryHeap,
+  /** @type Deque */
+  Deque,
   /** @type List */
   List,
+  /** @type PriorityQueue */
+  PriorityQueue,
   /** @type Queue */
   Queue,
+  /** @type RingBuffer */
+  RingBuffer,
   /** @type Stack */
   Stack
 }
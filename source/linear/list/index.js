@@ -1,5 +1,5 @@
-const isEqual = require("lodash.isequal")
 const Errors = require("../../errors")
+const { DeepEqual } = require("../../toolbox/equality")
 const Node  = require("./node")
 
 /**
@@ -41,10 +41,24 @@ const Node  = require("./node")
  *    memory on initialisation. List are grow-as-you-go and don't need contiguous
  *    memory.
  *  
+ *  ### Equality
+ *  Searching by value, e.g. with [indexOf]{@linkcode List#indexOf}, compares
+ *  items using the equality function given at construction, see 
+ *  `toolbox/equality`. By default, items are compared by their contents 
+ *  using `DeepEqual`. Lists derived from a list, e.g. by `map()` or `slice()`,
+ *  use the same equality function.
+ *  
  *  @class
  */
 class List {
-  constructor() {
+  /**
+   *  @constructor
+   *  @param {Equality} [equals=DeepEqual] decides whether two items are the
+   *    same
+   */
+  constructor(equals = DeepEqual) {
+    /** @private */
+    this._equals = equals
     /** @private */
     this._first = null
     /** @private */
@@ -66,6 +80,14 @@ class List {
     this._count = newValue
   }
 
+  /**
+   *  Returns the equality function used to compare items
+   *  @returns {Equality}
+   */
+  get equality() {
+    return this._equals
+  }
+
   /** @private */
   get first() {
     return this._first
@@ -249,6 +271,291 @@ class List {
     return tail && tail.data
   }
 
+  /**
+   *  Inserts `data` right before the given `node` of this list, e.g. one
+   *  returned by [add]{@linkcode List#add}. Returns the newly created node.
+   *  
+   *  Runtime: O(1)
+   *  
+   *  @param {Node} node a node of this list
+   *  @param {any} data
+   *  @returns {Node} newly created node
+   */
+  insertBefore(node, data) {
+    return this.linkAfter(node.previous, new Node(data))
+  }
+
+  /**
+   *  Inserts `data` right after the given `node` of this list, e.g. one
+   *  returned by [add]{@linkcode List#add}. Returns the newly created node.
+   *  
+   *  Runtime: O(1)
+   *  
+   *  @param {Node} node a node of this list
+   *  @param {any} data
+   *  @returns {Node} newly created node
+   *  @example
+   *  const cursor = buffer.add("H")
+   *  buffer.insertAfter(cursor, "i")
+   */
+  insertAfter(node, data) {
+    return this.linkAfter(node, new Node(data))
+  }
+
+  /**
+   *  Unlinks the given `node` from this list and returns the data held at
+   *  the removed node.
+   *  
+   *  Runtime: O(1)
+   *  
+   *  @param {Node} node a node of this list
+   *  @returns {any} the data held at removed node
+   */
+  removeNode(node) {
+    node.previous ? node.previous.next = node.next : this.first = node.next
+    node.next ? node.next.previous = node.previous : this.last = node.previous
+    node.previous = null
+    node.next = null
+    this.count -= 1
+
+    return node.data
+  }
+
+  /**
+   *  Links an existing `node`, which belongs to no list, into this list right
+   *  after `previous`, or at the start if `previous` is `null`. After
+   *  [removeNode]{@linkcode List#removeNode}, this moves a node to another
+   *  place or list without allocating a new one, so handles to it stay valid.
+   *  
+   *  Runtime: O(1)
+   *  
+   *  @param {?Node} previous a node of this list, or `null`
+   *  @param {Node} node a node of no list
+   *  @returns {Node} the linked node
+   *  @example
+   *  // Move a task to the end of another list, keeping its handle
+   *  pending.removeNode(task)
+   *  done.linkAfter(done.last, task)
+   */
+  linkAfter(previous, node) {
+    const next = previous ? previous.next : this.first
+
+    node.previous = previous
+    node.next = next
+    previous ? previous.next = node : this.first = node
+    next ? next.previous = node : this.last = node
+    this.count += 1
+
+    return node
+  }
+
+  /**
+   *  Removes `deleteCount` items starting at index `start`, then inserts the
+   *  given `items` in their place. Works like `Array.prototype.splice`, so a
+   *  negative `start` counts back from the end of the list.
+   *  
+   *  Returns the removed items in a new list. Their nodes are moved over
+   *  rather than copied.
+   *  
+   *  Runtime: O(start + deleteCount + number of items inserted)
+   *  
+   *  @param {number} start index to start at
+   *  @param {number} [deleteCount] number of items to remove; all the items 
+   *    from `start` on if left out
+   *  @param {...any} items items to insert
+   *  @returns {List} removed items
+   *  @example
+   *  // Given a list 1 → 2 → 3 → 4
+   *  list.splice(1, 2, "a", "b", "c")   // returns 2 → 3
+   *  // list is now 1 → "a" → "b" → "c" → 4
+   */
+  splice(start, deleteCount = this.count, ...items) {
+    const from = clamp(start, this.count)
+    const toDelete = Math.min(Math.max(deleteCount, 0), this.count - from)
+    const removed = new List(this._equals)
+
+    let previous = from > 0 ? this.nodeAtIndex(from - 1) : null
+    let current = previous ? previous.next : this.first
+
+    for (let deleted = 0; deleted < toDelete; deleted++) {
+      const next = current.next
+      this.removeNode(current)
+      removed.linkAfter(removed.last, current)
+      current = next
+    }
+
+    for (const data of items) {
+      previous = this.linkAfter(previous, new Node(data))
+    }
+
+    return removed
+  }
+
+  /**
+   *  Returns a new list holding a copy of the items from index `start` up to, 
+   *  but not including, index `end`. Works like `Array.prototype.slice`, so 
+   *  negative indices count back from the end of the list.
+   *  
+   *  Runtime: O(end)
+   *  
+   *  @param {number} [start=0]
+   *  @param {number} [end=count]
+   *  @returns {List}
+   *  @example
+   *  // Given a list 1 → 2 → 3 → 4
+   *  list.slice(1, 3)   // 2 → 3
+   *  list.slice(-1)     // 4
+   */
+  slice(start = 0, end = this.count) {
+    const from = clamp(start, this.count)
+    const to = clamp(end, this.count)
+    const sliced = new List(this._equals)
+
+    let index = 0
+    for (const data of this) {
+      if (index >= to) {
+        break
+      }
+      if (index >= from) {
+        sliced.addAtLast(data)
+      }
+      index += 1
+    }
+
+    return sliced
+  }
+
+  /**
+   *  Moves all the items of `otherList` to the end of this list, leaving 
+   *  `otherList` empty. Unlike `Array.prototype.concat`, nothing is copied:
+   *  the nodes of `otherList` are simply linked in. Returns this list.
+   *  
+   *  Runtime: O(1)
+   *  
+   *  @param {List} otherList
+   *  @returns {List} this list
+   *  @throws {Error} if `otherList` is this very list
+   *  @example
+   *  // Given lists 1 → 2 and 3 → 4
+   *  first.concat(second)   // 1 → 2 → 3 → 4; second is now empty
+   */
+  concat(otherList) {
+    if (otherList === this) {
+      throw new Error("A list can't be concatenated with itself")
+    }
+    if (otherList.count === 0) {
+      return this
+    }
+
+    if (this.last) {
+      this.last.next = otherList.first
+      otherList.first.previous = this.last
+    }
+    else {
+      this.first = otherList.first
+    }
+    this.last = otherList.last
+    this.count += otherList.count
+
+    otherList.first = null
+    otherList.last = null
+    otherList.count = 0
+
+    return this
+  }
+
+  /**
+   *  Reverses the order of the items in place, by swapping the links of
+   *  every node. Returns this list.
+   *  
+   *  Runtime: O(n)
+   *  
+   *  @returns {List} this list
+   */
+  reverse() {
+    for (const node of this.nodes()) {
+      const next = node.next
+      node.next = node.previous
+      node.previous = next
+    }
+
+    const first = this.first
+    this.first = this.last
+    this.last = first
+
+    return this
+  }
+
+  /**
+   *  Rotates the items in place, moving the first `k` items to the back. A
+   *  negative `k` moves the last `|k|` items to the front instead. Returns 
+   *  this list.
+   *  
+   *  Runtime: O(n)
+   *  
+   *  @param {number} k
+   *  @returns {List} this list
+   *  @example
+   *  // Given a list 1 → 2 → 3 → 4
+   *  list.rotate(1)    // 2 → 3 → 4 → 1
+   *  list.rotate(-1)   // 1 → 2 → 3 → 4
+   */
+  rotate(k) {
+    const steps = this.count > 0 ? ((k % this.count) + this.count) % this.count : 0
+    if (steps === 0) {
+      return this
+    }
+
+    const newFirst = this.nodeAtIndex(steps)
+
+    // Close the ring, then cut it open right before the new first node
+    this.last.next = this.first
+    this.first.previous = this.last
+    this.last = newFirst.previous
+    this.first = newFirst
+    this.last.next = null
+    this.first.previous = null
+
+    return this
+  }
+
+  /**
+   *  Splits the list in two at the given `index`. This list keeps the items
+   *  before `index`, and the rest are moved over to a new list, which is 
+   *  returned.
+   *  
+   *  Runtime: O(index)
+   *  
+   *  @param {number} index ∈ [0, count]
+   *  @returns {List} the items from `index` on
+   *  @throws {OutOfBoundsError} if index is negative or greater than count
+   *  @example
+   *  // Given a list 1 → 2 → 3 → 4
+   *  list.splitAt(1)   // returns 2 → 3 → 4; list is now 1
+   */
+  splitAt(index) {
+    if (index < 0 || index > this.count) {
+      throw new Errors.OutOfBoundsError()
+    }
+
+    const tail = new List(this._equals)
+    if (index === this.count) {
+      return tail
+    }
+
+    const node = this.nodeAtIndex(index)
+    tail.first = node
+    tail.last = this.last
+    tail.count = this.count - index
+
+    this.last = node.previous
+    this.last ? this.last.next = null : this.first = null
+    this.count = index
+    node.previous = null
+
+    return tail
+  }
+
   /**
    *  Finds the first occurrence of `value` in the list.
    *  
@@ -264,16 +571,7 @@ class List {
    *  list.indexOf(5) // null
    */
   indexOf(value) {
-    return this.find((node, index) => {
-      // A dirty hack to ensure two similar objects aren't reported
-      // as unequal, because they have different collection types (Set vs Object).
-      node.data = JSON.parse(JSON.stringify(node.data))
-      value = JSON.parse(JSON.stringify(value))
-      if (isEqual(node.data, value)) {
-        return index
-      }
-      return null
-    })
+    return this.find((node, index) => this._equals(node.data, value) ? index : null)
   }
 
   /**
@@ -317,6 +615,198 @@ class List {
     return node
   }
 
+  /**
+   *  Iterates over the data in the list from first to last, so that lists
+   *  work with `for...of`, spread syntax and `Array.from()`.
+   *  
+   *  @yields {any}
+   *  @example
+   *  // Given a list 1 → 2 → 3
+   *  [...list]   // [1, 2, 3]
+   */
+  * [Symbol.iterator]() {
+    for (const node of this.nodes()) {
+      yield node.data
+    }
+  }
+
+  /**
+   *  Iterates over the data in the list from last to first.
+   *  
+   *  @yields {any}
+   *  @example
+   *  // Given a list 1 → 2 → 3
+   *  Array.from(list.reversed())   // [3, 2, 1]
+   */
+  * reversed() {
+    for (const node of this.nodes(true)) {
+      yield node.data
+    }
+  }
+
+  /**
+   *  Iterates over the nodes of the list, from first to last or the other
+   *  way round. The node yielded last may be unlinked before the next step.
+   *  
+   *  @private
+   *  @param {boolean} [backwards=false]
+   *  @yields {Node}
+   */
+  * nodes(backwards = false) {
+    let current = backwards ? this.last : this.first
+
+    while (current) {
+      const following = backwards ? current.previous : current.next
+      yield current
+      current = following
+    }
+  }
+
+  /**
+   *  Calls `callback` once for each item in the list, in order.
+   *  Runtime: O(n)
+   *  
+   *  @param {List.Callback} callback
+   */
+  forEach(callback) {
+    let index = 0
+    for (const data of this) {
+      callback(data, index++, this)
+    }
+  }
+
+  /**
+   *  Returns a new list holding the result of calling `callback` on each
+   *  item of this list.
+   *  Runtime: O(n)
+   *  
+   *  @param {List.Callback} callback returns the new item
+   *  @returns {List}
+   *  @example
+   *  // Given a list 1 → 2 → 3
+   *  list.map(n => n * 10)   // 10 → 20 → 30
+   */
+  map(callback) {
+    const mapped = new List(this._equals)
+    this.forEach((data, index) => mapped.addAtLast(callback(data, index, this)))
+    return mapped
+  }
+
+  /**
+   *  Returns a new list holding the items of this list for which `callback`
+   *  returns a truthy value.
+   *  Runtime: O(n)
+   *  
+   *  @param {List.Callback} callback
+   *  @returns {List}
+   *  @example
+   *  // Given a list 1 → 2 → 3
+   *  list.filter(n => n % 2 === 1)   // 1 → 3
+   */
+  filter(callback) {
+    const filtered = new List(this._equals)
+    this.forEach((data, index) => {
+      if (callback(data, index, this)) {
+        filtered.addAtLast(data)
+      }
+    })
+    return filtered
+  }
+
+  /**
+   *  Boils the list down to a single value by calling `reducer` on each item
+   *  in order, passing along the result of the previous call. Works like
+   *  `Array.prototype.reduce`.
+   *  Runtime: O(n)
+   *  
+   *  @param {function} reducer a function of the form 
+   *    `(accumulator, data, index, list) => accumulator`
+   *  @param {any} [initialValue] if left out, the first item is used and 
+   *    the reduction starts from the second one
+   *  @returns {any}
+   *  @throws {TypeError} if the list is empty and there is no initial value
+   *  @example
+   *  // Given a list 1 → 2 → 3
+   *  list.reduce((sum, n) => sum + n, 0)   // 6
+   */
+  reduce(reducer, initialValue) {
+    const hasInitialValue = arguments.length > 1
+    if (!hasInitialValue && this.count === 0) {
+      throw new TypeError("Reduce of empty list with no initial value")
+    }
+
+    let accumulator = hasInitialValue ? initialValue : this.first.data
+    let index = 0
+    for (const data of this) {
+      if (hasInitialValue || index > 0) {
+        accumulator = reducer(accumulator, data, index, this)
+      }
+      index += 1
+    }
+
+    return accumulator
+  }
+
+  /**
+   *  Returns `true` if `callback` returns a truthy value for at least one
+   *  item. Stops at the first such item.
+   *  Runtime: O(n)
+   *  
+   *  @param {List.Callback} callback
+   *  @returns {boolean}
+   */
+  some(callback) {
+    let index = 0
+    for (const data of this) {
+      if (callback(data, index++, this)) {
+        return true
+      }
+    }
+    return false
+  }
+
+  /**
+   *  Returns `true` if `callback` returns a truthy value for every item.
+   *  Stops at the first item for which it doesn't.
+   *  Runtime: O(n)
+   *  
+   *  @param {List.Callback} callback
+   *  @returns {boolean}
+   */
+  every(callback) {
+    return !this.some((data, index, list) => !callback(data, index, list))
+  }
+
+  /**
+   *  Returns the data in the list as an array, from first to last.
+   *  Runtime: O(n)
+   *  
+   *  @returns {array}
+   */
+  toArray() {
+    return Array.from(this)
+  }
+
+  /**
+   *  Creates a list holding the items of the given `iterable`, in order.
+   *  Runtime: O(n)
+   *  
+   *  @param {Iterable} iterable e.g. an array, a `Set` or another list
+   *  @param {Equality} [equals=DeepEqual] decides whether two items are the
+   *    same
+   *  @returns {List}
+   *  @example
+   *  List.from([1, 2, 3])   // 1 → 2 → 3
+   *  List.from("abc")       // "a" → "b" → "c"
+   */
+  static from(iterable, equals = DeepEqual) {
+    const list = new List(equals)
+    for (const data of iterable) {
+      list.addAtLast(data)
+    }
+    return list
+  }
+
   /**
    *  Search through the list for a node that matches the predicate. 
    * 
@@ -348,6 +838,16 @@ class List {
   }
 }
 
+/**
+ *  Turns an index relative to the end of the list, if negative, into an 
+ *  absolute one and keeps it within `[0, count]`, like `Array` methods do.
+ *  @private
+ */
+function clamp(index, count) {
+  const absolute = index < 0 ? count + index : index
+  return Math.min(Math.max(absolute, 0), count)
+}
+
 module.exports = List
 
 // ------------------ Type definitions ------------------------------- //
@@ -371,3 +871,14 @@ module.exports = List
  *    return null
  *  }
  */
+
+/**
+ *  Called by [forEach]{@linkcode List#forEach}, [map]{@linkcode List#map} and
+ *  friends with each item of the list, like their `Array` counterparts.
+ *  
+ *  @callback List.Callback
+ *  @param {any} data item of the list
+ *  @param {number} index position of the item
+ *  @param {List} list the list being walked
+ *  @returns {any}
+ */
@@ -0,0 +1,241 @@
+const BinaryHeap = require("../heap")
+const { NaturalOrder } = require("../../toolbox/compare")
+
+/**
+ *  A PriorityQueue hands out items in order of their priority rather than in
+ *  the order they arrived. Items of equal priority leave first-in-first-out,
+ *  like in a {@link Queue}.
+ *
+ *  Priorities are ordered by a comparator, see `toolbox/compare`. By default,
+ *  the lowest priority number leaves first, e.g. the cheapest route or the
+ *  nearest deadline. Pass a reversed comparator to have the highest leave
+ *  first.
+ *
+ *  The queue is built on a {@link BinaryHeap}, and keeps track of where each
+ *  item sits in the heap. This makes it possible to change the priority of an
+ *  item, or take it out of the queue, without searching for it. The flip side
+ *  is that an item can be queued only once at a time.
+ *
+ *  @class
+ */
+class PriorityQueue {
+  /**
+   *  Instantiates a priority queue and fills it with the given `entries` in
+   *  `O(n)`.
+   *
+   *  @param {Comparator} [comparator=NaturalOrder] decides which priority
+   *    comes first
+   *  @param {Iterable} [entries=[]] initial `[item, priority]` pairs, e.g. a
+   *    `Map` of items to their priorities
+   */
+  constructor(comparator = NaturalOrder, entries = []) {
+    /** @private */
+    this._order = 0
+
+    // Going through a Map keeps only the last priority given for each item
+    const queued = Array.from(new Map(entries), ([item, priority]) => this.entryOf(item, priority))
+    /** @private */
+    this._heap = new IndexedHeap((a, b) => comparator(a.priority, b.priority) || (a.order - b.order), queued)
+  }
+
+  /**
+   *  Returns the number of items in the queue
+   *  @returns {number}
+   */
+  get length() {
+    return this._heap.count
+  }
+
+  /**
+   *  Adds item to the queue with the given `priority`. If the item is queued
+   *  already, its priority is changed instead. Returns the PriorityQueue
+   *  instance to allow chaining of commands.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {any} item to add
+   *  @param {any} priority
+   *  @returns {PriorityQueue} the PriorityQueue instance
+   *  @example
+   *  queue.enqueue("laundry", 3)
+   *    .enqueue("taxes", 1)
+   *    .enqueue("dishes", 2)
+   *    .dequeue()   // "taxes"
+   */
+  enqueue(item, priority) {
+    if (!this.changePriority(item, priority)) {
+      this._heap.push(this.entryOf(item, priority))
+    }
+    return this
+  }
+
+  /**
+   *  Removes the item with the first priority and returns it, or `null` if
+   *  the queue is empty.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @returns {?any} item removed
+   */
+  dequeue() {
+    const entry = this._heap.pop()
+    return entry ? entry.item : null
+  }
+
+  /**
+   *  Returns the item with the first priority without removing it, or `null`
+   *  if the queue is empty.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @returns {?any}
+   */
+  peek() {
+    const entry = this._heap.peek()
+    return entry ? entry.item : null
+  }
+
+  /**
+   *  Returns a boolean indicating whether the `item` is in the queue.
+   *  Runtime: `O(1)`
+   *
+   *  @param {any} item
+   *  @returns {boolean}
+   */
+  has(item) {
+    return this._heap.has(item)
+  }
+
+  /**
+   *  Returns the priority of the `item`, or `null` if it isn't queued.
+   *  Runtime: `O(1)`
+   *
+   *  @param {any} item
+   *  @returns {?any}
+   */
+  priorityOf(item) {
+    const entry = this._heap.entryFor(item)
+    return entry ? entry.priority : null
+  }
+
+  /**
+   *  Gives the `item` a new `priority` and moves it to its new place in the
+   *  queue. Among items of equal priority, it goes to the back.
+   *
+   *  Returns `true` if the priority was changed, `false` if no such item is
+   *  queued.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {any} item
+   *  @param {any} priority
+   *  @returns {boolean}
+   */
+  changePriority(item, priority) {
+    const entry = this._heap.entryFor(item)
+    if (!entry) {
+      return false
+    }
+
+    entry.priority = priority
+    entry.order = this._order++
+    this._heap.reorder(item)
+    return true
+  }
+
+  /**
+   *  Removes the `item` from the queue, wherever it is. Returns `true` if the
+   *  item was removed, `false` if no such item is queued.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {any} item
+   *  @returns {boolean}
+   */
+  remove(item) {
+    return this._heap.remove(item) !== null
+  }
+
+  /** @private */
+  entryOf(item, priority) {
+    return { item, priority, order: this._order++ }
+  }
+}
+
+/**
+ *  A {@link BinaryHeap} of queue entries, which remembers the index of each
+ *  queued item, so that its entry can be found, moved or removed in
+ *  `O(log n)` without searching the heap.
+ *
+ *  @private
+ */
+class IndexedHeap extends BinaryHeap {
+  /**
+   *  Returns `true` if an entry for the `item` is in the heap
+   *  @param {any} item
+   *  @returns {boolean}
+   */
+  has(item) {
+    return this._positions.has(item)
+  }
+
+  /**
+   *  Returns the entry for the `item`, or `null` if there is none
+   *  @param {any} item
+   *  @returns {?PriorityQueue.Entry}
+   */
+  entryFor(item) {
+    return this.has(item) ? this._items[this._positions.get(item)] : null
+  }
+
+  /**
+   *  Moves the entry for the `item` to where it belongs after its priority
+   *  has changed.
+   *  @param {any} item
+   */
+  reorder(item) {
+    this.update(this._positions.get(item))
+  }
+
+  /**
+   *  Removes the entry for the `item` and returns it, or `null` if there is
+   *  none.
+   *  @param {any} item
+   *  @returns {?PriorityQueue.Entry}
+   */
+  remove(item) {
+    return this.has(item) ? this.removeAt(this._positions.get(item)) : null
+  }
+
+  /** @private */
+  removeAt(index) {
+    const removed = super.removeAt(index)
+    this._positions.delete(removed.item)
+    return removed
+  }
+
+  /** @private */
+  heapify() {
+    this._positions = new Map()
+    this._items.forEach((entry, index) => this._positions.set(entry.item, index))
+    super.heapify()
+  }
+
+  /** @private */
+  place(entry, index) {
+    super.place(entry, index)
+    this._positions.set(entry.item, index)
+  }
+}
+
+module.exports = PriorityQueue
+
+// ------------------ Type definitions ------------------------------- //
+
+/**
+ *  @typedef {Object} PriorityQueue.Entry
+ *  @property {any} item
+ *  @property {any} priority
+ *  @property {number} order when the item was queued or its priority last
+ *    changed, to break ties first-in-first-out
+ */
@@ -1,4 +1,5 @@
 const List = require("../list")
+const { DeepEqual } = require("../../toolbox/equality")
 
 /**
  *  Queue is a linear data structure with a first-in-first-out(FIFO)
@@ -10,8 +11,13 @@ const List = require("../list")
  *  an `O(1)` operation, versus an `O(n)` operation in arrays.
  */
 class Queue {
-  constructor() {
-    this._items = new List()
+  /**
+   *  @constructor
+   *  @param {Equality} [equals=DeepEqual] decides whether two items are the 
+   *    same when searching the queue, see `toolbox/equality`
+   */
+  constructor(equals = DeepEqual) {
+    this._items = new List(equals)
   }
 
   /**
@@ -52,6 +58,17 @@ class Queue {
   dequeue() {
     return this._items.remove(0)
   }
+
+  /**
+   *  Returns a boolean indicating whether an item equal to the given `item`
+   *  is in the queue. Runtime: `O(n)`
+   *  
+   *  @param {any} item
+   *  @returns {boolean}
+   */
+  has(item) {
+    return this._items.indexOf(item) !== null
+  }
 }
 
 module.exports = Queue
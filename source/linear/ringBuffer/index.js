@@ -0,0 +1,261 @@
+const Errors = require("../../errors")
+const Queue = require("../queue")
+
+/**
+ *  A RingBuffer (or circular buffer) holds up to a fixed number of items in
+ *  an array whose start moves around as items come and go, wrapping around
+ *  the end. It suits streams where only the latest items matter, e.g. the
+ *  last 1000 samples of a sensor.
+ *
+ *  What happens when an item is pushed into a full buffer is up to the
+ *  **overflow policy** picked at construction:
+ *  - `"overwrite"` (default) drops the oldest item to make room
+ *  - `"reject"` throws an {@link OverflowError} and leaves the buffer as is
+ *  - `"block"` makes `push()` return a `Promise`, which resolves once an item
+ *    has been shifted out and the new one is in. Pushes waiting for room are
+ *    let in first-in-first-out.
+ *
+ *  Numeric series can be kept in a typed array, e.g. a `Float64Array`, so that
+ *  the numbers are stored as is rather than boxed one by one. The typed array
+ *  decides what an item turns into, e.g. `Uint8Array` keeps `300` as `44`.
+ *
+ *  Pushing, shifting and access by index all take `O(1)`.
+ *
+ *  @class
+ *  @example
+ *  const samples = new RingBuffer(3, "overwrite", Float64Array)
+ *  samples.pushAll([0.5, 0.7, 0.6, 0.9])
+ *  samples.toArray()   // [0.7, 0.6, 0.9]
+ */
+class RingBuffer {
+  /**
+   *  @constructor
+   *  @param {number} capacity maximum number of items
+   *  @param {string} [overflow="overwrite"] `"overwrite"`, `"reject"` or `"block"`
+   *  @param {function} [ArrayType=Array] `Array` or a typed array constructor,
+   *    such as `Float64Array`, to keep the items in
+   *  @throws {Error} if `capacity` isn't a positive integer, or `overflow` is
+   *    not a known policy
+   */
+  constructor(capacity, overflow = "overwrite", ArrayType = Array) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error("Capacity must be a positive integer")
+    }
+    if (!["overwrite", "reject", "block"].includes(overflow)) {
+      throw new Error(`Unknown overflow policy "${overflow}"`)
+    }
+
+    /** @private */
+    this._slots = new ArrayType(capacity)
+    /** @private */
+    this._overflow = overflow
+    /** @private */
+    this._head = 0
+    /** @private */
+    this._count = 0
+    /**
+     *  Pushes waiting for room in `"block"` mode, as `{ item, resolve }`
+     *  @private
+     */
+    this._waiting = new Queue()
+  }
+
+  /**
+   *  Returns the number of items in the buffer
+   *  @returns {number}
+   */
+  get length() {
+    return this._count
+  }
+
+  /**
+   *  Returns the maximum number of items the buffer holds
+   *  @returns {number}
+   */
+  get capacity() {
+    return this._slots.length
+  }
+
+  /**
+   *  Returns `true` if the buffer holds as many items as it can
+   *  @returns {boolean}
+   */
+  get isFull() {
+    return this._count === this.capacity
+  }
+
+  /**
+   *  Adds item as the newest one in the buffer. If the buffer is full, the
+   *  overflow policy decides what happens.
+   *
+   *  Returns the RingBuffer instance to allow chaining of commands, or in
+   *  `"block"` mode, a `Promise` which resolves to the RingBuffer instance
+   *  once the item is in.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @param {any} item
+   *  @returns {RingBuffer|Promise<RingBuffer>}
+   *  @throws {OverflowError} if the buffer is full in `"reject"` mode
+   *  @example
+   *  await jobs.push(job)   // in "block" mode
+   */
+  push(item) {
+    if (this._overflow === "block") {
+      if (this.isFull) {
+        return new Promise(resolve => this._waiting.enqueue({ item, resolve }))
+      }
+      this.append(item)
+      return Promise.resolve(this)
+    }
+
+    if (this.isFull) {
+      if (this._overflow === "reject") {
+        throw new Errors.OverflowError(`RingBuffer is full at ${this.capacity} items`)
+      }
+      this.shiftOut()
+    }
+
+    this.append(item)
+    return this
+  }
+
+  /**
+   *  Adds every item from `items`, oldest first. In `"reject"` mode, either
+   *  all of them go in or, if they wouldn't fit, none of them do.
+   *
+   *  Returns the RingBuffer instance, or in `"block"` mode, a `Promise` which
+   *  resolves to it once all items are in.
+   *
+   *  Runtime: `O(k)` where k is the number of items added
+   *
+   *  @param {Iterable} items
+   *  @returns {RingBuffer|Promise<RingBuffer>}
+   *  @throws {OverflowError} if the items don't fit in `"reject"` mode
+   */
+  pushAll(items) {
+    const newItems = Array.from(items)
+
+    if (this._overflow === "block") {
+      return Promise.all(newItems.map(item => this.push(item))).then(() => this)
+    }
+    if (this._overflow === "reject" && this._count + newItems.length > this.capacity) {
+      throw new Errors.OverflowError(`RingBuffer has room for ${this.capacity - this._count} more items, not ${newItems.length}`)
+    }
+
+    newItems.forEach(item => this.push(item))
+    return this
+  }
+
+  /**
+   *  Removes the oldest item and returns it, or `null` if the buffer is empty.
+   *  In `"block"` mode, the longest-waiting push takes the freed room.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @returns {?any} item removed
+   */
+  shift() {
+    if (this._count === 0) {
+      return null
+    }
+
+    const item = this.shiftOut()
+    if (this._waiting.length > 0) {
+      const { item: waiting, resolve } = this._waiting.dequeue()
+      this.append(waiting)
+      resolve(this)
+    }
+
+    return item
+  }
+
+  /**
+   *  Returns the item at the given `index` without removing it. Index 0 is
+   *  the oldest item. Negative indices count back from the newest, so -1 is
+   *  the newest item.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @param {number} index
+   *  @returns {any}
+   *  @throws {OutOfBoundsError}
+   *  @example
+   *  // Given a buffer holding 1, 2, 3 (oldest first)
+   *  buffer.get(0)    // 1
+   *  buffer.get(-1)   // 3
+   */
+  get(index) {
+    const position = index < 0 ? this._count + index : index
+    if (!Number.isInteger(position) || position < 0 || position >= this._count) {
+      throw new Errors.OutOfBoundsError()
+    }
+
+    return this._slots[this.wrap(this._head + position)]
+  }
+
+  /**
+   *  Removes every item in the buffer. In `"block"` mode, waiting pushes
+   *  take the freed room, so the buffer may not end up empty.
+   *
+   *  Runtime: `O(n)`
+   */
+  clear() {
+    for (let remaining = this._count; remaining > 0; remaining--) {
+      this.shift()
+    }
+  }
+
+  /**
+   *  Iterates over the items from oldest to newest.
+   *  @yields {any}
+   */
+  * [Symbol.iterator]() {
+    for (let index = 0; index < this._count; index++) {
+      yield this._slots[this.wrap(this._head + index)]
+    }
+  }
+
+  /**
+   *  Returns the items from oldest to newest in a plain array.
+   *
+   *  Runtime: `O(n)`
+   *
+   *  @returns {array}
+   */
+  toArray() {
+    return Array.from(this)
+  }
+
+  /**
+   *  Adds item after the newest one. The buffer must have room.
+   *  @private
+   */
+  append(item) {
+    this._slots[this.wrap(this._head + this._count)] = item
+    this._count += 1
+  }
+
+  /**
+   *  Removes the oldest item and returns it. The buffer must not be empty.
+   *  @private
+   */
+  shiftOut() {
+    const item = this._slots[this._head]
+    if (Array.isArray(this._slots)) {
+      // Let go of the item so that it can be garbage collected
+      this._slots[this._head] = undefined
+    }
+
+    this._head = this.wrap(this._head + 1)
+    this._count -= 1
+    return item
+  }
+
+  /** @private */
+  wrap(position) {
+    return position % this._slots.length
+  }
+}
+
+module.exports = RingBuffer
@@ -1,4 +1,5 @@
 const List = require("../list")
+const { DeepEqual } = require("../../toolbox/equality")
 
 /**
  *  Stack is a last-in-first-out (LIFO) data structure that restricts
@@ -14,8 +15,13 @@ const List = require("../list")
  */
 
 class Stack {
-  constructor() {
-    this._items = new List()
+  /**
+   *  @constructor
+   *  @param {Equality} [equals=DeepEqual] decides whether two items are the 
+   *    same when searching the stack, see `toolbox/equality`
+   */
+  constructor(equals = DeepEqual) {
+    this._items = new List(equals)
   }
 
   /**
@@ -64,6 +70,17 @@ class Stack {
   peek() {
     return this._items.itemAtIndex(this.depth - 1)
   }
+
+  /**
+   *  Returns a boolean indicating whether an item equal to the given `item`
+   *  is in the stack. Runtime: `O(n)`
+   *  
+   *  @param {any} item
+   *  @returns {boolean}
+   */
+  has(item) {
+    return this._items.indexOf(item) !== null
+  }
 }
 
 module.exports = Stack
@@ -0,0 +1,323 @@
+const HashMap = require("./hashmap")
+const { StrictEqual } = require("../toolbox/equality")
+const { HashFor } = require("../toolbox/hash")
+
+/**
+ *  What a cache has in common, whatever it evicts first: a {@link HashMap}
+ *  from each key to its entry, size and weight limits, expiry and counters.
+ *
+ *  Subclasses keep the entries in order of eviction, and tell which one goes
+ *  next, by implementing `link`, `unlink`, `touch`, `victim` and `entries`.
+ *  Each of them must run in `O(1)`, except `entries`.
+ *
+ *  @private
+ *  @class
+ */
+class Cache {
+  /**
+   *  @constructor
+   *  @param {Object} options
+   *  @param {number} [options.maxSize=Infinity] most entries to hold
+   *  @param {number} [options.maxWeight=Infinity] most total weight to hold
+   *  @param {Cache.Weigher} [options.weigher] weight of an entry, 1 by default
+   *  @param {number} [options.ttl=Infinity] milliseconds an entry lives for
+   *  @param {function} [options.clock=Date.now] returns the current time in
+   *    milliseconds
+   *  @param {?Cache.EvictionCallback} [options.onEvict] called for each
+   *    entry evicted
+   *  @param {Equality} [options.equals=StrictEqual] decides whether two keys
+   *    are the same
+   *  @param {HashFunction} [options.hash] turns a key into a number. Goes by
+   *    `equals` if left out, like in a {@link HashMap}.
+   *  @throws {Error} if neither `maxSize` nor `maxWeight` is given
+   */
+  constructor({
+    maxSize = Infinity,
+    maxWeight = Infinity,
+    weigher = () => 1,
+    ttl = Infinity,
+    clock = Date.now,
+    onEvict = null,
+    equals = StrictEqual,
+    hash = HashFor(equals)
+  } = {}) {
+    if (maxSize === Infinity && maxWeight === Infinity) {
+      throw new Error("A cache needs a maxSize or a maxWeight")
+    }
+
+    this._maxSize = maxSize
+    this._maxWeight = maxWeight
+    this._weigher = weigher
+    this._ttl = ttl
+    this._clock = clock
+    this._onEvict = onEvict
+    this._entries = new HashMap({ equals, hash })
+    this._weight = 0
+    this._hits = 0
+    this._misses = 0
+    this._evictions = 0
+  }
+
+  /**
+   *  Returns the number of entries in the cache, expired ones included until
+   *  they are found out or pruned.
+   *  @returns {number}
+   */
+  get count() {
+    return this._entries.count
+  }
+
+  /**
+   *  Returns the total weight of the entries in the cache
+   *  @returns {number}
+   */
+  get weight() {
+    return this._weight
+  }
+
+  /**
+   *  Returns the number of hits, misses and evictions so far, and the share
+   *  of lookups which were hits.
+   *
+   *  @returns {Cache.Stats}
+   */
+  get stats() {
+    const lookups = this._hits + this._misses
+    return {
+      hits: this._hits,
+      misses: this._misses,
+      evictions: this._evictions,
+      hitRate: lookups > 0 ? this._hits / lookups : 0
+    }
+  }
+
+  /**
+   *  Returns an array of all keys, from the next to be evicted to the last.
+   *  Runtime: `O(n)`
+   *
+   *  @returns {array}
+   */
+  get keys() {
+    return Array.from(this.entries(), entry => entry.key)
+  }
+
+  /**
+   *  Returns the value for the given `key` and counts it as used, or `null`
+   *  if there is no such key or it has expired. Counts as a hit or a miss.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @param {any} key
+   *  @returns {?any}
+   */
+  get(key) {
+    const entry = this.lookup(key)
+    if (!entry) {
+      this._misses += 1
+      return null
+    }
+
+    this._hits += 1
+    this.touch(entry)
+    return entry.value
+  }
+
+  /**
+   *  Returns the value for the given `key` like [get]{@link Cache#get}, but
+   *  leaves the order of eviction and the counters alone.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @param {any} key
+   *  @returns {?any}
+   */
+  peek(key) {
+    const entry = this.lookup(key)
+    return entry ? entry.value : null
+  }
+
+  /**
+   *  Returns a boolean indicating whether the `key` is cached and hasn't
+   *  expired. Doesn't count as a use of the entry.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @param {any} key
+   *  @returns {boolean}
+   */
+  has(key) {
+    return this.lookup(key) !== null
+  }
+
+  /**
+   *  Caches the `value` under the `key`, evicting entries to make room for it
+   *  if need be. Replacing the value of a cached key counts as a use of the
+   *  entry, and restarts its time to live.
+   *
+   *  A value heavier than `maxWeight` on its own isn't cached at all. It is
+   *  handed straight to the eviction callback, and any earlier value for the
+   *  key is removed.
+   *
+   *  Returns the cache instance to allow command chaining.
+   *
+   *  Runtime: `O(1)`, plus `O(1)` per entry evicted
+   *
+   *  @param {any} key
+   *  @param {any} value
+   *  @param {number} [ttl] milliseconds this entry lives for, if not the
+   *    cache's own time to live
+   *  @returns {Cache}
+   */
+  add(key, value, ttl = this._ttl) {
+    const weight = this._weigher(value, key)
+    const expires = this._clock() + ttl
+    const entry = this._entries.get(key)
+
+    if (weight > this._maxWeight) {
+      if (entry) {
+        this.remove(entry)
+      }
+      this.notify(key, value, "capacity")
+    }
+    else if (entry) {
+      this._weight += weight - entry.weight
+      Object.assign(entry, { value, weight, expires })
+      this.touch(entry)
+      this.makeRoom(0, 0)
+    }
+    else {
+      // Room is made first, so that the new entry can't be the one evicted
+      this.makeRoom(1, weight)
+      const added = { key, value, weight, expires }
+      this._entries.add(key, added)
+      this._weight += weight
+      this.link(added)
+    }
+
+    return this
+  }
+
+  /**
+   *  Removes the `key` from the cache, without calling the eviction callback.
+   *  Returns `true` if the key was removed, `false` if it wasn't cached.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @param {any} key
+   *  @returns {boolean}
+   */
+  delete(key) {
+    const entry = this._entries.get(key)
+    if (!entry) {
+      return false
+    }
+
+    this.remove(entry)
+    return true
+  }
+
+  /**
+   *  Evicts every expired entry. Returns the number of entries evicted.
+   *
+   *  Runtime: `O(n)`
+   *
+   *  @returns {number}
+   */
+  prune() {
+    const expired = Array.from(this.entries()).filter(entry => this.isExpired(entry))
+    expired.forEach(entry => this.evict(entry, "expired"))
+    return expired.length
+  }
+
+  /**
+   *  Removes every entry, without calling the eviction callback. The counters
+   *  are kept.
+   *
+   *  Runtime: `O(n)`
+   */
+  clear() {
+    Array.from(this.entries()).forEach(entry => this.remove(entry))
+  }
+
+  /**
+   *  Returns the live entry for the `key`, or `null`. Evicts it if it has
+   *  expired.
+   *  @private
+   */
+  lookup(key) {
+    const entry = this._entries.get(key)
+    if (entry && this.isExpired(entry)) {
+      this.evict(entry, "expired")
+      return null
+    }
+    return entry
+  }
+
+  /** @private */
+  isExpired(entry) {
+    return this._clock() >= entry.expires
+  }
+
+  /** @private */
+  remove(entry) {
+    this._entries.delete(entry.key)
+    this._weight -= entry.weight
+    this.unlink(entry)
+  }
+
+  /**
+   *  Evicts entries until `count` more entries weighing `weight` in total
+   *  would fit.
+   *  @private
+   */
+  makeRoom(count, weight) {
+    while (this.count > 0 && (this.count + count > this._maxSize || this._weight + weight > this._maxWeight)) {
+      this.evict(this.victim(), "capacity")
+    }
+  }
+
+  /** @private */
+  evict(entry, reason) {
+    this.remove(entry)
+    this.notify(entry.key, entry.value, reason)
+  }
+
+  /** @private */
+  notify(key, value, reason) {
+    this._evictions += 1
+    if (this._onEvict) {
+      this._onEvict(key, value, reason)
+    }
+  }
+}
+
+module.exports = Cache
+
+// ------------------ Type definitions ------------------------------- //
+
+/**
+ *  Returns the weight of a cache entry, e.g. its size in bytes.
+ *
+ *  @callback Cache.Weigher
+ *  @param {any} value
+ *  @param {any} key
+ *  @returns {number}
+ */
+
+/**
+ *  Called with each entry a cache evicts, and why: `"capacity"` if the cache
+ *  was over its limits, `"expired"` if the entry outlived its time to live.
+ *
+ *  @callback Cache.EvictionCallback
+ *  @param {any} key
+ *  @param {any} value
+ *  @param {string} reason `"capacity"` or `"expired"`
+ */
+
+/**
+ *  @typedef {Object} Cache.Stats
+ *  @property {number} hits lookups which found a live entry
+ *  @property {number} misses lookups which didn't
+ *  @property {number} evictions entries evicted, for capacity or expiry
+ *  @property {number} hitRate hits divided by lookups, 0 before any lookup
+ */
@@ -1,4 +1,6 @@
 const List = require("../linear").List
+const { StrictEqual } = require("../toolbox/equality")
+const { HashFor } = require("../toolbox/hash")
 
 /**
  *  A `HashMap` is composed of two things:
@@ -17,27 +19,88 @@ const List = require("../linear").List
  * 
  *  Collisions can be avoided by having a big bucket size. This `HashMap` implementation
  *  re-sizes itself when it is getting full. This avoids collision and keeps memory usage
- *  to a minimum.
+ *  to a minimum. The buckets array grows to the next prime at least twice its size, and
+ *  the entries are moved over to their new buckets in place.
  * 
  *  This structure uses a buckets array where each bucket is a {@link List}.
  *  
+ *  ### Iteration order
+ *  By default, keys and values come out in no particular order, and the order may
+ *  change after a rehash. A map created with `ordered` set to `true` also threads its
+ *  entries on a {@link List} in the order they were first added, like the built-in
+ *  `Map` does. Replacing the value of a key keeps its place. This costs one more list
+ *  node per entry, while lookups, insertions and removals stay `O(1)`.
+ *  
+ *  ```
+ *  const steps = new HashMap({ ordered: true })
+ *  steps.add("mix", 2).add("bake", 3).add("prep", 1)
+ *  steps.keys   // ["mix", "bake", "prep"]
+ *  ```
+ *  
+ *  ### Equality and hashing
+ *  Keys are spread over the buckets by a hash function, see `toolbox/hash`, and
+ *  told apart within a bucket by an equality function, see `toolbox/equality`.
+ *  Both can be given at construction. Keys which are equal must hash alike.
+ *  
+ *  By default, keys are compared with `===`, so object keys match only 
+ *  themselves, and are hashed by identity. With `DeepEqual`, keys are hashed
+ *  by their contents, so value objects such as `{ x: 1, y: 2 }`, `[x, y]` 
+ *  tuples or `Date`s work as keys. A custom equality function should come 
+ *  with a hash function to match, or else every key lands in one bucket.
+ *  
+ *  ```
+ *  const points = new HashMap({ equals: DeepEqual })
+ *  points.add({ x: 1, y: 2 }, "home")
+ *  points.get({ x: 1, y: 2 })   // "home"
+ *  
+ *  const caseless = new HashMap({
+ *    equals: (a, b) => a.toLowerCase() === b.toLowerCase(),
+ *    hash: key => StringHash(key.toLowerCase())
+ *  })
+ *  ```
+ *  
  *  @class
  */
 class HashMap {
   /**
    *  @constructor
-   *  @param {number} [capacity=19] initial size of the HashMap data array (preferably a 
-   *    prime number)
-   *  @param {number} [rehashThreshold=0.75] a rehash is triggered when array reaches this 
-   *    occupancy threshold
+   *  @param {Object|number} [options] the options below, or just the initial
+   *    capacity, followed by `rehashThreshold`
+   *  @param {number} [options.capacity=19] initial size of the HashMap data array
+   *    (preferably a prime number)
+   *  @param {number} [options.rehashThreshold=0.75] a rehash is triggered when array
+   *    reaches this occupancy threshold
+   *  @param {Equality} [options.equals=StrictEqual] decides whether two keys are the same
+   *  @param {HashFunction} [options.hash] turns a key into a number. Goes by `equals` 
+   *    if left out, see `HashFor` in `toolbox/hash`. Give one for any equality
+   *    other than `StrictEqual`, `SameValueZero` or `DeepEqual`.
+   *  @param {boolean} [options.ordered=false] iterate in insertion order
+   *  @param {number} [rehashThreshold=0.75] if `options` is the capacity
+   *  @example
+   *  const steps = new HashMap({ ordered: true })
+   *  const small = new HashMap(7)
    */
-  constructor(capacity = 19, rehashThreshold = 0.75) {
-    this._initialCapacity = capacity
-    this._rehashThreshold = rehashThreshold
+  constructor(options = {}, rehashThreshold = 0.75) {
+    const {
+      capacity = 19,
+      rehashThreshold: threshold = 0.75,
+      equals = StrictEqual,
+      hash = HashFor(equals),
+      ordered = false
+    } = typeof options === "number" ? { capacity: options, rehashThreshold } : options
+
+    this._equals = equals
+    this._hash = hash
+    this._rehashThreshold = threshold
     this._buckets = new Array(capacity)
-    this._keys = []
     this._size = 0
     this._collisions = 0
+    /**
+     *  Bucket nodes in insertion order, if the map is ordered. Each entry 
+     *  keeps its node of this list as `order`, to be unlinked in `O(1)`.
+     *  @private
+     */
+    this._order = ordered ? new List(StrictEqual) : null
   }
 
   /**
@@ -48,6 +111,22 @@ class HashMap {
     return this._size
   }
 
+  /**
+   *  Returns the current size of the buckets array
+   *  @returns {number}
+   */
+  get capacity() {
+    return this._buckets.length
+  }
+
+  /**
+   *  Returns `true` if the map iterates in insertion order
+   *  @returns {boolean}
+   */
+  get isOrdered() {
+    return this._order !== null
+  }
+
   /**
    *  Returns a measure of how full the hash map is, i.e. the ratio between items 
    *  on the map and the total size of the bucket.
@@ -70,36 +149,44 @@ class HashMap {
   }
 
   /**
-   *  Returns an array of all keys. May or may not be in insertion order.
+   *  Returns an array of all keys, in insertion order if the map is ordered.
+   *  Runtime: `O(n)`
    *  
    *  @return {array}
    */
   get keys() {
-    return this._keys
+    return Array.from(this.nodes(), node => node.data.key)
   }
 
   /**
-   *  Get value for each element in the map. Result in no particular order of the
-   *  corresponding keys.
+   *  Get value for each element in the map, in insertion order of the 
+   *  corresponding keys if the map is ordered.
    *  
    *  @returns {Iterator} values
    */
   * values() {
-    for (const key of this._keys) {
-      yield this.get(key)
+    for (const node of this.nodes()) {
+      yield node.data.value
     }
   }
 
   /**
-   *  Get nodes for each element in the map. Result in no particular order of the
-   *  corresponding keys.
+   *  Get nodes for each element in the map, in insertion order of the 
+   *  corresponding keys if the map is ordered.
    *  
    *  @private
    *  @returns {Iterator} values
    */
   * nodes() {
-    for (const key of this._keys) {
-      yield this.getNodeFor(key)
+    if (this._order) {
+      yield* this._order
+      return
+    }
+
+    for (const bucket of this._buckets) {
+      if (bucket) {
+        yield* bucket.nodes()
+      }
     }
   }
 
@@ -125,26 +212,29 @@ class HashMap {
    *  @returns {boolean} 
    */
   has(key) {
-    return this._keys.includes(key)
+    return this.getNodeFor(key) !== null
   }
 
   /**
    *  Removes the specified key from the map. Runtime `O(1)`.
-   *  Return the value removed or `null` if the key wasn't found in the map.
+   *  Return the removed node, which holds the key-value pair as `data`, or `null` 
+   *  if the key wasn't found in the map.
    *  @param {any} key 
+   *  @returns {?Node}
    */
   delete(key) {
-    let entry = this.getNodeFor(key)
+    const bucket = this.getBucketFor(key)
+    const entry = this.findIn(bucket, key)
     if (!entry) {
       return null
     }
-    // Deep copy entry before removing the key-value pair from the map
-    entry = JSON.parse(JSON.stringify(entry))
 
-    const index = this.hash(key)
-    const bucket = this._buckets[index]
-    const indexToRemove = bucket.indexOf(entry.data)
-    bucket.remove(indexToRemove)
+    bucket.removeNode(entry)
+    if (this._order) {
+      this._order.removeNode(entry.data.order)
+      // The removed node is handed back, so it mustn't keep the map's list alive
+      delete entry.data.order
+    }
     this._size -= 1
 
     return entry
@@ -159,19 +249,7 @@ class HashMap {
    *  @returns {?any}
    */
   getNodeFor(key) {
-    const bucket = this.getBucketFor(key)
-    if (!bucket) {
-      return null
-    }
-
-    const listNode = bucket.find((node, position) => {
-      if (key === node.data.key) {
-        return node
-      }
-      return null
-    })
-
-    return listNode
+    return this.findIn(this.getBucketFor(key), key)
   }
 
   /**
@@ -184,6 +262,21 @@ class HashMap {
     return this._buckets[index] || null
   }
 
+  /**
+   *  Returns the node of `bucket` holding the `key`, or `null` if there is none.
+   *  @private
+   *  @param {?List} bucket
+   *  @param {any} key
+   *  @returns {?Node}
+   */
+  findIn(bucket, key) {
+    if (!bucket) {
+      return null
+    }
+
+    return bucket.find(node => this._equals(key, node.data.key) ? node : null)
+  }
+
   /**
    *  Insert a key/value pair into the map. If the key is already present, replaces
    *  its value. Runtime: `O(1)`, in case a rehash is needed `O(n)`.
@@ -195,29 +288,27 @@ class HashMap {
    *  @returns {HashMap}
    */
   add(key, value) {
-    let bucket = this.getBucketFor(key)
-    if (!bucket) {
-      bucket = new List()
-      this._buckets[this.hash(key)] = bucket
-    }
-
-    const entry = this.getNodeFor(key)
+    const index = this.hash(key)
+    const bucket = this._buckets[index] || (this._buckets[index] = new List())
+    const entry = this.findIn(bucket, key)
 
-    if (!entry) {
-      bucket.add({ key, value })
-      this._keys.push(key)
-      this._size += 1
+    if (entry) {
+      entry.data.value = value
+      return this
+    }
 
-      if (bucket.count > 1) { 
-        this._collisions += 1 
-      }
+    const node = bucket.addAtLast({ key, value })
+    if (this._order) {
+      node.data.order = this._order.addAtLast(node)
+    }
+    this._size += 1
 
-      if (this.shouldRehash) { 
-        this.rehash() 
-      }
+    if (bucket.count > 1) { 
+      this._collisions += 1 
     }
-    else {
-      entry.data.value = value 
+
+    if (this.shouldRehash) { 
+      this.rehash() 
     }
 
     return this
@@ -225,50 +316,75 @@ class HashMap {
 
   /**
    *  Rehashing minimises collisions when a hash map reaches full occupancy.
-   *  It doubles the size of the map, recomputes all the hash codes, and then
-   *  distributes data among the new buckets.
-   * 
-   *  When increasing the map size, we try to find the next prime as that is
-   *  optimal for minimising collisions.
+   *  It grows the buckets array to the next prime at least double its size, as
+   *  that is optimal for minimising collisions, recomputes all the hash codes, 
+   *  and then moves the existing nodes over to their new buckets. No entry is 
+   *  copied, so an ordered map keeps its order.
    *  
    *  @private
    */
   rehash() {
-    const newCapacity = Math.max(this._size, this._buckets.length) * 2
-    const newMap = new HashMap(newCapacity)
+    const buckets = this._buckets
+    this._buckets = new Array(nextPrime(2 * buckets.length))
+    this._collisions = 0
 
-    for (const key of this._keys) {
-      newMap.add(key, this.get(key))
-    }
+    for (const bucket of buckets) {
+      if (!bucket) {
+        continue
+      }
+
+      for (const node of bucket.nodes()) {
+        const index = this.hash(node.data.key)
+        const target = this._buckets[index] || (this._buckets[index] = new List())
+        target.linkAfter(target.last, node)
 
-    this._initialCapacity = newMap._initialCapacity
-    this._rehashThreshold = newMap._rehashThreshold
-    this._buckets = newMap._buckets
-    this._keys = newMap._keys
-    this._size = newMap._size
-    this._collisions = newMap._collisions
+        if (target.count > 1) {
+          this._collisions += 1
+        }
+      }
+    }
   }
 
   /**
-   *  Polynomial hash codes are used to hash keys. The given `key` is first
-   *  converted to a string like so, `String(key)`.
-   *  Uses FVN-1a hashing algorithm for 32 bits.
+   *  Returns the index of the bucket for the given `key`, using the hash
+   *  function given at construction.
    *  
    *  @private
-   *  @see http://bit.ly/fvn-1a
    *  @param {any} key 
+   *  @returns {number}
    */
   hash(key) {
-    const str = String(key)
-    let hash = 2166136261   // FNV_offset_basis (32 bit)
-    for (let i = 0; i < str.length; i++) {
-      hash ^= str.codePointAt(i)  // XOR
-      hash *= 16777619  // 32-bit FNV_prime
-    }
+    return (this._hash(key) >>> 0) % this._buckets.length
+  }
 
-    return (hash >>> 0) % this._buckets.length
+}
+
+/**
+ *  Returns the smallest prime number greater than or equal to `n`.
+ *  @private
+ */
+function nextPrime(n) {
+  let candidate = Math.max(2, Math.ceil(n))
+  while (!isPrime(candidate)) {
+    candidate += 1
   }
+  return candidate
+}
 
+/** @private */
+function isPrime(n) {
+  if (n < 4) {
+    return n > 1
+  }
+  if (n % 2 === 0) {
+    return false
+  }
+  for (let divisor = 3; divisor * divisor <= n; divisor += 2) {
+    if (n % divisor === 0) {
+      return false
+    }
+  }
+  return true
 }
 
 module.exports = HashMap
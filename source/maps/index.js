@@ -1,7 +1,11 @@
 /**
  *  A map is a collection of key-value pairs. JavaScript ships a built-in `Map` type. 
- *  This `maps` module introduces two more map data structures to the mix:
+ *  This `maps` module introduces more map data structures to the mix:
  *    - `HashMap`, a map implementation using an array and a hash function. Runtime `O(1)`.
+ *    - `OpenAddressingHashMap`, a `HashMap` which keeps its entries in flat arrays rather
+ *      than lists, for fewer allocations. Runtime `O(1)`.
+ *    - `LRUCache` and `LFUCache`, maps of limited size or weight which evict the least 
+ *      recently or least frequently used entries to make room. Runtime `O(1)`.
  *    - `TreeMap`, a map implementation that uses a self-balanced {@link BinarySearchTree}.
  *      Runtime `O(logn)`
  *  
@@ -16,11 +20,20 @@
  *  @module maps
  */
 const HashMap = require("./hashmap")
+const LFUCache = require("./lfuCache")
+const LRUCache = require("./lruCache")
+const OpenAddressingHashMap = require("./openAddressing")
 const TreeMap = require("./treemap")
 
 module.exports = {
   /** @type HashMap */
   HashMap,
+  /** @type LFUCache */
+  LFUCache,
+  /** @type LRUCache */
+  LRUCache,
+  /** @type OpenAddressingHashMap */
+  OpenAddressingHashMap,
   /** @type TreeMap */
   TreeMap
 }
@@ -0,0 +1,123 @@
+const Cache = require("./cache")
+const List = require("../linear").List
+const { StrictEqual } = require("../toolbox/equality")
+
+/**
+ *  A cache which, when full, evicts the **least frequently used** entry: the
+ *  one read or written the fewest times since it was added. Of entries used
+ *  equally often, the least recently used goes first.
+ *
+ *  Limits, time to live, eviction callbacks and counters work the same as in
+ *  an {@link LRUCache}.
+ *
+ *  Entries are kept in a {@link HashMap} for lookups, and grouped by how
+ *  often they have been used. The groups sit in a {@link List} in order of
+ *  frequency, and each holds a `List` of its entries in order of use. Using
+ *  an entry moves its node into the next group along, so every operation runs
+ *  in `O(1)`, as described by Shah, Mitra and Matani.
+ *
+ *  @class
+ *  @extends Cache
+ *  @see http://dhruvbird.com/lfu.pdf
+ *  @example
+ *  const icons = new LFUCache({ maxSize: 100 })
+ *  icons.add("home", homeIcon)
+ *  icons.get("home")
+ *  icons.frequencyOf("home")   // 2
+ */
+class LFUCache extends Cache {
+  /**
+   *  @constructor
+   *  @param {Object} options `maxSize`, `maxWeight`, `weigher`, `ttl`,
+   *    `clock`, `onEvict` and `equals`; see {@link Cache}. At least one of
+   *    `maxSize` and `maxWeight` is needed.
+   *  @throws {Error} if neither `maxSize` nor `maxWeight` is given
+   */
+  constructor(options) {
+    super(options)
+    /**
+     *  Groups of entries used equally often, as `{ frequency, entries }`, in
+     *  order of frequency. Each entry keeps the list node of its group as
+     *  `group`, and its own node in the group as `node`.
+     *  @private
+     */
+    this._groups = new List(StrictEqual)
+  }
+
+  /**
+   *  Returns the number of times the entry for the `key` has been added or
+   *  read, or 0 if the key isn't cached. Doesn't count as a use.
+   *
+   *  Runtime: `O(1)`
+   *
+   *  @param {any} key
+   *  @returns {number}
+   */
+  frequencyOf(key) {
+    const entry = this.lookup(key)
+    return entry ? entry.group.data.frequency : 0
+  }
+
+  /** @private */
+  link(entry) {
+    const first = this._groups.first
+    const group = first && first.data.frequency === 1 ? first : this._groups.addAtStart(groupOf(1))
+    this.join(entry, group)
+  }
+
+  /** @private */
+  unlink(entry) {
+    const group = entry.group
+    group.data.entries.removeNode(entry.node)
+    if (group.data.entries.count === 0) {
+      this._groups.removeNode(group)
+    }
+  }
+
+  /**
+   *  Moves the entry into the group for one more use, reusing its node
+   *  @private
+   */
+  touch(entry) {
+    const current = entry.group
+    const frequency = current.data.frequency + 1
+    const next = current.next && current.next.data.frequency === frequency
+      ? current.next
+      : this._groups.insertAfter(current, groupOf(frequency))
+
+    this.unlink(entry)
+    this.join(entry, next)
+  }
+
+  /** @private */
+  victim() {
+    return this._groups.first.data.entries.first.data
+  }
+
+  /** @private */
+  * entries() {
+    for (const group of this._groups) {
+      yield* group.entries
+    }
+  }
+
+  /**
+   *  Adds the entry to the most recently used end of the `group`. Its node is
+   *  reused if it has one.
+   *  @private
+   */
+  join(entry, group) {
+    const entries = group.data.entries
+    entry.node = entry.node
+      ? entries.linkAfter(entries.last, entry.node)
+      : entries.addAtLast(entry)
+    entry.group = group
+  }
+}
+
+/** @private */
+function groupOf(frequency) {
+  return { frequency, entries: new List(StrictEqual) }
+}
+
+module.exports = LFUCache
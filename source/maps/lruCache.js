@@ -0,0 +1,86 @@
+const Cache = require("./cache")
+const List = require("../linear").List
+const { StrictEqual } = require("../toolbox/equality")
+
+/**
+ *  A cache which, when full, evicts the **least recently used** entry: the
+ *  one which has gone longest without being read or written.
+ *
+ *  The cache is full when it holds more than `maxSize` entries, or when the
+ *  weights of its entries add up to more than `maxWeight`. The weight of an
+ *  entry is worked out by a `weigher` function, e.g. the length of a string.
+ *  Entries can also be given a time to live, after which they are treated as
+ *  gone. Time is read from a `clock`, `Date.now` by default, which can be
+ *  swapped for a fake one in tests.
+ *
+ *  Entries are kept in a {@link HashMap} for lookups, and in a {@link List}
+ *  in order of use. Using an entry moves its list node to the end, and the
+ *  entry at the start is the next to be evicted. Every operation runs in
+ *  `O(1)`.
+ *
+ *  The cache counts hits, misses and evictions, see
+ *  [stats]{@link LRUCache#stats}, and calls `onEvict` with each entry it
+ *  evicts, but not with those removed by [delete]{@link LRUCache#delete}.
+ *
+ *  @class
+ *  @extends Cache
+ *  @example
+ *  const pages = new LRUCache({
+ *    maxWeight: 1024 * 1024,
+ *    weigher: html => html.length,
+ *    ttl: 60 * 1000,
+ *    onEvict: (url, html, reason) => console.log(`Dropped ${url}: ${reason}`)
+ *  })
+ *  pages.add("/home", "<html>…</html>")
+ *  pages.get("/home")   // "<html>…</html>"
+ *  pages.stats          // { hits: 1, misses: 0, evictions: 0, hitRate: 1 }
+ */
+class LRUCache extends Cache {
+  /**
+   *  @constructor
+   *  @param {Object} options `maxSize`, `maxWeight`, `weigher`, `ttl`,
+   *    `clock`, `onEvict` and `equals`; see {@link Cache}. At least one of
+   *    `maxSize` and `maxWeight` is needed.
+   *  @throws {Error} if neither `maxSize` nor `maxWeight` is given
+   */
+  constructor(options) {
+    super(options)
+    /**
+     *  Entries from least to most recently used. Each entry keeps its node
+     *  of this list as `node`.
+     *  @private
+     */
+    this._recency = new List(StrictEqual)
+  }
+
+  /** @private */
+  link(entry) {
+    entry.node = this._recency.addAtLast(entry)
+  }
+
+  /** @private */
+  unlink(entry) {
+    this._recency.removeNode(entry.node)
+  }
+
+  /**
+   *  Moves the entry to the most recently used end, reusing its node
+   *  @private
+   */
+  touch(entry) {
+    this._recency.removeNode(entry.node)
+    this._recency.linkAfter(this._recency.last, entry.node)
+  }
+
+  /** @private */
+  victim() {
+    return this._recency.first.data
+  }
+
+  /** @private */
+  * entries() {
+    yield* this._recency
+  }
+}
+
+module.exports = LRUCache
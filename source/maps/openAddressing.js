@@ -0,0 +1,383 @@
+const { StrictEqual } = require("../toolbox/equality")
+const { HashFor } = require("../toolbox/hash")
+
+/**
+ *  An `OpenAddressingHashMap` has the same API as {@link HashMap}, but stores
+ *  its entries in flat arrays instead of a {@link List} per bucket. A key that
+ *  hashes to a taken slot goes into the next free slot along, which is called
+ *  **linear probing**. The number of slots a key sits past its own is its
+ *  **probe length**. No object is allocated per entry, which makes the map
+ *  light on memory and the garbage collector, e.g. for hot caches.
+ *
+ *  Probing is kept short by **Robin Hood hashing**: when a key on its way to a
+ *  free slot passes one which sits closer to its own slot, the two swap places
+ *  and the displaced key moves on. This evens out the probe lengths, and lets a
+ *  lookup stop as soon as it meets a key closer to home than the one sought.
+ *  Deletion shifts the keys which follow back by one slot rather than leaving
+ *  a tombstone behind, so the map doesn't slow down as keys come and go.
+ *
+ *  The number of slots is a power of two. Once the map is fuller than its
+ *  `loadFactor`, it doubles in size. Probe lengths grow quickly as the map
+ *  nears full occupancy, so load factors beyond `0.9` are best avoided.
+ *  [probeStatistics]{@link OpenAddressingHashMap#probeStatistics} tells how
+ *  well the keys are spread.
+ *
+ *  Keys are told apart by an equality function and spread by a hash function,
+ *  as in a `HashMap`. The order of iteration is not defined.
+ *
+ *  @class
+ *  @example
+ *  const sessions = new OpenAddressingHashMap(1024, 0.8)
+ *  sessions.add(token, user)
+ *  sessions.probeStatistics.max   // e.g. 4
+ */
+class OpenAddressingHashMap {
+  /**
+   *  @constructor
+   *  @param {number} [capacity=16] initial number of slots, rounded up to a
+   *    power of two
+   *  @param {number} [loadFactor=0.75] the map grows when it gets fuller than
+   *    this. A number ∈ (0, 1).
+   *  @param {Equality} [equals=StrictEqual] decides whether two keys are the same
+   *  @param {HashFunction} [hash] turns a key into a number. Goes by `equals`
+   *    if left out, like in a {@link HashMap}.
+   *  @throws {Error} if `loadFactor` isn't between 0 and 1
+   */
+  constructor(capacity = 16, loadFactor = 0.75, equals = StrictEqual, hash = HashFor(equals)) {
+    if (!(loadFactor > 0 && loadFactor < 1)) {
+      throw new Error("Load factor must be between 0 and 1")
+    }
+
+    this._equals = equals
+    this._hash = hash
+    this._loadFactor = loadFactor
+    this._size = 0
+    /**
+     *  Number of keys which didn't find their own slot free when added
+     *  @private
+     */
+    this._collisions = 0
+    this.allocate(powerOfTwoAtLeast(capacity))
+  }
+
+  /**
+   *  Returns the number of items in the map
+   *  @returns {number}
+   */
+  get count() {
+    return this._size
+  }
+
+  /**
+   *  Returns the number of slots
+   *  @returns {number}
+   */
+  get capacity() {
+    return this._keys.length
+  }
+
+  /**
+   *  Returns a measure of how full the map is, i.e. the ratio between items
+   *  on the map and the number of slots.
+   *
+   *  @returns {number} A number ∈ [0, 1)
+   */
+  get occupancyFactor() {
+    return this._size / this.capacity
+  }
+
+  /**
+   *  Returns how far the keys sit from their own slots: the longest and the
+   *  mean probe length, and a `histogram` where index `i` holds the number of
+   *  keys `i` slots away from their own.
+   *
+   *  Runtime: `O(capacity)`
+   *
+   *  @returns {OpenAddressingHashMap.ProbeStatistics}
+   *  @example
+   *  map.probeStatistics   // { max: 2, mean: 0.4, histogram: [7, 2, 1] }
+   */
+  get probeStatistics() {
+    const histogram = []
+    let total = 0
+
+    for (const distance of this._distances) {
+      if (distance === EMPTY) {
+        continue
+      }
+      histogram[distance] = (histogram[distance] || 0) + 1
+      total += distance
+    }
+
+    return {
+      max: Math.max(histogram.length - 1, 0),
+      mean: this._size > 0 ? total / this._size : 0,
+      histogram: Array.from(histogram, count => count || 0)
+    }
+  }
+
+  /**
+   *  Returns an array of all keys, in no particular order.
+   *  Runtime: `O(capacity)`
+   *
+   *  @returns {array}
+   */
+  get keys() {
+    return Array.from(this.slots(), index => this._keys[index])
+  }
+
+  /**
+   *  Get value for each element in the map, in no particular order.
+   *  @returns {Iterator} values
+   */
+  * values() {
+    for (const index of this.slots()) {
+      yield this._values[index]
+    }
+  }
+
+  /**
+   *  Get the value for the given `key`, or `null` if no such key exists in
+   *  the map.
+   *
+   *  Runtime: `O(1)` on average
+   *
+   *  @param {any} key
+   *  @returns {?any}
+   */
+  get(key) {
+    const index = this.indexOf(key)
+    return index === NOT_FOUND ? null : this._values[index]
+  }
+
+  /**
+   *  Returns a boolean indicating whether an element with the given `key` exists
+   *  or not. Runtime: `O(1)` on average
+   *
+   *  @param {any} key
+   *  @returns {boolean}
+   */
+  has(key) {
+    return this.indexOf(key) !== NOT_FOUND
+  }
+
+  /**
+   *  Insert a key/value pair into the map. If the key is already present, replaces
+   *  its value. Runtime: `O(1)` on average, in case the map grows `O(n)`.
+   *
+   *  Returns the map instance to allow command chaining.
+   *
+   *  @param {any} key
+   *  @param {any} value
+   *  @returns {OpenAddressingHashMap}
+   */
+  add(key, value) {
+    const hash = this._hash(key) >>> 0
+    const index = this.indexOf(key, hash)
+    if (index !== NOT_FOUND) {
+      this._values[index] = value
+      return this
+    }
+
+    if ((this._size + 1) / this.capacity > this._loadFactor) {
+      this.grow()
+    }
+    if (this._distances[this.home(hash)] !== EMPTY) {
+      this._collisions += 1
+    }
+
+    this.insert(key, value, hash)
+    this._size += 1
+    return this
+  }
+
+  /**
+   *  Removes the specified key from the map. Runtime: `O(1)` on average.
+   *
+   *  Returns the removed key-value pair, or `null` if the key wasn't found in
+   *  the map. Unlike a {@link HashMap}, there is no node to hand back.
+   *
+   *  @param {any} key
+   *  @returns {?{key: any, value: any}}
+   */
+  delete(key) {
+    let index = this.indexOf(key)
+    if (index === NOT_FOUND) {
+      return null
+    }
+
+    const removed = { key: this._keys[index], value: this._values[index] }
+
+    // Backward shift: pull each following key which sits past its own slot
+    // one slot closer to home, until a free slot or a key at home
+    let next = this.next(index)
+    while (this._distances[next] > 0) {
+      this.move(next, index)
+      this._distances[index] -= 1
+      index = next
+      next = this.next(index)
+    }
+
+    this.clear(index)
+    this._size -= 1
+    return removed
+  }
+
+  /**
+   *  Returns the slot holding the `key`, or `NOT_FOUND`.
+   *
+   *  @private
+   *  @param {any} key
+   *  @param {number} [hash] hash of the `key`, if already known
+   *  @returns {number}
+   */
+  indexOf(key, hash = this._hash(key) >>> 0) {
+    let index = this.home(hash)
+
+    // Robin Hood keeps keys in order of their own slots, so the key can't be
+    // past a key sitting closer to home than it would
+    for (let distance = 0; distance <= this._distances[index]; distance++) {
+      if (this._hashes[index] === hash && this._equals(key, this._keys[index])) {
+        return index
+      }
+      index = this.next(index)
+    }
+
+    return NOT_FOUND
+  }
+
+  /**
+   *  Puts a key which isn't in the map yet into a slot, taking the slot of
+   *  any key on the way which sits closer to its own.
+   *
+   *  @private
+   */
+  insert(key, value, hash) {
+    let index = this.home(hash)
+    let distance = 0
+
+    while (this._distances[index] !== EMPTY) {
+      if (this._distances[index] < distance) {
+        const displacedKey = this._keys[index]
+        const displacedValue = this._values[index]
+        const displacedHash = this._hashes[index]
+        const displacedDistance = this._distances[index]
+
+        this.place(index, key, value, hash, distance)
+        key = displacedKey
+        value = displacedValue
+        hash = displacedHash
+        distance = displacedDistance
+      }
+
+      index = this.next(index)
+      distance += 1
+    }
+
+    this.place(index, key, value, hash, distance)
+  }
+
+  /**
+   *  Doubles the number of slots and puts every key into its new place.
+   *  @private
+   */
+  grow() {
+    const { _keys: keys, _values: values, _hashes: hashes, _distances: distances } = this
+    this.allocate(keys.length * 2)
+    this._collisions = 0
+
+    distances.forEach((distance, index) => {
+      if (distance === EMPTY) {
+        return
+      }
+      if (this._distances[this.home(hashes[index])] !== EMPTY) {
+        this._collisions += 1
+      }
+      this.insert(keys[index], values[index], hashes[index])
+    })
+  }
+
+  /**
+   *  Sets up empty slots. Hashes and probe lengths are kept in typed arrays,
+   *  so that they are stored as plain numbers.
+   *  @private
+   */
+  allocate(capacity) {
+    this._keys = new Array(capacity)
+    this._values = new Array(capacity)
+    this._hashes = new Uint32Array(capacity)
+    this._distances = new Int32Array(capacity).fill(EMPTY)
+  }
+
+  /** @private */
+  place(index, key, value, hash, distance) {
+    this._keys[index] = key
+    this._values[index] = value
+    this._hashes[index] = hash
+    this._distances[index] = distance
+  }
+
+  /** @private */
+  move(from, to) {
+    this.place(to, this._keys[from], this._values[from], this._hashes[from], this._distances[from])
+  }
+
+  /**
+   *  Empties a slot, letting go of its key and value so that they can be
+   *  garbage collected.
+   *  @private
+   */
+  clear(index) {
+    this.place(index, undefined, undefined, 0, EMPTY)
+  }
+
+  /**
+   *  Iterates over the indices of the taken slots.
+   *  @private
+   *  @yields {number}
+   */
+  * slots() {
+    for (let index = 0; index < this._distances.length; index++) {
+      if (this._distances[index] !== EMPTY) {
+        yield index
+      }
+    }
+  }
+
+  /**
+   *  Returns the slot a key with the given hash belongs in
+   *  @private
+   */
+  home(hash) {
+    return hash & (this.capacity - 1)
+  }
+
+  /** @private */
+  next(index) {
+    return (index + 1) & (this.capacity - 1)
+  }
+}
+
+// Probe length marking a free slot
+const EMPTY = -1
+const NOT_FOUND = -1
+
+/** @private */
+function powerOfTwoAtLeast(n) {
+  let power = 1
+  while (power < n) {
+    power *= 2
+  }
+  return power
+}
+
+module.exports = OpenAddressingHashMap
+
+// ------------------ Type definitions ------------------------------- //
+
+/**
+ *  @typedef {Object} OpenAddressingHashMap.ProbeStatistics
+ *  @property {number} max longest probe length
+ *  @property {number} mean average probe length
+ *  @property {number[]} histogram number of keys by probe length
+ */
@@ -1,4 +1,5 @@
 const BinarySearchTree = require("../trees").BinarySearchTree
+const Errors = require("../errors")
 
 /**
  *  A TreeMap is a map implementation using {@link BinarySearchTree}.
@@ -7,28 +8,63 @@ const BinarySearchTree = require("../trees").BinarySearchTree
  *  
  *  * Keys are always sorted
  *  * When working with numbers, obtaining statistical data like median,
- *    min/max etc. is trivial.
+ *    min/max etc. is trivial. See {@link BinarySearchTree#percentile}.
  *  * Collisions are not a concern, so even in the worst case complexity
  *    is `O(log n)`.
  *  * No collisions, no rehashing. 
  * 
- *  The tree used here, `BinarySearchTree`, is not self balancing. Using
- *  a self-balanced tree such as a Red-Black tree or an AVL tree would 
- *  give better performance.
+ *  The tree used by default, `BinarySearchTree`, is not self balancing. 
+ *  Keys added in sorted order turn it into a linked list with `O(n)` 
+ *  operations. Pass a self-balanced tree such as {@link RedBlackTree} or
+ *  {@link AVLTree} to the constructor to guarantee `O(log n)` instead. For
+ *  millions of keys, a {@link BTree} or a {@link BPlusTree} allocates far
+ *  fewer nodes and stays shallower.
+ * 
+ *  Since keys are kept in order, a `TreeMap` can also answer navigation 
+ *  queries, such as the closest key before or after a given one, in `O(log n)`.
+ *  [subMap]{@link TreeMap#subMap}, [headMap]{@link TreeMap#headMap} and 
+ *  [tailMap]{@link TreeMap#tailMap} return live views over a range of keys.
  * 
  *  **The data stored in a `TreeMap` must support comparison operations**
- *  **such as `<`, `>`, `==` in a coherent manner**. The behaviour, otherwise,
- *  is undefined.
+ *  **such as `<`, `>`, `==` in a coherent manner**, unless a `comparator` is 
+ *  given. The behaviour, otherwise, is undefined.
  *  
  *  @class
  */
 class TreeMap {
-  constructor() {
-    this._tree = new BinarySearchTree()
+  /**
+   *  @constructor
+   *  @param {Comparator} [comparator=NaturalOrder] decides the order of two keys. 
+   *    See `toolbox/compare`.
+   *  @param {function} [Tree=BinarySearchTree] the tree class backing the map, 
+   *    `BinarySearchTree`, `AVLTree`, `RedBlackTree`, `BTree` or `BPlusTree`
+   *  @example
+   *  const events = new TreeMap((a, b) => a.getTime() - b.getTime())
+   *  events.add(new Date(2019, 7, 1), "Release")
+   * 
+   *  const balanced = new TreeMap(undefined, RedBlackTree)
+   */
+  constructor(comparator, Tree = BinarySearchTree) {
+    this._tree = new Tree(comparator)
+    /** @private */
+    this._lower = null
+    /** @private */
+    this._upper = null
   }
 
+  /**
+   *  Returns the number of key-value pairs in the map.
+   *  
+   *  Runtime: `O(1)`, or `O(log n)` for a view over a range of keys.
+   *  
+   *  @returns {number}
+   */
   get count() {
-    return this._tree.count
+    const { _lower: lower, _upper: upper } = this
+    const below = lower ? this._tree.countBelow(lower.key, !lower.inclusive) : 0
+    const within = upper ? this._tree.countBelow(upper.key, upper.inclusive) : this._tree.count
+
+    return Math.max(within - below, 0)
   }
 
   /**
@@ -42,8 +78,13 @@ class TreeMap {
    *  @param {any} key
    *  @param {any} value
    *  @returns {TreeMap} the map instance to allow command chaining
+   *  @throws {OutOfBoundsError} if this is a view and the key falls outside its range
    */
   add(key, value) {
+    if (!this.isInRange(key)) {
+      throw new Errors.OutOfBoundsError("Key out of the range of this view")
+    }
+
     const node = this._tree.find(key)
     if (node) {
       node.metadata.value = value
@@ -66,6 +107,10 @@ class TreeMap {
    *  @returns {?any}
    */
   get(key) {
+    if (!this.isInRange(key)) {
+      return null
+    }
+
     const node = this._tree.find(key)
     return node ? node.metadata.value : null
   }
@@ -90,17 +135,192 @@ class TreeMap {
    *  @param {any} key 
    */
   delete(key) {
+    if (!this.isInRange(key)) {
+      return null
+    }
+
     const removedNode = this._tree.remove(key)
     return removedNode ? removedNode.metadata.value : null
   }
 
   /**
-   *  The default iterator for this map. Uses {@link BinarySearchTree#traverseInOrderly}.
-   *  Returns the `BinaryTreeNode`s which make up the hashmap.
+   *  Returns the largest key less than or equal to `key`, or `null` if there
+   *  is none. Runtime: `O(log n)`
+   * 
+   *  @param {any} key
+   *  @returns {?any}
+   *  @example
+   *  // Given a map with keys 10, 20, 30
+   *  map.floorKey(25)  // 20
+   *  map.floorKey(20)  // 20
+   *  map.floorKey(5)   // null
+   */
+  floorKey(key) {
+    return keyOf(this.closestNode(key, true, true))
+  }
+
+  /**
+   *  Returns the smallest key greater than or equal to `key`, or `null` if
+   *  there is none. Runtime: `O(log n)`
+   * 
+   *  @param {any} key
+   *  @returns {?any}
+   */
+  ceilingKey(key) {
+    return keyOf(this.closestNode(key, false, true))
+  }
+
+  /**
+   *  Returns the largest key strictly less than `key`, or `null` if there is
+   *  none. Runtime: `O(log n)`
+   * 
+   *  @param {any} key
+   *  @returns {?any}
+   */
+  lowerKey(key) {
+    return keyOf(this.closestNode(key, true, false))
+  }
+
+  /**
+   *  Returns the smallest key strictly greater than `key`, or `null` if there
+   *  is none. Runtime: `O(log n)`
+   * 
+   *  @param {any} key
+   *  @returns {?any}
+   *  @example
+   *  // Next event after 9 o'clock
+   *  schedule.higherKey(new Date(2019, 7, 1, 9))
+   */
+  higherKey(key) {
+    return keyOf(this.closestNode(key, false, false))
+  }
+
+  /**
+   *  Returns the key-value pair with the smallest key as `{ key, value }`, or
+   *  `null` if the map is empty. Runtime: `O(log n)`
+   * 
+   *  @returns {?object}
+   */
+  firstEntry() {
+    return entryOf(this.firstNode())
+  }
+
+  /**
+   *  Returns the key-value pair with the largest key as `{ key, value }`, or
+   *  `null` if the map is empty. Runtime: `O(log n)`
+   * 
+   *  @returns {?object}
+   */
+  lastEntry() {
+    return entryOf(this.lastNode())
+  }
+
+  /**
+   *  Removes and returns the key-value pair with the smallest key as 
+   *  `{ key, value }`, or `null` if the map is empty. Runtime: `O(log n)`
+   * 
+   *  @returns {?object}
+   */
+  pollFirst() {
+    const entry = this.firstEntry()
+    if (entry) {
+      this._tree.remove(entry.key)
+    }
+    return entry
+  }
+
+  /**
+   *  Removes and returns the key-value pair with the largest key as 
+   *  `{ key, value }`, or `null` if the map is empty. Runtime: `O(log n)`
+   * 
+   *  @returns {?object}
+   */
+  pollLast() {
+    const entry = this.lastEntry()
+    if (entry) {
+      this._tree.remove(entry.key)
+    }
+    return entry
+  }
+
+  /**
+   *  Returns a view of the portion of this map whose keys range from `fromKey`
+   *  to `toKey`. The view is backed by this map, so changes to either are seen
+   *  by both. Adding a key outside the range to the view throws an error.
+   *  
+   *  Creating a view is `O(1)`, counting its keys `O(log n)`. Iterating over it 
+   *  is `O(log n + k)` where `k` is the number of keys within the range.
+   * 
+   *  @param {any} fromKey low end of the range
+   *  @param {any} toKey high end of the range
+   *  @param {boolean} [fromInclusive=true] whether `fromKey` belongs to the range
+   *  @param {boolean} [toInclusive=false] whether `toKey` belongs to the range
+   *  @returns {TreeMap} view over the range
+   *  @example
+   *  // Events from 9 o'clock until, but not including, 5 o'clock
+   *  schedule.subMap(new Date(2019, 7, 1, 9), new Date(2019, 7, 1, 17))
+   */
+  subMap(fromKey, toKey, fromInclusive = true, toInclusive = false) {
+    return this.view(
+      { key: fromKey, inclusive: fromInclusive }, 
+      { key: toKey, inclusive: toInclusive }
+    )
+  }
+
+  /**
+   *  Returns a view of the portion of this map whose keys are less than 
+   *  `toKey`, or equal to it if `inclusive` is `true`. See [subMap]{@link TreeMap#subMap}.
+   * 
+   *  @param {any} toKey high end of the range
+   *  @param {boolean} [inclusive=false] whether `toKey` belongs to the range
+   *  @returns {TreeMap} view over the range
+   */
+  headMap(toKey, inclusive = false) {
+    return this.view(null, { key: toKey, inclusive })
+  }
+
+  /**
+   *  Returns a view of the portion of this map whose keys are greater than or 
+   *  equal to `fromKey`, or strictly greater if `inclusive` is `false`. 
+   *  See [subMap]{@link TreeMap#subMap}.
+   * 
+   *  @param {any} fromKey low end of the range
+   *  @param {boolean} [inclusive=true] whether `fromKey` belongs to the range
+   *  @returns {TreeMap} view over the range
+   */
+  tailMap(fromKey, inclusive = true) {
+    return this.view({ key: fromKey, inclusive }, null)
+  }
+
+  /**
+   *  The default iterator for this map. Walks the tree in order from the first
+   *  key to the last, see {@link BinarySearchTree#range}, so that each step
+   *  costs `O(1)` on average whatever the tree. Deleting the yielded key
+   *  doesn't derail the iteration. Keys added past the last one are left out.
+   *  Returns the `BinaryTreeNode`s which make up the map in ascending order of keys.
    *  @yields {BinaryTreeNode}
    */
   * [Symbol.iterator]() {
-    yield* this._tree.traverseInOrderly()
+    const first = this.firstNode()
+    const last = this.lastNode()
+    if (first && last) {
+      yield* this._tree.range(first.data, last.data)
+    }
+  }
+
+  /**
+   *  Returns the `BinaryTreeNode`s which make up the map in descending order
+   *  of keys, see {@link BinarySearchTree#descendingRange}.
+   *  
+   *  @private
+   *  @yields {BinaryTreeNode}
+   */
+  * descendingNodes() {
+    const first = this.firstNode()
+    const last = this.lastNode()
+    if (first && last) {
+      yield* this._tree.descendingRange(first.data, last.data)
+    }
   }
 
   /**
@@ -124,6 +344,159 @@ class TreeMap {
       yield node.metadata.value
     }
   }
+
+  /**
+   *  Get key for each element in the map. Result in descending order.
+   *  @returns {Iterator} keys
+   */
+  * descendingKeys() {
+    for (const node of this.descendingNodes()) {
+      yield node.data
+    }
+  }
+
+  /**
+   *  Get value for each element in the map. Result in descending order of the
+   *  corresponding keys.
+   *  
+   *  @returns {Iterator} values
+   */
+  * descendingValues() {
+    for (const node of this.descendingNodes()) {
+      yield node.metadata.value
+    }
+  }
+
+  /**
+   *  Returns the node with the smallest key within range, or `null`.
+   *  @private
+   *  @returns {?BinaryTreeNode}
+   */
+  firstNode() {
+    const lower = this._lower
+    const node = !lower ? this._tree.getLeftmost()
+      : lower.inclusive ? this._tree.ceiling(lower.key) 
+      : this._tree.higher(lower.key)
+
+    return node && !this.isAboveRange(node.data) ? node : null
+  }
+
+  /**
+   *  Returns the node with the largest key within range, or `null`.
+   *  @private
+   *  @returns {?BinaryTreeNode}
+   */
+  lastNode() {
+    const upper = this._upper
+    const node = !upper ? this._tree.getRightmost()
+      : upper.inclusive ? this._tree.floor(upper.key) 
+      : this._tree.lower(upper.key)
+
+    return node && !this.isBelowRange(node.data) ? node : null
+  }
+
+  /**
+   *  Finds the node closest to `key` on the requested side, limited to the 
+   *  range of this map. See {@link BinarySearchTree#findClosest}.
+   * 
+   *  @private
+   *  @param {any} key
+   *  @param {boolean} below `true` to look for smaller keys, `false` for larger
+   *  @param {boolean} inclusive whether `key` itself is acceptable
+   *  @returns {?BinaryTreeNode}
+   */
+  closestNode(key, below, inclusive) {
+    // Looking past the end of the range: the closest key is at the very end
+    if (below && this.isAboveRange(key)) {
+      return this.lastNode()
+    }
+    if (!below && this.isBelowRange(key)) {
+      return this.firstNode()
+    }
+
+    const node = this._tree.findClosest(key, below, inclusive)
+    return node && this.isInRange(node.data) ? node : null
+  }
+
+  /**
+   *  Returns a view sharing this map's tree, limited to the tighter of the 
+   *  given bounds and this map's own bounds. A bound is an object of the form
+   *  `{ key, inclusive }`, or `null` for no bound.
+   * 
+   *  @private
+   *  @param {?object} lower
+   *  @param {?object} upper
+   *  @returns {TreeMap}
+   */
+  view(lower, upper) {
+    if (lower && upper && this.compare(lower.key, upper.key) > 0) {
+      throw new Errors.OutOfBoundsError("fromKey must not be greater than toKey")
+    }
+
+    const view = Object.create(TreeMap.prototype)
+    view._tree = this._tree
+    view._lower = this.tighterBound(this._lower, lower, 1)
+    view._upper = this.tighterBound(this._upper, upper, -1)
+    return view
+  }
+
+  /**
+   *  Picks the more restrictive of two bounds. `direction` is 1 for lower
+   *  bounds (larger key wins) and -1 for upper bounds (smaller key wins).
+   * 
+   *  @private
+   */
+  tighterBound(current, requested, direction) {
+    if (!current || !requested) {
+      return current || requested
+    }
+
+    const order = this.compare(requested.key, current.key) * direction
+    if (order > 0 || (order === 0 && !requested.inclusive)) {
+      return requested
+    }
+    return current
+  }
+
+  /** @private */
+  compare(a, b) {
+    return this._tree.comparator(a, b)
+  }
+
+  /** @private */
+  isBelowRange(key) {
+    const lower = this._lower
+    if (!lower) {
+      return false
+    }
+    const order = this.compare(key, lower.key)
+    return order < 0 || (order === 0 && !lower.inclusive)
+  }
+
+  /** @private */
+  isAboveRange(key) {
+    const upper = this._upper
+    if (!upper) {
+      return false
+    }
+    const order = this.compare(key, upper.key)
+    return order > 0 || (order === 0 && !upper.inclusive)
+  }
+
+  /** @private */
+  isInRange(key) {
+    return !this.isBelowRange(key) && !this.isAboveRange(key)
+  }
+}
+
+/** @private */
+function keyOf(node) {
+  return node ? node.data : null
+}
+
+/** @private */
+function entryOf(node) {
+  return node ? { key: node.data, value: node.metadata.value } : null
 }
 
 module.exports = TreeMap
@@ -0,0 +1,89 @@
+/**
+ *  Every ordered structure and sorting algorithm in this library decides the
+ *  order of two items by asking a **comparator**. A comparator is a function
+ *  of the form `(a, b) => number` that returns:
+ *
+ *  - a negative number if `a` comes before `b`
+ *  - zero if `a` and `b` are equivalent
+ *  - a positive number if `a` comes after `b`
+ *
+ *  This is the same contract as the one used by `Array.prototype.sort`, so
+ *  comparators written for arrays can be reused with {@link BinarySearchTree},
+ *  {@link TreeMap} and the functions in `toolbox/sort` as is.
+ *
+ *  ```
+ *  const byAge = ByKey(user => user.age)
+ *  const oldestFirst = ReverseOrder(byAge)
+ *  const alphabetical = (a, b) => a.localeCompare(b, "sv")
+ *  ```
+ *
+ *  @module toolbox/compare
+ */
+
+/**
+ *  The default comparator. Orders items using the built-in `<` and `>`
+ *  operators, so it works out of the box for numbers and strings.
+ *
+ *  @public
+ *  @param {any} a
+ *  @param {any} b
+ *  @returns {number} -1, 0 or 1
+ */
+function NaturalOrder(a, b) {
+  if (a < b) {
+    return -1
+  }
+  if (a > b) {
+    return 1
+  }
+  return 0
+}
+
+/**
+ *  Returns a comparator that orders items in the opposite direction of the
+ *  given `comparator`, e.g. descending instead of ascending.
+ *
+ *  @public
+ *  @param {Comparator} [comparator=NaturalOrder] the ordering to reverse
+ *  @returns {Comparator}
+ *  @example
+ *  BubbleSort([1, 3, 2], ReverseOrder()) // [3, 2, 1]
+ */
+function ReverseOrder(comparator = NaturalOrder) {
+  return (a, b) => comparator(b, a)
+}
+
+/**
+ *  Returns a comparator that orders items by the key the `extractor` picks
+ *  out of each item. Keys are compared using the given `comparator`.
+ *
+ *  @public
+ *  @param {function} extractor a function of the form `item => key`
+ *  @param {Comparator} [comparator=NaturalOrder] used to compare the keys
+ *  @returns {Comparator}
+ *  @example
+ *  const tree = new BinarySearchTree(ByKey(user => user.age))
+ *  const map = new TreeMap(ByKey(date => date.getTime()))
+ */
+function ByKey(extractor, comparator = NaturalOrder) {
+  return (a, b) => comparator(extractor(a), extractor(b))
+}
+
+module.exports = {
+  ByKey,
+  NaturalOrder,
+  ReverseOrder
+}
+
+// ------------------ Type definitions ------------------------------- //
+
+/**
+ *  A function that decides the relative order of two items. Returns a negative
+ *  number if `a` comes before `b`, a positive number if `a` comes after `b` and
+ *  zero if they are equivalent.
+ *
+ *  @callback Comparator
+ *  @param {any} a
+ *  @param {any} b
+ *  @returns {number}
+ */
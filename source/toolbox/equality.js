@@ -0,0 +1,103 @@
+const isEqual = require("lodash.isequal")
+
+/**
+ *  Collections which search for items, such as {@link List}, {@link HashMap}
+ *  and {@link Graph}, decide whether two items are the same by asking an
+ *  **equality** function. An equality function is of the form
+ *  `(a, b) => boolean`.
+ *
+ *  Three common strategies are provided, and any function of the same shape
+ *  can be used instead:
+ *
+ *  - `StrictEqual`, same as `===`. Objects are equal only to themselves.
+ *  - `SameValueZero`, same as `===`, except that `NaN` equals `NaN`. This is
+ *    how `Map`, `Set` and `Array.prototype.includes` compare items.
+ *  - `DeepEqual`, compares objects, arrays, `Date`s, `Map`s, `Set`s etc. by
+ *    their contents, and copes with cyclic references.
+ *
+ *  ```
+ *  const users = new List(ByKeyEqual(user => user.id))
+ *  const caseless = (a, b) => a.toLowerCase() === b.toLowerCase()
+ *  const tags = new Stack(caseless)
+ *  const points = new HashMap({ equals: DeepEqual })
+ *  ```
+ *
+ *  @module toolbox/equality
+ */
+
+/**
+ *  Equal if `a === b`.
+ *
+ *  @public
+ *  @param {any} a
+ *  @param {any} b
+ *  @returns {boolean}
+ */
+function StrictEqual(a, b) {
+  return a === b
+}
+
+/**
+ *  Equal if `a === b`, or both are `NaN`.
+ *
+ *  @public
+ *  @param {any} a
+ *  @param {any} b
+ *  @returns {boolean}
+ */
+function SameValueZero(a, b) {
+  // NaN is the only value which isn't equal to itself
+  return a === b || (a !== a && b !== b)
+}
+
+/**
+ *  Equal if `a` and `b` have the same structure and contents, compared all the
+ *  way down. Objects need not share a prototype, but `Map`s only equal `Map`s,
+ *  `Set`s only equal `Set`s and so on. Functions are equal only to themselves.
+ *
+ *  @public
+ *  @param {any} a
+ *  @param {any} b
+ *  @returns {boolean}
+ *  @example
+ *  DeepEqual({ tags: new Set(["a"]) }, { tags: new Set(["a"]) })   // true
+ *  DeepEqual(new Date(0), new Date(0))                             // true
+ *  DeepEqual([1, 2], { 0: 1, 1: 2 })                               // false
+ */
+function DeepEqual(a, b) {
+  return isEqual(a, b)
+}
+
+/**
+ *  Returns an equality function which compares items by the key the
+ *  `extractor` picks out of each item. Keys are compared using the given
+ *  `equals` function.
+ *
+ *  @public
+ *  @param {function} extractor a function of the form `item => key`
+ *  @param {Equality} [equals=SameValueZero] used to compare the keys
+ *  @returns {Equality}
+ *  @example
+ *  const users = new List(ByKeyEqual(user => user.id))
+ */
+function ByKeyEqual(extractor, equals = SameValueZero) {
+  return (a, b) => equals(extractor(a), extractor(b))
+}
+
+module.exports = {
+  ByKeyEqual,
+  DeepEqual,
+  SameValueZero,
+  StrictEqual
+}
+
+// ------------------ Type definitions ------------------------------- //
+
+/**
+ *  A function that decides whether two items are the same.
+ *
+ *  @callback Equality
+ *  @param {any} a
+ *  @param {any} b
+ *  @returns {boolean}
+ */
@@ -0,0 +1,217 @@
+const { DeepEqual, SameValueZero, StrictEqual } = require("./equality")
+
+/**
+ *  A {@link HashMap} spreads its keys over buckets by asking a **hash
+ *  function** for a number for each key. A hash function is of the form
+ *  `key => number` and must give equal keys the same number, as decided by
+ *  the equality function of the map, see `toolbox/equality`. The more evenly
+ *  it spreads keys which aren't equal, the faster the map.
+ *
+ *  - `IdentityHash` tells objects apart by identity. Pairs with `StrictEqual`
+ *    and `SameValueZero`.
+ *  - `StructuralHash` hashes plain objects, arrays (e.g. tuples such as
+ *    `[x, y]`), `Date`s, `Map`s and `Set`s by their contents. Pairs with
+ *    `DeepEqual`.
+ *  - `StringHash` hashes `String(key)`.
+ *
+ *  ```
+ *  const points = new HashMap({ equals: DeepEqual, hash: StructuralHash })
+ *  points.add({ x: 1, y: 2 }, "home")
+ *  points.get({ x: 1, y: 2 })   // "home"
+ *  ```
+ *
+ *  Keys hashed by their contents must not change while they are in a map.
+ *
+ *  @module toolbox/hash
+ */
+
+/**
+ *  Hashes `String(key)` using the 32-bit FNV-1a algorithm.
+ *
+ *  @public
+ *  @see http://bit.ly/fvn-1a
+ *  @param {any} key
+ *  @returns {number} 32-bit unsigned integer
+ */
+function StringHash(key) {
+  const str = String(key)
+  let hash = 2166136261   // FNV_offset_basis (32 bit)
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)  // XOR
+    hash = Math.imul(hash, 16777619)  // 32-bit FNV_prime
+  }
+
+  return hash >>> 0
+}
+
+/**
+ *  Hashes objects and functions by identity: each one gets a number of its
+ *  own the first time it is hashed. Other values are hashed by type and
+ *  value, so `1` and `"1"` differ.
+ *
+ *  @public
+ *  @param {any} key
+ *  @returns {number} 32-bit unsigned integer
+ */
+function IdentityHash(key) {
+  if (!isReference(key)) {
+    return primitiveHash(key)
+  }
+
+  if (!identities.has(key)) {
+    identities.set(key, StringHash(`#${nextIdentity++}`))
+  }
+  return identities.get(key)
+}
+
+/**
+ *  Hashes plain objects, arrays, `Date`s, `Map`s and `Set`s by their contents,
+ *  all the way down, so that keys which are `DeepEqual` hash alike. The order
+ *  of the properties of an object, or the items of a `Set`, doesn't matter,
+ *  but the order of the items of an array does. Boxed primitives, such as
+ *  `new String("a")`, hash like the primitives they wrap. Other objects are
+ *  hashed by their own enumerable properties. Functions are hashed by identity.
+ *
+ *  @public
+ *  @param {any} key
+ *  @returns {number} 32-bit unsigned integer
+ *  @example
+ *  StructuralHash({ x: 1, y: 2 }) === StructuralHash({ y: 2, x: 1 })   // true
+ *  StructuralHash([1, 2]) === StructuralHash([2, 1])                   // false
+ */
+function StructuralHash(key) {
+  return structuralHashOf(key, new Set())
+}
+
+/**
+ *  Returns a hash function which goes with the given equality function:
+ *  `IdentityHash` for `StrictEqual` and `SameValueZero`, `StructuralHash`
+ *  for `DeepEqual`.
+ *
+ *  There is no telling which keys any other equality function finds equal,
+ *  so they all get the same hash. A map keeps working with it, but has to
+ *  compare a key with every other one to find it. Give the map a hash
+ *  function to match, such as `key => StringHash(key.id)` for
+ *  `ByKeyEqual(key => key.id)`.
+ *
+ *  @public
+ *  @param {Equality} equals
+ *  @returns {HashFunction}
+ */
+function HashFor(equals) {
+  if (equals === StrictEqual || equals === SameValueZero) {
+    return IdentityHash
+  }
+  return equals === DeepEqual ? StructuralHash : constantHash
+}
+
+// Numbers handed out by IdentityHash. Keys are held weakly, so that hashing
+// an object doesn't keep it from being garbage collected.
+const identities = new WeakMap()
+let nextIdentity = 0
+
+/** @private */
+function isReference(value) {
+  return (typeof value === "object" && value !== null) || typeof value === "function"
+}
+
+/**
+ *  Returns `true` for primitives wrapped in an object, such as `new Number(1)`
+ *  @private
+ */
+function isBoxed(value) {
+  return value instanceof Number || value instanceof String || value instanceof Boolean
+}
+
+/**
+ *  Hashes every key alike, which is right for any equality function
+ *  @private
+ */
+function constantHash() {
+  return 0
+}
+
+/** @private */
+function primitiveHash(value) {
+  return StringHash(`${typeof value}:${String(value)}`)
+}
+
+/**
+ *  Mixes `value` into `hash`, then scrambles the bits with the finaliser of
+ *  MurmurHash3, so that similar inputs end up far apart.
+ *  @private
+ */
+function combine(hash, value) {
+  let mixed = Math.imul(hash, 31) + value
+  mixed = Math.imul(mixed ^ (mixed >>> 16), 0x85ebca6b)
+  mixed = Math.imul(mixed ^ (mixed >>> 13), 0xc2b2ae35)
+  return (mixed ^ (mixed >>> 16)) >>> 0
+}
+
+/**
+ *  @private
+ *  @param {any} value
+ *  @param {Set} ancestors objects being hashed further up, to stop cycles
+ */
+function structuralHashOf(value, ancestors) {
+  if (typeof value === "function") {
+    return IdentityHash(value)
+  }
+  if (isBoxed(value)) {
+    // `DeepEqual` finds `new String("a")` equal to `"a"`, so they must hash alike
+    return primitiveHash(value.valueOf())
+  }
+  if (!isReference(value)) {
+    return primitiveHash(value)
+  }
+  if (ancestors.has(value)) {
+    return primitiveHash("cycle")
+  }
+
+  ancestors.add(value)
+  const hashOf = item => structuralHashOf(item, ancestors)
+  let hash
+
+  if (value instanceof Date) {
+    hash = combine(primitiveHash("Date"), primitiveHash(value.getTime()))
+  }
+  else if (Array.isArray(value)) {
+    hash = value.reduce((sum, item) => combine(sum, hashOf(item)), primitiveHash("Array"))
+  }
+  else if (value instanceof Map) {
+    // Summing makes the result independent of the order of the entries
+    hash = primitiveHash("Map")
+    value.forEach((item, key) => { hash = (hash + combine(hashOf(key), hashOf(item))) >>> 0 })
+  }
+  else if (value instanceof Set) {
+    hash = primitiveHash("Set")
+    value.forEach(item => { hash = (hash + hashOf(item)) >>> 0 })
+  }
+  else {
+    hash = primitiveHash("Object")
+    for (const property of Object.keys(value)) {
+      hash = (hash + combine(StringHash(property), hashOf(value[property]))) >>> 0
+    }
+  }
+
+  ancestors.delete(value)
+  return hash
+}
+
+module.exports = {
+  HashFor,
+  IdentityHash,
+  StringHash,
+  StructuralHash
+}
+
+// ------------------ Type definitions ------------------------------- //
+
+/**
+ *  A function that turns a key into a number, the same number for keys
+ *  which are equal.
+ *
+ *  @callback HashFunction
+ *  @param {any} key
+ *  @returns {number}
+ */
@@ -1,5 +1,11 @@
+const Compare = require("./compare")
+const Equality = require("./equality")
+const Hash = require("./hash")
 const Sort = require("./sort")
 
 module.exports = {
+  ...Compare,
+  ...Equality,
+  ...Hash,
   ...Sort,
 }
@@ -59,8 +59,15 @@
  *  properties of the data. This usually means taking advantage of any near sorted or already 
  *  sorted portions.  
  *  
+ *  ## Ordering
+ *  
+ *  Every function accepts an optional comparator as its second argument, see
+ *  `toolbox/compare`. By default, items are sorted in ascending order using
+ *  the built-in `<` and `>` operators.
+ *  
  *  @module toolbox/sort
  */
+const { NaturalOrder } = require("./compare")
 
 /**
  *  Bubble sort repeatedly steps through the collection to be sorted, compares each pair of 
@@ -79,16 +86,18 @@
  * 
  *  @public
  *  @param {Iterable} collection Collection items **must** support comparison operations <, >, ==
+ *    unless a `comparator` is given
+ *  @param {Comparator} [comparator=NaturalOrder] decides the order of two items
  *  @returns {Array} 
  */
-function BubbleSort(collection) {
+function BubbleSort(collection, comparator = NaturalOrder) {
   const array = Array.from(collection)
 
   for (let i = 1; i < array.length; i++) {
     let swapped = false
 
     for (let current = 0; current < array.length - i; current++) {
-      if (array[current] > array[current + 1]) {
+      if (comparator(array[current], array[current + 1]) > 0) {
         swap(array, current, current + 1)
         swapped = true
       }
@@ -118,13 +127,15 @@ function BubbleSort(collection) {
  *  - Space complexity: `O(1)`
  *  
  *  @param {Iterable} collection Collection items **must** support comparison operations <, >, ==
+ *    unless a `comparator` is given
+ *  @param {Comparator} [comparator=NaturalOrder] decides the order of two items
  *  @returns {array}
  */
-function InsertionSort(collection) {
+function InsertionSort(collection, comparator = NaturalOrder) {
   const array = Array.from(collection)
 
   for (let right = 1; right < array.length; right++) {
-    for (let left = right; array[left - 1] > array[left]; left--) {
+    for (let left = right; left > 0 && comparator(array[left - 1], array[left]) > 0; left--) {
       swap(array, left - 1, left)
     }
   }
@@ -176,16 +187,18 @@ function InsertionSort(collection) {
  *  - Space complexity: `O(1)`
  *  
  *  @param {Iterable} collection Collection items **must** support comparison operations <, >, ==
+ *    unless a `comparator` is given
+ *  @param {Comparator} [comparator=NaturalOrder] decides the order of two items
  *  @returns {array}
  */
-function SelectionSort(collection) {
+function SelectionSort(collection, comparator = NaturalOrder) {
   const array = Array.from(collection)
 
   for (let left = 0; left < array.length; left++) {
     let selection = left
 
     for (let right = left + 1; right < array.length; right++) {
-      if (array[selection] > array[right]) {
+      if (comparator(array[selection], array[right]) > 0) {
         selection = right
       }
     }
@@ -217,15 +230,17 @@ function SelectionSort(collection) {
  *  - Space complexity: `O(n)`
  *  
  *  @param {Iterable} collection Collection items **must** support comparison operations <, >, ==
+ *    unless a `comparator` is given
+ *  @param {Comparator} [comparator=NaturalOrder] decides the order of two items
  *  @returns {array}
  */
-function MergeSort(collection) {
+function MergeSort(collection, comparator = NaturalOrder) {
   const array = Array.from(collection)
-  return split(array)
+  return split(array, comparator)
 }
 
 /** @private */
-function split(array) {
+function split(array, comparator) {
   const size = array.length
   
   if (size < 2) {
@@ -233,23 +248,24 @@ function split(array) {
   }
 
   if (size == 2) {
-    return array[0] < array[1] ? array : [array[1], array[0]]
+    return comparator(array[0], array[1]) <= 0 ? array : [array[1], array[0]]
   }
 
   const half = Math.ceil(size / 2)
   return merge(
-    split(array.slice(0, half)),
-    split(array.slice(half))
+    split(array.slice(0, half), comparator),
+    split(array.slice(half), comparator),
+    comparator
   )
 }
 
 /** @private */
-function merge(firstHalf, secondHalf = []) {
+function merge(firstHalf, secondHalf = [], comparator = NaturalOrder) {
   const mergedSize = firstHalf.length + secondHalf.length
   const mergedArray = Array(mergedSize)
 
   for (let index = 0, j = 0, k = 0; index < mergedSize; index++) {
-    if (k >= secondHalf.length || (j < firstHalf.length && firstHalf[j] <= secondHalf[k])) {
+    if (k >= secondHalf.length || (j < firstHalf.length && comparator(firstHalf[j], secondHalf[k]) <= 0)) {
       mergedArray[index] = firstHalf[j]
       j += 1
     }
@@ -286,12 +302,14 @@ function merge(firstHalf, secondHalf = []) {
  *  of quick sort `O(n²)`. To avoid this, the 
  *  
  *  @param {Iterable} collection Collection items **must** support comparison operations <, >, ==
+ *    unless a `comparator` is given
+ *  @param {Comparator} [comparator=NaturalOrder] decides the order of two items
  *  @returns {array}
  */
-function QuickSort(collection) {
+function QuickSort(collection, comparator = NaturalOrder) {
   const array = Array.from(collection)
   shuffle(array)
-  return _quicksort(array)
+  return _quicksort(array, comparator)
 }
 
 /** @private */
@@ -304,21 +322,21 @@ function shuffle(array) {
 }
 
 /** @private */
-function _quicksort(array, start = 0, end = array.length - 1) {
+function _quicksort(array, comparator, start = 0, end = array.length - 1) {
   if (start < end) {
-    const pivotIndex = partition(array, start, end)
-    _quicksort(array, start, pivotIndex - 1)
-    _quicksort(array, pivotIndex + 1, end) 
+    const pivotIndex = partition(array, comparator, start, end)
+    _quicksort(array, comparator, start, pivotIndex - 1)
+    _quicksort(array, comparator, pivotIndex + 1, end) 
   }
   return array
 }
 
 /** @private */
-function partition(array, start, end) {
+function partition(array, comparator, start, end) {
   let pivotIndex = start
 
   for (let current = start + 1; current <= end; current++) {
-    if (array[current] < array[start]) {
+    if (comparator(array[current], array[start]) < 0) {
       pivotIndex += 1
       swap(array, current, pivotIndex)
     }
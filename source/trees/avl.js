@@ -0,0 +1,182 @@
+const BinarySearchTree = require("./bst")
+
+/**
+ *  An AVL tree is a self-balancing {@link BinarySearchTree}, named after its
+ *  inventors Adelson-Velsky and Landis.
+ *
+ *  A plain `BinarySearchTree` fed with sorted data degenerates into a linked
+ *  list, and every operation on it becomes `O(n)`. An AVL tree prevents that
+ *  by making sure that, for every node, the heights of its left and right
+ *  subtrees differ by at most one. Whenever an insert or a delete breaks this
+ *  rule, the tree is re-shaped with one or two **rotations** on the way back
+ *  up to the root.
+ *
+ *  ```
+ *  1
+ *   \                       2
+ *    2       rotate left   / \
+ *     \     ----------->  1   3
+ *      3
+ *  ```
+ *
+ *  Each node keeps two extra data points in its `metadata`:
+ *  - `height`, the number of edges between the node and its most distant leaf
+ *  - `balanceFactor`, the height of the right subtree minus the height of the
+ *    left subtree. Always one of -1, 0 or 1.
+ *
+ *  Search, insert and delete are all `O(log n)` in the worst case.
+ *
+ *  The API is identical to {@link BinarySearchTree}.
+ *
+ *  @class
+ *  @extends BinarySearchTree
+ */
+class AVLTree extends BinarySearchTree {
+  /**
+   *  Inserts the a new node into the tree and attachs the given `data` to it,
+   *  then rebalances the tree. See {@link BinarySearchTree#add}.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @returns {BinaryTreeNode} newly added node.
+   */
+  add(data) {
+    const newNode = super.add(data)
+
+    // A node that merely added a copy to an existing one never makes it into
+    // the tree, so there is nothing to rebalance.
+    if (newNode === this._root || newNode.parent) {
+      this.rebalance(newNode)
+    }
+
+    return newNode
+  }
+
+  /**
+   *  Unlinks the given `node` from the tree, then refreshes sizes and rebalances
+   *  the tree from the lowest node whose subtree changed.
+   *
+   *  If the node has two children, its in-order successor takes its place.
+   *
+   *  @private
+   *  @param {BinaryTreeNode} node node to be unlinked
+   */
+  removeNode(node) {
+    let lowest = node.parent
+
+    if (!node.leftChild || !node.rightChild) {
+      this.replaceNode(node, node.leftChild || node.rightChild)
+    }
+    else {
+      const successor = this.getLeftmost(node.rightChild)
+      lowest = successor
+
+      if (successor.parent !== node) {
+        lowest = successor.parent
+        this.replaceNode(successor, successor.rightChild)
+        successor.rightChild = node.rightChild
+      }
+
+      this.replaceNode(node, successor)
+      successor.leftChild = node.leftChild
+    }
+
+    if (lowest) {
+      this.updateSizes(lowest)
+      this.rebalance(lowest)
+    }
+  }
+
+  /**
+   *  Walks from `node` up to the root, refreshing heights and rotating every
+   *  subtree which has become too tall on one side.
+   *
+   *  @private
+   *  @param {BinaryTreeNode} node
+   */
+  rebalance(node) {
+    let current = node
+
+    while (current) {
+      this.updateHeight(current)
+      const balance = current.metadata.balanceFactor
+
+      if (balance < -1) {
+        // Left-right case needs the left child rotated first
+        if (current.leftChild.metadata.balanceFactor > 0) {
+          this.rotateLeft(current.leftChild)
+        }
+        current = this.rotateRight(current)
+      }
+      else if (balance > 1) {
+        // Right-left case needs the right child rotated first
+        if (current.rightChild.metadata.balanceFactor < 0) {
+          this.rotateRight(current.rightChild)
+        }
+        current = this.rotateLeft(current)
+      }
+
+      current = current.parent
+    }
+  }
+
+  /**
+   *  Rotates left and refreshes the heights of the two nodes which moved.
+   *  See {@link BinarySearchTree#rotateLeft}.
+   *
+   *  @private
+   *  @param {BinaryTreeNode} node
+   *  @returns {BinaryTreeNode} new root of the subtree
+   */
+  rotateLeft(node) {
+    const pivot = super.rotateLeft(node)
+    this.updateHeight(node)
+    this.updateHeight(pivot)
+    return pivot
+  }
+
+  /**
+   *  Rotates right and refreshes the heights of the two nodes which moved.
+   *  See {@link BinarySearchTree#rotateRight}.
+   *
+   *  @private
+   *  @param {BinaryTreeNode} node
+   *  @returns {BinaryTreeNode} new root of the subtree
+   */
+  rotateRight(node) {
+    const pivot = super.rotateRight(node)
+    this.updateHeight(node)
+    this.updateHeight(pivot)
+    return pivot
+  }
+
+  /**
+   *  Recomputes `height` and `balanceFactor` of the node from those of its
+   *  children. Runtime: `O(1)`
+   *
+   *  @private
+   *  @param {BinaryTreeNode} node
+   */
+  updateHeight(node) {
+    const left = AVLTree.heightOf(node.leftChild)
+    const right = AVLTree.heightOf(node.rightChild)
+
+    node.metadata.height = Math.max(left, right) + 1
+    node.metadata.balanceFactor = right - left
+  }
+
+  /**
+   *  Height of the subtree rooted at `node`. An empty subtree has height -1
+   *  so that a leaf has height 0.
+   *
+   *  @private
+   *  @param {?BinaryTreeNode} node
+   *  @returns {number}
+   */
+  static heightOf(node) {
+    return node ? node.metadata.height : -1
+  }
+}
+
+module.exports = AVLTree
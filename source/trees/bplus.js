@@ -0,0 +1,599 @@
+const BPlusTreeNode = require("./bplusNode")
+const MultiwayTree = require("./multiway")
+
+/**
+ *  A B+ tree is a {@link BTree} which keeps all its entries in the leaves.
+ *  Internal nodes only hold keys to route searches, copied from the leaves
+ *  as they split, and every leaf links to the leaves on either side of it.
+ *
+ *  Finding the first entry of a range takes `O(log n)`, and every entry after
+ *  it is a step along a leaf or to the next leaf, so scanning a range with
+ *  [range]{@link BPlusTree#range} or the whole tree with
+ *  [traverseInOrderly]{@link BPlusTree#traverseInOrderly} costs `O(1)` per
+ *  entry, without climbing back up through internal nodes as in a `BTree`.
+ *  Internal nodes hold no entries, so more of them fit in the same space,
+ *  which also makes the tree a little shallower.
+ *
+ *  The API is that of a `BTree`, so a B+ tree can back a {@link TreeMap} too,
+ *  and sorted items can be loaded in bulk with
+ *  [fromSorted]{@link BPlusTree.fromSorted}.
+ *
+ *  **The data stored in a BPlusTree must support comparison operations such**
+ *  **as `<`, `>`, `==` in a coherent manner**, unless a `comparator` is given.
+ *
+ *  @class
+ *  @extends MultiwayTree
+ *  @example
+ *  const events = BPlusTree.fromSorted(timestamps)
+ *  for (const entry of events.range(monday, friday)) {
+ *    console.log(entry.data)
+ *  }
+ */
+class BPlusTree extends MultiwayTree {
+  /**
+   *  Adds the `data` to its leaf. If it is already in an entry (comparator
+   *  returns 0), increments the `copies` of the entry instead. Nodes which
+   *  overflow are split in two, from the leaf up.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @returns {BTree.Entry} the entry holding `data`
+   */
+  add(data) {
+    if (!this._root) {
+      this._root = new BPlusTreeNode()
+    }
+
+    const path = this.pathTo(data)
+    const { node: leaf, index } = path[path.length - 1]
+    this._count += 1
+    path.forEach(step => { step.node.size += 1 })
+
+    if (this.matches(leaf.entries, index, data)) {
+      leaf.entries[index].metadata.copies += 1
+      return leaf.entries[index]
+    }
+
+    const entry = this.entryFor(data)
+    leaf.entries.splice(index, 0, entry)
+    this._modifications += 1
+    this.split(path)
+    return entry
+  }
+
+  /**
+   *  Returns the entry containing `data` (comparator returns 0) or `null` if
+   *  none. Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @returns {?BTree.Entry}
+   */
+  find(data) {
+    const leaf = this.leafFor(data)
+    if (!leaf) {
+      return null
+    }
+
+    const index = this.indexIn(leaf.entries, data)
+    return this.matches(leaf.entries, index, data) ? leaf.entries[index] : null
+  }
+
+  /**
+   *  Removes `copies` copies of `data`, all of them by default. The entry
+   *  leaves the tree once no copies remain, and nodes left less than half
+   *  full borrow from or merge with a sibling. Keys in internal nodes are
+   *  left as they are, as they still route searches correctly.
+   *
+   *  If no entry is found, returns `null`. Otherwise, returns the removed or
+   *  modified entry. Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @param {number} [copies] number of copies to delete; deletes all by default
+   *  @returns {?BTree.Entry}
+   */
+  remove(data, copies = '*') {
+    if (!this._root) {
+      return null
+    }
+
+    const path = this.pathTo(data)
+    const { node: leaf, index } = path[path.length - 1]
+    if (!this.matches(leaf.entries, index, data)) {
+      return null
+    }
+
+    const entry = leaf.entries[index]
+    if (this.removeCopies(path, copies)) {
+      return entry
+    }
+
+    leaf.entries.splice(index, 1)
+    this._modifications += 1
+    this.rebalance(path)
+    return entry
+  }
+
+  /**
+   *  Iterates over the entries with data between `low` and `high` (both
+   *  inclusive), in order, by walking along the leaves. If the tree changes
+   *  during the iteration, the walk picks up again after the last entry
+   *  yielded.
+   *
+   *  Runtime: `O(log n)` to find the first entry, then `O(1)` per entry
+   *
+   *  @param {any} low
+   *  @param {any} high
+   *  @yields {BTree.Entry}
+   */
+  * range(low, high) {
+    const leaf = this.leafFor(low)
+    const index = leaf ? this.indexIn(leaf.entries, low) : 0
+    yield* this.walk(leaf, index, data => this._compare(data, high) <= 0, false)
+  }
+
+  /**
+   *  Iterates over the entries with data between `low` and `high` (both
+   *  inclusive), from `high` down to `low`, by walking back along the leaves.
+   *  Like [range]{@link BPlusTree#range} backwards.
+   *
+   *  Runtime: `O(log n)` to find the first entry, then `O(1)` per entry
+   *
+   *  @param {any} low
+   *  @param {any} high
+   *  @yields {BTree.Entry}
+   */
+  * descendingRange(low, high) {
+    const leaf = this.leafFor(high)
+    let index = leaf ? this.indexIn(leaf.entries, high) : 0
+    if (leaf && !this.matches(leaf.entries, index, high)) {
+      index -= 1
+    }
+    yield* this.walk(leaf, index, data => this._compare(data, low) >= 0, true)
+  }
+
+  /**
+   *  Iterates over all entries in order, by walking along the leaves. If the
+   *  tree changes during the iteration, the walk picks up again after the
+   *  last entry yielded.
+   *
+   *  Runtime: `O(n)`
+   *
+   *  @yields {BTree.Entry}
+   */
+  * traverseInOrderly() {
+    let leaf = this._root
+    while (leaf && !leaf.isLeaf) {
+      leaf = leaf.children[0]
+    }
+    yield* this.walk(leaf, 0, () => true, false)
+  }
+
+  /**
+   *  Finds the closest entry to `data` in the leaf where `data` belongs, or
+   *  else at the end of the leaf before or the start of the leaf after.
+   *
+   *  @private
+   *  @param {any} data
+   *  @param {boolean} below `true` to look for smaller data, `false` for larger
+   *  @param {boolean} inclusive whether an entry matching `data` is acceptable
+   *  @returns {?BTree.Entry}
+   */
+  findClosest(data, below, inclusive) {
+    const leaf = this.leafFor(data)
+    if (!leaf) {
+      return null
+    }
+
+    const { entries } = leaf
+    const index = this.indexIn(entries, data)
+    const found = this.matches(entries, index, data)
+    if (found && inclusive) {
+      return entries[index]
+    }
+
+    if (below) {
+      if (index > 0) {
+        return entries[index - 1]
+      }
+      return leaf.previous ? leaf.previous.entries[leaf.previous.entries.length - 1] : null
+    }
+
+    const after = found ? index + 1 : index
+    if (after < entries.length) {
+      return entries[after]
+    }
+    return leaf.next ? leaf.next.entries[0] : null
+  }
+
+  /**
+   *  Counts the items, copies included, smaller than `data`, or smaller than
+   *  or equal to it if `inclusive` is `true`.
+   *
+   *  @private
+   *  @param {any} data
+   *  @param {boolean} inclusive whether copies of `data` are counted
+   *  @returns {number}
+   */
+  countBelow(data, inclusive) {
+    let node = this._root
+    let count = 0
+    if (!node) {
+      return count
+    }
+
+    while (!node.isLeaf) {
+      const index = this.childIndexFor(node, data)
+      for (let i = 0; i < index; i++) {
+        count += node.children[i].size
+      }
+      node = node.children[index]
+    }
+
+    const index = this.indexIn(node.entries, data)
+    for (let i = 0; i < index; i++) {
+      count += node.entries[i].metadata.copies
+    }
+    if (inclusive && this.matches(node.entries, index, data)) {
+      count += node.entries[index].metadata.copies
+    }
+    return count
+  }
+
+  /**
+   *  Checks that entries and keys are in order, that nodes are neither too
+   *  full nor too empty, that all leaves are at the same depth and linked in
+   *  order, and that sizes add up. Runtime: `O(n)`
+   *
+   *  @returns {boolean} `true` if the tree is valid
+   *  @throws {Error} describing the first rule found broken
+   */
+  validate() {
+    const leaves = []
+    if (this._root) {
+      this.validateNode(this._root, null, null, this.height, leaves)
+    }
+
+    leaves.forEach((leaf, index) => {
+      if (leaf.previous !== (leaves[index - 1] || null) || leaf.next !== (leaves[index + 1] || null)) {
+        throw new Error(`Leaf ${leaf.entries[0].data} is linked out of order`)
+      }
+    })
+
+    const size = this._root ? this._root.size : 0
+    if (size !== this._count) {
+      throw new Error(`Tree counts ${this._count} items but holds ${size}`)
+    }
+    return true
+  }
+
+  /**
+   *  Validates the subtree rooted at `node`, whose data must sort from `low`
+   *  (inclusive) to `high` (exclusive), if given. Collects the leaves in
+   *  order.
+   *  @private
+   */
+  validateNode(node, low, high, height, leaves) {
+    const items = node.isLeaf ? node.entries.map(entry => entry.data) : node.keys
+    const minimum = node.isLeaf ? Math.max(this._minEntries, 1) : this._minEntries
+
+    if (node !== this._root && items.length < minimum) {
+      throw new Error(`Node ${items[0]} holds too few entries`)
+    }
+    if (items.length > this._maxEntries) {
+      throw new Error(`Node ${items[0]} holds too many entries`)
+    }
+    if (node.isLeaf !== (height === 0)) {
+      throw new Error(`Leaves must all be at the same depth`)
+    }
+    if (!node.isLeaf && (node.entries.length > 0 || node.children.length !== node.keys.length + 1)) {
+      throw new Error(`Node ${items[0]} must have one more child than keys, and no entries`)
+    }
+
+    items.forEach((item, index) => {
+      if (index > 0 && this._compare(items[index - 1], item) >= 0) {
+        throw new Error(`${item} must not come after ${items[index - 1]}`)
+      }
+      if ((low !== null && this._compare(item, low) < 0) || (high !== null && this._compare(item, high) >= 0)) {
+        throw new Error(`${item} is out of the range of its parent's keys`)
+      }
+    })
+
+    if (node.isLeaf) {
+      leaves.push(node)
+    }
+    node.children.forEach((child, index) => {
+      const childLow = index > 0 ? node.keys[index - 1] : low
+      const childHigh = index < node.keys.length ? node.keys[index] : high
+      this.validateNode(child, childLow, childHigh, height - 1, leaves)
+    })
+
+    const size = node.size
+    node.resize()
+    if (node.size !== size) {
+      throw new Error(`Node ${items[0]} has a stale size`)
+    }
+  }
+
+  /**
+   *  Yields the entries from `leaf.entries[index]` on, in order or
+   *  `backwards`, for as long as their data is `within` the range.
+   *  @private
+   */
+  * walk(leaf, index, within, backwards) {
+    while (leaf) {
+      if (index < 0 || index >= leaf.entries.length) {
+        leaf = backwards ? leaf.previous : leaf.next
+        index = backwards && leaf ? leaf.entries.length - 1 : 0
+        continue
+      }
+
+      const entry = leaf.entries[index]
+      if (!within(entry.data)) {
+        return
+      }
+
+      const modifications = this._modifications
+      yield entry
+
+      if (modifications === this._modifications) {
+        index += backwards ? -1 : 1
+      }
+      else {
+        // Leaves may have split or merged, so find the way on from the top
+        leaf = this.leafFor(entry.data)
+        index = leaf ? this.indexIn(leaf.entries, entry.data) : 0
+        if (backwards) {
+          index -= 1
+        }
+        else if (leaf && this.matches(leaf.entries, index, entry.data)) {
+          index += 1
+        }
+      }
+    }
+  }
+
+  /**
+   *  Returns the leaf where `data` is or belongs, or `null` if the tree is
+   *  empty.
+   *  @private
+   */
+  leafFor(data) {
+    let node = this._root
+    while (node && !node.isLeaf) {
+      node = node.children[this.childIndexFor(node, data)]
+    }
+    return node
+  }
+
+  /**
+   *  Returns the index of the child of an internal `node` where `data`
+   *  belongs: the number of keys smaller than or equal to it.
+   *  @private
+   */
+  childIndexFor(node, data) {
+    const { keys } = node
+    let low = 0
+    let high = keys.length
+    while (low < high) {
+      const middle = (low + high) >>> 1
+      if (this._compare(keys[middle], data) <= 0) {
+        low = middle + 1
+      }
+      else {
+        high = middle
+      }
+    }
+    return low
+  }
+
+  /**
+   *  Returns the nodes from the root down to the leaf where `data` belongs,
+   *  with the index of the child taken from each, and the index of `data`
+   *  in the leaf.
+   *
+   *  @private
+   *  @param {any} data
+   *  @returns {Array<{node: BPlusTreeNode, index: number}>}
+   */
+  pathTo(data) {
+    const path = []
+    let node = this._root
+
+    while (!node.isLeaf) {
+      const index = this.childIndexFor(node, data)
+      path.push({ node, index })
+      node = node.children[index]
+    }
+
+    path.push({ node, index: this.indexIn(node.entries, data) })
+    return path
+  }
+
+  /**
+   *  Splits the nodes along `path` which are too full, from the bottom up. A
+   *  leaf hands a copy of the first key of its right half up to its parent,
+   *  while an internal node hands its middle key up. Splitting the root adds
+   *  a level to the tree.
+   *
+   *  @private
+   *  @param {Array<{node: BPlusTreeNode, index: number}>} path
+   */
+  split(path) {
+    for (let depth = path.length - 1; depth >= 0; depth--) {
+      const { node } = path[depth]
+      if (this.lengthOf(node) <= this._maxEntries) {
+        return
+      }
+
+      let right, key
+      if (node.isLeaf) {
+        right = new BPlusTreeNode(node.entries.splice(Math.floor(node.entries.length / 2)))
+        key = right.entries[0].data
+        this.link(node, right)
+      }
+      else {
+        const middle = Math.floor(node.keys.length / 2)
+        right = new BPlusTreeNode([], node.children.splice(middle + 1), node.keys.splice(middle + 1))
+        key = node.keys.pop()
+      }
+      node.resize()
+
+      if (depth === 0) {
+        this._root = new BPlusTreeNode([], [node, right], [key])
+      }
+      else {
+        const { node: parent, index } = path[depth - 1]
+        parent.keys.splice(index, 0, key)
+        parent.children.splice(index + 1, 0, right)
+      }
+    }
+  }
+
+  /**
+   *  Brings `parent.children[index]` back to at least half full by moving an
+   *  entry, or a key and child, over from a sibling, or else merging it with
+   *  one.
+   *  @private
+   */
+  fill(parent, index) {
+    const node = parent.children[index]
+    const left = parent.children[index - 1]
+    const right = parent.children[index + 1]
+
+    if (left && this.lengthOf(left) > this._minEntries) {
+      if (node.isLeaf) {
+        node.entries.unshift(left.entries.pop())
+        parent.keys[index - 1] = node.entries[0].data
+      }
+      else {
+        node.keys.unshift(parent.keys[index - 1])
+        parent.keys[index - 1] = left.keys.pop()
+        node.children.unshift(left.children.pop())
+      }
+      left.resize()
+      node.resize()
+    }
+    else if (right && this.lengthOf(right) > this._minEntries) {
+      if (node.isLeaf) {
+        node.entries.push(right.entries.shift())
+        parent.keys[index] = right.entries[0].data
+      }
+      else {
+        node.keys.push(parent.keys[index])
+        parent.keys[index] = right.keys.shift()
+        node.children.push(right.children.shift())
+      }
+      right.resize()
+      node.resize()
+    }
+    else {
+      this.merge(parent, left ? index - 1 : index)
+    }
+  }
+
+  /**
+   *  Merges `parent.children[index + 1]` into `parent.children[index]`. For
+   *  internal nodes, the key between the two comes down from the parent.
+   *  @private
+   */
+  merge(parent, index) {
+    const left = parent.children[index]
+    const right = parent.children[index + 1]
+
+    if (left.isLeaf) {
+      left.entries.push(...right.entries)
+      this.unlink(right)
+    }
+    else {
+      left.keys.push(parent.keys[index], ...right.keys)
+      left.children.push(...right.children)
+    }
+    parent.keys.splice(index, 1)
+    parent.children.splice(index + 1, 1)
+    left.resize()
+  }
+
+  /**
+   *  Builds the leaves for sorted `entries` and links them, then the levels
+   *  above them, each as full as the nodes below allow while keeping every
+   *  node at least half full.
+   *
+   *  @private
+   *  @param {BTree.Entry[]} entries
+   */
+  load(entries) {
+    if (entries.length === 0) {
+      this._root = null
+      return
+    }
+
+    let level = share(entries, this._maxEntries).map(group => new BPlusTreeNode(group))
+    level.reduce((previous, leaf) => {
+      this.link(previous, leaf)
+      return leaf
+    })
+
+    // The smallest data under each node, which becomes its key in the parent
+    let lowest = level.map(leaf => leaf.entries[0].data)
+    while (level.length > 1) {
+      const groups = share(level.map((node, index) => index), this._order)
+      level = groups.map(group => new BPlusTreeNode(
+        [],
+        group.map(index => level[index]),
+        group.slice(1).map(index => lowest[index])
+      ))
+      lowest = groups.map(group => lowest[group[0]])
+    }
+
+    this._root = level[0]
+  }
+
+  /** @private */
+  lengthOf(node) {
+    return node.isLeaf ? node.entries.length : node.keys.length
+  }
+
+  /**
+   *  Links the new `leaf` in right after `previous`.
+   *  @private
+   */
+  link(previous, leaf) {
+    leaf.previous = previous
+    leaf.next = previous.next
+    if (previous.next) {
+      previous.next.previous = leaf
+    }
+    previous.next = leaf
+  }
+
+  /** @private */
+  unlink(leaf) {
+    if (leaf.previous) {
+      leaf.previous.next = leaf.next
+    }
+    if (leaf.next) {
+      leaf.next.previous = leaf.previous
+    }
+  }
+}
+
+/**
+ *  Splits `items` into as few groups of at most `most` items as possible,
+ *  as evenly as possible.
+ *  @private
+ */
+function share(items, most) {
+  const count = Math.ceil(items.length / most)
+  const groups = []
+
+  let from = 0
+  for (let group = 0; group < count; group++) {
+    const length = Math.floor(items.length / count) + (group < items.length % count ? 1 : 0)
+    groups.push(items.slice(from, from + length))
+    from += length
+  }
+  return groups
+}
+
+module.exports = BPlusTree
@@ -0,0 +1,31 @@
+const BTreeNode = require("./btreeNode")
+
+/**
+ *  A node of a {@link BPlusTree}. Only leaves hold entries. Internal nodes
+ *  hold `keys` instead, which only route searches: the data of
+ *  `children[i]` sorts before `keys[i]`, and the data of `children[i + 1]`
+ *  sorts after or equal to it.
+ *
+ *  Leaves link to the leaves before and after them, so that the entries can
+ *  be walked in order without going back up the tree.
+ *
+ *  @class
+ */
+class BPlusTreeNode extends BTreeNode {
+  /**
+   *  @constructor
+   *  @param {BTree.Entry[]} [entries=[]] in sorted order, for a leaf
+   *  @param {BPlusTreeNode[]} [children=[]] for an internal node
+   *  @param {any[]} [keys=[]] one fewer than `children`, for an internal node
+   */
+  constructor(entries = [], children = [], keys = []) {
+    super(entries, children)
+    this.keys = keys
+    /** @type {?BPlusTreeNode} */
+    this.previous = null
+    /** @type {?BPlusTreeNode} */
+    this.next = null
+  }
+}
+
+module.exports = BPlusTreeNode
@@ -1,6 +1,8 @@
 const BinaryTreeNode = require("./bstNode")
 const Queue = require("../linear").Queue
 const Stack = require("../linear").Stack
+const Errors = require("../errors")
+const { NaturalOrder } = require("../toolbox/compare")
 
 /**
  *  Binary Search Tree is a specialised binary tree where the children
@@ -13,16 +15,28 @@ const Stack = require("../linear").Stack
  *  All binary search trees must have a root node. Nodes may need re-ordering
  *  after each insert/delete operation to keep the left-parent-right constraint.
  * 
+ *  Every node keeps the size of its subtree in `node.metadata.size`, which lets
+ *  the tree answer order statistics, such as the rank of an item, the kth 
+ *  smallest item or percentiles, in `O(h)` where h is the height of the tree. 
+ *  That is `O(log n)` on self-balancing trees.
+ * 
  *  **The data stored in BinarySearchTree must support comparison operations such**
- *  **as `<`, `>`, `==` in a coherent manner.** Failing to ensure this will result 
- *  in undefined behaviour.
+ *  **as `<`, `>`, `==` in a coherent manner**, unless a `comparator` is given. 
+ *  Failing to ensure this will result in undefined behaviour.
  * 
  *  @class
  */
 class BinarySearchTree {
-  constructor() {
+  /**
+   *  @constructor
+   *  @param {Comparator} [comparator=NaturalOrder] decides the order of two items; 
+   *    items for which it returns `0` are stored as copies of the same node. See
+   *    `toolbox/compare`.
+   */
+  constructor(comparator = NaturalOrder) {
     this._root = null
     this._count = 0 
+    this._compare = comparator
   }
 
   /**
@@ -33,6 +47,14 @@ class BinarySearchTree {
     return this._count
   }
 
+  /**
+   *  Returns the comparator which decides the order of data in the tree.
+   *  @returns {Comparator}
+   */
+  get comparator() {
+    return this._compare
+  }
+
   /**
    *  Returns the node having the "smallest" value of data in the entire tree.
    *  @returns {BinaryTreeNode} smallest node
@@ -41,6 +63,16 @@ class BinarySearchTree {
     return this.getLeftmost().data
   }
 
+  /**
+   *  Returns the median of the data in the tree, counting every copy. For an even
+   *  count, returns the lower of the two middle items. Returns `null` if the tree 
+   *  is empty. Runtime: `O(h)`
+   *  @returns {?any} median
+   */
+  get median() {
+    return this._count > 0 ? this.select(Math.floor((this._count - 1) / 2)) : null
+  }
+
   /**
    *  Returns the node having the "largest" value of data in the entire tree.
    *  @returns {BinaryTreeNode} largest node
@@ -54,18 +86,16 @@ class BinarySearchTree {
    *  @returns {string}
    */
   toString() {
-    return JSON.stringify({
-      count: this._count,
-      nodes: this._root.toJSON()
-    })
+    return `{"count":${this._count},"nodes":${stringify(this._root)}}`
   }
 
   /**
    *  Inserts the a new node into the tree and attachs the given `data` to it.  
-   *  `data` must be a type which supports logical operations of `==`, `<=`, `>=`.
+   *  `data` must be a type which supports logical operations of `==`, `<=`, `>=`,
+   *  or one the tree's comparator understands.
    * 
    *  - If the tree is empty, the newly created node is added as root.
-   *  - If the `data` is already in a tree node (== equality), simply increments the `copies` 
+   *  - If the `data` is already in a tree node (comparator returns 0), simply increments the `copies` 
    *    value of that {@link BinaryTreeNode} (`node.metadata.copies`).
    * 
    *  Returns the newly added node.
@@ -85,14 +115,15 @@ class BinarySearchTree {
     const { node, parent } = this.findNode(data)
     if (node) {
       node.metadata.copies += 1
+      this.updateSizes(node)
     }
-    else if (data < parent.data) {
+    else if (this._compare(data, parent.data) < 0) {
       parent.leftChild = newNode
-      newNode._parentSide = "left"
+      this.updateSizes(parent)
     }
     else {
       parent.rightChild = newNode
-      newNode._parentSide = "right"
+      this.updateSizes(parent)
     }
 
     this._count += 1
@@ -100,7 +131,7 @@ class BinarySearchTree {
   }
 
   /**
-   *  Returns the tree node containing `data` (== equality) or `null` if none.
+   *  Returns the tree node containing `data` (comparator returns 0) or `null` if none.
    *  
    *  @param {BinaryTreeNode} data
    *  @returns {?BinaryTreeNode}
@@ -110,7 +141,164 @@ class BinarySearchTree {
   }
 
   /**
-   *  Recursively finds the node matching the `data` (== equality)। If no match 
+   *  Returns the node with the largest data less than or equal to `data`, or 
+   *  `null` if there is none. Runtime: `O(h)` where h is the height of the tree.
+   * 
+   *  @param {any} data
+   *  @returns {?BinaryTreeNode}
+   */
+  floor(data) {
+    return this.findClosest(data, true, true)
+  }
+
+  /**
+   *  Returns the node with the smallest data greater than or equal to `data`, or 
+   *  `null` if there is none. Runtime: `O(h)` where h is the height of the tree.
+   * 
+   *  @param {any} data
+   *  @returns {?BinaryTreeNode}
+   */
+  ceiling(data) {
+    return this.findClosest(data, false, true)
+  }
+
+  /**
+   *  Returns the node with the largest data strictly less than `data`, or `null`
+   *  if there is none. Runtime: `O(h)` where h is the height of the tree.
+   * 
+   *  @param {any} data
+   *  @returns {?BinaryTreeNode}
+   */
+  lower(data) {
+    return this.findClosest(data, true, false)
+  }
+
+  /**
+   *  Returns the node with the smallest data strictly greater than `data`, or 
+   *  `null` if there is none. Runtime: `O(h)` where h is the height of the tree.
+   * 
+   *  @param {any} data
+   *  @returns {?BinaryTreeNode}
+   */
+  higher(data) {
+    return this.findClosest(data, false, false)
+  }
+
+  /**
+   *  Walks down from the root keeping track of the last node seen on the
+   *  requested side of `data`. That node is the closest one to `data`.
+   * 
+   *  @private
+   *  @param {any} data
+   *  @param {boolean} below `true` to look for smaller data, `false` for larger
+   *  @param {boolean} inclusive whether a node matching `data` is acceptable
+   *  @returns {?BinaryTreeNode}
+   */
+  findClosest(data, below, inclusive) {
+    let node = this._root
+    let closest = null
+
+    while (node) {
+      const order = this._compare(data, node.data)
+      if (order === 0 && inclusive) {
+        return node
+      }
+
+      if (below ? order > 0 : order < 0) {
+        closest = node
+        node = below ? node.rightChild : node.leftChild
+      }
+      else {
+        node = below ? node.leftChild : node.rightChild
+      }
+    }
+
+    return closest
+  }
+
+  /**
+   *  Returns the node which comes right after `node` in an in-order traversal,
+   *  or `null` if `node` is the last one. Runtime: `O(h)`, but walking the whole 
+   *  tree this way takes `O(n)` in total.
+   * 
+   *  @param {BinaryTreeNode} node
+   *  @returns {?BinaryTreeNode}
+   */
+  successor(node) {
+    if (node.rightChild) {
+      return this.getLeftmost(node.rightChild)
+    }
+
+    let current = node
+    while (current.isRightChild) {
+      current = current.parent
+    }
+    return current.parent
+  }
+
+  /**
+   *  Returns the node which comes right before `node` in an in-order traversal,
+   *  or `null` if `node` is the first one. Runtime: `O(h)`, but walking the whole 
+   *  tree this way takes `O(n)` in total.
+   * 
+   *  @param {BinaryTreeNode} node
+   *  @returns {?BinaryTreeNode}
+   */
+  predecessor(node) {
+    if (node.leftChild) {
+      return this.getRightmost(node.leftChild)
+    }
+
+    let current = node
+    while (current.isLeftChild) {
+      current = current.parent
+    }
+    return current.parent
+  }
+
+  /**
+   *  Iterates over the nodes with data between `low` and `high` (both
+   *  inclusive), in order, stepping from each node to its successor. The
+   *  step is taken before the node is yielded, so that removing the node
+   *  doesn't derail the iteration.
+   *
+   *  Runtime: `O(h + k)` where k is the number of nodes yielded
+   *
+   *  @param {any} low
+   *  @param {any} high
+   *  @yields {BinaryTreeNode}
+   */
+  * range(low, high) {
+    let node = this.ceiling(low)
+    while (node && this._compare(node.data, high) <= 0) {
+      const next = this.successor(node)
+      yield node
+      node = next
+    }
+  }
+
+  /**
+   *  Iterates over the nodes with data between `low` and `high` (both
+   *  inclusive), from `high` down to `low`, like [range]{@link BinarySearchTree#range}
+   *  backwards.
+   *
+   *  Runtime: `O(h + k)` where k is the number of nodes yielded
+   *
+   *  @param {any} low
+   *  @param {any} high
+   *  @yields {BinaryTreeNode}
+   */
+  * descendingRange(low, high) {
+    let node = this.floor(high)
+    while (node && this._compare(node.data, low) >= 0) {
+      const previous = this.predecessor(node)
+      yield node
+      node = previous
+    }
+  }
+
+  /**
+   *  Walks down to the node matching the `data` (comparator returns 0). If no match 
    *  is found, returns the `parent` to which a new node with this `data` must 
    *  be attached.
    * 
@@ -119,19 +307,21 @@ class BinarySearchTree {
    *  @private
    *  @param {any} data
    *  @param {BinaryTreeNode} node node to search from; default is root
-   *  @param {BinaryTreeNode} parent used to keep track of parent (set when recursing)
+   *  @param {BinaryTreeNode} parent parent of `node`
    *  @returns {object}
    */
   findNode(data, node = this._root, parent = null) {
-    if (!node || node.data == data) {
-      return { node, parent }
-    }
+    while (node) {
+      const order = this._compare(data, node.data)
+      if (order === 0) {
+        break
+      }
 
-    if (data < node.data) {
-      return this.findNode(data, node.leftChild, node)
+      parent = node
+      node = order < 0 ? node.leftChild : node.rightChild
     }
 
-    return this.findNode(data, node.rightChild, node)
+    return { node, parent }
   }
 
   /**
@@ -151,7 +341,7 @@ class BinarySearchTree {
    *  @returns {?BinaryTreeNode} node
    */
   remove(data, copies = '*') {
-    const { node, parent } = this.findNode(data)
+    const node = this.find(data)
     if (!node) { return null }
 
     // Update node metadata and check if the node needs to be actually 
@@ -170,32 +360,115 @@ class BinarySearchTree {
 
     if (node.metadata.copies >= 1) {
       // Nothing needs to deleted, some copies remain
+      this.updateSizes(node)
       return node
     }
 
     // Only 1 or fewer copies remain. Node must be removed from the tree.
-    const heir = this.makeSubtreeWithoutParent(node)
-    if (node === this._root) {
-      // Set the remaining subtree as the root and clear reference
+    this.removeNode(node)
+    this._count -= 1
+    return node
+  }
+
+  /**
+   *  Unlinks the given `node` from the tree, whatever its copies. Subclasses
+   *  override this to restore their invariants after a removal.
+   * 
+   *  @private
+   *  @param {BinaryTreeNode} node node to be unlinked
+   */
+  removeNode(node) {
+    const parent = node.parent
+    this.replaceNode(node, this.makeSubtreeWithoutParent(node))
+
+    // If both children survived, the left subtree now hangs from the leftmost
+    // node of the right subtree. Sizes change all the way up from there.
+    this.updateSizes(node.leftChild && node.rightChild ? node.leftChild.parent : parent)
+  }
+
+  /**
+   *  Recomputes `metadata.size` of `node` and all its ancestors. Runtime: `O(h)`
+   * 
+   *  @private
+   *  @param {?BinaryTreeNode} node lowest node whose subtree changed
+   */
+  updateSizes(node) {
+    for (let current = node; current; current = current.parent) {
+      updateSize(current)
+    }
+  }
+
+  /**
+   *  Puts `replacement` (and its subtree) where `node` hangs in the tree. If `node` 
+   *  was the root, `replacement` becomes the new root.
+   * 
+   *  @private
+   *  @param {BinaryTreeNode} node node to be replaced
+   *  @param {?BinaryTreeNode} replacement
+   */
+  replaceNode(node, replacement) {
+    const parent = node.parent
+
+    if (!parent) {
+      // Set the replacement as the root and clear reference
       // to the old parent
-      this._root = heir
-      if (this._root) { this._root.parent = null }
+      this._root = replacement
+      if (replacement) { replacement.parent = null }
     }
     else if (node.isLeftChild) {
-      parent.leftChild = heir
-      if (heir) {
-        heir._parentSide = "left"
-      }
+      parent.leftChild = replacement
     }
     else {
-      parent.rightChild = heir
-      if (heir) {
-        heir._parentSide = "right"
-      }
+      parent.rightChild = replacement
     }
+  }
 
-    this._count -= 1
-    return node
+  /**
+   *  Rotates the subtree rooted at `node` to the left, so that its right child
+   *  takes its place. The in-order sequence of the tree remains unchanged.
+   * 
+   *         10                    30
+   *        /  \                  /  \
+   *       5    30     ---->    10    40
+   *           /  \            /  \
+   *          15   40          5   15
+   * 
+   *  Returns the new root of the subtree.
+   * 
+   *  @private
+   *  @param {BinaryTreeNode} node
+   *  @returns {BinaryTreeNode} new root of the subtree
+   */
+  rotateLeft(node) {
+    const pivot = node.rightChild
+    this.replaceNode(node, pivot)
+    node.rightChild = pivot.leftChild
+    pivot.leftChild = node
+
+    updateSize(node)
+    updateSize(pivot)
+    return pivot
+  }
+
+  /**
+   *  Rotates the subtree rooted at `node` to the right, so that its left child
+   *  takes its place. The mirror image of [rotateLeft]{@link BinarySearchTree#rotateLeft}.
+   * 
+   *  Returns the new root of the subtree.
+   * 
+   *  @private
+   *  @param {BinaryTreeNode} node
+   *  @returns {BinaryTreeNode} new root of the subtree
+   */
+  rotateRight(node) {
+    const pivot = node.leftChild
+    this.replaceNode(node, pivot)
+    node.leftChild = pivot.rightChild
+    pivot.rightChild = node
+
+    updateSize(node)
+    updateSize(pivot)
+    return pivot
   }
 
   /**
@@ -221,14 +494,118 @@ class BinarySearchTree {
     if (parent.rightChild) {
       const leftmost = this.getLeftmost(parent.rightChild)
       leftmost.leftChild = parent.leftChild
-      if (parent.leftChild) {
-        parent.leftChild._parentSide = "left"
-      }
       return parent.rightChild
     }
     return parent.leftChild
   }
 
+  /**
+   *  Returns the number of items in the tree, copies included, which are strictly
+   *  smaller than `data`. That is also the 0-based position `data` has, or would 
+   *  have, in the sorted sequence of items. Runtime: `O(h)`
+   * 
+   *  @param {any} data
+   *  @returns {number}
+   *  @example
+   *  // Given a tree with 10, 20, 20, 30
+   *  tree.rank(20)   // 1
+   *  tree.rank(25)   // 3
+   */
+  rank(data) {
+    return this.countBelow(data, false)
+  }
+
+  /**
+   *  Returns the kth smallest item in the tree, counting every copy. `k` is 0-based,
+   *  so `select(0)` is the same as `min`. Runtime: `O(h)`
+   * 
+   *  @param {number} k
+   *  @returns {any}
+   *  @throws {OutOfBoundsError} if `k` is negative or not less than `count`
+   */
+  select(k) {
+    if (k < 0 || k >= this._count) {
+      throw new Errors.OutOfBoundsError()
+    }
+
+    let node = this._root
+    let remaining = Math.floor(k)
+
+    while (node) {
+      const leftSize = sizeOf(node.leftChild)
+      if (remaining < leftSize) {
+        node = node.leftChild
+      }
+      else if (remaining < leftSize + node.metadata.copies) {
+        return node.data
+      }
+      else {
+        remaining -= leftSize + node.metadata.copies
+        node = node.rightChild
+      }
+    }
+  }
+
+  /**
+   *  Returns the item at the `p`th percentile, using the nearest-rank method: the
+   *  smallest item which is greater than or equal to `p` percent of all items.
+   *  Runtime: `O(h)`
+   * 
+   *  @param {number} p a number ∈ [0, 100]
+   *  @returns {any}
+   *  @throws {OutOfBoundsError} if `p` is outside [0, 100] or the tree is empty
+   *  @example
+   *  latencies.percentile(99)  // p99 latency
+   */
+  percentile(p) {
+    if (p < 0 || p > 100) {
+      throw new Errors.OutOfBoundsError("Percentile must be between 0 and 100")
+    }
+    return this.select(Math.max(Math.ceil(p / 100 * this._count) - 1, 0))
+  }
+
+  /**
+   *  Returns the number of items in the tree, copies included, between `low` and
+   *  `high` (both inclusive). Runtime: `O(h)`
+   * 
+   *  @param {any} low
+   *  @param {any} high
+   *  @returns {number}
+   */
+  countInRange(low, high) {
+    return Math.max(this.countBelow(high, true) - this.countBelow(low, false), 0)
+  }
+
+  /**
+   *  Counts the items, copies included, smaller than `data`, or smaller than
+   *  or equal to it if `inclusive` is `true`.
+   * 
+   *  @private
+   *  @param {any} data
+   *  @param {boolean} inclusive whether copies of `data` are counted
+   *  @returns {number}
+   */
+  countBelow(data, inclusive) {
+    let node = this._root
+    let count = 0
+
+    while (node) {
+      const order = this._compare(data, node.data)
+      if (order < 0) {
+        node = node.leftChild
+      }
+      else if (order === 0) {
+        return count + sizeOf(node.leftChild) + (inclusive ? node.metadata.copies : 0)
+      }
+      else {
+        count += sizeOf(node.leftChild) + node.metadata.copies
+        node = node.rightChild
+      }
+    }
+
+    return count
+  }
+
   /**
    *  Breadth-first searches the tree level by level starting at the root. It visits
    *  the root, then the children of the root, then their children and so on. So for
@@ -317,17 +694,31 @@ class BinarySearchTree {
   /**
    *  For a binary tree, an in-order traversal returns values sorted in ascending
    *  order.
+   * 
+   *  The traversals keep the nodes still to visit on a [Stack]{@link Stack}
+   *  rather than recursing, so they work however deep the tree is.
    *  
    *  @param {BinaryTreeNode} node
    *  @yields {BinaryTreeNode}
    */
   * traverseInOrderly(node = this._root) {
-    if (node && node.leftChild) {
-      yield* this.traverseInOrderly(node.leftChild)
+    if (!node) {
+      yield node
+      return
     }
-    yield node
-    if (node && node.rightChild) {
-      yield* this.traverseInOrderly(node.rightChild)
+
+    const stack = new Stack()
+    let current = node
+
+    while (current || stack.depth > 0) {
+      while (current) {
+        stack.push(current)
+        current = current.leftChild
+      }
+
+      current = stack.pop()
+      yield current
+      current = current.rightChild
     }
   }
 
@@ -340,13 +731,19 @@ class BinarySearchTree {
    *  @yields {BinaryTreeNode}
    */
   * traversePreOrderly(node = this._root) {
-    yield node
-    
-    if (node.leftChild) {
-      yield* this.traversePreOrderly(node.leftChild)
-    }
-    if (node.rightChild) {
-      yield* this.traversePreOrderly(node.rightChild)
+    const stack = new Stack()
+    stack.push(node)
+
+    while (stack.depth > 0) {
+      const current = stack.pop()
+      yield current
+
+      if (current.rightChild) {
+        stack.push(current.rightChild)
+      }
+      if (current.leftChild) {
+        stack.push(current.leftChild)
+      }
     }
   }
 
@@ -361,31 +758,103 @@ class BinarySearchTree {
    *  @yields {BinaryTreeNode} 
    */
   * traversePostOrderly(node = this._root) {
-    if (node.leftChild) {
-      yield* this.traversePostOrderly(node.leftChild)
-    }
-    if (node.rightChild) {
-      yield* this.traversePostOrderly(node.rightChild)
+    const stack = new Stack()
+    let current = node
+    let visited = null
+
+    while (current || stack.depth > 0) {
+      if (current) {
+        stack.push(current)
+        current = current.leftChild
+        continue
+      }
+
+      // Go right once, then yield the node on the way back up
+      const top = stack.pop()
+      if (top.rightChild && top.rightChild !== visited) {
+        stack.push(top)
+        current = top.rightChild
+      }
+      else {
+        visited = top
+        yield visited
+      }
     }
-    yield node
   }
 
   /** @private */
   getRightmost(node = this._root) {
-    if (!node || !node.rightChild) {
-      return node
+    while (node && node.rightChild) {
+      node = node.rightChild
     }
-    return this.getRightmost(node.rightChild)
+    return node
   }
 
   /** @private */
   getLeftmost(node = this._root) {
-    if (!node || !node.leftChild) {
+    while (node && node.leftChild) {
+      node = node.leftChild
+    }
+    return node
+  }
+}
 
-      return node
+/**
+ *  Serialises the subtree rooted at `node` as `JSON.stringify(node.toJSON())`
+ *  would. `JSON.stringify` recurses once per level of nesting, so this writes
+ *  the nodes off a stack instead.
+ *  @private
+ */
+function stringify(node) {
+  if (!node) {
+    return "null"
+  }
+
+  let json = ""
+  const stack = [node]
+
+  while (stack.length > 0) {
+    const item = stack.pop()
+    if (typeof item === "string") {
+      json += item
+      continue
+    }
+
+    const { leftChild: left, rightChild: right } = item
+    json += `{"data":${JSON.stringify(item.data)},"metadata":${JSON.stringify(item.metadata)}`
+    if (!left && !right) {
+      json += "}"
+      continue
+    }
+
+    // Pushed in reverse, so that they are written in order
+    stack.push("}}")
+    if (right) {
+      stack.push(right, left ? `,"right":` : `"right":`)
+    }
+    if (left) {
+      stack.push(left, `"left":`)
     }
-    return this.getLeftmost(node.leftChild)
+    stack.push(`,"children":{`)
   }
+
+  return json
+}
+
+/** 
+ *  Size of the subtree rooted at `node`, 0 for an empty subtree.
+ *  @private 
+ */
+function sizeOf(node) {
+  return node ? node.metadata.size : 0
+}
+
+/** 
+ *  Recomputes `metadata.size` of `node` from its children. Runtime: `O(1)`
+ *  @private 
+ */
+function updateSize(node) {
+  node.metadata.size = sizeOf(node.leftChild) + sizeOf(node.rightChild) + node.metadata.copies
 }
 
 module.exports = BinarySearchTree
@@ -15,15 +15,20 @@ class BinaryTreeNode {
     /** @private */
     this._right = null
     /** @private */
+    this._parent = null
+    /** @private */
     this._parentSide = null
 
     /** 
      *  Holds metadata about the node, like duplicity, colour (for visualisations),
      *  or any other custom data points needed.
+     *  
+     *  `size` is the number of copies held by the node and all its descendants.
      *  @type {object}
      */
     this.metadata = {
-      copies: 1
+      copies: 1,
+      size: 1
     }
   }
 
@@ -35,6 +40,28 @@ class BinaryTreeNode {
     return this._data
   }
 
+  /**
+   *  Return the node's parent, or `null` if the node is a root or detached.
+   *  @private
+   *  @returns {?BinaryTreeNode}
+   */
+  get parent() {
+    return this._parent
+  }
+
+  /**
+   *  Sets the node's parent. Setting it to `null` also forgets which side of
+   *  the parent the node used to hang on.
+   *  @private
+   *  @param {?BinaryTreeNode}
+   */
+  set parent(node) {
+    this._parent = node
+    if (!node) {
+      this._parentSide = null
+    }
+  }
+
   /**
    *  Return the node's left child, or `null` if the node has none.
    *  @private
@@ -45,12 +72,16 @@ class BinaryTreeNode {
   }
 
   /**
-   *  Sets the node's left child.
+   *  Sets the node's left child, and points the child back at this node.
    *  @private
-   *  @param {BinaryTreeNode}
+   *  @param {?BinaryTreeNode}
    */
   set leftChild(node) {
     this._left = node
+    if (node) {
+      node._parent = this
+      node._parentSide = "left"
+    }
   }
 
   /** @private */
@@ -68,12 +99,16 @@ class BinaryTreeNode {
   }
 
   /**
-   *  Sets the node's right child.
+   *  Sets the node's right child, and points the child back at this node.
    *  @private
-   *  @param {BinaryTreeNode}
+   *  @param {?BinaryTreeNode}
    */
   set rightChild(node) {
     this._right = node
+    if (node) {
+      node._parent = this
+      node._parentSide = "right"
+    }
   }
 
   /** @private */
@@ -86,14 +121,40 @@ class BinaryTreeNode {
    *  @returns {object}
    */
   toJSON() {
-    return {
-      data: this._data,
-      metadata: this.metadata,
-      children: (this._left || this._right) ? {
-        left: this._left ? this._left.toJSON() : undefined,
-        right: this._right ? this._right.toJSON() : undefined
-      } : undefined
+    const json = jsonOf(this)
+
+    // Children are filled in off a stack rather than by recursion, so that
+    // deep trees don't run out of call stack
+    const stack = [[this, json]]
+    while (stack.length > 0) {
+      const [node, target] = stack.pop()
+      if (!node._left && !node._right) {
+        continue
+      }
+
+      target.children = { left: undefined, right: undefined }
+      for (const side of ["left", "right"]) {
+        const child = side === "left" ? node._left : node._right
+        if (child) {
+          target.children[side] = jsonOf(child)
+          stack.push([child, target.children[side]])
+        }
+      }
     }
+
+    return json
+  }
+}
+
+/**
+ *  Returns the object literal for `node`, without its children.
+ *  @private
+ */
+function jsonOf(node) {
+  return {
+    data: node._data,
+    metadata: node.metadata,
+    children: undefined
   }
 }
 
@@ -0,0 +1,552 @@
+const BTreeNode = require("./btreeNode")
+const MultiwayTree = require("./multiway")
+
+/**
+ *  A B-tree is a search tree whose nodes hold many items each, up to one
+ *  fewer than its **order**, with a child between every two of them. Every
+ *  node but the root is at least half full and all leaves are at the same
+ *  depth, so the tree stays balanced whatever the order of insertions, and a
+ *  tree of order 64 holding a million items is only four levels deep.
+ *
+ *  Compared to a {@link BinarySearchTree}, far fewer nodes are allocated and
+ *  followed, and each node keeps its items next to each other in an array,
+ *  which suits very large indexes. Items are stored as entries of the form
+ *  `{ data, metadata }` and equal items as copies of one entry, like in a
+ *  `BinarySearchTree`. The API is the same where it can be, with entries
+ *  where a `BinarySearchTree` would hand out nodes, so a B-tree can back a
+ *  {@link TreeMap}.
+ *
+ *  Sorted items can be loaded in bulk with [fromSorted]{@link BTree.fromSorted}.
+ *  A {@link BPlusTree} is better suited to scanning ranges of items.
+ *
+ *  **The data stored in a BTree must support comparison operations such**
+ *  **as `<`, `>`, `==` in a coherent manner**, unless a `comparator` is given.
+ *
+ *  @class
+ *  @extends MultiwayTree
+ *  @example
+ *  const index = new BTree(NaturalOrder, 128)
+ *  index.add(42)
+ *  index.find(42).metadata.copies   // 1
+ */
+class BTree extends MultiwayTree {
+  /**
+   *  Adds the `data` to the tree. If it is already in an entry (comparator
+   *  returns 0), increments the `copies` of the entry instead. Nodes which
+   *  overflow are split in two, from the leaf up.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @returns {BTree.Entry} the entry holding `data`
+   */
+  add(data) {
+    if (!this._root) {
+      this._root = new BTreeNode()
+    }
+
+    const path = this.pathTo(data)
+    const { node, index } = path[path.length - 1]
+    this._count += 1
+    path.forEach(step => { step.node.size += 1 })
+
+    if (this.matches(node.entries, index, data)) {
+      node.entries[index].metadata.copies += 1
+      return node.entries[index]
+    }
+
+    const entry = this.entryFor(data)
+    node.entries.splice(index, 0, entry)
+    this._modifications += 1
+    this.split(path)
+    return entry
+  }
+
+  /**
+   *  Returns the entry containing `data` (comparator returns 0) or `null` if
+   *  none. Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @returns {?BTree.Entry}
+   */
+  find(data) {
+    let node = this._root
+    while (node) {
+      const index = this.indexIn(node.entries, data)
+      if (this.matches(node.entries, index, data)) {
+        return node.entries[index]
+      }
+      node = node.children[index]
+    }
+    return null
+  }
+
+  /**
+   *  Removes `copies` copies of `data`, all of them by default. The entry
+   *  leaves the tree once no copies remain. An entry taken out of an internal
+   *  node is replaced by the one before it, and nodes left less than half
+   *  full borrow from or merge with a sibling.
+   *
+   *  If no entry is found, returns `null`. Otherwise, returns the removed or
+   *  modified entry. Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @param {number} [copies] number of copies to delete; deletes all by default
+   *  @returns {?BTree.Entry}
+   */
+  remove(data, copies = '*') {
+    if (!this._root) {
+      return null
+    }
+
+    const path = this.pathTo(data)
+    const { node, index } = path[path.length - 1]
+    if (!this.matches(node.entries, index, data)) {
+      return null
+    }
+
+    const entry = node.entries[index]
+    if (this.removeCopies(path, copies)) {
+      return entry
+    }
+
+    if (node.isLeaf) {
+      node.entries.splice(index, 1)
+    }
+    else {
+      // The entry right before sits last in the rightmost leaf of the left subtree
+      let leaf = node.children[index]
+      while (!leaf.isLeaf) {
+        path.push({ node: leaf, index: leaf.children.length - 1 })
+        leaf = leaf.children[leaf.children.length - 1]
+      }
+      path.push({ node: leaf, index: leaf.entries.length - 1 })
+      node.entries[index] = leaf.entries.pop()
+    }
+
+    this._modifications += 1
+    this.rebalance(path)
+    return entry
+  }
+
+  /**
+   *  Iterates over the entries with data between `low` and `high` (both
+   *  inclusive), in order, keeping the way down to the current entry on a
+   *  stack. If the tree changes during the iteration, the walk picks up
+   *  again after the last entry yielded.
+   *
+   *  Runtime: `O(log n)` to find the first entry, then `O(1)` per entry on
+   *  average
+   *
+   *  @param {any} low
+   *  @param {any} high
+   *  @yields {BTree.Entry}
+   */
+  * range(low, high) {
+    yield* this.walk(this.pathFrom(low, true, false), data => this._compare(data, high) <= 0, false)
+  }
+
+  /**
+   *  Iterates over the entries with data between `low` and `high` (both
+   *  inclusive), from `high` down to `low`, like [range]{@link BTree#range}
+   *  backwards.
+   *
+   *  Runtime: `O(log n)` to find the first entry, then `O(1)` per entry on
+   *  average
+   *
+   *  @param {any} low
+   *  @param {any} high
+   *  @yields {BTree.Entry}
+   */
+  * descendingRange(low, high) {
+    yield* this.walk(this.pathFrom(high, true, true), data => this._compare(data, low) >= 0, true)
+  }
+
+  /**
+   *  Iterates over all entries in order, keeping the way down to the current
+   *  entry on a stack. If the tree changes during the iteration, the walk
+   *  picks up again after the last entry yielded.
+   *
+   *  Runtime: `O(n)`
+   *
+   *  @yields {BTree.Entry}
+   */
+  * traverseInOrderly() {
+    yield* this.walk(descend([], this._root, false), () => true, false)
+  }
+
+  /**
+   *  Walks down from the root keeping track of the last entry seen on the
+   *  requested side of `data`. That entry is the closest one to `data`.
+   *
+   *  @private
+   *  @param {any} data
+   *  @param {boolean} below `true` to look for smaller data, `false` for larger
+   *  @param {boolean} inclusive whether an entry matching `data` is acceptable
+   *  @returns {?BTree.Entry}
+   */
+  findClosest(data, below, inclusive) {
+    let node = this._root
+    let closest = null
+
+    while (node) {
+      const index = this.indexIn(node.entries, data)
+      const found = this.matches(node.entries, index, data)
+      if (found && inclusive) {
+        return node.entries[index]
+      }
+
+      // Entries before `index` are smaller than `data`, those from `after` on larger
+      const after = found ? index + 1 : index
+      if (below) {
+        closest = index > 0 ? node.entries[index - 1] : closest
+        node = node.children[index]
+      }
+      else {
+        closest = after < node.entries.length ? node.entries[after] : closest
+        node = node.children[after]
+      }
+    }
+
+    return closest
+  }
+
+  /**
+   *  Counts the items, copies included, smaller than `data`, or smaller than
+   *  or equal to it if `inclusive` is `true`.
+   *
+   *  @private
+   *  @param {any} data
+   *  @param {boolean} inclusive whether copies of `data` are counted
+   *  @returns {number}
+   */
+  countBelow(data, inclusive) {
+    let node = this._root
+    let count = 0
+
+    while (node) {
+      const index = this.indexIn(node.entries, data)
+      for (let i = 0; i < index; i++) {
+        count += node.entries[i].metadata.copies + sizeOf(node.children[i])
+      }
+
+      if (this.matches(node.entries, index, data)) {
+        return count + sizeOf(node.children[index]) + (inclusive ? node.entries[index].metadata.copies : 0)
+      }
+      node = node.children[index]
+    }
+
+    return count
+  }
+
+  /**
+   *  Checks that entries are in order, that nodes are neither too full nor
+   *  too empty, that all leaves are at the same depth and that sizes add up.
+   *  Runtime: `O(n)`
+   *
+   *  @returns {boolean} `true` if the tree is valid
+   *  @throws {Error} describing the first rule found broken
+   */
+  validate() {
+    if (this._root) {
+      this.validateNode(this._root, null, null, this.height)
+    }
+    if (sizeOf(this._root) !== this._count) {
+      throw new Error(`Tree counts ${this._count} items but holds ${sizeOf(this._root)}`)
+    }
+    return true
+  }
+
+  /**
+   *  Validates the subtree rooted at `node`, whose entries must sort between
+   *  the `low` and `high` entries, if any.
+   *  @private
+   */
+  validateNode(node, low, high, height) {
+    const { entries, children } = node
+    if (node !== this._root && entries.length < this._minEntries) {
+      throw new Error(`Node ${entries[0] && entries[0].data} holds too few entries`)
+    }
+    if (entries.length > this._maxEntries) {
+      throw new Error(`Node ${entries[0].data} holds too many entries`)
+    }
+    if (node.isLeaf !== (height === 0)) {
+      throw new Error(`Leaves must all be at the same depth`)
+    }
+    if (!node.isLeaf && children.length !== entries.length + 1) {
+      throw new Error(`Node ${entries[0].data} must have one more child than entries`)
+    }
+
+    const bounds = [low, ...entries, high]
+    for (let i = 1; i < bounds.length; i++) {
+      if (bounds[i - 1] && bounds[i] && this._compare(bounds[i - 1].data, bounds[i].data) >= 0) {
+        throw new Error(`Entry ${bounds[i].data} must not come after ${bounds[i - 1].data}`)
+      }
+    }
+    children.forEach((child, index) => this.validateNode(child, bounds[index], bounds[index + 1], height - 1))
+
+    const size = node.size
+    node.resize()
+    if (node.size !== size) {
+      throw new Error(`Node ${entries[0].data} has a stale size`)
+    }
+  }
+
+  /**
+   *  Returns the nodes from the root down to the one holding `data`, or the
+   *  leaf where it belongs, with the index of `data` in each of them, i.e. of
+   *  the child taken on the way down.
+   *
+   *  @private
+   *  @param {any} data
+   *  @returns {Array<{node: BTreeNode, index: number}>}
+   */
+  pathTo(data) {
+    const path = []
+    let node = this._root
+
+    for (;;) {
+      const index = this.indexIn(node.entries, data)
+      path.push({ node, index })
+      if (node.isLeaf || this.matches(node.entries, index, data)) {
+        return path
+      }
+      node = node.children[index]
+    }
+  }
+
+  /**
+   *  Yields the entries from the one at the end of `path` on, in order or
+   *  `backwards`, for as long as their data is `within` the range. Each step
+   *  of `path` stands for the entry at its `index`, which comes once the
+   *  steps above it are done.
+   *
+   *  @private
+   *  @param {Array<{node: BTreeNode, index: number}>} path from the root
+   *  @param {function(any): boolean} within
+   *  @param {boolean} backwards `true` to walk from larger data to smaller
+   *  @yields {BTree.Entry}
+   */
+  * walk(path, within, backwards) {
+    while (path.length > 0) {
+      const step = path[path.length - 1]
+      if (step.index < 0 || step.index >= step.node.entries.length) {
+        path.pop()
+        continue
+      }
+
+      const entry = step.node.entries[step.index]
+      if (!within(entry.data)) {
+        return
+      }
+
+      const modifications = this._modifications
+      yield entry
+
+      if (modifications === this._modifications) {
+        // The child between this entry and the next one comes first
+        step.index += backwards ? -1 : 1
+        descend(path, step.node.children[backwards ? step.index + 1 : step.index], backwards)
+      }
+      else {
+        // Nodes may have split or merged, so find the way on from the top
+        path = this.pathFrom(entry.data, false, backwards)
+      }
+    }
+  }
+
+  /**
+   *  Returns the path to start a [walk]{@link BTree#walk} at `data`, or at
+   *  the entry right after it, or right before it if going `backwards`, if
+   *  `data` isn't `inclusive`.
+   *
+   *  @private
+   *  @param {any} data
+   *  @param {boolean} inclusive whether an entry matching `data` comes first
+   *  @param {boolean} backwards `true` to walk from larger data to smaller
+   *  @returns {Array<{node: BTreeNode, index: number}>}
+   */
+  pathFrom(data, inclusive, backwards) {
+    if (!this._root) {
+      return []
+    }
+
+    const path = this.pathTo(data)
+    const last = path[path.length - 1]
+    const { index } = last
+    if (backwards) {
+      // Going backwards, the entry before each child taken comes after it
+      path.forEach(step => { step.index -= 1 })
+    }
+
+    if (this.matches(last.node.entries, index, data)) {
+      if (inclusive) {
+        last.index = index
+      }
+      else {
+        // The entries of the child next to `data` come before any other
+        last.index = backwards ? index - 1 : index + 1
+        descend(path, last.node.children[backwards ? index : index + 1], backwards)
+      }
+    }
+    return path
+  }
+
+  /**
+   *  Splits the nodes along `path` which hold too many entries, from the
+   *  bottom up. The middle entry of each moves up into the parent, between
+   *  the two halves. Splitting the root adds a level to the tree.
+   *
+   *  @private
+   *  @param {Array<{node: BTreeNode, index: number}>} path
+   */
+  split(path) {
+    for (let depth = path.length - 1; depth >= 0; depth--) {
+      const { node } = path[depth]
+      if (node.entries.length <= this._maxEntries) {
+        return
+      }
+
+      const middle = Math.floor(node.entries.length / 2)
+      const right = new BTreeNode(node.entries.splice(middle + 1), node.children.splice(middle + 1))
+      const median = node.entries.pop()
+      node.resize()
+
+      if (depth === 0) {
+        this._root = new BTreeNode([median], [node, right])
+      }
+      else {
+        const { node: parent, index } = path[depth - 1]
+        parent.entries.splice(index, 0, median)
+        parent.children.splice(index + 1, 0, right)
+      }
+    }
+  }
+
+  /**
+   *  Brings `parent.children[index]` back to at least half full by taking an
+   *  entry from a sibling through the parent, or else merging it with one.
+   *  @private
+   */
+  fill(parent, index) {
+    const node = parent.children[index]
+    const left = parent.children[index - 1]
+    const right = parent.children[index + 1]
+
+    if (left && left.entries.length > this._minEntries) {
+      node.entries.unshift(parent.entries[index - 1])
+      parent.entries[index - 1] = left.entries.pop()
+      if (!left.isLeaf) {
+        node.children.unshift(left.children.pop())
+      }
+      left.resize()
+      node.resize()
+    }
+    else if (right && right.entries.length > this._minEntries) {
+      node.entries.push(parent.entries[index])
+      parent.entries[index] = right.entries.shift()
+      if (!right.isLeaf) {
+        node.children.push(right.children.shift())
+      }
+      right.resize()
+      node.resize()
+    }
+    else {
+      this.merge(parent, left ? index - 1 : index)
+    }
+  }
+
+  /**
+   *  Merges `parent.children[index + 1]` and the entry between the two into
+   *  `parent.children[index]`.
+   *  @private
+   */
+  merge(parent, index) {
+    const left = parent.children[index]
+    const right = parent.children[index + 1]
+
+    left.entries.push(parent.entries[index], ...right.entries)
+    left.children.push(...right.children)
+    parent.entries.splice(index, 1)
+    parent.children.splice(index + 1, 1)
+    left.resize()
+  }
+
+  /**
+   *  Builds the nodes for sorted `entries` bottom up, as full as the entries
+   *  allow while keeping every node at least half full.
+   *
+   *  @private
+   *  @param {BTree.Entry[]} entries
+   */
+  load(entries) {
+    let height = 0
+    while (this.capacityOf(height) < entries.length) {
+      height += 1
+    }
+    this._root = entries.length > 0 ? this.build(entries, 0, entries.length, height) : null
+  }
+
+  /**
+   *  Returns a subtree of the given `height` holding `entries[start..end)`.
+   *  They are shared out evenly between as few children as can hold them,
+   *  with one entry kept between every two children.
+   *  @private
+   */
+  build(entries, start, end, height) {
+    if (height === 0) {
+      return new BTreeNode(entries.slice(start, end))
+    }
+
+    const count = end - start
+    const childCount = Math.ceil((count + 1) / (this.capacityOf(height - 1) + 1))
+    const shared = count - (childCount - 1)
+    const separators = []
+    const children = []
+
+    let from = start
+    for (let child = 0; child < childCount; child++) {
+      const length = Math.floor(shared / childCount) + (child < shared % childCount ? 1 : 0)
+      children.push(this.build(entries, from, from + length, height - 1))
+      from += length
+      if (child < childCount - 1) {
+        separators.push(entries[from])
+        from += 1
+      }
+    }
+
+    return new BTreeNode(separators, children)
+  }
+
+  /**
+   *  Returns the most entries a subtree of the given `height` can hold.
+   *  @private
+   */
+  capacityOf(height) {
+    return Math.pow(this._order, height + 1) - 1
+  }
+}
+
+/**
+ *  Adds the way down from `node` to its leftmost leaf, or its rightmost one,
+ *  to `path`, which it returns. Leaves `path` as it is for a missing `node`.
+ *  @private
+ */
+function descend(path, node, rightmost) {
+  while (node) {
+    const last = node.entries.length - 1
+    path.push({ node, index: rightmost ? last : 0 })
+    node = node.children[rightmost ? last + 1 : 0]
+  }
+  return path
+}
+
+/**
+ *  Size of the subtree rooted at `node`, 0 for an empty subtree.
+ *  @private
+ */
+function sizeOf(node) {
+  return node ? node.size : 0
+}
+
+module.exports = BTree
@@ -0,0 +1,53 @@
+/**
+ *  A node of a {@link BTree} or a {@link BPlusTree}. Unlike a
+ *  {@link BinaryTreeNode}, it holds many entries side by side, in sorted
+ *  order, so that one node stands for many items.
+ *
+ *  Each entry is of the form `{ data, metadata: { copies } }`, which is the
+ *  shape of a `BinaryTreeNode` as far as reading the data goes. An internal
+ *  node has one more child than it has entries, and the entries of
+ *  `children[i]` sort between `entries[i - 1]` and `entries[i]`.
+ *
+ *  `size` counts the items in the subtree rooted at the node, copies
+ *  included.
+ *
+ *  @class
+ */
+class BTreeNode {
+  /**
+   *  @constructor
+   *  @param {BTree.Entry[]} [entries=[]] in sorted order
+   *  @param {BTreeNode[]} [children=[]] none for a leaf
+   */
+  constructor(entries = [], children = []) {
+    this.entries = entries
+    this.children = children
+    this.size = 0
+    this.resize()
+  }
+
+  /**
+   *  Returns `true` if the node has no children
+   *  @returns {boolean}
+   */
+  get isLeaf() {
+    return this.children.length === 0
+  }
+
+  /**
+   *  Recomputes `size` from the entries and the sizes of the children.
+   *  Runtime: `O(order)`
+   */
+  resize() {
+    let size = 0
+    for (const entry of this.entries) {
+      size += entry.metadata.copies
+    }
+    for (const child of this.children) {
+      size += child.size
+    }
+    this.size = size
+  }
+}
+
+module.exports = BTreeNode
@@ -0,0 +1,162 @@
+const Errors = require("../errors")
+
+/**
+ *  A FenwickTree, or binary indexed tree, keeps the prefix sums of an array of
+ *  numbers up to date as the numbers change. Both changing a number and
+ *  summing any range take `O(log n)`, and the tree takes no more room than the
+ *  array itself.
+ *
+ *  Slot `i` of the tree (counting from 1) holds the sum of the `i & -i` items
+ *  ending at item `i`, i.e. as many items as the lowest set bit of `i` says.
+ *  A prefix sum adds up the slots found by clearing the lowest set bit of the
+ *  index, one at a time. An update goes the other way, adding the lowest set
+ *  bit to reach every slot covering the item.
+ *
+ *  It does less than a {@link SegmentTree}, which handles any associative
+ *  function and range updates, but is smaller and faster at sums.
+ *
+ *  Ranges are half-open, like in `Array.prototype.slice`: `sum(2, 5)` adds up
+ *  the items at index 2, 3 and 4.
+ *
+ *  @class
+ *  @example
+ *  const sales = new FenwickTree([4, 0, 2, 7])
+ *  sales.add(1, 3)
+ *  sales.sum(0, 2)   // 7
+ *  sales.sum()       // 16
+ */
+class FenwickTree {
+  /**
+   *  Builds the tree from the given `items` in `O(n)`.
+   *
+   *  @constructor
+   *  @param {Iterable} [items=[]] numbers, e.g. an array, a typed array or
+   *    a generator
+   */
+  constructor(items = []) {
+    const values = Array.from(items)
+
+    /**
+     *  Partial sums, from index 1 on
+     *  @private
+     */
+    this._sums = [0].concat(values)
+    for (let index = 1; index < this._sums.length; index++) {
+      const parent = index + lowestBit(index)
+      if (parent < this._sums.length) {
+        this._sums[parent] += this._sums[index]
+      }
+    }
+  }
+
+  /**
+   *  Returns the number of items
+   *  @returns {number}
+   */
+  get count() {
+    return this._sums.length - 1
+  }
+
+  /**
+   *  Adds `delta` to the item at the given `index`. Returns the FenwickTree
+   *  instance to allow chaining of commands.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {number} index
+   *  @param {number} delta
+   *  @returns {FenwickTree} the FenwickTree instance
+   *  @throws {OutOfBoundsError}
+   */
+  add(index, delta) {
+    this.checkIndex(index)
+    for (let slot = index + 1; slot < this._sums.length; slot += lowestBit(slot)) {
+      this._sums[slot] += delta
+    }
+    return this
+  }
+
+  /**
+   *  Replaces the item at the given `index` with `value`. Returns the
+   *  FenwickTree instance to allow chaining of commands.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {number} index
+   *  @param {number} value
+   *  @returns {FenwickTree} the FenwickTree instance
+   *  @throws {OutOfBoundsError}
+   */
+  set(index, value) {
+    return this.add(index, value - this.get(index))
+  }
+
+  /**
+   *  Returns the item at the given `index`.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {number} index
+   *  @returns {number}
+   *  @throws {OutOfBoundsError}
+   */
+  get(index) {
+    this.checkIndex(index)
+    return this.sum(index, index + 1)
+  }
+
+  /**
+   *  Returns the sum of the items in the range `[start, end)`, or 0 if the
+   *  range is empty.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {number} [start=0]
+   *  @param {number} [end=count]
+   *  @returns {number}
+   *  @throws {OutOfBoundsError} if the range runs past the items
+   */
+  sum(start = 0, end = this.count) {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > this.count) {
+      throw new Errors.OutOfBoundsError(`Range [${start}, ${end}) is out of [0, ${this.count})`)
+    }
+    return start < end ? this.prefixSum(end) - this.prefixSum(start) : 0
+  }
+
+  /**
+   *  Returns the items in a plain array.
+   *
+   *  Runtime: `O(n log n)`
+   *
+   *  @returns {number[]}
+   */
+  toArray() {
+    return Array.from({ length: this.count }, (_, index) => this.sum(index, index + 1))
+  }
+
+  /**
+   *  Returns the sum of the first `end` items
+   *  @private
+   */
+  prefixSum(end) {
+    let total = 0
+    for (let slot = end; slot > 0; slot -= lowestBit(slot)) {
+      total += this._sums[slot]
+    }
+    return total
+  }
+
+  /** @private */
+  checkIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.count) {
+      throw new Errors.OutOfBoundsError()
+    }
+  }
+}
+
+/** @private */
+function lowestBit(index) {
+  return index & -index
+}
+
+module.exports = FenwickTree
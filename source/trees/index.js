@@ -19,13 +19,51 @@
  *  - It can't have branches not connected to the root or its descendants.
  * 
  *  A tree where each node has at most two children is called a **binary tree**.
+ *  A binary search tree which keeps its height close to `log n` no matter the
+ *  order of insertions, such as the `AVLTree` or the `RedBlackTree`, is called **self-balancing**.
+ *  
+ *  A `BTree` holds many items per node, so it stays shallow and allocates few nodes even for 
+ *  millions of items. A `BPlusTree` keeps its items in linked leaves, which makes scanning a 
+ *  range of them cheap. Either can back a `TreeMap`.
+ *  
+ *  A `Trie` stores strings character by character, so that words sharing a prefix share 
+ *  the nodes along it. It finds every word starting with a prefix in time proportional 
+ *  to the prefix, not the number of words.
+ *  
+ *  A `SegmentTree` and a `FenwickTree` answer range queries over an array, such as the sum 
+ *  or minimum of the items between two indices, in `O(log n)` while the items change. An 
+ *  `IntervalTree` finds every stored interval overlapping a given one.
  *  
  *  @module trees
  */
 
+const AVLTree = require("./avl")
 const BinarySearchTree = require("./bst")
+const BPlusTree = require("./bplus")
+const BTree = require("./btree")
+const FenwickTree = require("./fenwick")
+const IntervalTree = require("./interval")
+const RedBlackTree = require("./redBlack")
+const SegmentTree = require("./segment")
+const Trie = require("./trie")
 
 module.exports = {
+  /** @type AVLTree */
+  AVLTree,
   /** @type BinarySearchTree */
-  BinarySearchTree
+  BinarySearchTree,
+  /** @type BPlusTree */
+  BPlusTree,
+  /** @type BTree */
+  BTree,
+  /** @type FenwickTree */
+  FenwickTree,
+  /** @type IntervalTree */
+  IntervalTree,
+  /** @type RedBlackTree */
+  RedBlackTree,
+  /** @type SegmentTree */
+  SegmentTree,
+  /** @type Trie */
+  Trie
 }
@@ -0,0 +1,257 @@
+const AVLTree = require("./avl")
+const { NaturalOrder } = require("../toolbox/compare")
+const { SameValueZero } = require("../toolbox/equality")
+
+/**
+ *  An IntervalTree stores intervals, such as bookings or time slots, and finds
+ *  every interval which overlaps a given one in `O(min(n, k log n))`, where k
+ *  is the number of intervals found.
+ *
+ *  It is an {@link AVLTree} of intervals ordered by start, then by end. On top
+ *  of the AVL metadata, each node keeps the latest end of all the intervals in
+ *  its subtree as `metadata.max`. A search skips any subtree whose `max` is
+ *  before the start of the interval sought, as nothing in it can overlap, and
+ *  any right subtree of a node which starts after the interval sought ends.
+ *
+ *  ```
+ *                [5, 20] max 30
+ *               /              \
+ *     [3, 8] max 8         [17, 19] max 30
+ *                                  \
+ *                               [26, 30] max 30
+ *  ```
+ *
+ *  Intervals are closed: `[1, 5]` and `[5, 9]` overlap at 5. The endpoints can
+ *  be numbers, `Date`s or anything a comparator can order, see
+ *  `toolbox/compare`. An interval may be inserted many times with different
+ *  values, and is then kept in one node holding all of them.
+ *
+ *  @class
+ *  @extends AVLTree
+ *  @example
+ *  const bookings = new IntervalTree()
+ *  bookings.insert([9, 11], "Standup").insert([10, 12], "Review")
+ *  Array.from(bookings.overlapping(11, 13))
+ *  // [{ interval: [9, 11], value: "Standup" }, { interval: [10, 12], value: "Review" }]
+ */
+class IntervalTree extends AVLTree {
+  /**
+   *  @constructor
+   *  @param {Comparator} [comparator=NaturalOrder] decides the order of two
+   *    endpoints. See `toolbox/compare`.
+   */
+  constructor(comparator = NaturalOrder) {
+    super((a, b) => comparator(a.low, b.low) || comparator(a.high, b.high))
+    /** @private */
+    this._compareEndpoints = comparator
+  }
+
+  /**
+   *  Adds the interval `[low, high]` to the tree with the given `value`.
+   *  Returns the IntervalTree instance to allow chaining of commands.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {Array} interval `[low, high]`
+   *  @param {any} [value=null]
+   *  @returns {IntervalTree} the IntervalTree instance
+   *  @throws {Error} if the interval ends before it starts
+   */
+  insert([low, high], value = null) {
+    if (this._compareEndpoints(low, high) > 0) {
+      throw new Error("Interval must not end before it starts")
+    }
+
+    const existing = this.find({ low, high })
+    if (existing) {
+      existing.data.values.push(value)
+      this.add(existing.data)
+      return this
+    }
+
+    // The new node may have been rotated above others since it was linked
+    this.updateMax(this.add({ low, high, values: [value] }))
+    return this
+  }
+
+  /**
+   *  Removes the interval `[low, high]` holding the given `value`, or every
+   *  copy of the interval if `value` is left out. Returns `true` if anything
+   *  was removed.
+   *
+   *  Runtime: `O(log n)`, plus `O(k)` to find the value among the k copies of
+   *  the interval
+   *
+   *  @param {Array} interval `[low, high]`
+   *  @param {any} [value] compared with `SameValueZero`
+   *  @returns {boolean}
+   */
+  remove([low, high], value) {
+    const node = this.find({ low, high })
+    if (!node) {
+      return false
+    }
+    if (value === undefined) {
+      super.remove(node.data)
+      return true
+    }
+
+    const index = node.data.values.findIndex(stored => SameValueZero(stored, value))
+    if (index === -1) {
+      return false
+    }
+
+    node.data.values.splice(index, 1)
+    super.remove(node.data, 1)
+    return true
+  }
+
+  /**
+   *  Iterates over the stored intervals which overlap `[low, high]`, in order
+   *  of their start, as `{ interval, value }` pairs.
+   *
+   *  Runtime: `O(min(n, k log n))` where k is the number of intervals found
+   *
+   *  @param {any} low
+   *  @param {any} high
+   *  @yields {IntervalTree.Entry}
+   */
+  * overlapping(low, high) {
+    yield* this.searchOverlaps(this._root, low, high)
+  }
+
+  /**
+   *  Iterates over the stored intervals which contain the `point`, in order
+   *  of their start, as `{ interval, value }` pairs.
+   *
+   *  Runtime: `O(min(n, k log n))` where k is the number of intervals found
+   *
+   *  @param {any} point
+   *  @yields {IntervalTree.Entry}
+   */
+  * containing(point) {
+    yield* this.overlapping(point, point)
+  }
+
+  /**
+   *  Returns the union of the stored intervals as the fewest intervals
+   *  possible, in order. Intervals which overlap or touch, like `[1, 5]` and
+   *  `[5, 9]`, are merged into one.
+   *
+   *  Runtime: `O(n)`
+   *
+   *  @returns {Array[]} `[low, high]` pairs
+   *  @example
+   *  // Given [1, 3], [2, 6], [6, 7] and [9, 10]
+   *  busy.merged()   // [[1, 7], [9, 10]]
+   */
+  merged() {
+    const merged = []
+    if (!this._root) {
+      return merged
+    }
+
+    for (const node of this.traverseInOrderly()) {
+      const { low, high } = node.data
+      const last = merged[merged.length - 1]
+
+      if (last && this._compareEndpoints(low, last[1]) <= 0) {
+        if (this._compareEndpoints(high, last[1]) > 0) {
+          last[1] = high
+        }
+      }
+      else {
+        merged.push([low, high])
+      }
+    }
+    return merged
+  }
+
+  /**
+   *  Refreshes `max` along with the sizes, from `node` up to the root. See
+   *  {@link BinarySearchTree#updateSizes}.
+   *
+   *  @private
+   *  @param {?BinaryTreeNode} node lowest node whose subtree changed
+   */
+  updateSizes(node) {
+    super.updateSizes(node)
+    for (let current = node; current; current = current.parent) {
+      this.updateMax(current)
+    }
+  }
+
+  /**
+   *  Rotates left and refreshes `max` of the two nodes which moved.
+   *  @private
+   */
+  rotateLeft(node) {
+    const pivot = super.rotateLeft(node)
+    this.updateMax(node)
+    this.updateMax(pivot)
+    return pivot
+  }
+
+  /**
+   *  Rotates right and refreshes `max` of the two nodes which moved.
+   *  @private
+   */
+  rotateRight(node) {
+    const pivot = super.rotateRight(node)
+    this.updateMax(node)
+    this.updateMax(pivot)
+    return pivot
+  }
+
+  /**
+   *  Recomputes `metadata.max` of `node` from its children. Runtime: `O(1)`
+   *  @private
+   */
+  updateMax(node) {
+    node.metadata.max = [node.leftChild, node.rightChild].reduce((max, child) => {
+      return child && this._compareEndpoints(maxOf(child), max) > 0 ? maxOf(child) : max
+    }, node.data.high)
+  }
+
+  /** @private */
+  * searchOverlaps(node, low, high) {
+    // Nothing in this subtree ends late enough
+    if (!node || this._compareEndpoints(maxOf(node), low) < 0) {
+      return
+    }
+
+    yield* this.searchOverlaps(node.leftChild, low, high)
+
+    // This node and everything to its right start too late
+    if (this._compareEndpoints(node.data.low, high) > 0) {
+      return
+    }
+    if (this._compareEndpoints(node.data.high, low) >= 0) {
+      const interval = [node.data.low, node.data.high]
+      for (const value of node.data.values) {
+        yield { interval, value }
+      }
+    }
+
+    yield* this.searchOverlaps(node.rightChild, low, high)
+  }
+}
+
+/**
+ *  Latest end in the subtree of `node`. A node just linked into the tree may
+ *  not have its `max` yet, and is a subtree of its own.
+ *  @private
+ */
+function maxOf(node) {
+  return node.metadata.max === undefined ? node.data.high : node.metadata.max
+}
+
+module.exports = IntervalTree
+
+// ------------------ Type definitions ------------------------------- //
+
+/**
+ *  @typedef {Object} IntervalTree.Entry
+ *  @property {Array} interval `[low, high]`
+ *  @property {any} value
+ */
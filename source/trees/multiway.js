@@ -0,0 +1,460 @@
+const { Queue, Stack } = require("../linear")
+const { NaturalOrder } = require("../toolbox/compare")
+
+/**
+ *  What a {@link BTree} and a {@link BPlusTree} have in common: nodes holding
+ *  up to `order - 1` entries each, all leaves at the same depth, and the
+ *  navigation built on top of finding the closest entry to some data.
+ *
+ *  Subclasses implement `find`, `add`, `remove`, `findClosest`, `countBelow`,
+ *  `range`, `descendingRange`, `traverseInOrderly`, `validate` and `load`,
+ *  the last of which builds the tree from sorted entries for
+ *  [fromSorted]{@link MultiwayTree.fromSorted}.
+ *
+ *  The traversals are those of a {@link BinarySearchTree}. In-order ones,
+ *  [traverseInOrderly]{@link BTree#traverseInOrderly} and
+ *  [range]{@link BTree#range}, yield entries in sorted order. The
+ *  others yield nodes, as a node holds many entries, so they say more about
+ *  the shape of the tree than about its data.
+ *
+ *  @private
+ *  @class
+ */
+class MultiwayTree {
+  /**
+   *  @constructor
+   *  @param {Comparator} [comparator=NaturalOrder] decides the order of two items;
+   *    items for which it returns `0` are stored as copies of the same entry.
+   *    See `toolbox/compare`.
+   *  @param {number} [order=64] most children a node can have. Nodes other than
+   *    the root have at least half as many.
+   *  @throws {Error} if `order` is less than 3
+   */
+  constructor(comparator = NaturalOrder, order = DEFAULT_ORDER) {
+    if (!(order >= 3)) {
+      throw new Error("Order must be at least 3")
+    }
+
+    this._root = null
+    this._count = 0
+    this._compare = comparator
+    this._order = Math.floor(order)
+    /** @private */
+    this._maxEntries = this._order - 1
+    /** @private */
+    this._minEntries = Math.ceil(this._order / 2) - 1
+    /**
+     *  Number of entries added or removed, so that scans notice the changes
+     *  @private
+     */
+    this._modifications = 0
+  }
+
+  /**
+   *  Builds a tree out of `items` which are already sorted, in `O(n)` rather
+   *  than the `O(n log n)` of adding them one by one. Items which compare
+   *  equal are stored as copies.
+   *
+   *  @param {Iterable} items sorted by `comparator`
+   *  @param {Comparator} [comparator=NaturalOrder]
+   *  @param {number} [order=64]
+   *  @returns {MultiwayTree} a tree of the class this is called on
+   *  @throws {Error} if the items are out of order
+   *  @example
+   *  const index = BPlusTree.fromSorted(timestamps, NaturalOrder, 128)
+   */
+  static fromSorted(items, comparator = NaturalOrder, order = DEFAULT_ORDER) {
+    const tree = new this(comparator, order)
+    const entries = []
+
+    for (const data of items) {
+      const last = entries[entries.length - 1]
+      const comparison = last ? comparator(data, last.data) : 1
+      if (comparison < 0) {
+        throw new Error("Items must be sorted")
+      }
+
+      if (comparison === 0) {
+        last.metadata.copies += 1
+      }
+      else {
+        entries.push(entryOf(data))
+      }
+      tree._count += 1
+    }
+
+    tree.load(entries)
+    return tree
+  }
+
+  /**
+   *  Get the total number of items in the tree, copies included.
+   *  @returns {number}
+   */
+  get count() {
+    return this._count
+  }
+
+  /**
+   *  Returns the comparator which decides the order of data in the tree.
+   *  @returns {Comparator}
+   */
+  get comparator() {
+    return this._compare
+  }
+
+  /**
+   *  Returns the most children a node can have.
+   *  @returns {number}
+   */
+  get order() {
+    return this._order
+  }
+
+  /**
+   *  Returns the number of edges between the root and the leaves, `-1` if
+   *  the tree is empty. Runtime: `O(log n)`
+   *
+   *  @returns {number}
+   */
+  get height() {
+    let height = -1
+    for (let node = this._root; node; node = node.children[0]) {
+      height += 1
+    }
+    return height
+  }
+
+  /**
+   *  Returns the smallest data in the tree, or `null` if it is empty.
+   *  @returns {?any}
+   */
+  get min() {
+    const entry = this.getLeftmost()
+    return entry ? entry.data : null
+  }
+
+  /**
+   *  Returns the largest data in the tree, or `null` if it is empty.
+   *  @returns {?any}
+   */
+  get max() {
+    const entry = this.getRightmost()
+    return entry ? entry.data : null
+  }
+
+  /**
+   *  Returns the entry with the largest data less than or equal to `data`, or
+   *  `null` if there is none. Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @returns {?BTree.Entry}
+   */
+  floor(data) {
+    return this.findClosest(data, true, true)
+  }
+
+  /**
+   *  Returns the entry with the smallest data greater than or equal to `data`,
+   *  or `null` if there is none. Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @returns {?BTree.Entry}
+   */
+  ceiling(data) {
+    return this.findClosest(data, false, true)
+  }
+
+  /**
+   *  Returns the entry with the largest data strictly less than `data`, or
+   *  `null` if there is none. Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @returns {?BTree.Entry}
+   */
+  lower(data) {
+    return this.findClosest(data, true, false)
+  }
+
+  /**
+   *  Returns the entry with the smallest data strictly greater than `data`, or
+   *  `null` if there is none. Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @returns {?BTree.Entry}
+   */
+  higher(data) {
+    return this.findClosest(data, false, false)
+  }
+
+  /**
+   *  Returns the entry which comes right after `entry` in order, or `null` if
+   *  `entry` is the last one. Entries don't know where they are in the tree,
+   *  so this searches for the next data from the root, which also works for
+   *  an entry removed since. Runtime: `O(log n)`
+   *
+   *  @param {BTree.Entry} entry
+   *  @returns {?BTree.Entry}
+   */
+  successor(entry) {
+    return this.higher(entry.data)
+  }
+
+  /**
+   *  Returns the entry which comes right before `entry` in order, or `null`
+   *  if `entry` is the first one. Runtime: `O(log n)`
+   *
+   *  @param {BTree.Entry} entry
+   *  @returns {?BTree.Entry}
+   */
+  predecessor(entry) {
+    return this.lower(entry.data)
+  }
+
+  /**
+   *  Returns the number of items, copies included, smaller than `data`.
+   *  Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @returns {number}
+   */
+  rank(data) {
+    return this.countBelow(data, false)
+  }
+
+  /**
+   *  Returns the number of items in the tree, copies included, between `low` and
+   *  `high` (both inclusive). Runtime: `O(log n)`
+   *
+   *  @param {any} low
+   *  @param {any} high
+   *  @returns {number}
+   */
+  countInRange(low, high) {
+    return Math.max(this.countBelow(high, true) - this.countBelow(low, false), 0)
+  }
+
+  /**
+   *  Visits the nodes level by level, starting at the root.
+   *  @yields {BTreeNode}
+   */
+  * searchBreadthFirst() {
+    if (!this._root) {
+      return
+    }
+
+    const queue = new Queue()
+    queue.enqueue(this._root)
+    while (queue.length > 0) {
+      const node = queue.dequeue()
+      yield node
+      node.children.forEach(child => queue.enqueue(child))
+    }
+  }
+
+  /**
+   *  Visits the nodes branch by branch, going as deep as it can before
+   *  moving on to the next child. The nodes come in the same order as with
+   *  [traversePreOrderly]{@link MultiwayTree#traversePreOrderly}.
+   *
+   *  @yields {BTreeNode}
+   */
+  * searchDepthFirst() {
+    yield* this.traversePreOrderly()
+  }
+
+  /**
+   *  Visits each node before its children, from the first child to the last.
+   *
+   *  @param {BTreeNode} node root of the subtree to visit
+   *  @yields {BTreeNode}
+   */
+  * traversePreOrderly(node = this._root) {
+    if (!node) {
+      return
+    }
+
+    const stack = new Stack()
+    stack.push(node)
+    while (stack.depth > 0) {
+      const current = stack.pop()
+      yield current
+      for (let index = current.children.length - 1; index >= 0; index--) {
+        stack.push(current.children[index])
+      }
+    }
+  }
+
+  /**
+   *  Visits each node after all its children, from the first child to the
+   *  last, so that the root comes last.
+   *
+   *  @param {BTreeNode} node root of the subtree to visit
+   *  @yields {BTreeNode}
+   */
+  * traversePostOrderly(node = this._root) {
+    if (!node) {
+      return
+    }
+
+    // Each step holds a node and the index of its next child to visit
+    const path = [{ node, index: 0 }]
+    while (path.length > 0) {
+      const step = path[path.length - 1]
+      if (step.index < step.node.children.length) {
+        path.push({ node: step.node.children[step.index], index: 0 })
+        step.index += 1
+      }
+      else {
+        path.pop()
+        yield step.node
+      }
+    }
+  }
+
+  /**
+   *  Returns the entry with the smallest data, or `null` if the tree is empty.
+   *  @returns {?BTree.Entry}
+   */
+  getLeftmost() {
+    let node = this._root
+    while (node && !node.isLeaf) {
+      node = node.children[0]
+    }
+    return node && node.entries.length > 0 ? node.entries[0] : null
+  }
+
+  /**
+   *  Returns the entry with the largest data, or `null` if the tree is empty.
+   *  @returns {?BTree.Entry}
+   */
+  getRightmost() {
+    let node = this._root
+    while (node && !node.isLeaf) {
+      node = node.children[node.children.length - 1]
+    }
+    return node && node.entries.length > 0 ? node.entries[node.entries.length - 1] : null
+  }
+
+  /**
+   *  Returns the index of the first of `entries` whose data isn't smaller
+   *  than `data`, by binary search.
+   *
+   *  @private
+   *  @param {BTree.Entry[]} entries
+   *  @param {any} data
+   *  @returns {number}
+   */
+  indexIn(entries, data) {
+    let low = 0
+    let high = entries.length
+    while (low < high) {
+      const middle = (low + high) >>> 1
+      if (this._compare(entries[middle].data, data) < 0) {
+        low = middle + 1
+      }
+      else {
+        high = middle
+      }
+    }
+    return low
+  }
+
+  /**
+   *  Returns `true` if `entries[index]` holds `data`.
+   *  @private
+   */
+  matches(entries, index, data) {
+    return index < entries.length && this._compare(entries[index].data, data) === 0
+  }
+
+  /**
+   *  Takes `copies` copies of the entry at the end of `path` away from the
+   *  count and the sizes along the path, or all of them for `'*'`. Returns
+   *  `true` if copies remain.
+   *
+   *  @private
+   *  @param {Array<{node: BTreeNode, index: number}>} path
+   *  @param {number|string} copies
+   *  @returns {boolean}
+   */
+  removeCopies(path, copies) {
+    const { node, index } = path[path.length - 1]
+    const { metadata } = node.entries[index]
+    const removed = copies === '*' ? metadata.copies : Math.min(copies, metadata.copies)
+
+    metadata.copies -= removed
+    this._count -= removed
+    path.forEach(step => { step.node.size -= removed })
+    return metadata.copies > 0
+  }
+
+  /**
+   *  Refills the nodes along `path` which have too few entries after a
+   *  removal, from the bottom up, by borrowing from or merging with a
+   *  sibling. Recomputes their sizes on the way, and lowers the tree by a
+   *  level if the root is left without entries.
+   *
+   *  @private
+   *  @param {Array<{node: BTreeNode, index: number}>} path from the root,
+   *    with the index of the child taken at each step
+   */
+  rebalance(path) {
+    for (let depth = path.length - 1; depth > 0; depth--) {
+      const { node } = path[depth]
+      const { node: parent, index } = path[depth - 1]
+
+      node.resize()
+      if (this.lengthOf(node) < this._minEntries) {
+        this.fill(parent, index)
+      }
+    }
+
+    const root = this._root
+    root.resize()
+    if (this.lengthOf(root) === 0) {
+      this._root = root.isLeaf ? null : root.children[0]
+    }
+  }
+
+  /**
+   *  Returns a new entry for a single copy of `data`.
+   *  @private
+   */
+  entryFor(data) {
+    return entryOf(data)
+  }
+
+  /**
+   *  Returns the number of entries, or keys, the `node` holds.
+   *  @private
+   */
+  lengthOf(node) {
+    return node.entries.length
+  }
+}
+
+// Enough children per node to make a tree of a million items 4 levels deep
+const DEFAULT_ORDER = 64
+
+/**
+ *  Returns a new entry for a single copy of `data`.
+ *  @private
+ */
+function entryOf(data) {
+  return { data, metadata: { copies: 1 } }
+}
+
+module.exports = MultiwayTree
+
+// ------------------ Type definitions ------------------------------- //
+
+/**
+ *  An item of a {@link BTree} or a {@link BPlusTree}, and the number of
+ *  copies of it. Other data, such as the value of a {@link TreeMap} key, can
+ *  be kept in `metadata` too.
+ *
+ *  @typedef {Object} BTree.Entry
+ *  @property {any} data
+ *  @property {{copies: number}} metadata
+ */
@@ -0,0 +1,299 @@
+const BinarySearchTree = require("./bst")
+
+const RED = "red"
+const BLACK = "black"
+
+/**
+ *  A Red-Black tree is a self-balancing {@link BinarySearchTree} where every
+ *  node is painted either red or black, and the colours must obey these rules:
+ *
+ *  1. The root is black.
+ *  2. A red node never has a red child.
+ *  3. Every path from a node down to an empty subtree passes through the same
+ *     number of black nodes.
+ *
+ *  Together, these rules guarantee that the longest path from the root is at
+ *  most twice as long as the shortest one, so search, insert and delete are
+ *  `O(log n)` in the worst case.
+ *
+ *  An {@link AVLTree} is more rigidly balanced, which makes it slightly faster
+ *  to search. A Red-Black tree tolerates more slack, so it needs at most two
+ *  rotations per insert and three per delete, which makes it the better pick
+ *  for write-heavy workloads.
+ *
+ *  The colour of each node is kept in its metadata, `node.metadata.colour`,
+ *  either `"red"` or `"black"`.
+ *
+ *  The API is identical to {@link BinarySearchTree}.
+ *
+ *  @class
+ *  @extends BinarySearchTree
+ */
+class RedBlackTree extends BinarySearchTree {
+  /**
+   *  Inserts the a new node into the tree and attachs the given `data` to it,
+   *  then repaints and rotates nodes as needed. See {@link BinarySearchTree#add}.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {any} data
+   *  @returns {BinaryTreeNode} newly added node.
+   */
+  add(data) {
+    const newNode = super.add(data)
+
+    // A node that merely added a copy to an existing one never makes it into
+    // the tree, so there is nothing to repaint.
+    if (newNode === this._root || newNode.parent) {
+      newNode.metadata.colour = RED
+      this.fixAfterInsert(newNode)
+    }
+
+    return newNode
+  }
+
+  /**
+   *  Checks that the tree is a valid Red-Black tree: data is ordered, parent
+   *  links are consistent and the colour rules hold. Meant for tests and
+   *  debugging, as it visits every node.
+   *
+   *  Runtime: `O(n)`
+   *
+   *  @returns {boolean} `true` if the tree is valid
+   *  @throws {Error} describing the first rule found broken
+   */
+  validate() {
+    if (isRed(this._root)) {
+      throw new Error("Root must be black")
+    }
+    this.blackHeightOf(this._root, null)
+    return true
+  }
+
+  /**
+   *  Validates the subtree rooted at `node` and returns its black height.
+   *
+   *  @private
+   *  @param {?BinaryTreeNode} node
+   *  @param {?BinaryTreeNode} parent expected parent of `node`
+   *  @returns {number}
+   */
+  blackHeightOf(node, parent) {
+    if (!node) {
+      return 0
+    }
+
+    if (node.parent !== parent) {
+      throw new Error(`Node ${node.data} has a stale parent link`)
+    }
+    if (node.leftChild && this._compare(node.leftChild.data, node.data) >= 0) {
+      throw new Error(`Node ${node.leftChild.data} must not be left of ${node.data}`)
+    }
+    if (node.rightChild && this._compare(node.rightChild.data, node.data) <= 0) {
+      throw new Error(`Node ${node.rightChild.data} must not be right of ${node.data}`)
+    }
+    if (isRed(node) && (isRed(node.leftChild) || isRed(node.rightChild))) {
+      throw new Error(`Red node ${node.data} must not have a red child`)
+    }
+
+    const left = this.blackHeightOf(node.leftChild, node)
+    const right = this.blackHeightOf(node.rightChild, node)
+    if (left !== right) {
+      throw new Error(`Paths below node ${node.data} have different black heights`)
+    }
+
+    return left + (isRed(node) ? 0 : 1)
+  }
+
+  /**
+   *  Restores the colour rules after a red `node` has been attached, by
+   *  pushing the red-red conflict up the tree until a rotation settles it.
+   *
+   *  @private
+   *  @param {BinaryTreeNode} node newly attached node
+   */
+  fixAfterInsert(node) {
+    let current = node
+
+    while (isRed(current.parent)) {
+      const parent = current.parent
+      // A red parent is never the root, so the grandparent exists
+      const grandparent = parent.parent
+
+      if (parent.isLeftChild) {
+        const uncle = grandparent.rightChild
+        if (isRed(uncle)) {
+          paint(parent, BLACK)
+          paint(uncle, BLACK)
+          paint(grandparent, RED)
+          current = grandparent
+          continue
+        }
+        if (current.isRightChild) {
+          current = parent
+          this.rotateLeft(current)
+        }
+        paint(current.parent, BLACK)
+        paint(grandparent, RED)
+        this.rotateRight(grandparent)
+      }
+      else {
+        const uncle = grandparent.leftChild
+        if (isRed(uncle)) {
+          paint(parent, BLACK)
+          paint(uncle, BLACK)
+          paint(grandparent, RED)
+          current = grandparent
+          continue
+        }
+        if (current.isLeftChild) {
+          current = parent
+          this.rotateRight(current)
+        }
+        paint(current.parent, BLACK)
+        paint(grandparent, RED)
+        this.rotateLeft(grandparent)
+      }
+    }
+
+    paint(this._root, BLACK)
+  }
+
+  /**
+   *  Unlinks the given `node` from the tree. If the node has two children, its
+   *  in-order successor takes its place and its colour. If a black node went
+   *  missing from some paths, the colour rules are restored afterwards.
+   *
+   *  @private
+   *  @param {BinaryTreeNode} node node to be unlinked
+   */
+  removeNode(node) {
+    let removedColour = node.metadata.colour
+    // The node which moves into the vacated spot and its parent. The former
+    // may be `null`, so the latter is tracked separately.
+    let heir
+    let heirParent
+
+    if (!node.leftChild || !node.rightChild) {
+      heir = node.leftChild || node.rightChild
+      heirParent = node.parent
+      this.replaceNode(node, heir)
+    }
+    else {
+      const successor = this.getLeftmost(node.rightChild)
+      removedColour = successor.metadata.colour
+      heir = successor.rightChild
+      heirParent = successor
+
+      if (successor.parent !== node) {
+        heirParent = successor.parent
+        this.replaceNode(successor, heir)
+        successor.rightChild = node.rightChild
+      }
+
+      this.replaceNode(node, successor)
+      successor.leftChild = node.leftChild
+      paint(successor, node.metadata.colour)
+    }
+
+    this.updateSizes(heirParent)
+
+    if (removedColour === BLACK) {
+      this.fixAfterRemove(heir, heirParent)
+    }
+  }
+
+  /**
+   *  Restores the colour rules after a black node has been removed from the
+   *  paths running through `node`, which is one black node short.
+   *
+   *  @private
+   *  @param {?BinaryTreeNode} node node which is one black node short
+   *  @param {?BinaryTreeNode} parent parent of `node`
+   */
+  fixAfterRemove(node, parent) {
+    let current = node
+    let currentParent = parent
+
+    while (current !== this._root && !isRed(current)) {
+      if (current === currentParent.leftChild) {
+        let sibling = currentParent.rightChild
+        if (isRed(sibling)) {
+          paint(sibling, BLACK)
+          paint(currentParent, RED)
+          this.rotateLeft(currentParent)
+          sibling = currentParent.rightChild
+        }
+
+        if (!isRed(sibling.leftChild) && !isRed(sibling.rightChild)) {
+          paint(sibling, RED)
+          current = currentParent
+          currentParent = current.parent
+          continue
+        }
+
+        if (!isRed(sibling.rightChild)) {
+          paint(sibling.leftChild, BLACK)
+          paint(sibling, RED)
+          this.rotateRight(sibling)
+          sibling = currentParent.rightChild
+        }
+        paint(sibling, currentParent.metadata.colour)
+        paint(currentParent, BLACK)
+        paint(sibling.rightChild, BLACK)
+        this.rotateLeft(currentParent)
+      }
+      else {
+        let sibling = currentParent.leftChild
+        if (isRed(sibling)) {
+          paint(sibling, BLACK)
+          paint(currentParent, RED)
+          this.rotateRight(currentParent)
+          sibling = currentParent.leftChild
+        }
+
+        if (!isRed(sibling.leftChild) && !isRed(sibling.rightChild)) {
+          paint(sibling, RED)
+          current = currentParent
+          currentParent = current.parent
+          continue
+        }
+
+        if (!isRed(sibling.leftChild)) {
+          paint(sibling.rightChild, BLACK)
+          paint(sibling, RED)
+          this.rotateLeft(sibling)
+          sibling = currentParent.leftChild
+        }
+        paint(sibling, currentParent.metadata.colour)
+        paint(currentParent, BLACK)
+        paint(sibling.leftChild, BLACK)
+        this.rotateRight(currentParent)
+      }
+
+      // The missing black node has been made up for
+      current = this._root
+    }
+
+    paint(current, BLACK)
+  }
+}
+
+/**
+ *  Empty subtrees count as black.
+ *  @private
+ *  @param {?BinaryTreeNode} node
+ *  @returns {boolean}
+ */
+function isRed(node) {
+  return !!node && node.metadata.colour === RED
+}
+
+/** @private */
+function paint(node, colour) {
+  if (node) {
+    node.metadata.colour = colour
+  }
+}
+
+module.exports = RedBlackTree
@@ -0,0 +1,348 @@
+const Errors = require("../errors")
+
+/**
+ *  A SegmentTree answers questions about a range of an array, such as "what
+ *  is the sum, smallest or largest of the items from index 3 to 9?", in
+ *  `O(log n)`, while the items keep changing.
+ *
+ *  Each node of the tree holds the answer for a segment of the array: the
+ *  root for the whole array, its children for either half and so on, down to
+ *  one leaf per item. Any range is covered by `O(log n)` nodes, whose answers
+ *  are put together with a `combine` function. Sum is the default. Any
+ *  associative function works, i.e. one for which `combine(combine(a, b), c)`
+ *  equals `combine(a, combine(b, c))`, e.g. `Math.min`, `Math.max` or the
+ *  greatest common divisor.
+ *
+ *  ```
+ *              [0, 4) sum 10
+ *             /             \
+ *     [0, 2) sum 3      [2, 4) sum 7
+ *      /      \          /      \
+ *     1        2        3        4
+ *  ```
+ *
+ *  Changing a whole range at once is `O(log n)` too, thanks to **lazy
+ *  propagation**: a change to a segment is noted at its node, and only
+ *  passed on to the children when a later operation needs them. How a change
+ *  affects a node's answer depends on the `combine` function, and is told by
+ *  an update strategy, see {@link SegmentTree.Update}. Adding to a sum takes
+ *  `SegmentTree.AddToSum`, the default for sums, and adding to a minimum or
+ *  maximum takes `SegmentTree.AddToExtremum`.
+ *
+ *  Ranges are half-open, like in `Array.prototype.slice`: `query(2, 5)`
+ *  covers the items at index 2, 3 and 4.
+ *
+ *  @class
+ *  @example
+ *  const prices = new SegmentTree([5, 3, 8, 6], Math.min, SegmentTree.AddToExtremum)
+ *  prices.query(1, 4)      // 3
+ *  prices.update(0, 2, 4)  // prices are now [9, 7, 8, 6]
+ *  prices.query(0, 3)      // 7
+ */
+class SegmentTree {
+  /**
+   *  Builds the tree from the given `items` in `O(n)`.
+   *
+   *  @constructor
+   *  @param {Iterable} [items=[]] e.g. an array, a `Set` or a generator
+   *  @param {function} [combine] an associative function of the form
+   *    `(a, b) => answer`. Sum if left out.
+   *  @param {?SegmentTree.Update} [update] how range updates change the
+   *    answers. `AddToSum` for the default sum, none otherwise.
+   */
+  constructor(items = [], combine = Sum, update = combine === Sum ? SegmentTree.AddToSum : null) {
+    const values = Array.from(items)
+
+    /** @private */
+    this._count = values.length
+    /** @private */
+    this._combine = combine
+    /** @private */
+    this._update = update
+    /**
+     *  Answers by node. The root is at 1, and the children of node `i` at
+     *  `2i` and `2i + 1`.
+     *  @private
+     */
+    this._answers = new Array(4 * Math.max(values.length, 1))
+    /**
+     *  Changes waiting to be passed on to the children, by node
+     *  @private
+     */
+    this._pending = new Array(this._answers.length)
+
+    if (values.length > 0) {
+      this.build(values, 1, 0, values.length)
+    }
+  }
+
+  /**
+   *  Returns the number of items
+   *  @returns {number}
+   */
+  get count() {
+    return this._count
+  }
+
+  /**
+   *  Returns the items combined over the range `[start, end)`.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {number} [start=0]
+   *  @param {number} [end=count]
+   *  @returns {any}
+   *  @throws {OutOfBoundsError} if the range is empty or runs past the items
+   */
+  query(start = 0, end = this._count) {
+    this.checkRange(start, end)
+    return this.queryNode(1, 0, this._count, start, end)
+  }
+
+  /**
+   *  Returns the item at the given `index`.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {number} index
+   *  @returns {any}
+   *  @throws {OutOfBoundsError}
+   */
+  get(index) {
+    return this.query(index, index + 1)
+  }
+
+  /**
+   *  Replaces the item at the given `index` with `value`. Returns the
+   *  SegmentTree instance to allow chaining of commands.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {number} index
+   *  @param {any} value
+   *  @returns {SegmentTree} the SegmentTree instance
+   *  @throws {OutOfBoundsError}
+   */
+  set(index, value) {
+    this.checkRange(index, index + 1)
+    this.setNode(1, 0, this._count, index, value)
+    return this
+  }
+
+  /**
+   *  Applies `change` to every item in the range `[start, end)`, as told by
+   *  the update strategy of the tree. Returns the SegmentTree instance to
+   *  allow chaining of commands.
+   *
+   *  Runtime: `O(log n)`
+   *
+   *  @param {number} start
+   *  @param {number} end
+   *  @param {any} change e.g. the number to add
+   *  @returns {SegmentTree} the SegmentTree instance
+   *  @throws {Error} if the tree has no update strategy
+   *  @throws {OutOfBoundsError} if the range is empty or runs past the items
+   */
+  update(start, end, change) {
+    if (!this._update) {
+      throw new Error("Range updates need an update strategy")
+    }
+
+    this.checkRange(start, end)
+    this.updateNode(1, 0, this._count, start, end, change)
+    return this
+  }
+
+  /**
+   *  Returns the items in a plain array.
+   *
+   *  Runtime: `O(n)`
+   *
+   *  @returns {array}
+   */
+  toArray() {
+    const items = []
+    this.collect(1, 0, this._count, items)
+    return items
+  }
+
+  /** @private */
+  checkRange(start, end) {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > this._count || start >= end) {
+      throw new Errors.OutOfBoundsError(`Range [${start}, ${end}) is empty or out of [0, ${this._count})`)
+    }
+  }
+
+  /**
+   *  Fills in the answers of `node`, which covers `[low, high)`, and its
+   *  descendants.
+   *  @private
+   */
+  build(values, node, low, high) {
+    if (high - low === 1) {
+      this._answers[node] = values[low]
+      return
+    }
+
+    const middle = midpoint(low, high)
+    this.build(values, 2 * node, low, middle)
+    this.build(values, 2 * node + 1, middle, high)
+    this.pull(node)
+  }
+
+  /** @private */
+  queryNode(node, low, high, start, end) {
+    if (start <= low && high <= end) {
+      return this._answers[node]
+    }
+
+    this.push(node, low, high)
+    const middle = midpoint(low, high)
+    if (end <= middle) {
+      return this.queryNode(2 * node, low, middle, start, end)
+    }
+    if (start >= middle) {
+      return this.queryNode(2 * node + 1, middle, high, start, end)
+    }
+    return this._combine(
+      this.queryNode(2 * node, low, middle, start, end),
+      this.queryNode(2 * node + 1, middle, high, start, end))
+  }
+
+  /** @private */
+  setNode(node, low, high, index, value) {
+    if (high - low === 1) {
+      this._answers[node] = value
+      return
+    }
+
+    this.push(node, low, high)
+    const middle = midpoint(low, high)
+    if (index < middle) {
+      this.setNode(2 * node, low, middle, index, value)
+    }
+    else {
+      this.setNode(2 * node + 1, middle, high, index, value)
+    }
+    this.pull(node)
+  }
+
+  /** @private */
+  updateNode(node, low, high, start, end, change) {
+    if (start <= low && high <= end) {
+      this.applyTo(node, low, high, change)
+      return
+    }
+
+    this.push(node, low, high)
+    const middle = midpoint(low, high)
+    if (start < middle) {
+      this.updateNode(2 * node, low, middle, start, end, change)
+    }
+    if (end > middle) {
+      this.updateNode(2 * node + 1, middle, high, start, end, change)
+    }
+    this.pull(node)
+  }
+
+  /** @private */
+  collect(node, low, high, items) {
+    if (high <= low) {
+      return
+    }
+    if (high - low === 1) {
+      items.push(this._answers[node])
+      return
+    }
+
+    this.push(node, low, high)
+    const middle = midpoint(low, high)
+    this.collect(2 * node, low, middle, items)
+    this.collect(2 * node + 1, middle, high, items)
+  }
+
+  /**
+   *  Changes the answer of `node`, and notes the change for its children
+   *  @private
+   */
+  applyTo(node, low, high, change) {
+    this._answers[node] = this._update.apply(this._answers[node], change, high - low)
+    if (high - low > 1) {
+      const pending = this._pending[node]
+      this._pending[node] = pending === undefined ? change : this._update.compose(pending, change)
+    }
+  }
+
+  /**
+   *  Passes the change waiting at `node` on to its children
+   *  @private
+   */
+  push(node, low, high) {
+    const pending = this._pending[node]
+    if (pending === undefined) {
+      return
+    }
+
+    const middle = midpoint(low, high)
+    this.applyTo(2 * node, low, middle, pending)
+    this.applyTo(2 * node + 1, middle, high, pending)
+    this._pending[node] = undefined
+  }
+
+  /**
+   *  Recomputes the answer of `node` from its children
+   *  @private
+   */
+  pull(node) {
+    this._answers[node] = this._combine(this._answers[2 * node], this._answers[2 * node + 1])
+  }
+}
+
+/**
+ *  Adds a number to every item of a range, in a tree of sums
+ *  @type {SegmentTree.Update}
+ */
+SegmentTree.AddToSum = {
+  apply: (sum, change, length) => sum + change * length,
+  compose: (older, newer) => older + newer
+}
+
+/**
+ *  Adds a number to every item of a range, in a tree of minimums or maximums
+ *  @type {SegmentTree.Update}
+ */
+SegmentTree.AddToExtremum = {
+  apply: (extremum, change) => extremum + change,
+  compose: (older, newer) => older + newer
+}
+
+/** @private */
+function Sum(a, b) {
+  return a + b
+}
+
+/** @private */
+function midpoint(low, high) {
+  return low + Math.floor((high - low) / 2)
+}
+
+module.exports = SegmentTree
+
+// ------------------ Type definitions ------------------------------- //
+
+/**
+ *  Tells how a change to every item of a segment affects the answer for the
+ *  segment, and how two changes add up.
+ *
+ *  @typedef {Object} SegmentTree.Update
+ *  @property {function} apply of the form `(answer, change, length) => answer`,
+ *    where `length` is the number of items in the segment
+ *  @property {function} compose of the form `(older, newer) => change`,
+ *    giving the change which has the same effect as `older` then `newer`
+ *  @example
+ *  // Set every item of a range to a value, in a tree of sums
+ *  const AssignToSum = {
+ *    apply: (sum, value, length) => value * length,
+ *    compose: (older, newer) => newer
+ *  }
+ */
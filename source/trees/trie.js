@@ -0,0 +1,398 @@
+const TrieNode = require("./trieNode")
+const { BinaryHeap, Stack } = require("../linear")
+
+/**
+ *  A Trie (from re*trie*val, also called a prefix tree) stores words by their
+ *  characters, one level per character, so that words which start alike share
+ *  the nodes of their common prefix. Finding a word, or every word starting
+ *  with a given prefix, takes time in proportion to the length of the word
+ *  rather than the number of words stored. That makes it a good fit for
+ *  search boxes and spell checkers.
+ *
+ *  ```
+ *         (root)
+ *        /      \
+ *       c        d
+ *       |        |
+ *       a        o
+ *      / \       |
+ *     r   t      g
+ *  ```
+ *
+ *  Each word may carry a value, and keeps count of how many times it was
+ *  inserted. [autocomplete]{@link Trie#autocomplete} ranks the words by
+ *  that frequency. Both live in the `metadata` of the node where the word
+ *  ends, see {@link TrieNode}.
+ *
+ *  A **compressed** trie, also known as a radix tree, merges every chain of
+ *  nodes with a single child into one node labelled with the whole chain, e.g.
+ *  `"do" → "g"` instead of `"d" → "o" → "g"`. This takes far fewer nodes for
+ *  large dictionaries, for the same runtime.
+ *
+ *  @class
+ *  @example
+ *  const words = new Trie()
+ *  words.insert("car").insert("cat", null, 5).insert("dog")
+ *  Array.from(words.startsWith("ca"))   // ["car", "cat"]
+ *  words.autocomplete("c", 1)           // ["cat"]
+ */
+class Trie {
+  /**
+   *  @constructor
+   *  @param {boolean} [compressed=false] merge chains of single children
+   *    into one node, as in a radix tree
+   */
+  constructor(compressed = false) {
+    /** @private */
+    this._root = new TrieNode()
+    /** @private */
+    this._count = 0
+    /** @private */
+    this._compressed = compressed
+  }
+
+  /**
+   *  Returns the number of words in the trie
+   *  @returns {number}
+   */
+  get count() {
+    return this._count
+  }
+
+  /**
+   *  Returns `true` if the trie is a compressed radix tree
+   *  @returns {boolean}
+   */
+  get isCompressed() {
+    return this._compressed
+  }
+
+  /**
+   *  Adds the `word` to the trie with the given `value`. If the word is in
+   *  the trie already, its value is replaced, unless no `value` is given.
+   *  Either way, the word's frequency goes up by `frequency`, so inserting a
+   *  word again ranks it higher without losing its value.
+   *
+   *  Returns the Trie instance to allow chaining of commands.
+   *
+   *  Runtime: `O(m)` where m is the length of the word
+   *
+   *  @param {string} word
+   *  @param {any} [value] stored with the word; `null` for a new word if left out
+   *  @param {number} [frequency=1]
+   *  @returns {Trie} the Trie instance
+   */
+  insert(word, value, frequency = 1) {
+    let node = this._root
+    let rest = word
+
+    while (rest.length > 0) {
+      const child = node.childFor(rest[0])
+      if (!child) {
+        node = this.grow(node, rest)
+        break
+      }
+
+      const common = commonPrefixLength(child.label, rest)
+      node = common < child.label.length ? this.split(child, common) : child
+      rest = rest.slice(common)
+    }
+
+    if (!node.metadata.isWord) {
+      node.metadata.isWord = true
+      this._count += 1
+    }
+    if (value !== undefined) {
+      node.metadata.value = value
+    }
+    node.metadata.frequency += frequency
+    return this
+  }
+
+  /**
+   *  Returns a boolean indicating whether the `word` is in the trie. A prefix
+   *  of a word is not a word of its own unless it was inserted.
+   *
+   *  Runtime: `O(m)` where m is the length of the word
+   *
+   *  @param {string} word
+   *  @returns {boolean}
+   */
+  has(word) {
+    return this.findNode(word) !== null
+  }
+
+  /**
+   *  Returns the value stored with the `word`, or `null` if the word isn't in
+   *  the trie.
+   *
+   *  Runtime: `O(m)` where m is the length of the word
+   *
+   *  @param {string} word
+   *  @returns {?any}
+   */
+  get(word) {
+    const node = this.findNode(word)
+    return node ? node.metadata.value : null
+  }
+
+  /**
+   *  Returns the number of times the `word` was inserted, or 0 if it isn't in
+   *  the trie.
+   *
+   *  Runtime: `O(m)` where m is the length of the word
+   *
+   *  @param {string} word
+   *  @returns {number}
+   */
+  frequencyOf(word) {
+    const node = this.findNode(word)
+    return node ? node.metadata.frequency : 0
+  }
+
+  /**
+   *  Removes the `word` from the trie, along with the nodes no other word
+   *  needs. Returns `true` if the word was removed, `false` if it wasn't in
+   *  the trie.
+   *
+   *  Runtime: `O(m)` where m is the length of the word
+   *
+   *  @param {string} word
+   *  @returns {boolean}
+   */
+  delete(word) {
+    const node = this.findNode(word)
+    if (!node) {
+      return false
+    }
+
+    node.metadata.isWord = false
+    node.metadata.value = null
+    node.metadata.frequency = 0
+    this._count -= 1
+
+    let current = node
+    while (current !== this._root && !current.metadata.isWord && current.childCount === 0) {
+      const parent = current.parent
+      current.detach()
+      current = parent
+    }
+
+    if (this._compressed) {
+      this.merge(current)
+    }
+    return true
+  }
+
+  /**
+   *  Iterates over the words which start with the given `prefix`, in
+   *  alphabetical order. The prefix itself is included if it is a word.
+   *
+   *  Runtime: `O(p + k)` where p is the length of the prefix and k the
+   *  number of nodes below it
+   *
+   *  @param {string} prefix
+   *  @yields {string}
+   *  @example
+   *  Array.from(words.startsWith(""))   // every word in the trie
+   */
+  * startsWith(prefix) {
+    const found = this.descend(prefix)
+    if (!found) {
+      return
+    }
+    for (const [word] of wordsBelow(found.node, found.spelled)) {
+      yield word
+    }
+  }
+
+  /**
+   *  Returns the longest prefix shared by every word in the trie, or `""` if
+   *  the trie is empty.
+   *
+   *  Runtime: `O(m)` where m is the length of the prefix
+   *
+   *  @returns {string}
+   *  @example
+   *  new Trie().insert("flower").insert("flow").insert("flight")
+   *    .longestCommonPrefix()   // "fl"
+   */
+  longestCommonPrefix() {
+    let node = this._root
+    let prefix = ""
+
+    while (node.childCount === 1 && !node.metadata.isWord) {
+      node = node.children[0]
+      prefix += node.label
+    }
+    return prefix
+  }
+
+  /**
+   *  Returns up to `limit` words starting with the given `prefix`, most
+   *  frequently inserted first. Words of equal frequency come in alphabetical
+   *  order.
+   *
+   *  Runtime: `O(p + k log(limit))` where p is the length of the prefix and
+   *  k the number of nodes below it
+   *
+   *  @param {string} prefix
+   *  @param {number} [limit=10] most words to return
+   *  @returns {string[]}
+   */
+  autocomplete(prefix, limit = 10) {
+    const found = this.descend(prefix)
+    if (!found || limit < 1) {
+      return []
+    }
+
+    // Keeps the best `limit` words seen so far, with the worst on top
+    const best = new BinaryHeap((a, b) => (a.frequency - b.frequency) || (a.word < b.word ? 1 : -1))
+    for (const [word, node] of wordsBelow(found.node, found.spelled)) {
+      best.push({ word, frequency: node.metadata.frequency })
+      if (best.count > limit) {
+        best.pop()
+      }
+    }
+
+    const ranked = []
+    while (best.count > 0) {
+      ranked.push(best.pop().word)
+    }
+    return ranked.reverse()
+  }
+
+  /**
+   *  Returns the node where the `word` ends, or `null` if the word isn't in
+   *  the trie.
+   *
+   *  @private
+   *  @param {string} word
+   *  @returns {?TrieNode}
+   */
+  findNode(word) {
+    const found = this.descend(word)
+    const matches = found && found.spelled.length === word.length && found.node.metadata.isWord
+    return matches ? found.node : null
+  }
+
+  /**
+   *  Follows the `prefix` down from the root. Returns the first node whose
+   *  word starts with the whole prefix, along with that word as `spelled`, or
+   *  `null` if no word in the trie starts with the prefix. In a compressed
+   *  trie, the prefix may end halfway along the label of the node.
+   *
+   *  @private
+   *  @param {string} prefix
+   *  @returns {?{node: TrieNode, spelled: string}}
+   */
+  descend(prefix) {
+    let node = this._root
+    let spelled = ""
+    let rest = prefix
+
+    while (rest.length > 0) {
+      const child = node.childFor(rest[0])
+      if (!child) {
+        return null
+      }
+
+      const common = commonPrefixLength(child.label, rest)
+      if (common < Math.min(child.label.length, rest.length)) {
+        return null
+      }
+
+      node = child
+      spelled += child.label
+      rest = rest.slice(common)
+    }
+
+    return { node, spelled }
+  }
+
+  /**
+   *  Hangs the characters of `rest` below `node`: all in one node if the
+   *  trie is compressed, one node per character otherwise. Returns the node
+   *  at the end.
+   *  @private
+   */
+  grow(node, rest) {
+    if (this._compressed) {
+      return node.attach(new TrieNode(rest))
+    }
+
+    return rest.split("").reduce((parent, character) => parent.attach(new TrieNode(character)), node)
+  }
+
+  /**
+   *  Splits the label of a node of a compressed trie after `at` characters,
+   *  putting a new node in between the node and its parent. Returns the new
+   *  node.
+   *  @private
+   */
+  split(node, at) {
+    const parent = node.parent
+    const middle = new TrieNode(node.label.slice(0, at))
+
+    node.detach()
+    node._label = node.label.slice(at)
+    parent.attach(middle)
+    middle.attach(node)
+    return middle
+  }
+
+  /**
+   *  Merges a node of a compressed trie into its only child, if it is not
+   *  needed as a word of its own.
+   *  @private
+   */
+  merge(node) {
+    if (node === this._root || node.metadata.isWord || node.childCount !== 1) {
+      return
+    }
+
+    const parent = node.parent
+    const child = node.children[0]
+
+    node.detach()
+    child.detach()
+    child._label = node.label + child.label
+    parent.attach(child)
+  }
+}
+
+/** @private */
+function commonPrefixLength(a, b) {
+  let length = 0
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length += 1
+  }
+  return length
+}
+
+/**
+ *  Iterates over the words at and below `node`, in alphabetical order, as
+ *  `[word, node]` pairs. The nodes still to visit wait on a {@link Stack},
+ *  with the words spelled down to them, so long words don't nest generators.
+ *  @private
+ *  @param {TrieNode} node
+ *  @param {string} spelled the word spelled down to `node`
+ */
+function * wordsBelow(node, spelled) {
+  const stack = new Stack()
+  stack.push([node, spelled])
+
+  while (stack.depth > 0) {
+    const [current, word] = stack.pop()
+    if (current.metadata.isWord) {
+      yield [word, current]
+    }
+
+    const children = current.children
+    for (let index = children.length - 1; index >= 0; index--) {
+      stack.push([children[index], word + children[index].label])
+    }
+  }
+}
+
+module.exports = Trie
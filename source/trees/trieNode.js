@@ -0,0 +1,102 @@
+/**
+ *  A trie node stands for the word spelled by the labels on the way down to
+ *  it from the root. The label is a single character in a plain {@link Trie},
+ *  and may be longer in a compressed one.
+ *
+ *  @class
+ */
+class TrieNode {
+  constructor(label = "") {
+    /** @private */
+    this._label = label
+    /**
+     *  Children by the first character of their labels
+     *  @private
+     */
+    this._children = new Map()
+    /** @private */
+    this._parent = null
+
+    /**
+     *  Holds metadata about the node, like the value stored with its word,
+     *  or any other custom data points needed.
+     *
+     *  `isWord` tells whether the word spelled to this node was inserted, as
+     *  opposed to being only the prefix of longer words. `frequency` is the
+     *  number of times it was inserted, and ranks it for autocompletion.
+     *  @type {object}
+     */
+    this.metadata = {
+      isWord: false,
+      value: null,
+      frequency: 0
+    }
+  }
+
+  /**
+   *  Returns the characters on the edge from the parent to this node
+   *  @returns {string}
+   */
+  get label() {
+    return this._label
+  }
+
+  /**
+   *  Return the node's parent, or `null` if the node is a root or detached.
+   *  @private
+   *  @returns {?TrieNode}
+   */
+  get parent() {
+    return this._parent
+  }
+
+  /**
+   *  Returns the children in alphabetical order of their labels
+   *  @private
+   *  @returns {TrieNode[]}
+   */
+  get children() {
+    return Array.from(this._children.keys()).sort().map(first => this._children.get(first))
+  }
+
+  /** @private */
+  get childCount() {
+    return this._children.size
+  }
+
+  /**
+   *  Returns the child whose label starts with the given character, if any.
+   *  @private
+   *  @param {string} character
+   *  @returns {?TrieNode}
+   */
+  childFor(character) {
+    return this._children.get(character) || null
+  }
+
+  /**
+   *  Hangs `node` under this node, in place of any child whose label starts
+   *  with the same character.
+   *  @private
+   *  @param {TrieNode} node
+   *  @returns {TrieNode} the node
+   */
+  attach(node) {
+    this._children.set(node._label[0], node)
+    node._parent = this
+    return node
+  }
+
+  /**
+   *  Unlinks this node from its parent.
+   *  @private
+   */
+  detach() {
+    if (this._parent) {
+      this._parent._children.delete(this._label[0])
+      this._parent = null
+    }
+  }
+}
+
+module.exports = TrieNode
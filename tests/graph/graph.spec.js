@@ -1,4 +1,6 @@
 const { Graph } = require("../../source")
+const { CycleError, NegativeCycleError } = require("../../source").Errors
+const { ByKeyEqual, DeepEqual, StringHash } = require("../../source").Toolbox
 
 let graph;
 
@@ -16,6 +18,42 @@ describe("Graph", function() {
   it("should remove edge for undirected graph", testRemoveEdgeUndirected)
   it("should search depth-first",               testDepthFirstSearch)
   it("should search breadth-first",             testBreadthFirstSearch)
+
+  it("should weigh edges 1 by default",         testDefaultWeight)
+  it("should store edge weight and attributes", testEdgeAttributes)
+  it("should update edge weight",               testUpdateEdge)
+  it("should keep undirected edges in sync",    testUndirectedEdgeSync)
+  it("should iterate over edges",               testEdgesDirected)
+  it("should iterate over undirected edges once", testEdgesUndirected)
+
+  it("should find shortest path by hop count",  testShortestPathHops)
+  it("should find shortest path with Dijkstra", testShortestPathDijkstra)
+  it("should find shortest path with A*",       testShortestPathAStar)
+  it("should reopen vertices for an inconsistent heuristic", testShortestPathInconsistent)
+  it("should find shortest path with negative weights", testShortestPathNegative)
+  it("should detect negative-weight cycles",    testNegativeCycle)
+  it("should return null for unreachable vertices", testShortestPathUnreachable)
+  it("should find distances from a vertex",     testDistancesFrom)
+
+  it("should sort topologically with Kahn's algorithm", testTopologicalSortKahn)
+  it("should sort topologically depth-first",   testTopologicalSortDepthFirst)
+  it("should refuse to sort a graph with a cycle", testTopologicalSortCycle)
+  it("should refuse to sort an undirected graph", testTopologicalSortUndirected)
+  it("should detect cycles in directed graphs", testFindCycleDirected)
+  it("should detect cycles in undirected graphs", testFindCycleUndirected)
+
+  it("should find connected components",        testConnectedComponents)
+  it("should find strongly connected components", testStronglyConnectedComponents)
+  it("should tell whether graph is connected",  testIsConnected)
+  it("should condense strongly connected components", testCondensation)
+
+  it("should find minimum spanning tree with Kruskal", testSpanningTreeKruskal)
+  it("should find minimum spanning tree with Prim", testSpanningTreePrim)
+  it("should find spanning forest of disconnected graph", testSpanningForest)
+  it("should refuse spanning tree of directed graph", testSpanningTreeDirected)
+
+  it("should look up vertices strictly by default", testStrictVertices)
+  it("should look up vertices with given equality", testVertexEquality)
 })
 
 function testInit() {
@@ -120,3 +158,443 @@ function testBreadthFirstSearch() {
 
   expect(Array.from(graph.searchBreadthFirst("India"))).toMatchSnapshot()
 }
+
+function testDefaultWeight() {
+  const { edge } = graph.addEdge("India", "Mongolia")
+  expect(edge).toEqual({ weight: 1 })
+  expect(graph.getEdge("India", "Mongolia")).toBe(edge)
+  expect(graph.getEdge("Mongolia", "India")).toBe(null)
+  expect(graph.getEdge("India", "Kenya")).toBe(null)
+}
+
+function testEdgeAttributes() {
+  graph.addEdge("London", "Oxford", { weight: 90, motorway: "M40" })
+  expect(graph.getEdge("London", "Oxford")).toEqual({ weight: 90, motorway: "M40" })
+
+  graph.addEdge("London", "Oxford", { weight: 100 })
+  expect(graph.getEdge("London", "Oxford")).toEqual({ weight: 100 })
+}
+
+function testUpdateEdge() {
+  graph.addEdge("London", "Oxford", { weight: 90, motorway: "M40" })
+  const edge = graph.updateEdge("London", "Oxford", { weight: 120, closed: true })
+  expect(edge).toEqual({ weight: 120, motorway: "M40", closed: true })
+  expect(graph.getEdge("London", "Oxford").weight).toBe(120)
+  expect(graph.updateEdge("Oxford", "London", { weight: 1 })).toBe(null)
+}
+
+function testUndirectedEdgeSync() {
+  const undirected = new Graph(false)
+  undirected.addEdge("London", "Oxford", { weight: 90 })
+  expect(undirected.getEdge("Oxford", "London").weight).toBe(90)
+
+  undirected.updateEdge("Oxford", "London", { weight: 75 })
+  expect(undirected.getEdge("London", "Oxford").weight).toBe(75)
+
+  undirected.removeEdge("Oxford", "London")
+  expect(undirected.getEdge("London", "Oxford")).toBe(null)
+}
+
+function testEdgesDirected() {
+  graph.addEdge("A", "B", { weight: 2 })
+  graph.addEdge("B", "A", { weight: 3 })
+  graph.addEdge("B", "C")
+
+  const edges = Array.from(graph.edges())
+    .map(({ source, destination, edge }) => `${source}-${destination}:${edge.weight}`)
+  expect(edges.sort()).toEqual(["A-B:2", "B-A:3", "B-C:1"])
+}
+
+function testEdgesUndirected() {
+  const undirected = new Graph(false)
+  undirected.addEdge("A", "B", { weight: 2 })
+  undirected.addEdge("B", "C", { weight: 5 })
+
+  const edges = Array.from(undirected.edges())
+  expect(edges.length).toBe(2)
+  expect(edges.map(({ edge }) => edge.weight).sort()).toEqual([2, 5])
+}
+
+function roads() {
+  const roads = new Graph(false)
+  roads.addEdge("London", "Oxford", { weight: 90 })
+  roads.addEdge("London", "Cambridge", { weight: 100 })
+  roads.addEdge("Oxford", "Birmingham", { weight: 110 })
+  roads.addEdge("Cambridge", "Nottingham", { weight: 140 })
+  roads.addEdge("Birmingham", "Nottingham", { weight: 80 })
+  roads.addEdge("Birmingham", "Leeds", { weight: 190 })
+  roads.addEdge("Nottingham", "Leeds", { weight: 115 })
+  return roads
+}
+
+function testShortestPathHops() {
+  graph.addEdge("A", "B")
+  graph.addEdge("B", "C")
+  graph.addEdge("C", "D")
+  graph.addEdge("A", "D")
+
+  expect(graph.shortestPath("A", "D")).toEqual({ path: ["A", "D"], cost: 1 })
+  expect(graph.shortestPath("B", "D")).toEqual({ path: ["B", "C", "D"], cost: 2 })
+  expect(graph.shortestPath("A", "A")).toEqual({ path: ["A"], cost: 0 })
+}
+
+function testShortestPathDijkstra() {
+  expect(roads().shortestPath("London", "Leeds")).toEqual({
+    path: ["London", "Cambridge", "Nottingham", "Leeds"],
+    cost: 355
+  })
+  expect(roads().shortestPath("Leeds", "Oxford")).toEqual({
+    path: ["Leeds", "Birmingham", "Oxford"],
+    cost: 300
+  })
+}
+
+function testShortestPathAStar() {
+  const grid = new Graph(false)
+  const size = 10
+  for (let x = 0; x < size; x++) {
+    for (let y = 0; y < size; y++) {
+      if (x + 1 < size) grid.addEdge(`${x},${y}`, `${x + 1},${y}`, { weight: 2 })
+      if (y + 1 < size) grid.addEdge(`${x},${y}`, `${x},${y + 1}`, { weight: 2 })
+    }
+  }
+
+  const manhattan = (value, goal) => {
+    const [x1, y1] = value.split(",").map(Number)
+    const [x2, y2] = goal.split(",").map(Number)
+    return 2 * (Math.abs(x1 - x2) + Math.abs(y1 - y2))
+  }
+
+  const result = grid.shortestPath("0,0", "9,9", manhattan)
+  expect(result.cost).toBe(36)
+  expect(result.path.length).toBe(19)
+  expect(result.path[0]).toBe("0,0")
+  expect(result.path[18]).toBe("9,9")
+}
+
+function testShortestPathInconsistent() {
+  graph.addEdge("S", "A", { weight: 3 })
+  graph.addEdge("S", "B", { weight: 1 })
+  graph.addEdge("B", "A", { weight: 1 })
+  graph.addEdge("A", "G", { weight: 3 })
+
+  // Never overestimates, but B looks worse than it is, so A is settled first
+  const heuristic = value => value === "B" ? 4 : 0
+  expect(graph.shortestPath("S", "G", heuristic)).toEqual({ path: ["S", "B", "A", "G"], cost: 5 })
+}
+
+function testShortestPathNegative() {
+  graph.addEdge("A", "B", { weight: 4 })
+  graph.addEdge("A", "C", { weight: 2 })
+  graph.addEdge("C", "B", { weight: -1 })
+  graph.addEdge("B", "D", { weight: 3 })
+
+  expect(graph.shortestPath("A", "D")).toEqual({ path: ["A", "C", "B", "D"], cost: 4 })
+}
+
+function testNegativeCycle() {
+  graph.addEdge("A", "B", { weight: 1 })
+  graph.addEdge("B", "C", { weight: -2 })
+  graph.addEdge("C", "B", { weight: 1 })
+  graph.addEdge("C", "D", { weight: 1 })
+
+  let error
+  try {
+    graph.shortestPath("A", "D")
+  }
+  catch (e) {
+    error = e
+  }
+
+  expect(error).toBeInstanceOf(NegativeCycleError)
+  expect([["B", "C", "B"], ["C", "B", "C"]]).toContainEqual(error.cycle)
+}
+
+function testShortestPathUnreachable() {
+  graph.addEdge("A", "B", { weight: 3 })
+  graph.addVertex("C")
+
+  expect(graph.shortestPath("B", "A")).toBe(null)
+  expect(graph.shortestPath("A", "C")).toBe(null)
+  expect(graph.shortestPath("A", "Z")).toBe(null)
+}
+
+function testDistancesFrom() {
+  const distances = roads().distancesFrom("London")
+  expect(distances.get("London")).toBe(0)
+  expect(distances.get("Birmingham")).toBe(200)
+  expect(distances.get("Nottingham")).toBe(240)
+  expect(distances.get("Leeds")).toBe(355)
+  expect(distances.count).toBe(6)
+
+  graph.addEdge("A", "B")
+  graph.addVertex("C")
+  expect(graph.distancesFrom("A").has("C")).toBe(false)
+  expect(graph.distancesFrom("Z")).toBe(null)
+}
+
+function build() {
+  const steps = new Graph()
+  steps.addEdge("fetch", "compile")
+  steps.addEdge("compile", "test")
+  steps.addEdge("compile", "package")
+  steps.addEdge("test", "publish")
+  steps.addEdge("package", "publish")
+  steps.addEdge("docs", "publish")
+  return steps
+}
+
+function expectTopological(steps, order) {
+  expect(order.length).toBe(steps.count)
+  for (const { source, destination } of steps.edges()) {
+    expect(order.indexOf(source)).toBeLessThan(order.indexOf(destination))
+  }
+}
+
+function testTopologicalSortKahn() {
+  const steps = build()
+  const order = steps.topologicalSort()
+  expectTopological(steps, order)
+  expect(order).toStrictEqual(steps.topologicalSort("kahn"))
+  expect(new Graph().topologicalSort()).toStrictEqual([])
+}
+
+function testTopologicalSortDepthFirst() {
+  const steps = build()
+  expectTopological(steps, steps.topologicalSort("depth-first"))
+}
+
+function testTopologicalSortCycle() {
+  const steps = build()
+  steps.addEdge("publish", "compile")
+
+  for (const algorithm of ["kahn", "depth-first"]) {
+    let error
+    try {
+      steps.topologicalSort(algorithm)
+    }
+    catch (e) {
+      error = e
+    }
+
+    expect(error).toBeInstanceOf(CycleError)
+    expect(error.cycle[0]).toBe(error.cycle[error.cycle.length - 1])
+    expect(error.cycle).toContain("publish")
+    expect(error.cycle).toContain("compile")
+  }
+}
+
+function testTopologicalSortUndirected() {
+  const undirected = new Graph(false)
+  undirected.addEdge("A", "B")
+  expect(() => undirected.topologicalSort()).toThrow("directed graph")
+}
+
+function testFindCycleDirected() {
+  expect(graph.hasCycle()).toBe(false)
+  expect(graph.findCycle()).toBe(null)
+
+  graph.addEdge("A", "B")
+  graph.addEdge("B", "C")
+  graph.addEdge("A", "C")
+  expect(graph.hasCycle()).toBe(false)
+
+  graph.addEdge("C", "D")
+  graph.addEdge("D", "B")
+  expect(graph.hasCycle()).toBe(true)
+  expect(graph.findCycle()).toStrictEqual(["B", "C", "D", "B"])
+
+  const loop = new Graph()
+  loop.addEdge("A", "A")
+  expect(loop.findCycle()).toStrictEqual(["A", "A"])
+
+  expect(new NegativeCycleError()).toBeInstanceOf(CycleError)
+}
+
+function testFindCycleUndirected() {
+  const undirected = new Graph(false)
+  undirected.addEdge("A", "B")
+  undirected.addEdge("B", "C")
+  undirected.addEdge("B", "D")
+  expect(undirected.hasCycle()).toBe(false)
+
+  undirected.addEdge("D", "C")
+  const cycle = undirected.findCycle()
+  expect(cycle.length).toBe(4)
+  expect(cycle[0]).toBe(cycle[3])
+  expect(cycle.slice(0, 3).sort()).toStrictEqual(["B", "C", "D"])
+}
+
+function sorted(components) {
+  return components.map(component => component.slice().sort()).sort()
+}
+
+function testConnectedComponents() {
+  const islands = new Graph(false)
+  islands.addEdge("Skye", "Raasay")
+  islands.addEdge("Raasay", "Rona")
+  islands.addEdge("Mull", "Iona")
+  islands.addVertex("Rockall")
+
+  expect(sorted(islands.connectedComponents())).toStrictEqual([
+    ["Iona", "Mull"], ["Raasay", "Rona", "Skye"], ["Rockall"]
+  ])
+  expect(new Graph(false).connectedComponents()).toStrictEqual([])
+  expect(() => graph.connectedComponents()).toThrow("undirected graph")
+}
+
+function testStronglyConnectedComponents() {
+  graph.addEdge("A", "B")
+  graph.addEdge("B", "C")
+  graph.addEdge("C", "A")
+  graph.addEdge("C", "D")
+  graph.addEdge("D", "E")
+  graph.addEdge("E", "D")
+  graph.addEdge("E", "F")
+  graph.addVertex("G")
+
+  const components = graph.stronglyConnectedComponents()
+  expect(sorted(components)).toStrictEqual([["A", "B", "C"], ["D", "E"], ["F"], ["G"]])
+
+  // Reverse topological order: F before D/E before A/B/C
+  const position = data => components.findIndex(component => component.includes(data))
+  expect(position("F")).toBeLessThan(position("D"))
+  expect(position("D")).toBeLessThan(position("A"))
+}
+
+function testIsConnected() {
+  expect(graph.isConnected()).toBe(true)
+
+  graph.addEdge("A", "B")
+  graph.addEdge("B", "C")
+  expect(graph.isConnected()).toBe(false)
+  graph.addEdge("C", "A")
+  expect(graph.isConnected()).toBe(true)
+
+  const undirected = new Graph(false)
+  undirected.addEdge("A", "B")
+  undirected.addEdge("B", "C")
+  expect(undirected.isConnected()).toBe(true)
+  undirected.addVertex("D")
+  expect(undirected.isConnected()).toBe(false)
+}
+
+function testCondensation() {
+  graph.addEdge("A", "B", { weight: 4 })
+  graph.addEdge("B", "A", { weight: 4 })
+  graph.addEdge("A", "C", { weight: 3 })
+  graph.addEdge("B", "C", { weight: 2 })
+  graph.addEdge("C", "D", { weight: 1 })
+  graph.addEdge("D", "C", { weight: 1 })
+
+  const dag = graph.condensation()
+  expect(dag.count).toBe(2)
+  expect(dag.hasCycle()).toBe(false)
+
+  const [first, second] = dag.topologicalSort()
+  expect(first.slice().sort()).toStrictEqual(["A", "B"])
+  expect(second.slice().sort()).toStrictEqual(["C", "D"])
+  expect(dag.getEdge(first, second).weight).toBe(2)
+  expect(dag.getEdge(second, first)).toBe(null)
+}
+
+function campus() {
+  const cables = new Graph(false)
+  cables.addEdge("Library", "Lab", { weight: 7 })
+  cables.addEdge("Library", "Hall", { weight: 5 })
+  cables.addEdge("Lab", "Hall", { weight: 8 })
+  cables.addEdge("Lab", "Gym", { weight: 9 })
+  cables.addEdge("Lab", "Canteen", { weight: 7 })
+  cables.addEdge("Hall", "Gym", { weight: 15 })
+  cables.addEdge("Hall", "Office", { weight: 6 })
+  cables.addEdge("Gym", "Canteen", { weight: 5 })
+  cables.addEdge("Gym", "Office", { weight: 8 })
+  cables.addEdge("Gym", "Pool", { weight: 9 })
+  cables.addEdge("Office", "Pool", { weight: 11 })
+  cables.addEdge("Canteen", "Pool", { weight: 11 })
+  return cables
+}
+
+function expectSpanningTree(algorithm) {
+  const cables = campus()
+  cables.updateEdge("Library", "Lab", { label: "fibre" })
+
+  const { tree, weight } = cables.minimumSpanningTree(algorithm)
+  expect(weight).toBe(39)
+  expect(tree._isDirected).toBe(false)
+  expect(tree.count).toBe(7)
+  expect(Array.from(tree.edges()).length).toBe(6)
+  expect(tree.isConnected()).toBe(true)
+  expect(tree.getEdge("Lab", "Library")).toStrictEqual({ weight: 7, label: "fibre" })
+  expect(tree.getEdge("Lab", "Library")).not.toBe(cables.getEdge("Lab", "Library"))
+  expect(tree.getEdge("Hall", "Gym")).toBe(null)
+}
+
+function testSpanningTreeKruskal() {
+  expectSpanningTree("kruskal")
+  expect(campus().minimumSpanningTree().weight).toBe(39)
+}
+
+function testSpanningTreePrim() {
+  expectSpanningTree("prim")
+}
+
+function testSpanningForest() {
+  const cables = new Graph(false)
+  cables.addEdge("A", "B", { weight: 1 })
+  cables.addEdge("B", "C", { weight: 2 })
+  cables.addEdge("A", "C", { weight: 3 })
+  cables.addEdge("D", "E", { weight: 4 })
+  cables.addEdge("E", "E", { weight: 0 })
+  cables.addVertex("F")
+
+  for (const algorithm of ["kruskal", "prim"]) {
+    const { tree, weight } = cables.minimumSpanningTree(algorithm)
+    expect(weight).toBe(7)
+    expect(tree.count).toBe(6)
+    expect(sorted(tree.connectedComponents())).toStrictEqual([["A", "B", "C"], ["D", "E"], ["F"]])
+  }
+
+  expect(new Graph(false).minimumSpanningTree().weight).toBe(0)
+}
+
+function testSpanningTreeDirected() {
+  graph.addEdge("A", "B")
+  expect(() => graph.minimumSpanningTree()).toThrow("undirected graph")
+}
+
+function testStrictVertices() {
+  graph.addEdge([0, 0], [0, 1])
+  expect(graph.count).toBe(2)
+  expect(graph.getEdge([0, 0], [0, 1])).toBe(null)
+  graph.addVertex([0, 0])
+  expect(graph.count).toBe(3)
+}
+
+function testVertexEquality() {
+  const grid = new Graph(false, DeepEqual)
+  grid.addEdge([0, 0], [0, 1], { weight: 2 })
+  grid.addEdge([0, 1], [1, 1], { weight: 3 })
+  grid.addEdge([0, 0], [1, 0], { weight: 4 })
+  grid.addEdge([1, 0], [1, 1], { weight: 4 })
+  grid.addVertex([0, 0])
+
+  expect(grid.count).toBe(4)
+  expect(grid.areNeighbours([0, 1], [0, 0])).toBe(true)
+  expect(grid.shortestPath([0, 0], [1, 1])).toStrictEqual({ path: [[0, 0], [0, 1], [1, 1]], cost: 5 })
+  expect(grid.distancesFrom([0, 0]).get([1, 0])).toBe(4)
+  expect(grid.minimumSpanningTree().tree.getEdge([1, 1], [0, 1]).weight).toBe(3)
+
+  grid.removeVertex([0, 1])
+  expect(grid.count).toBe(3)
+  expect(grid.shortestPath([0, 0], [1, 1]).cost).toBe(8)
+
+  const byId = ByKeyEqual(user => user.id)
+  for (const users of [new Graph(true, byId), new Graph(true, byId, user => StringHash(user.id))]) {
+    users.addVertex({ id: 1 })
+    users.addVertex({ id: 1, name: "Ada" })
+    users.addEdge({ id: 1 }, { id: 2 })
+    expect(users.count).toBe(2)
+    expect(users.areNeighbours({ id: 1, name: "Ada" }, { id: 2 })).toBe(true)
+  }
+}
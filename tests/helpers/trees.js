@@ -0,0 +1,37 @@
+const BinaryTreeNode = require("../../source/trees/bstNode")
+
+/**
+ *  Fills the empty `tree` with `0` to `count - 1` as a chain of right
+ *  children, the shape adding them in order builds, without taking `O(n²)`
+ *  to add them one by one. If `valueOf` is given, each node keeps
+ *  `valueOf(data)` as `metadata.value`, as the tree of a `TreeMap` does.
+ *
+ *  @param {BinarySearchTree} tree
+ *  @param {number} count
+ *  @param {function} [valueOf]
+ *  @returns {BinarySearchTree} the `tree`
+ */
+function degenerate(tree, count, valueOf) {
+  let parent = null
+
+  for (let i = 0; i < count; i++) {
+    const node = new BinaryTreeNode(i)
+    node.metadata.size = count - i
+    if (valueOf) {
+      node.metadata.value = valueOf(i)
+    }
+
+    if (parent) {
+      parent.rightChild = node
+    }
+    else {
+      tree._root = node
+    }
+    parent = node
+  }
+
+  tree._count = count
+  return tree
+}
+
+module.exports = { degenerate }
@@ -0,0 +1,126 @@
+const { Deque } = require("../../source").Linear
+
+describe("Collections ◊ Deque", function() {
+  it("should initialise an empty deque",          testInit)
+  it("should add and remove at the front",        testFront)
+  it("should add and remove at the back",         testBack)
+  it("should peek at both ends",                  testPeek)
+  it("should iterate from front to back",         testIterate)
+  it("should grow the ring buffer when full",     testGrow)
+  it("should refuse an unknown backing",          testUnknownBacking)
+  it("should behave alike in both modes",         testRandom)
+})
+
+const backings = ["list", "array"]
+
+function testInit() {
+  for (const backing of backings) {
+    const deque = new Deque(backing)
+    expect(deque.length).toBe(0)
+    expect(deque.popFront()).toBe(null)
+    expect(deque.popBack()).toBe(null)
+    expect(deque.peekFront()).toBe(null)
+    expect(deque.peekBack()).toBe(null)
+  }
+}
+
+function testFront() {
+  for (const backing of backings) {
+    const deque = new Deque(backing)
+    deque.pushFront(10)
+      .pushFront(20)
+      .pushFront(30)
+
+    expect(deque.length).toBe(3)
+    expect(deque.popFront()).toBe(30)
+    expect(deque.popFront()).toBe(20)
+    expect(deque.popBack()).toBe(10)
+    expect(deque.length).toBe(0)
+  }
+}
+
+function testBack() {
+  for (const backing of backings) {
+    const deque = new Deque(backing)
+    deque.pushBack(10)
+      .pushBack(20)
+      .pushBack(30)
+
+    expect(deque.popBack()).toBe(30)
+    expect(deque.popFront()).toBe(10)
+    expect(deque.popBack()).toBe(20)
+    expect(deque.popBack()).toBe(null)
+  }
+}
+
+function testPeek() {
+  for (const backing of backings) {
+    const deque = new Deque(backing)
+    deque.pushBack(20)
+      .pushBack(30)
+      .pushFront(10)
+
+    expect(deque.peekFront()).toBe(10)
+    expect(deque.peekBack()).toBe(30)
+    expect(deque.length).toBe(3)
+  }
+}
+
+function testIterate() {
+  for (const backing of backings) {
+    const deque = new Deque(backing, 2)
+    deque.pushBack(2)
+      .pushFront(1)
+      .pushBack(3)
+
+    expect(Array.from(deque)).toStrictEqual([1, 2, 3])
+    expect(deque.toArray()).toStrictEqual([1, 2, 3])
+    expect(new Deque(backing).toArray()).toStrictEqual([])
+  }
+}
+
+function testGrow() {
+  const deque = new Deque("array", 4)
+  for (let i = 1; i <= 3; i++) {
+    deque.pushFront(-i)
+    deque.pushBack(i)
+  }
+
+  expect(deque.length).toBe(6)
+  expect(deque._items._slots.length).toBe(8)
+  expect(deque.toArray()).toStrictEqual([-3, -2, -1, 1, 2, 3])
+}
+
+function testUnknownBacking() {
+  expect(() => new Deque("tree")).toThrow(`Unknown backing "tree"`)
+}
+
+function testRandom() {
+  const list = new Deque("list")
+  const ring = new Deque("array", 1)
+  let seed = 5
+  const random = () => (seed = (seed * 16807) % 2147483647) % 4
+
+  for (let i = 0; i < 2000; i++) {
+    switch (random()) {
+      case 0:
+        list.pushFront(i)
+        ring.pushFront(i)
+        break
+      case 1:
+        list.pushBack(i)
+        ring.pushBack(i)
+        break
+      case 2:
+        expect(ring.popFront()).toBe(list.popFront())
+        break
+      default:
+        expect(ring.popBack()).toBe(list.popBack())
+    }
+    expect(ring.peekFront()).toBe(list.peekFront())
+    expect(ring.peekBack()).toBe(list.peekBack())
+  }
+
+  expect(ring.length).toBe(list.length)
+  expect(ring.toArray()).toStrictEqual(list.toArray())
+}
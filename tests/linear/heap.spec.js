@@ -0,0 +1,76 @@
+const { BinaryHeap } = require("../../source").Linear
+const { ByKey, ReverseOrder } = require("../../source").Toolbox
+
+describe("Collections ◊ BinaryHeap", function() {
+  it("should initialise an empty heap",           testInit)
+  it("should hand out the smallest item first",   testMinHeap)
+  it("should hand out the largest item first",    testMaxHeap)
+  it("should order items by comparator",          testComparator)
+  it("should heapify an iterable",                testHeapify)
+  it("should sort random input",                  testRandom)
+})
+
+function testInit() {
+  const heap = new BinaryHeap()
+  expect(heap.count).toBe(0)
+  expect(heap.peek()).toBe(null)
+  expect(heap.pop()).toBe(null)
+}
+
+function testMinHeap() {
+  const heap = new BinaryHeap()
+  heap.push(30)
+    .push(10)
+    .push(20)
+    .push(10)
+
+  expect(heap.count).toBe(4)
+  expect(heap.peek()).toBe(10)
+  expect(drain(heap)).toStrictEqual([10, 10, 20, 30])
+  expect(heap.count).toBe(0)
+}
+
+function testMaxHeap() {
+  const heap = new BinaryHeap(ReverseOrder(), [3, 1, 4, 1, 5, 9, 2, 6])
+  expect(heap.peek()).toBe(9)
+  expect(drain(heap)).toStrictEqual([9, 6, 5, 4, 3, 2, 1, 1])
+}
+
+function testComparator() {
+  const tasks = [{ name: "taxes", due: 3 }, { name: "laundry", due: 1 }, { name: "dishes", due: 2 }]
+  const heap = new BinaryHeap(ByKey(task => task.due), tasks)
+
+  expect(drain(heap).map(task => task.name)).toStrictEqual(["laundry", "dishes", "taxes"])
+}
+
+function testHeapify() {
+  const heap = new BinaryHeap(undefined, new Set([5, 3, 8, 1]))
+  expect(heap.count).toBe(4)
+  expect(heap.toArray().sort()).toStrictEqual([1, 3, 5, 8])
+  expect(Array.from(heap).sort()).toStrictEqual([1, 3, 5, 8])
+  expect(drain(heap)).toStrictEqual([1, 3, 5, 8])
+}
+
+function testRandom() {
+  let seed = 11
+  const random = () => (seed = (seed * 16807) % 2147483647) % 1000
+  const items = Array.from({ length: 500 }, random)
+
+  const heapified = new BinaryHeap(undefined, items)
+  const pushed = new BinaryHeap()
+  items.forEach(item => pushed.push(item))
+
+  const expected = items.slice().sort((a, b) => a - b)
+  expect(drain(heapified)).toStrictEqual(expected)
+  expect(drain(pushed)).toStrictEqual(expected)
+}
+
+// ------------------ Helpers ---------------------------------------- //
+
+function drain(heap) {
+  const items = []
+  while (heap.count > 0) {
+    items.push(heap.pop())
+  }
+  return items
+}
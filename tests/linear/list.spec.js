@@ -1,4 +1,6 @@
 const { List } = require("../../source").Linear
+const { OutOfBoundsError } = require("../../source").Errors
+const { ByKeyEqual, SameValueZero, StrictEqual } = require("../../source").Toolbox
 
 describe("Collections ◊ List", function () {
   it("should initialise a list",                            testInit)
@@ -14,9 +16,29 @@ describe("Collections ◊ List", function () {
 
   it("should find data by value",                           testIndexOf)
   it("should handle search by value failure",               testIndexOfFailCase)
+  it("should search without changing the data",             testIndexOfKeepsData)
+  it("should search with the given equality",               testIndexOfEquality)
+  it("should pass equality on to derived lists",            testDerivedEquality)
 
   it("should find data by index",                           testItemAtIndex)
   it("should handle index out of bounds error",             testItemAtIndexOutOfBounds)
+
+  it("should iterate forwards",                             testIterate)
+  it("should iterate in reverse",                           testReversed)
+  it("should create a list from an iterable",               testFrom)
+  it("should call back for each item",                      testForEach)
+  it("should map and filter into new lists",                testMapFilter)
+  it("should reduce to a single value",                     testReduce)
+  it("should test items with some and every",               testSomeEvery)
+
+  it("should insert around a node",                         testInsertAroundNode)
+  it("should remove a node",                                testRemoveNode)
+  it("should splice items out and in",                      testSplice)
+  it("should slice out a copy",                             testSlice)
+  it("should concatenate by stealing nodes",                testConcat)
+  it("should reverse in place",                             testReverse)
+  it("should rotate in place",                              testRotate)
+  it("should split in two",                                 testSplitAt)
 })
 
 function testInit() {
@@ -127,3 +149,230 @@ function testItemAtIndexOutOfBounds() {
   list.add(40)
   expect(() => list.itemAtIndex(8)).toThrow()
 }
+
+function testIterate() {
+  const list = new List()
+  list.add(10)
+  list.add(20)
+  list.add(30)
+
+  const visited = []
+  for (const data of list) {
+    visited.push(data)
+  }
+  expect(visited).toStrictEqual([10, 20, 30])
+  expect([...list]).toStrictEqual([10, 20, 30])
+  expect(list.toArray()).toStrictEqual([10, 20, 30])
+  expect(Array.from(new List())).toStrictEqual([])
+}
+
+function testReversed() {
+  const list = List.from([10, 20, 30])
+  expect(Array.from(list.reversed())).toStrictEqual([30, 20, 10])
+  expect(Array.from(new List().reversed())).toStrictEqual([])
+}
+
+function testFrom() {
+  const list = List.from(new Set(["a", "b", "c"]))
+  expect(list.count).toBe(3)
+  expect(list.itemAtIndex(2)).toBe("c")
+  expect(List.from("xyz").toArray()).toStrictEqual(["x", "y", "z"])
+
+  const copy = List.from(list)
+  copy.remove()
+  expect(list.count).toBe(3)
+}
+
+function testForEach() {
+  const list = List.from([10, 20, 30])
+  const calls = []
+  list.forEach((data, index, self) => calls.push([data, index, self]))
+  expect(calls).toStrictEqual([[10, 0, list], [20, 1, list], [30, 2, list]])
+}
+
+function testMapFilter() {
+  const list = List.from([1, 2, 3, 4])
+
+  const mapped = list.map((n, index) => n * 10 + index)
+  expect(mapped).toBeInstanceOf(List)
+  expect(mapped.toArray()).toStrictEqual([10, 21, 32, 43])
+
+  const filtered = list.filter(n => n % 2 === 0)
+  expect(filtered).toBeInstanceOf(List)
+  expect(filtered.toArray()).toStrictEqual([2, 4])
+  expect(filtered.last.data).toBe(4)
+  expect(list.count).toBe(4)
+}
+
+function testReduce() {
+  const list = List.from([1, 2, 3, 4])
+  expect(list.reduce((sum, n) => sum + n, 0)).toBe(10)
+  expect(list.reduce((sum, n) => sum + n)).toBe(10)
+  expect(list.reduce((indices, n, index) => indices + index, "")).toBe("0123")
+  expect(new List().reduce((sum, n) => sum + n, 0)).toBe(0)
+  expect(() => new List().reduce((sum, n) => sum + n)).toThrow(TypeError)
+}
+
+function testSomeEvery() {
+  const list = List.from([2, 4, 5])
+  expect(list.some(n => n % 2 === 1)).toBe(true)
+  expect(list.some(n => n > 5)).toBe(false)
+  expect(list.every(n => n > 1)).toBe(true)
+  expect(list.every(n => n % 2 === 0)).toBe(false)
+  expect(new List().some(() => true)).toBe(false)
+  expect(new List().every(() => false)).toBe(true)
+}
+
+function testInsertAroundNode() {
+  const list = new List()
+  const node = list.add("b")
+
+  const before = list.insertBefore(node, "a")
+  const after = list.insertAfter(node, "c")
+  list.insertAfter(after, "d")
+  list.insertBefore(node, "ab")
+
+  expect(list.toArray()).toStrictEqual(["a", "ab", "b", "c", "d"])
+  expect(Array.from(list.reversed())).toStrictEqual(["d", "c", "b", "ab", "a"])
+  expect(list.first).toBe(before)
+  expect(list.count).toBe(5)
+}
+
+function testRemoveNode() {
+  const list = new List()
+  const first = list.add(10)
+  const middle = list.add(20)
+  const last = list.add(30)
+
+  expect(list.removeNode(middle)).toBe(20)
+  expect(middle.next).toBe(null)
+  expect(list.toArray()).toStrictEqual([10, 30])
+  expect(list.removeNode(first)).toBe(10)
+  expect(list.removeNode(last)).toBe(30)
+  expect(list.count).toBe(0)
+  expect(list.first).toBe(null)
+  expect(list.last).toBe(null)
+}
+
+function testSplice() {
+  const list = List.from([1, 2, 3, 4])
+  const removed = list.splice(1, 2, "a", "b", "c")
+  expect(removed.toArray()).toStrictEqual([2, 3])
+  expect(list.toArray()).toStrictEqual([1, "a", "b", "c", 4])
+  expect(Array.from(list.reversed())).toStrictEqual([4, "c", "b", "a", 1])
+
+  expect(list.splice(-2).toArray()).toStrictEqual(["c", 4])
+  expect(list.toArray()).toStrictEqual([1, "a", "b"])
+  expect(list.last.data).toBe("b")
+
+  expect(list.splice(0, 0, 0).count).toBe(0)
+  expect(list.splice(10, 1, "z").count).toBe(0)
+  expect(list.toArray()).toStrictEqual([0, 1, "a", "b", "z"])
+
+  expect(list.splice(0).toArray()).toStrictEqual([0, 1, "a", "b", "z"])
+  expect(list.count).toBe(0)
+  expect(list.first).toBe(null)
+}
+
+function testSlice() {
+  const list = List.from([1, 2, 3, 4])
+  expect(list.slice(1, 3).toArray()).toStrictEqual([2, 3])
+  expect(list.slice(-1).toArray()).toStrictEqual([4])
+  expect(list.slice().toArray()).toStrictEqual([1, 2, 3, 4])
+  expect(list.slice(3, 1).count).toBe(0)
+  expect(list.count).toBe(4)
+}
+
+function testConcat() {
+  const first = List.from([1, 2])
+  const second = List.from([3, 4])
+  const lastNode = second.last
+
+  expect(first.concat(second)).toBe(first)
+  expect(first.toArray()).toStrictEqual([1, 2, 3, 4])
+  expect(Array.from(first.reversed())).toStrictEqual([4, 3, 2, 1])
+  expect(first.last).toBe(lastNode)
+  expect(first.count).toBe(4)
+  expect(second.count).toBe(0)
+  expect(second.toArray()).toStrictEqual([])
+
+  const empty = new List()
+  empty.concat(first)
+  expect(empty.toArray()).toStrictEqual([1, 2, 3, 4])
+  expect(() => empty.concat(empty)).toThrow()
+}
+
+function testReverse() {
+  const list = List.from([1, 2, 3])
+  expect(list.reverse()).toBe(list)
+  expect(list.toArray()).toStrictEqual([3, 2, 1])
+  expect(Array.from(list.reversed())).toStrictEqual([1, 2, 3])
+  expect(list.itemAtIndex(0)).toBe(3)
+  expect(new List().reverse().count).toBe(0)
+}
+
+function testRotate() {
+  const list = List.from([1, 2, 3, 4])
+  expect(list.rotate(1).toArray()).toStrictEqual([2, 3, 4, 1])
+  expect(list.rotate(-1).toArray()).toStrictEqual([1, 2, 3, 4])
+  expect(list.rotate(6).toArray()).toStrictEqual([3, 4, 1, 2])
+  expect(Array.from(list.reversed())).toStrictEqual([2, 1, 4, 3])
+  expect(list.rotate(4).toArray()).toStrictEqual([3, 4, 1, 2])
+  expect(new List().rotate(3).count).toBe(0)
+}
+
+function testSplitAt() {
+  const list = List.from([1, 2, 3, 4])
+  const tail = list.splitAt(1)
+  expect(list.toArray()).toStrictEqual([1])
+  expect(tail.toArray()).toStrictEqual([2, 3, 4])
+  expect(Array.from(tail.reversed())).toStrictEqual([4, 3, 2])
+  expect(list.last.next).toBe(null)
+
+  expect(tail.splitAt(3).count).toBe(0)
+  expect(tail.splitAt(0).toArray()).toStrictEqual([2, 3, 4])
+  expect(tail.count).toBe(0)
+  expect(tail.first).toBe(null)
+  expect(() => list.splitAt(2)).toThrow(OutOfBoundsError)
+}
+
+function testIndexOfKeepsData() {
+  const tags = new Set(["a", "b"])
+  const cyclic = { name: "cyclic" }
+  cyclic.self = cyclic
+  const list = List.from([tags, new Date(0), cyclic, { tags: new Set(["c"]) }])
+
+  expect(list.indexOf(new Set(["a", "b"]))).toBe(0)
+  expect(list.itemAtIndex(0)).toBe(tags)
+  expect(list.indexOf(new Date(0))).toBe(1)
+  expect(list.itemAtIndex(1)).toBeInstanceOf(Date)
+  expect(list.indexOf(cyclic)).toBe(2)
+  expect(list.indexOf({ tags: new Set(["c"]) })).toBe(3)
+  expect(list.indexOf({})).toBe(null)
+}
+
+function testIndexOfEquality() {
+  const item = { id: 1 }
+  const strict = List.from([{ id: 1 }, item], StrictEqual)
+  expect(strict.equality).toBe(StrictEqual)
+  expect(strict.indexOf(item)).toBe(1)
+  expect(strict.indexOf({ id: 1 })).toBe(null)
+
+  const numbers = new List(SameValueZero)
+  numbers.add(1)
+  numbers.add(NaN)
+  expect(numbers.indexOf(NaN)).toBe(1)
+
+  const users = List.from([{ id: 1, name: "Ada" }, { id: 2, name: "Grace" }], ByKeyEqual(user => user.id))
+  expect(users.indexOf({ id: 2 })).toBe(1)
+}
+
+function testDerivedEquality() {
+  const list = List.from([1, 2, 3, 4], StrictEqual)
+  expect(list.map(n => n * 2).equality).toBe(StrictEqual)
+  expect(list.filter(n => n > 1).equality).toBe(StrictEqual)
+  expect(list.slice(1).equality).toBe(StrictEqual)
+  expect(list.splice(0, 1).equality).toBe(StrictEqual)
+  expect(list.splitAt(1).equality).toBe(StrictEqual)
+  expect(new List().equality).not.toBe(StrictEqual)
+}
@@ -0,0 +1,137 @@
+const { PriorityQueue } = require("../../source").Linear
+const { ReverseOrder } = require("../../source").Toolbox
+
+describe("Collections ◊ PriorityQueue", function() {
+  it("should initialise an empty queue",          testInit)
+  it("should hand out items by priority",         testEnqueue)
+  it("should hand out ties first-in-first-out",   testTies)
+  it("should hand out highest priority first",    testReversed)
+  it("should fill from item-priority pairs",      testEntries)
+  it("should change priority of an item",         testChangePriority)
+  it("should re-prioritise an item queued twice", testEnqueueTwice)
+  it("should remove an item from anywhere",       testRemove)
+  it("should stay ordered under random updates",  testRandom)
+})
+
+function testInit() {
+  const queue = new PriorityQueue()
+  expect(queue.length).toBe(0)
+  expect(queue.peek()).toBe(null)
+  expect(queue.dequeue()).toBe(null)
+}
+
+function testEnqueue() {
+  const queue = new PriorityQueue()
+  queue.enqueue("laundry", 3)
+    .enqueue("taxes", 1)
+    .enqueue("dishes", 2)
+
+  expect(queue.length).toBe(3)
+  expect(queue.peek()).toBe("taxes")
+  expect(queue.priorityOf("dishes")).toBe(2)
+  expect(queue.priorityOf("gardening")).toBe(null)
+  expect(drain(queue)).toStrictEqual(["taxes", "dishes", "laundry"])
+  expect(queue.has("taxes")).toBe(false)
+}
+
+function testTies() {
+  const queue = new PriorityQueue()
+  ;["a", "b", "c", "d", "e"].forEach(item => queue.enqueue(item, 1))
+  queue.enqueue("urgent", 0)
+
+  expect(drain(queue)).toStrictEqual(["urgent", "a", "b", "c", "d", "e"])
+}
+
+function testReversed() {
+  const queue = new PriorityQueue(ReverseOrder())
+  queue.enqueue("low", 1)
+    .enqueue("high", 10)
+    .enqueue("medium", 5)
+
+  expect(drain(queue)).toStrictEqual(["high", "medium", "low"])
+}
+
+function testEntries() {
+  const queue = new PriorityQueue(undefined, new Map([["c", 3], ["a", 1], ["b", 2]]))
+  expect(queue.length).toBe(3)
+  expect(queue.has("a")).toBe(true)
+
+  const duplicates = new PriorityQueue(undefined, [["a", 1], ["b", 2], ["a", 3]])
+  expect(duplicates.length).toBe(2)
+  expect(drain(duplicates)).toStrictEqual(["b", "a"])
+  expect(drain(queue)).toStrictEqual(["a", "b", "c"])
+}
+
+function testChangePriority() {
+  const queue = new PriorityQueue()
+  const job = { name: "backup" }
+  queue.enqueue(job, 5)
+    .enqueue("a", 1)
+    .enqueue("b", 2)
+
+  expect(queue.changePriority(job, 0)).toBe(true)
+  expect(queue.peek()).toBe(job)
+  expect(queue.changePriority(job, 9)).toBe(true)
+  expect(queue.changePriority("z", 1)).toBe(false)
+  expect(drain(queue)).toStrictEqual(["a", "b", job])
+}
+
+function testEnqueueTwice() {
+  const queue = new PriorityQueue()
+  queue.enqueue("a", 5)
+    .enqueue("b", 3)
+    .enqueue("a", 1)
+
+  expect(queue.length).toBe(2)
+  expect(drain(queue)).toStrictEqual(["a", "b"])
+}
+
+function testRemove() {
+  const queue = new PriorityQueue()
+  ;[["a", 4], ["b", 2], ["c", 5], ["d", 1], ["e", 3]].forEach(([item, priority]) => queue.enqueue(item, priority))
+
+  expect(queue.remove("b")).toBe(true)
+  expect(queue.remove("b")).toBe(false)
+  expect(queue.remove("d")).toBe(true)
+  expect(queue.has("d")).toBe(false)
+  expect(queue.length).toBe(3)
+  expect(drain(queue)).toStrictEqual(["e", "a", "c"])
+}
+
+function testRandom() {
+  const queue = new PriorityQueue()
+  const reference = new Map()
+  let seed = 3
+  const random = () => (seed = (seed * 16807) % 2147483647) % 100
+
+  for (let i = 0; i < 2000; i++) {
+    const item = random()
+    const priority = random()
+    if (i % 4 === 3) {
+      expect(queue.remove(item)).toBe(reference.delete(item))
+    }
+    else {
+      queue.enqueue(item, priority)
+      reference.set(item, priority)
+    }
+  }
+
+  expect(queue.length).toBe(reference.size)
+  const priorities = []
+  while (queue.length > 0) {
+    const item = queue.peek()
+    priorities.push(queue.priorityOf(item))
+    expect(queue.dequeue()).toBe(item)
+  }
+  expect(priorities).toStrictEqual(Array.from(reference.values()).sort((a, b) => a - b))
+}
+
+// ------------------ Helpers ---------------------------------------- //
+
+function drain(queue) {
+  const items = []
+  while (queue.length > 0) {
+    items.push(queue.dequeue())
+  }
+  return items
+}
@@ -1,9 +1,11 @@
 const { Queue } = require("../../source").Linear
+const { StrictEqual } = require("../../source").Toolbox
 
 describe("Collections ◊ Queue", function() {
   it("should initialise a queue",         testInit)
   it("should add item to the back",       testEnqueue)
   it("should remove item from the front", testDequeue)
+  it("should search for an item",         testHas)
 })
 
 function testInit() {
@@ -31,3 +33,19 @@ function testDequeue() {
   expect(queue.dequeue()).toBe(10)
   expect(queue.dequeue()).toBe(20)
 }
+
+function testHas() {
+  const queue = new Queue()
+  queue.enqueue([1, 2])
+    .enqueue(new Set(["a"]))
+
+  expect(queue.has([1, 2])).toBe(true)
+  expect(queue.has(new Set(["a"]))).toBe(true)
+  expect(queue.has([2, 1])).toBe(false)
+
+  const item = [1, 2]
+  const strict = new Queue(StrictEqual)
+  strict.enqueue(item)
+  expect(strict.has(item)).toBe(true)
+  expect(strict.has([1, 2])).toBe(false)
+}
@@ -0,0 +1,150 @@
+const { RingBuffer } = require("../../source").Linear
+const { OutOfBoundsError, OverflowError } = require("../../source").Errors
+
+describe("Collections ◊ RingBuffer", function() {
+  it("should initialise an empty buffer",         testInit)
+  it("should refuse invalid settings",            testInvalid)
+  it("should add items until full",               testPush)
+  it("should overwrite the oldest item",          testOverwrite)
+  it("should reject items when full",             testReject)
+  it("should block pushes until there is room",   testBlock)
+  it("should access items by index",              testGet)
+  it("should shift out the oldest item",          testShift)
+  it("should iterate from oldest to newest",      testIterate)
+  it("should push many items at once",            testPushAll)
+  it("should keep numbers in a typed array",      testTypedArray)
+})
+
+function testInit() {
+  const buffer = new RingBuffer(3)
+  expect(buffer.length).toBe(0)
+  expect(buffer.capacity).toBe(3)
+  expect(buffer.isFull).toBe(false)
+  expect(buffer.shift()).toBe(null)
+  expect(buffer.toArray()).toStrictEqual([])
+}
+
+function testInvalid() {
+  expect(() => new RingBuffer(0)).toThrow("positive integer")
+  expect(() => new RingBuffer(2.5)).toThrow("positive integer")
+  expect(() => new RingBuffer(3, "drop")).toThrow(`Unknown overflow policy "drop"`)
+}
+
+function testPush() {
+  const buffer = new RingBuffer(3)
+  buffer.push(1)
+    .push(2)
+    .push(3)
+
+  expect(buffer.length).toBe(3)
+  expect(buffer.isFull).toBe(true)
+  expect(buffer.toArray()).toStrictEqual([1, 2, 3])
+}
+
+function testOverwrite() {
+  const buffer = new RingBuffer(3)
+  for (let i = 1; i <= 7; i++) {
+    buffer.push(i)
+  }
+
+  expect(buffer.length).toBe(3)
+  expect(buffer.toArray()).toStrictEqual([5, 6, 7])
+}
+
+function testReject() {
+  const buffer = new RingBuffer(2, "reject")
+  buffer.push(1).push(2)
+
+  expect(() => buffer.push(3)).toThrow(OverflowError)
+  expect(buffer.toArray()).toStrictEqual([1, 2])
+
+  buffer.shift()
+  buffer.push(3)
+  expect(buffer.toArray()).toStrictEqual([2, 3])
+}
+
+async function testBlock() {
+  const buffer = new RingBuffer(2, "block")
+  await buffer.push(1)
+  await buffer.push(2)
+
+  const resolved = []
+  const third = buffer.push(3).then(() => resolved.push(3))
+  const fourth = buffer.push(4).then(() => resolved.push(4))
+  await Promise.resolve()
+  expect(resolved).toStrictEqual([])
+  expect(buffer.toArray()).toStrictEqual([1, 2])
+
+  expect(buffer.shift()).toBe(1)
+  await third
+  expect(resolved).toStrictEqual([3])
+  expect(buffer.toArray()).toStrictEqual([2, 3])
+
+  buffer.clear()
+  await fourth
+  expect(buffer.toArray()).toStrictEqual([4])
+  expect(await buffer.push(5)).toBe(buffer)
+}
+
+function testGet() {
+  const buffer = new RingBuffer(3)
+  buffer.pushAll([1, 2, 3, 4])
+
+  expect(buffer.get(0)).toBe(2)
+  expect(buffer.get(2)).toBe(4)
+  expect(buffer.get(-1)).toBe(4)
+  expect(buffer.get(-3)).toBe(2)
+  expect(() => buffer.get(3)).toThrow(OutOfBoundsError)
+  expect(() => buffer.get(-4)).toThrow(OutOfBoundsError)
+  expect(() => buffer.get(0.5)).toThrow(OutOfBoundsError)
+}
+
+function testShift() {
+  const buffer = new RingBuffer(3)
+  buffer.pushAll([1, 2, 3, 4])
+
+  expect(buffer.shift()).toBe(2)
+  expect(buffer.shift()).toBe(3)
+  buffer.push(5).push(6)
+  expect(buffer.toArray()).toStrictEqual([4, 5, 6])
+
+  buffer.clear()
+  expect(buffer.length).toBe(0)
+  expect(buffer._slots.every(slot => slot === undefined)).toBe(true)
+}
+
+function testIterate() {
+  const buffer = new RingBuffer(4)
+  buffer.pushAll("abcdef")
+
+  expect(Array.from(buffer)).toStrictEqual(["c", "d", "e", "f"])
+  expect([...buffer].join("")).toBe("cdef")
+}
+
+async function testPushAll() {
+  const rejecting = new RingBuffer(3, "reject")
+  rejecting.pushAll([1, 2])
+  expect(() => rejecting.pushAll([3, 4])).toThrow(OverflowError)
+  expect(rejecting.toArray()).toStrictEqual([1, 2])
+
+  const blocking = new RingBuffer(2, "block")
+  const pushed = blocking.pushAll(new Set([1, 2, 3]))
+  expect(blocking.toArray()).toStrictEqual([1, 2])
+  blocking.shift()
+  expect(await pushed).toBe(blocking)
+  expect(blocking.toArray()).toStrictEqual([2, 3])
+}
+
+function testTypedArray() {
+  const samples = new RingBuffer(3, "overwrite", Float64Array)
+  samples.pushAll([0.5, 0.7, 0.6, 0.9])
+
+  expect(samples._slots).toBeInstanceOf(Float64Array)
+  expect(samples.toArray()).toStrictEqual([0.7, 0.6, 0.9])
+  expect(samples.shift()).toBe(0.7)
+  expect(samples.get(-1)).toBe(0.9)
+
+  const bytes = new RingBuffer(2, "overwrite", Uint8Array)
+  bytes.push(300)
+  expect(bytes.get(0)).toBe(44)
+}
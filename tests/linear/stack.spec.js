@@ -1,10 +1,12 @@
 const { Stack } = require("../../source").Linear
+const { StrictEqual } = require("../../source").Toolbox
 
 describe("Collections ◊ Stack", function() {
   it("should initialise a stack",           testInit)
   it("should add items to the top",         testPush)
   it("should remove items from the top",    testPop)
   it("should retrieve item from the top",   testPeek)
+  it("should search for an item",           testHas)
 })
 
 function testInit() {
@@ -45,3 +47,19 @@ function testPeek() {
   expect(stack.pop()).toBe(30)
   expect(stack.peek()).toBe(20)
 }
+
+function testHas() {
+  const stack = new Stack()
+  stack.push({ id: 1 })
+    .push(new Date(0))
+
+  expect(stack.has({ id: 1 })).toBe(true)
+  expect(stack.has(new Date(0))).toBe(true)
+  expect(stack.has({ id: 2 })).toBe(false)
+
+  const item = { id: 1 }
+  const strict = new Stack(StrictEqual)
+  strict.push(item)
+  expect(strict.has(item)).toBe(true)
+  expect(strict.has({ id: 1 })).toBe(false)
+}
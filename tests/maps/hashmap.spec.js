@@ -1,4 +1,10 @@
 const { HashMap } = require("../../source").Maps
+const { 
+  ByKeyEqual,
+  DeepEqual,
+  SameValueZero,
+  StringHash
+} = require("../../source").Toolbox
 
 describe("Maps ◊ HashMap", function() {
   it("should initialise an empty map",            testInit)
@@ -10,6 +16,17 @@ describe("Maps ◊ HashMap", function() {
   it("should be able to tell if key is present",  testHas)
   it("should return all keys",                    testGetKeys)
   it("should rehash when map is nearly full",     testRehash)
+  it("should delete entries holding any value",   testDeleteAnyValue)
+  it("should compare keys strictly by default",   testStrictKeys)
+  it("should compare keys with given equality",   testKeyEquality)
+  it("should spread object keys over buckets",    testObjectKeysSpread)
+  it("should match value objects as keys",        testValueObjectKeys)
+  it("should hash keys with given function",      testCustomHash)
+  it("should forget deleted keys",                testDeleteForgetsKey)
+  it("should keep insertion order if ordered",    testInsertionOrder)
+  it("should grow to prime capacities",           testPrimeCapacities)
+  it("should keep entries across rehashes",       testRehashKeepsEntries)
+  it("should take options or a capacity",         testOptions)
 })
 
 function testInit() {
@@ -56,10 +73,15 @@ function testHas() {
 }
 
 function testGetKeys() {
-  const hashmap = new HashMap()
+  const hashmap = new HashMap({ ordered: true })
   hashmap.add("project", "Foundation.js")
   hashmap.add("module", "Collections")
   expect(hashmap.keys.toString()).toMatch("project,module")
+
+  const unordered = new HashMap()
+  unordered.add("project", "Foundation.js")
+  unordered.add("module", "Collections")
+  expect(unordered.keys.sort()).toEqual(["module", "project"])
 }
 
 function testRehash() {
@@ -68,11 +90,11 @@ function testRehash() {
   hashmap.add("Northern Ireland", "Belfast")
   hashmap.add("Scotland", "Edinburgh")
   hashmap.add("Wales", "Cardiff")
-  expect(hashmap._initialCapacity).toBe(8)
+  expect(hashmap.capacity).toBe(11)
 }
 
 function testValuesGenerator() {
-  const hashmap = new HashMap(4)
+  const hashmap = new HashMap({ capacity: 4, ordered: true })
   hashmap.add("England", "London")
   hashmap.add("Northern Ireland", "Belfast")
   hashmap.add("Scotland", "Edinburgh")
@@ -92,3 +114,189 @@ function testNodesGenerator() {
   const nodes = Array.from(hashmap.nodes())
   expect(nodes).toMatchSnapshot()
 }
+
+function testDeleteAnyValue() {
+  // One bucket forces every entry into the same list
+  const hashmap = new HashMap({ capacity: 1, rehashThreshold: 10 })
+  const cyclic = { name: "cyclic" }
+  cyclic.self = cyclic
+  const date = new Date(0)
+
+  hashmap.add("cyclic", cyclic)
+  hashmap.add("date", date)
+  hashmap.add("tags", new Set(["a"]))
+
+  const removed = hashmap.delete("cyclic")
+  expect(removed.data.key).toBe("cyclic")
+  expect(removed.data.value).toBe(cyclic)
+  expect(hashmap.get("date")).toBe(date)
+  expect(hashmap.get("tags")).toBeInstanceOf(Set)
+  expect(hashmap.has("cyclic")).toBe(false)
+  expect(hashmap.count).toBe(2)
+  expect(hashmap.delete("cyclic")).toBe(null)
+}
+
+function testStrictKeys() {
+  const hashmap = new HashMap()
+  const key = [1, 2]
+  hashmap.add(key, "point")
+  hashmap.add(NaN, "not a number")
+
+  expect(hashmap.get(key)).toBe("point")
+  expect(hashmap.get([1, 2])).toBe(null)
+  expect(hashmap.has(NaN)).toBe(false)
+}
+
+function testKeyEquality() {
+  const points = new HashMap({ capacity: 4, equals: DeepEqual })
+  points.add([1, 2], "a")
+  points.add([2, 1], "b")
+  points.add({ x: 1 }, "c")
+  points.add([1, 2], "d")
+  points.add([3, 4], "e")
+
+  expect(points.count).toBe(4)
+  expect(points.get([1, 2])).toBe("d")
+  expect(points.get({ x: 1 })).toBe("c")
+  expect(points.has([3, 4])).toBe(true)
+  expect(points.delete([2, 1]).data.value).toBe("b")
+  expect(points.has([2, 1])).toBe(false)
+
+  const numbers = new HashMap({ equals: SameValueZero })
+  numbers.add(NaN, "not a number")
+  expect(numbers.get(NaN)).toBe("not a number")
+
+  // No hash given for a custom equality: slow, but still right
+  const users = new HashMap({ capacity: 4, equals: ByKeyEqual(user => user.id) })
+  users.add({ id: 1 }, "a")
+  users.add({ id: 1, name: "Ada" }, "b")
+  users.add({ id: 2 }, "c")
+  expect(users.count).toBe(2)
+  expect(users.get({ id: 1 })).toBe("b")
+  expect(users.delete({ id: 2 }).data.value).toBe("c")
+}
+
+function testObjectKeysSpread() {
+  const hashmap = new HashMap({ capacity: 101 })
+  const keys = Array.from({ length: 50 }, (_, id) => ({ id }))
+  keys.forEach(key => hashmap.add(key, key.id))
+
+  expect(hashmap._collisions).toBeLessThan(25)
+  expect(keys.every(key => hashmap.get(key) === key.id)).toBe(true)
+  expect(hashmap.get({ id: 0 })).toBe(null)
+}
+
+function testValueObjectKeys() {
+  const hashmap = new HashMap({ capacity: 101, equals: DeepEqual })
+  for (let x = 0; x < 5; x++) {
+    for (let y = 0; y < 5; y++) {
+      hashmap.add({ x, y }, `${x},${y}`)
+    }
+  }
+
+  expect(hashmap.count).toBe(25)
+  expect(hashmap._collisions).toBeLessThan(12)
+  expect(hashmap.get({ y: 3, x: 2 })).toBe("2,3")
+
+  hashmap.add([1, 2], "tuple")
+  hashmap.add(new Date(0), "epoch")
+  expect(hashmap.get([1, 2])).toBe("tuple")
+  expect(hashmap.get(new Date(0))).toBe("epoch")
+  expect(hashmap.get([2, 1])).toBe(null)
+}
+
+function testCustomHash() {
+  const caseless = new HashMap({
+    equals: (a, b) => a.toLowerCase() === b.toLowerCase(),
+    hash: key => StringHash(key.toLowerCase())
+  })
+
+  caseless.add("London", "England")
+  caseless.add("LONDON", "Still England")
+  expect(caseless.count).toBe(1)
+  expect(caseless.get("london")).toBe("Still England")
+
+  // A constant hash is slow but still correct
+  const oneBucket = new HashMap({ hash: () => 7 })
+  oneBucket.add("a", 1).add("b", 2)
+  expect(oneBucket.get("b")).toBe(2)
+  expect(oneBucket._collisions).toBe(1)
+}
+
+function testDeleteForgetsKey() {
+  const hashmap = new HashMap()
+  hashmap.add("project", "Foundation.js")
+  hashmap.add("module", "Collections")
+  hashmap.delete("project")
+
+  expect(hashmap.has("project")).toBe(false)
+  expect(hashmap.keys).toEqual(["module"])
+  expect(Array.from(hashmap.values())).toEqual(["Collections"])
+
+  hashmap.delete("module")
+  expect(hashmap.keys).toEqual([])
+  expect(hashmap.count).toBe(0)
+}
+
+function testInsertionOrder() {
+  const hashmap = new HashMap({ capacity: 3, ordered: true })
+  expect(hashmap.isOrdered).toBe(true)
+  expect(new HashMap().isOrdered).toBe(false)
+
+  const letters = "thequickbrownfxjmpsvlazydg".split("")
+  letters.forEach((letter, index) => hashmap.add(letter, index))
+  expect(hashmap.keys).toEqual(letters)
+
+  // Replacing a value keeps the key's place; deleting takes it out
+  hashmap.add("q", "replaced")
+  expect(hashmap.delete("t").data).toEqual({ key: "t", value: 0 })
+  hashmap.delete("g")
+  hashmap.add("t", "again")
+
+  const expected = letters.slice(1, -1).concat("t")
+  expect(hashmap.keys).toEqual(expected)
+  expect(hashmap.get("q")).toBe("replaced")
+  expect(Array.from(hashmap.values()).slice(-1)).toEqual(["again"])
+}
+
+function testPrimeCapacities() {
+  const hashmap = new HashMap(4)
+  const capacities = [hashmap.capacity]
+  for (let key = 0; key < 200; key++) {
+    hashmap.add(key, key)
+    if (hashmap.capacity !== capacities[capacities.length - 1]) {
+      capacities.push(hashmap.capacity)
+    }
+  }
+
+  expect(capacities).toEqual([4, 11, 23, 47, 97, 197, 397])
+}
+
+function testRehashKeepsEntries() {
+  const hashmap = new HashMap({ capacity: 2, equals: DeepEqual })
+  for (let x = 0; x < 100; x++) {
+    hashmap.add([x, x], x)
+  }
+  for (let x = 0; x < 100; x += 2) {
+    hashmap.delete([x, x])
+  }
+
+  expect(hashmap.count).toBe(50)
+  expect(hashmap.keys.length).toBe(50)
+  expect(hashmap.get([51, 51])).toBe(51)
+  expect(hashmap.has([50, 50])).toBe(false)
+  expect(Array.from(hashmap.values()).sort((a, b) => a - b)[0]).toBe(1)
+  expect(hashmap._collisions).toBeLessThan(hashmap.count)
+}
+
+function testOptions() {
+  const ordered = new HashMap({ capacity: 7, ordered: true })
+  expect(ordered.capacity).toBe(7)
+  expect(ordered.isOrdered).toBe(true)
+
+  const eager = new HashMap(5, 0.2)
+  expect(eager.capacity).toBe(5)
+  eager.add("a", 1).add("b", 2)
+  expect(eager.capacity).toBe(11)
+  expect(eager.isOrdered).toBe(false)
+}
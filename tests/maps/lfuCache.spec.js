@@ -0,0 +1,105 @@
+const { LFUCache } = require("../../source").Maps
+
+describe("Maps ◊ LFUCache", function() {
+  it("should need a size or weight limit",        testLimits)
+  it("should count uses of each entry",           testFrequency)
+  it("should evict least frequently used first",  testEvictLeastFrequent)
+  it("should break ties by recency",              testTies)
+  it("should evict by total weight",              testWeight)
+  it("should expire entries by the given clock",  testExpiry)
+  it("should count hits, misses and evictions",   testStats)
+  it("should delete and clear entries",           testDeleteAndClear)
+})
+
+function testLimits() {
+  expect(() => new LFUCache()).toThrow("A cache needs a maxSize or a maxWeight")
+  expect(() => new LFUCache({ maxSize: 1 })).not.toThrow()
+}
+
+function testFrequency() {
+  const cache = new LFUCache({ maxSize: 3 })
+  cache.add("a", 1)
+  expect(cache.frequencyOf("a")).toBe(1)
+
+  cache.get("a")
+  cache.add("a", 2)
+  expect(cache.frequencyOf("a")).toBe(3)
+  expect(cache.get("a")).toBe(2)
+
+  cache.peek("a")
+  expect(cache.frequencyOf("a")).toBe(4)
+  expect(cache.frequencyOf("b")).toBe(0)
+}
+
+function testEvictLeastFrequent() {
+  const cache = new LFUCache({ maxSize: 3 })
+  cache.add("a", 1).add("b", 2).add("c", 3)
+  cache.get("a")
+  cache.get("a")
+  cache.get("b")
+
+  cache.add("d", 4)
+  expect(cache.has("c")).toBe(false)
+  expect(cache.keys).toEqual(["d", "b", "a"])
+
+  cache.add("e", 5)
+  expect(cache.has("d")).toBe(false)
+  expect(cache.keys).toEqual(["e", "b", "a"])
+}
+
+function testTies() {
+  const cache = new LFUCache({ maxSize: 3 })
+  cache.add("a", 1).add("b", 2).add("c", 3)
+  cache.get("b")
+  cache.get("a")
+  cache.get("c")
+
+  cache.add("d", 4)
+  expect(cache.keys).toEqual(["d", "a", "c"])
+}
+
+function testWeight() {
+  const cache = new LFUCache({ maxWeight: 6, weigher: value => value })
+  cache.add("a", 3).add("b", 3)
+  cache.get("a")
+
+  cache.add("c", 2)
+  expect(cache.keys).toEqual(["c", "a"])
+  expect(cache.weight).toBe(5)
+}
+
+function testExpiry() {
+  let time = 0
+  const onEvict = jest.fn()
+  const cache = new LFUCache({ maxSize: 2, ttl: 10, clock: () => time, onEvict })
+  cache.add("a", 1)
+  cache.get("a")
+
+  time = 10
+  expect(cache.get("a")).toBe(null)
+  expect(cache.frequencyOf("a")).toBe(0)
+  expect(onEvict).toHaveBeenCalledWith("a", 1, "expired")
+}
+
+function testStats() {
+  const cache = new LFUCache({ maxSize: 1 })
+  cache.add("a", 1).add("b", 2)
+  cache.get("a")
+  cache.get("b")
+
+  expect(cache.stats).toEqual({ hits: 1, misses: 1, evictions: 1, hitRate: 0.5 })
+}
+
+function testDeleteAndClear() {
+  const cache = new LFUCache({ maxSize: 5 })
+  cache.add("a", 1).add("b", 2).add("c", 3)
+  cache.get("b")
+
+  expect(cache.delete("b")).toBe(true)
+  expect(cache.keys).toEqual(["a", "c"])
+  expect(cache._groups.count).toBe(1)
+
+  cache.clear()
+  expect(cache.count).toBe(0)
+  expect(cache._groups.count).toBe(0)
+}
@@ -0,0 +1,186 @@
+const { LRUCache } = require("../../source").Maps
+const { ByKeyEqual, DeepEqual, StringHash } = require("../../source").Toolbox
+
+describe("Maps ◊ LRUCache", function() {
+  it("should need a size or weight limit",        testLimits)
+  it("should cache and look up values",           testGet)
+  it("should evict least recently used first",    testEvictLeastRecent)
+  it("should evict by total weight",              testWeight)
+  it("should expire entries by the given clock",  testExpiry)
+  it("should prune expired entries",              testPrune)
+  it("should report evictions to the callback",   testEvictionCallback)
+  it("should count hits, misses and evictions",   testStats)
+  it("should delete and clear without callback",  testDeleteAndClear)
+  it("should compare keys with given equality",   testKeyEquality)
+})
+
+function testLimits() {
+  expect(() => new LRUCache()).toThrow("A cache needs a maxSize or a maxWeight")
+  expect(() => new LRUCache({ ttl: 1000 })).toThrow()
+  expect(() => new LRUCache({ maxWeight: 10 })).not.toThrow()
+}
+
+function testGet() {
+  const cache = new LRUCache({ maxSize: 2 })
+  cache.add("project", "Foundation.js").add("module", "Collections")
+
+  expect(cache.count).toBe(2)
+  expect(cache.get("project")).toBe("Foundation.js")
+  expect(cache.get("library")).toBe(null)
+  expect(cache.has("module")).toBe(true)
+  expect(cache.peek("module")).toBe("Collections")
+
+  cache.add("project", "Caches")
+  expect(cache.get("project")).toBe("Caches")
+  expect(cache.count).toBe(2)
+}
+
+function testEvictLeastRecent() {
+  const cache = new LRUCache({ maxSize: 3 })
+  cache.add("a", 1).add("b", 2).add("c", 3)
+  expect(cache.keys).toEqual(["a", "b", "c"])
+
+  cache.get("a")
+  cache.add("d", 4)
+  expect(cache.keys).toEqual(["c", "a", "d"])
+  expect(cache.has("b")).toBe(false)
+
+  // Neither peek nor has counts as a use
+  cache.peek("c")
+  cache.has("c")
+  cache.add("b", 2)
+  expect(cache.keys).toEqual(["a", "d", "b"])
+}
+
+function testWeight() {
+  const cache = new LRUCache({ maxWeight: 10, weigher: text => text.length })
+  cache.add("a", "xxxx").add("b", "xxxx")
+  expect(cache.weight).toBe(8)
+
+  cache.add("c", "xxx")
+  expect(cache.keys).toEqual(["b", "c"])
+  expect(cache.weight).toBe(7)
+
+  cache.add("b", "x")
+  expect(cache.weight).toBe(4)
+  expect(cache.keys).toEqual(["c", "b"])
+
+  // Too heavy to be cached at all, so nothing makes room for it
+  cache.add("d", "x".repeat(11))
+  expect(cache.has("d")).toBe(false)
+  expect(cache.keys).toEqual(["c", "b"])
+  expect(cache.stats.evictions).toBe(2)
+}
+
+function testExpiry() {
+  const clock = fakeClock()
+  const cache = new LRUCache({ maxSize: 10, ttl: 100, clock: clock.now })
+  cache.add("a", 1)
+  cache.add("b", 2, 500)
+
+  clock.advance(99)
+  expect(cache.get("a")).toBe(1)
+
+  clock.advance(1)
+  expect(cache.has("a")).toBe(false)
+  expect(cache.get("a")).toBe(null)
+  expect(cache.get("b")).toBe(2)
+  expect(cache.count).toBe(1)
+
+  // Replacing a value restarts its time to live
+  clock.advance(300)
+  cache.add("b", 3)
+  clock.advance(99)
+  expect(cache.get("b")).toBe(3)
+}
+
+function testPrune() {
+  const clock = fakeClock()
+  const cache = new LRUCache({ maxSize: 10, ttl: 100, clock: clock.now })
+  cache.add("a", 1).add("b", 2)
+  clock.advance(50)
+  cache.add("c", 3)
+  clock.advance(50)
+
+  expect(cache.prune()).toBe(2)
+  expect(cache.keys).toEqual(["c"])
+  expect(cache.stats.evictions).toBe(2)
+}
+
+function testEvictionCallback() {
+  const clock = fakeClock()
+  const evicted = []
+  const cache = new LRUCache({
+    maxSize: 2,
+    ttl: 100,
+    clock: clock.now,
+    onEvict: (key, value, reason) => evicted.push([key, value, reason])
+  })
+
+  cache.add("a", 1).add("b", 2).add("c", 3)
+  clock.advance(100)
+  cache.get("b")
+
+  expect(evicted).toEqual([["a", 1, "capacity"], ["b", 2, "expired"]])
+}
+
+function testStats() {
+  const cache = new LRUCache({ maxSize: 1 })
+  expect(cache.stats).toEqual({ hits: 0, misses: 0, evictions: 0, hitRate: 0 })
+
+  cache.add("a", 1)
+  cache.get("a")
+  cache.get("b")
+  cache.add("b", 2)
+  cache.get("b")
+  cache.get("a")
+
+  expect(cache.stats).toEqual({ hits: 2, misses: 2, evictions: 1, hitRate: 0.5 })
+}
+
+function testDeleteAndClear() {
+  const onEvict = jest.fn()
+  const cache = new LRUCache({ maxSize: 5, onEvict })
+  cache.add("a", 1).add("b", 2).add("c", 3)
+
+  expect(cache.delete("b")).toBe(true)
+  expect(cache.delete("b")).toBe(false)
+  expect(cache.keys).toEqual(["a", "c"])
+
+  cache.clear()
+  expect(cache.count).toBe(0)
+  expect(cache.keys).toEqual([])
+  expect(onEvict).not.toHaveBeenCalled()
+
+  cache.add("d", 4)
+  expect(cache.get("d")).toBe(4)
+}
+
+function testKeyEquality() {
+  const cache = new LRUCache({ maxSize: 2, equals: DeepEqual })
+  cache.add([1, 2], "a")
+  cache.add([1, 2], "b")
+  expect(cache.count).toBe(1)
+  expect(cache.get([1, 2])).toBe("b")
+
+  const equals = ByKeyEqual(user => user.id)
+  for (const users of [
+    new LRUCache({ maxSize: 2, equals }), 
+    new LRUCache({ maxSize: 2, equals, hash: user => StringHash(user.id) })
+  ]) {
+    users.add({ id: 1 }, "a")
+    expect(users.get({ id: 1, name: "Ada" })).toBe("a")
+    users.add({ id: 1, name: "Ada" }, "b")
+    expect(users.count).toBe(1)
+  }
+}
+
+// ------------------ Helpers ---------------------------------------- //
+
+function fakeClock() {
+  let time = 0
+  return {
+    now: () => time,
+    advance: milliseconds => { time += milliseconds }
+  }
+}
@@ -0,0 +1,149 @@
+const { OpenAddressingHashMap } = require("../../source").Maps
+const { DeepEqual, StringHash } = require("../../source").Toolbox
+
+describe("Maps ◊ OpenAddressingHashMap", function() {
+  it("should initialise an empty map",            testInit)
+  it("should return null for non-existing key",   testGet)
+  it("should over-write existing key-value pair", testAddDuplicate)
+  it("should remove key-value pair",              testDelete)
+  it("should return all keys and values",         testKeysAndValues)
+  it("should grow past its load factor",          testGrow)
+  it("should reject impossible load factors",     testLoadFactor)
+  it("should find keys after colliding deletes",  testBackwardShift)
+  it("should keep probes short",                  testProbeStatistics)
+  it("should compare keys with given equality",   testKeyEquality)
+  it("should agree with Map on random workloads", testAgainstMap)
+})
+
+function testInit() {
+  const map = new OpenAddressingHashMap()
+  expect(map.count).toBe(0)
+  expect(map.capacity).toBe(16)
+  expect(new OpenAddressingHashMap(20).capacity).toBe(32)
+
+  map.add("project", "Foundation.js")
+  expect(map.count).toBe(1)
+  expect(map.get("project")).toBe("Foundation.js")
+  expect(map.occupancyFactor).toBe(1 / 16)
+}
+
+function testGet() {
+  const map = new OpenAddressingHashMap()
+  map.add("project", "Foundation.js")
+  expect(map.get("library")).toBe(null)
+  expect(map.has("library")).toBe(false)
+  expect(map.has("project")).toBe(true)
+}
+
+function testAddDuplicate() {
+  const map = new OpenAddressingHashMap()
+  map.add("project", "Foundation.js").add("project", "Collections")
+  expect(map.count).toBe(1)
+  expect(map.get("project")).toBe("Collections")
+}
+
+function testDelete() {
+  const map = new OpenAddressingHashMap()
+  map.add("project", "Foundation.js")
+  map.add("module", "Collections")
+
+  expect(map.delete("project")).toEqual({ key: "project", value: "Foundation.js" })
+  expect(map.delete("project")).toBe(null)
+  expect(map.get("project")).toBe(null)
+  expect(map.get("module")).toBe("Collections")
+  expect(map.count).toBe(1)
+}
+
+function testKeysAndValues() {
+  const map = new OpenAddressingHashMap()
+  map.add("England", "London")
+  map.add("Scotland", "Edinburgh")
+  map.add("Wales", "Cardiff")
+  map.delete("Scotland")
+
+  expect(map.keys.sort()).toEqual(["England", "Wales"])
+  expect(Array.from(map.values()).sort()).toEqual(["Cardiff", "London"])
+}
+
+function testGrow() {
+  const map = new OpenAddressingHashMap(4, 0.5)
+  map.add("a", 1).add("b", 2)
+  expect(map.capacity).toBe(4)
+
+  map.add("c", 3)
+  expect(map.capacity).toBe(8)
+  expect(map.occupancyFactor).toBeLessThanOrEqual(0.5)
+  expect(["a", "b", "c"].map(key => map.get(key))).toEqual([1, 2, 3])
+}
+
+function testLoadFactor() {
+  expect(() => new OpenAddressingHashMap(16, 1)).toThrow("Load factor must be between 0 and 1")
+  expect(() => new OpenAddressingHashMap(16, 0)).toThrow()
+  expect(() => new OpenAddressingHashMap(16, 0.9)).not.toThrow()
+}
+
+function testBackwardShift() {
+  // Every key wants slot 0, so they line up one after another
+  const map = new OpenAddressingHashMap(16, 0.75, undefined, () => 0)
+  "abcde".split("").forEach((key, index) => map.add(key, index))
+  expect(map._collisions).toBe(4)
+  expect(map.probeStatistics.max).toBe(4)
+
+  map.delete("b")
+  expect(map.probeStatistics).toEqual({ max: 3, mean: 1.5, histogram: [1, 1, 1, 1] })
+  expect(map.keys).toEqual(["a", "c", "d", "e"])
+  expect(map.get("e")).toBe(4)
+  expect(map.has("b")).toBe(false)
+}
+
+function testProbeStatistics() {
+  const map = new OpenAddressingHashMap(16, 0.9)
+  expect(map.probeStatistics).toEqual({ max: 0, mean: 0, histogram: [] })
+
+  for (let key = 0; key < 1000; key++) {
+    map.add(`key-${key}`, key)
+  }
+
+  const { max, mean, histogram } = map.probeStatistics
+  expect(histogram.reduce((sum, count) => sum + count, 0)).toBe(1000)
+  expect(mean).toBeLessThan(3)
+  expect(max).toBeLessThan(20)
+}
+
+function testKeyEquality() {
+  const points = new OpenAddressingHashMap(4, 0.75, DeepEqual)
+  points.add([1, 2], "a").add([2, 1], "b").add([1, 2], "c")
+  expect(points.count).toBe(2)
+  expect(points.get([1, 2])).toBe("c")
+
+  const caseless = new OpenAddressingHashMap(16, 0.75,
+    (a, b) => a.toLowerCase() === b.toLowerCase(),
+    key => StringHash(key.toLowerCase()))
+  caseless.add("London", 1).add("LONDON", 2)
+  expect(caseless.count).toBe(1)
+  expect(caseless.get("london")).toBe(2)
+}
+
+function testAgainstMap() {
+  const map = new OpenAddressingHashMap(2, 0.8, undefined, key => key % 7)
+  const expected = new Map()
+  let seed = 42
+
+  for (let step = 0; step < 5000; step++) {
+    seed = (seed * 16807) % 2147483647
+    const key = seed % 200
+    if (seed % 3 === 0) {
+      const removed = map.delete(key)
+      expect(removed === null).toBe(!expected.has(key))
+      expected.delete(key)
+    }
+    else {
+      map.add(key, step)
+      expected.set(key, step)
+    }
+  }
+
+  expect(map.count).toBe(expected.size)
+  expect(map.keys.sort((a, b) => a - b)).toEqual(Array.from(expected.keys()).sort((a, b) => a - b))
+  expected.forEach((value, key) => expect(map.get(key)).toBe(value))
+}
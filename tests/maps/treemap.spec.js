@@ -1,4 +1,7 @@
 const { TreeMap } = require("../../source").Maps
+const { ByKey } = require("../../source").Toolbox
+const { AVLTree, BPlusTree, BTree, RedBlackTree } = require("../../source").Trees
+const { degenerate } = require("../helpers/trees")
 
 let map;
 
@@ -18,6 +21,24 @@ describe("Maps ◊ TreeMap", function() {
   it("should delete the key-value pair",            testDelete)
   it("should keep the keys sorted",                 testKeySort)
   it("should iterate over value in key sort-order", testGetValues)
+  it("should order keys with a custom comparator",  testComparator)
+  it("should be backed by a self-balancing tree",   testBackingTree)
+  it("should iterate over an empty map",            testEmpty)
+
+  it("should find floor and ceiling keys",          testFloorCeiling)
+  it("should find lower and higher keys",           testLowerHigher)
+  it("should get first and last entries",           testFirstLastEntry)
+  it("should poll first and last entries",          testPoll)
+  it("should iterate in descending order",          testDescending)
+
+  it("should return a view over a range of keys",   testSubMap)
+  it("should return head and tail views",           testHeadTailMap)
+  it("should navigate within a view",               testViewNavigation)
+  it("should share changes between map and view",   testViewLive)
+
+  it("should iterate over a degenerate tree",       testDegenerateTree)
+  it("should iterate over keys added in order",     testKeysAddedInOrder)
+  it("should step through B-trees in linear time",   testMultiwaySteps)
 })
 
 function testInit() {
@@ -67,3 +88,206 @@ function testGetValues() {
   }
   expect(values.toString()).toBe("New Delhi,Nairobi,Ulan Bator")
 }
+
+function testComparator() {
+  const events = new TreeMap(ByKey(date => date.getTime()))
+  events.add(new Date(2019, 7, 1), "Release")
+  events.add(new Date(2019, 0, 1), "Kick-off")
+  events.add(new Date(2019, 7, 1), "Launch")
+
+  expect(events.count).toBe(2)
+  expect(events.get(new Date(2019, 7, 1))).toBe("Launch")
+  expect(Array.from(events.values())).toEqual(["Kick-off", "Launch"])
+}
+
+function testBackingTree() {
+  for (const Tree of [AVLTree, RedBlackTree, BTree, BPlusTree]) {
+    const balanced = new TreeMap(undefined, Tree)
+    for (let i = 0; i < 100; i++) {
+      balanced.add(i, i * i)
+    }
+    balanced.delete(50)
+
+    expect(balanced._tree).toBeInstanceOf(Tree)
+    expect(balanced.count).toBe(99)
+    expect(balanced.get(9)).toBe(81)
+    expect(balanced.has(50)).toBe(false)
+    expect(Array.from(balanced.keys()).slice(48, 51)).toEqual([48, 49, 51])
+  }
+}
+
+function numbers(...keys) {
+  const numbers = new TreeMap()
+  keys.forEach(key => numbers.add(key, `#${key}`))
+  return numbers
+}
+
+function testEmpty() {
+  const empty = new TreeMap()
+  expect(Array.from(empty.keys())).toEqual([])
+  expect(empty.firstEntry()).toBe(null)
+  expect(empty.pollLast()).toBe(null)
+  expect(empty.floorKey(10)).toBe(null)
+}
+
+function testFloorCeiling() {
+  const map = numbers(30, 10, 20)
+  expect(map.floorKey(25)).toBe(20)
+  expect(map.floorKey(20)).toBe(20)
+  expect(map.floorKey(5)).toBe(null)
+  expect(map.ceilingKey(25)).toBe(30)
+  expect(map.ceilingKey(10)).toBe(10)
+  expect(map.ceilingKey(35)).toBe(null)
+}
+
+function testLowerHigher() {
+  const map = numbers(30, 10, 20)
+  expect(map.lowerKey(20)).toBe(10)
+  expect(map.lowerKey(10)).toBe(null)
+  expect(map.higherKey(20)).toBe(30)
+  expect(map.higherKey(25)).toBe(30)
+  expect(map.higherKey(30)).toBe(null)
+}
+
+function testFirstLastEntry() {
+  expect(map.firstEntry()).toEqual({ key: "India", value: "New Delhi" })
+  expect(map.lastEntry()).toEqual({ key: "Mongolia", value: "Ulan Bator" })
+  expect(map.count).toBe(3)
+}
+
+function testPoll() {
+  expect(map.pollFirst()).toEqual({ key: "India", value: "New Delhi" })
+  expect(map.pollLast()).toEqual({ key: "Mongolia", value: "Ulan Bator" })
+  expect(map.count).toBe(1)
+  expect(Array.from(map.keys())).toEqual(["Kenya"])
+}
+
+function testDescending() {
+  expect(Array.from(map.descendingKeys())).toEqual(["Mongolia", "Kenya", "India"])
+  expect(Array.from(map.descendingValues())).toEqual(["Ulan Bator", "Nairobi", "New Delhi"])
+}
+
+function testSubMap() {
+  const map = numbers(10, 20, 30, 40, 50)
+  expect(Array.from(map.subMap(20, 40).keys())).toEqual([20, 30])
+  expect(Array.from(map.subMap(20, 40, false, true).keys())).toEqual([30, 40])
+  expect(Array.from(map.subMap(15, 45).descendingKeys())).toEqual([40, 30, 20])
+  expect(map.subMap(20, 40).count).toBe(2)
+  expect(map.subMap(21, 29).count).toBe(0)
+  expect(() => map.subMap(40, 20)).toThrow()
+}
+
+function testHeadTailMap() {
+  const map = numbers(10, 20, 30, 40, 50)
+  expect(Array.from(map.headMap(30).keys())).toEqual([10, 20])
+  expect(Array.from(map.headMap(30, true).keys())).toEqual([10, 20, 30])
+  expect(Array.from(map.tailMap(30).keys())).toEqual([30, 40, 50])
+  expect(Array.from(map.tailMap(30, false).keys())).toEqual([40, 50])
+  expect(Array.from(map.tailMap(20).headMap(40).keys())).toEqual([20, 30])
+  expect(Array.from(map.tailMap(30).tailMap(10).keys())).toEqual([30, 40, 50])
+}
+
+function testViewNavigation() {
+  const view = numbers(10, 20, 30, 40, 50).subMap(20, 40)
+  expect(view.firstEntry()).toEqual({ key: 20, value: "#20" })
+  expect(view.lastEntry()).toEqual({ key: 30, value: "#30" })
+  expect(view.floorKey(100)).toBe(30)
+  expect(view.floorKey(15)).toBe(null)
+  expect(view.ceilingKey(0)).toBe(20)
+  expect(view.ceilingKey(35)).toBe(null)
+  expect(view.lowerKey(20)).toBe(null)
+  expect(view.higherKey(20)).toBe(30)
+  expect(view.get(10)).toBe(null)
+  expect(view.get(30)).toBe("#30")
+  expect(view.has(50)).toBe(false)
+}
+
+function testViewLive() {
+  const map = numbers(10, 20, 30, 40, 50)
+  const view = map.headMap(35)
+
+  map.add(25, "#25")
+  expect(Array.from(view.keys())).toEqual([10, 20, 25, 30])
+
+  view.delete(10)
+  expect(map.has(10)).toBe(false)
+  expect(view.delete(50)).toBe(null)
+  expect(map.has(50)).toBe(true)
+
+  expect(view.pollLast()).toEqual({ key: 30, value: "#30" })
+  expect(map.count).toBe(4)
+  expect(() => view.add(45, "#45")).toThrow("Key out of the range of this view")
+}
+
+function testDegenerateTree() {
+  const map = new TreeMap()
+  degenerate(map._tree, 1000000, key => `#${key}`)
+  testChain(map)
+}
+
+function testKeysAddedInOrder() {
+  const map = new TreeMap()
+  for (let key = 0; key < 5000; key++) {
+    map.add(key, `#${key}`)
+  }
+  const chain = degenerate(new TreeMap()._tree, 5000, key => `#${key}`)
+  expect(map._tree.toString()).toBe(chain.toString())
+  testChain(map)
+}
+
+function testMultiwaySteps() {
+  for (const Tree of [BTree, BPlusTree]) {
+    let comparisons = 0
+    const map = new TreeMap((a, b) => { comparisons++; return a - b }, Tree)
+    for (let key = 0; key < 5000; key++) {
+      map.add(key, `#${key}`)
+    }
+    const view = map.subMap(1000, 4000)
+
+    comparisons = 0
+    expect(Array.from(map.keys()).length).toBe(5000)
+    expect(Array.from(map.descendingKeys()).length).toBe(5000)
+    expect(comparisons).toBeLessThan(2 * 5000 + 100)
+
+    comparisons = 0
+    expect(Array.from(view.keys())).toEqual(range(1000, 4000))
+    expect(Array.from(view.descendingKeys())).toEqual(range(1000, 4000).reverse())
+    expect(comparisons).toBeLessThan(2 * 3000 + 100)
+
+    for (const key of map.keys()) {
+      if (key % 2 === 0) { map.delete(key) }
+    }
+    expect(Array.from(map.descendingKeys()).slice(0, 3)).toEqual([4999, 4997, 4995])
+    expect(map.count).toBe(2500)
+  }
+}
+
+// ------------------ Helpers ---------------------------------------- //
+
+function range(from, to) {
+  return Array.from({ length: to - from }, (_, index) => from + index)
+}
+
+// Checks a map holding keys 0 to count - 1, each with the value "#key"
+function testChain(map) {
+  const count = map.count
+  let expected = 0
+  for (const key of map.keys()) {
+    if (key !== expected) {
+      throw new Error(`Visited ${key} instead of ${expected}`)
+    }
+    expected += 1
+  }
+  expect(expected).toBe(count)
+
+  let descending = 0
+  for (const value of map.descendingValues()) {
+    descending += value === `#${count - 1 - descending}` ? 1 : 0
+  }
+  expect(descending).toBe(count)
+
+  expect(map.firstEntry()).toEqual({ key: 0, value: "#0" })
+  expect(map.lastEntry()).toEqual({ key: count - 1, value: `#${count - 1}` })
+  expect(map.get(count - 1)).toBe(`#${count - 1}`)
+  expect(Array.from(map.tailMap(count - 3).keys())).toEqual([count - 3, count - 2, count - 1])
+}
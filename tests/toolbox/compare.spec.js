@@ -0,0 +1,31 @@
+const { 
+  ByKey,
+  NaturalOrder,
+  ReverseOrder
+} = require("../../source").Toolbox
+
+describe("Toolbox ◊ Comparators", function() {
+  it("should compare items in natural order",       testNaturalOrder)
+  it("should reverse the order of a comparator",    testReverseOrder)
+  it("should compare items by an extracted key",    testByKey)
+})
+
+function testNaturalOrder() {
+  expect(NaturalOrder(1, 2)).toBeLessThan(0)
+  expect(NaturalOrder("b", "a")).toBeGreaterThan(0)
+  expect(NaturalOrder(5, 5)).toBe(0)
+}
+
+function testReverseOrder() {
+  expect(ReverseOrder()(1, 2)).toBeGreaterThan(0)
+  expect(ReverseOrder((a, b) => a.length - b.length)("abc", "a")).toBeLessThan(0)
+}
+
+function testByKey() {
+  const byAge = ByKey(user => user.age)
+  expect(byAge({ age: 25 }, { age: 32 })).toBeLessThan(0)
+  expect(byAge({ age: 32 }, { age: 32 })).toBe(0)
+
+  const byName = ByKey(user => user.name, (a, b) => a.localeCompare(b))
+  expect(byName({ name: "Adam" }, { name: "Chris" })).toBeLessThan(0)
+}
@@ -0,0 +1,65 @@
+const { 
+  ByKeyEqual,
+  DeepEqual,
+  SameValueZero,
+  StrictEqual
+} = require("../../source").Toolbox
+
+describe("Toolbox ◊ Equality", function() {
+  it("should compare items strictly",               testStrictEqual)
+  it("should treat NaN as equal to itself",         testSameValueZero)
+  it("should compare items by their contents",      testDeepEqual)
+  it("should compare cyclic structures",            testDeepEqualCyclic)
+  it("should compare items by an extracted key",    testByKeyEqual)
+})
+
+function testStrictEqual() {
+  const item = { id: 1 }
+  expect(StrictEqual(item, item)).toBe(true)
+  expect(StrictEqual(item, { id: 1 })).toBe(false)
+  expect(StrictEqual(NaN, NaN)).toBe(false)
+  expect(StrictEqual(0, -0)).toBe(true)
+}
+
+function testSameValueZero() {
+  expect(SameValueZero(NaN, NaN)).toBe(true)
+  expect(SameValueZero(0, -0)).toBe(true)
+  expect(SameValueZero(NaN, 0)).toBe(false)
+  expect(SameValueZero("1", 1)).toBe(false)
+  expect(SameValueZero({}, {})).toBe(false)
+}
+
+function testDeepEqual() {
+  expect(DeepEqual({ tags: new Set(["a"]) }, { tags: new Set(["a"]) })).toBe(true)
+  expect(DeepEqual(new Set(["a"]), {})).toBe(false)
+  expect(DeepEqual(new Map([[1, "a"]]), new Map([[1, "a"]]))).toBe(true)
+  expect(DeepEqual(new Date(0), new Date(0))).toBe(true)
+  expect(DeepEqual(new Date(0), new Date(1))).toBe(false)
+  expect(DeepEqual([1, [2, 3]], [1, [2, 3]])).toBe(true)
+  expect(DeepEqual([1, 2], { 0: 1, 1: 2 })).toBe(false)
+  expect(DeepEqual(BigInt(10), BigInt(10))).toBe(true)
+
+  const callback = () => 1
+  expect(DeepEqual({ callback }, { callback })).toBe(true)
+  expect(DeepEqual({ callback }, { callback: () => 1 })).toBe(false)
+}
+
+function testDeepEqualCyclic() {
+  const a = { name: "a" }
+  a.self = a
+  const b = { name: "a" }
+  b.self = b
+
+  expect(DeepEqual(a, b)).toBe(true)
+  b.name = "b"
+  expect(DeepEqual(a, b)).toBe(false)
+}
+
+function testByKeyEqual() {
+  const byId = ByKeyEqual(user => user.id)
+  expect(byId({ id: 1, name: "Ada" }, { id: 1, name: "Grace" })).toBe(true)
+  expect(byId({ id: 1 }, { id: 2 })).toBe(false)
+
+  const byTags = ByKeyEqual(user => user.tags, DeepEqual)
+  expect(byTags({ tags: ["a", "b"] }, { tags: ["a", "b"] })).toBe(true)
+}
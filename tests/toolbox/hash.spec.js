@@ -0,0 +1,85 @@
+const { 
+  ByKeyEqual,
+  DeepEqual,
+  HashFor,
+  IdentityHash,
+  SameValueZero,
+  StrictEqual,
+  StringHash,
+  StructuralHash
+} = require("../../source").Toolbox
+const { HashMap } = require("../../source").Maps
+
+describe("Toolbox ◊ Hashing", function() {
+  it("should hash strings with FNV-1a",             testStringHash)
+  it("should hash objects by identity",             testIdentityHash)
+  it("should hash objects by their contents",       testStructuralHash)
+  it("should hash cyclic structures",               testStructuralHashCyclic)
+  it("should hash boxed primitives like primitives", testStructuralHashBoxed)
+  it("should pick a hash to go with equality",      testHashFor)
+})
+
+function testStringHash() {
+  expect(StringHash("")).toBe(2166136261)
+  expect(StringHash("a")).toBe(0xe40c292c)
+  expect(StringHash("foobar")).toBe(0xbf9cf968)
+  expect(StringHash(42)).toBe(StringHash("42"))
+}
+
+function testIdentityHash() {
+  const item = { id: 1 }
+  expect(IdentityHash(item)).toBe(IdentityHash(item))
+  expect(IdentityHash(item)).not.toBe(IdentityHash({ id: 1 }))
+  expect(IdentityHash("1")).toBe(IdentityHash("1"))
+  expect(IdentityHash(1)).not.toBe(IdentityHash("1"))
+  expect(IdentityHash(NaN)).toBe(IdentityHash(NaN))
+  expect(IdentityHash(0)).toBe(IdentityHash(-0))
+  expect(Number.isInteger(IdentityHash(item))).toBe(true)
+}
+
+function testStructuralHash() {
+  expect(StructuralHash({ x: 1, y: 2 })).toBe(StructuralHash({ y: 2, x: 1 }))
+  expect(StructuralHash({ x: 1, y: 2 })).not.toBe(StructuralHash({ x: 2, y: 1 }))
+  expect(StructuralHash([1, 2])).toBe(StructuralHash([1, 2]))
+  expect(StructuralHash([1, 2])).not.toBe(StructuralHash([2, 1]))
+  expect(StructuralHash(new Date(0))).toBe(StructuralHash(new Date(0)))
+  expect(StructuralHash(new Date(0))).not.toBe(StructuralHash(new Date(1)))
+  expect(StructuralHash(new Set([1, 2]))).toBe(StructuralHash(new Set([2, 1])))
+  expect(StructuralHash(new Map([["a", 1]]))).toBe(StructuralHash(new Map([["a", 1]])))
+  expect(StructuralHash({ at: [new Date(0), { tags: ["a"] }] }))
+    .toBe(StructuralHash({ at: [new Date(0), { tags: ["a"] }] }))
+  expect(StructuralHash("1")).toBe(IdentityHash("1"))
+}
+
+function testStructuralHashCyclic() {
+  const a = { name: "a" }
+  a.self = a
+  const b = { name: "a" }
+  b.self = b
+
+  expect(StructuralHash(a)).toBe(StructuralHash(b))
+}
+
+function testStructuralHashBoxed() {
+  expect(StructuralHash(new String("a"))).toBe(StructuralHash("a"))
+  expect(StructuralHash(new Number(1))).toBe(StructuralHash(1))
+  expect(StructuralHash(new Boolean(false))).toBe(StructuralHash(false))
+  expect(StructuralHash({ name: new String("a") })).toBe(StructuralHash({ name: "a" }))
+  expect(StructuralHash(new String("1"))).not.toBe(StructuralHash(1))
+
+  const map = new HashMap({ equals: DeepEqual })
+  map.add(new String("a"), 1)
+  map.add("a", 2)
+  expect(map.count).toBe(1)
+  expect(map.get(new String("a"))).toBe(2)
+}
+
+function testHashFor() {
+  expect(HashFor(StrictEqual)).toBe(IdentityHash)
+  expect(HashFor(SameValueZero)).toBe(IdentityHash)
+  expect(HashFor(DeepEqual)).toBe(StructuralHash)
+
+  const hash = HashFor(ByKeyEqual(user => user.id))
+  expect(hash({ id: 1 })).toBe(hash({ id: 1, name: "Ada" }))
+  expect(hash({ id: 1 })).toBe(hash("anything else"))
+}
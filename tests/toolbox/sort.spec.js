@@ -3,7 +3,9 @@ const {
   InsertionSort, 
   MergeSort,
   QuickSort,
-  SelectionSort
+  SelectionSort,
+  ByKey,
+  ReverseOrder
 } = require("../../source").Toolbox
 
 let sorted = [24, 121, 452, 1889, 9821, 10231, 34511, 871231]
@@ -25,6 +27,10 @@ describe("Toolbox ◊ Sorting", function() {
   it("should quicksort an unsorted array",      testQuickSortUnsorted)
   it("should quicksort a sorted array",         testQuickSortSorted)
   it("should quicksort a counter-sorted array", testQuickSortCounterSorted)
+
+  it("should sort in descending order with a comparator",  testSortDescending)
+  it("should sort objects by key with a comparator",       testSortByKey)
+  it("should keep stable sorts stable with a comparator",  testSortStable)
 })
 
 function testBubbleSortUnsorted() {
@@ -73,3 +79,34 @@ function testQuickSortCounterSorted() {
   // This test is here to make sure that works.
   expect(QuickSort([10, 7, 5, 4, 2, 1])).toEqual([1, 2, 4, 5, 7, 10])
 }
+
+const algorithms = [BubbleSort, InsertionSort, SelectionSort, MergeSort, QuickSort]
+
+function testSortDescending() {
+  const descending = sorted.slice().reverse()
+  for (const Sort of algorithms) {
+    expect(Sort(unsorted, ReverseOrder())).toEqual(descending)
+  }
+}
+
+function testSortByKey() {
+  const dates = [new Date(2019, 5, 1), new Date(2018, 0, 1), new Date(2019, 0, 1)]
+  const byTime = ByKey(date => date.getTime())
+  for (const Sort of algorithms) {
+    expect(Sort(dates, byTime)).toEqual([dates[1], dates[2], dates[0]])
+  }
+}
+
+function testSortStable() {
+  const users = [
+    { name: 'Chris', age: 32 },
+    { name: 'Animesh', age: 26 },
+    { name: 'Adam', age: 32 },
+    { name: 'Nicoleta', age: 25 }
+  ]
+  const byAge = ByKey(user => user.age)
+  for (const Sort of [BubbleSort, InsertionSort, MergeSort]) {
+    expect(Sort(users, byAge).map(user => user.name))
+      .toEqual(["Nicoleta", "Animesh", "Chris", "Adam"])
+  }
+}
@@ -0,0 +1,226 @@
+const { AVLTree } = require("../../source").Trees
+
+describe("Tree ◊ AVL Tree", function() {
+  it("should initialise an empty tree",                   testInit)
+  it("should add an item",                                testAdd)
+  it("should not create duplicate nodes",                 testAddDuplicate)
+  it("should rotate left on right-heavy insert",          testRotateLeft)
+  it("should rotate right on left-heavy insert",          testRotateRight)
+  it("should double rotate on left-right insert",         testRotateLeftRight)
+  it("should double rotate on right-left insert",         testRotateRightLeft)
+  it("should stay balanced when fed sorted data",         testSortedInsert)
+
+  it("should get minimum and maximum value of tree",      testMinMax)
+  it("should return node if search passes",               testFind)
+
+  it("should remove only some copies of node if asked",   testRemoveSome)
+  it("should remove a node with two children",            testRemoveInternal)
+  it("should rebalance after removal",                    testRemoveRebalance)
+  it("should stay balanced under random mutations",       testRandomMutations)
+
+  it("should be able to traverse the tree",               testTraversals)
+})
+
+function testInit() {
+  const tree = new AVLTree()
+  expect(tree.count).toBe(0)
+}
+
+function testAdd() {
+  const tree = new AVLTree()
+  tree.add(5)
+  expect(tree.count).toBe(1)
+  expect(tree.toString()).toBe(`{"count":1,"nodes":{"data":5,"metadata":{"copies":1,"size":1,"height":0,"balanceFactor":0}}}`)
+}
+
+function testAddDuplicate() {
+  const tree = new AVLTree()
+  tree.add(5)
+  tree.add(5)
+  tree.add(5)
+  expect(tree.count).toBe(3)
+  expect(tree.find(5).metadata.copies).toBe(3)
+  expectValid(tree)
+}
+
+function testRotateLeft() {
+  const tree = new AVLTree()
+  tree.add(1)
+  tree.add(2)
+  tree.add(3)
+  expect(preOrder(tree)).toStrictEqual([2, 1, 3])
+  expectValid(tree)
+}
+
+function testRotateRight() {
+  const tree = new AVLTree()
+  tree.add(3)
+  tree.add(2)
+  tree.add(1)
+  expect(preOrder(tree)).toStrictEqual([2, 1, 3])
+  expectValid(tree)
+}
+
+function testRotateLeftRight() {
+  const tree = new AVLTree()
+  tree.add(3)
+  tree.add(1)
+  tree.add(2)
+  expect(preOrder(tree)).toStrictEqual([2, 1, 3])
+  expectValid(tree)
+}
+
+function testRotateRightLeft() {
+  const tree = new AVLTree()
+  tree.add(1)
+  tree.add(3)
+  tree.add(2)
+  expect(preOrder(tree)).toStrictEqual([2, 1, 3])
+  expectValid(tree)
+}
+
+function testSortedInsert() {
+  const tree = new AVLTree()
+  for (let i = 0; i < 1023; i++) {
+    tree.add(i)
+  }
+  expect(tree.count).toBe(1023)
+  expect(tree._root.metadata.height).toBe(9)
+  expectValid(tree)
+}
+
+function testMinMax() {
+  const tree = new AVLTree()
+  tree.add(50)
+  tree.add(100)
+  tree.add(21)
+  tree.add(81)
+  expect(tree.min).toBe(21)
+  expect(tree.max).toBe(100)
+}
+
+function testFind() {
+  const tree = new AVLTree()
+  tree.add(5)
+  tree.add(10)
+  tree.add(1)
+  expect(tree.find(10).data).toBe(10)
+  expect(tree.find(100)).toBe(null)
+}
+
+function testRemoveSome() {
+  const tree = new AVLTree()
+  tree.add(5)
+  tree.add(10)
+  tree.add(10)
+  tree.add(10)
+  tree.add(1)
+
+  const node = tree.remove(10, 2)
+  expect(tree.count).toBe(3)
+  expect(node.data).toBe(10)
+  expect(node.metadata.copies).toBe(1)
+  expectValid(tree)
+}
+
+function testRemoveInternal() {
+  const tree = new AVLTree()
+  ;[50, 25, 75, 10, 30, 60, 90, 27].forEach(n => tree.add(n))
+
+  const node = tree.remove(25)
+  expect(node.data).toBe(25)
+  expect(tree.count).toBe(7)
+  expect(tree.find(25)).toBe(null)
+  expect(inOrder(tree)).toStrictEqual([10, 27, 30, 50, 60, 75, 90])
+  expectValid(tree)
+
+  tree.remove(50)
+  expect(inOrder(tree)).toStrictEqual([10, 27, 30, 60, 75, 90])
+  expectValid(tree)
+}
+
+function testRemoveRebalance() {
+  const tree = new AVLTree()
+  ;[20, 10, 30, 40].forEach(n => tree.add(n))
+
+  tree.remove(10)
+  expect(preOrder(tree)).toStrictEqual([30, 20, 40])
+  expectValid(tree)
+}
+
+function testRandomMutations() {
+  const tree = new AVLTree()
+  const reference = new Map()
+  let seed = 42
+  const random = () => (seed = (seed * 16807) % 2147483647) % 200
+
+  for (let i = 0; i < 2000; i++) {
+    const value = random()
+    if (i % 3 === 2) {
+      tree.remove(value)
+      reference.delete(value)
+    }
+    else {
+      tree.add(value)
+      reference.set(value, (reference.get(value) || 0) + 1)
+    }
+  }
+
+  const expected = Array.from(reference.keys()).sort((a, b) => a - b)
+  const total = Array.from(reference.values()).reduce((sum, n) => sum + n, 0)
+  expect(inOrder(tree)).toStrictEqual(expected)
+  expect(tree.count).toBe(total)
+  expectValid(tree)
+}
+
+function testTraversals() {
+  const tree = new AVLTree()
+  ;[10, 5, 30, 4, 15, 40, 3].forEach(n => tree.add(n))
+
+  const breadthFirst = Array.from(tree.searchBreadthFirst()).map(node => node.data)
+  const depthFirst = Array.from(tree.searchDepthFirst()).map(node => node.data)
+  const postOrder = Array.from(tree.traversePostOrderly()).map(node => node.data)
+
+  expect(inOrder(tree)).toStrictEqual([3, 4, 5, 10, 15, 30, 40])
+  expect(breadthFirst).toStrictEqual([10, 4, 30, 3, 5, 15, 40])
+  expect(depthFirst).toStrictEqual([10, 4, 3, 5, 30, 15, 40])
+  expect(postOrder).toStrictEqual([3, 5, 4, 15, 40, 30, 10])
+}
+
+// ------------------ Helpers ---------------------------------------- //
+
+function inOrder(tree) {
+  return Array.from(tree.traverseInOrderly()).map(node => node.data)
+}
+
+function preOrder(tree) {
+  return Array.from(tree.traversePreOrderly()).map(node => node.data)
+}
+
+/**
+ *  Checks ordering, parent links, heights and balance factors of every node.
+ *  Returns the height of the subtree.
+ */
+function expectValid(tree, node = tree._root, parent = null) {
+  if (!node) {
+    return -1
+  }
+
+  expect(node.parent).toBe(parent)
+  if (node.leftChild) {
+    expect(node.leftChild.data).toBeLessThan(node.data)
+  }
+  if (node.rightChild) {
+    expect(node.rightChild.data).toBeGreaterThan(node.data)
+  }
+
+  const left = expectValid(tree, node.leftChild, node)
+  const right = expectValid(tree, node.rightChild, node)
+  const height = Math.max(left, right) + 1
+
+  expect(node.metadata.height).toBe(height)
+  expect(node.metadata.balanceFactor).toBe(right - left)
+  expect(Math.abs(right - left)).toBeLessThanOrEqual(1)
+
+  return height
+}
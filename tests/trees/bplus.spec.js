@@ -0,0 +1,163 @@
+const { BPlusTree } = require("../../source").Trees
+
+describe("Tree ◊ B+ Tree", function() {
+  it("should initialise an empty tree",                testInit)
+  it("should keep all entries in the leaves",          testLeaves)
+  it("should link the leaves in order",                testLinkedLeaves)
+  it("should remove items and merge leaves",           testRemove)
+  it("should find closest items across leaves",        testClosest)
+  it("should scan a range of items",                   testRange)
+  it("should carry on scanning after changes",         testScanWhileChanging)
+  it("should load sorted items in bulk",               testFromSorted)
+  it("should agree with brute force",                  testAgainstBruteForce)
+})
+
+function testInit() {
+  const tree = new BPlusTree()
+  expect(tree.count).toBe(0)
+  expect(tree.height).toBe(-1)
+  expect(tree.find(1)).toBe(null)
+  expect(tree.ceiling(1)).toBe(null)
+  expect(Array.from(tree.range(0, 10))).toEqual([])
+  expect(() => new BPlusTree(undefined, 1)).toThrow("Order must be at least 3")
+}
+
+function testLeaves() {
+  const tree = numbers(4, 50)
+  tree.add(25)
+
+  expect(tree.validate()).toBe(true)
+  expect(tree.count).toBe(51)
+  expect(tree.find(25).metadata.copies).toBe(2)
+  for (const node of tree.searchBreadthFirst()) {
+    expect(node.isLeaf ? node.keys : node.entries).toEqual([])
+  }
+}
+
+function testLinkedLeaves() {
+  const tree = numbers(3, 20)
+  let leaf = tree._root
+  while (!leaf.isLeaf) {
+    leaf = leaf.children[0]
+  }
+
+  const items = []
+  for (; leaf; leaf = leaf.next) {
+    items.push(...leaf.entries.map(entry => entry.data))
+  }
+  expect(items).toEqual(Array.from({ length: 20 }, (_, index) => index))
+}
+
+function testRemove() {
+  const tree = numbers(3, 100)
+  for (let i = 99; i >= 0; i -= 3) {
+    expect(tree.remove(i).data).toBe(i)
+    expect(tree.validate()).toBe(true)
+  }
+
+  expect(tree.count).toBe(66)
+  expect(tree.remove(99)).toBe(null)
+  expect(tree.remove(1, 1).metadata.copies).toBe(0)
+  expect(tree.find(1)).toBe(null)
+}
+
+function testClosest() {
+  const tree = new BPlusTree(undefined, 3)
+  ;[10, 20, 30, 40, 50, 60].forEach(item => tree.add(item))
+
+  expect(tree.floor(35).data).toBe(30)
+  expect(tree.ceiling(35).data).toBe(40)
+  expect(tree.lower(30).data).toBe(20)
+  expect(tree.higher(30).data).toBe(40)
+  expect(tree.lower(10)).toBe(null)
+  expect(tree.higher(60)).toBe(null)
+  expect(tree.rank(45)).toBe(4)
+}
+
+function testRange() {
+  const tree = numbers(4, 100)
+
+  expect(Array.from(tree.range(42, 47), entry => entry.data)).toEqual([42, 43, 44, 45, 46, 47])
+  expect(Array.from(tree.range(97.5, 200), entry => entry.data)).toEqual([98, 99])
+  expect(Array.from(tree.range(50, 40))).toEqual([])
+  expect(Array.from(tree.descendingRange(42, 47), entry => entry.data)).toEqual([47, 46, 45, 44, 43, 42])
+  expect(Array.from(tree.descendingRange(-5, 1.5), entry => entry.data)).toEqual([1, 0])
+  expect(tree.countInRange(42, 47)).toBe(6)
+}
+
+function testScanWhileChanging() {
+  const tree = numbers(3, 40)
+  const seen = []
+
+  for (const entry of tree.range(10, 30)) {
+    seen.push(entry.data)
+    tree.remove(entry.data + 1)
+    tree.add(entry.data + 100)
+  }
+  expect(seen).toEqual([10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30])
+  expect(tree.validate()).toBe(true)
+
+  const below = []
+  for (const entry of tree.descendingRange(0, 9)) {
+    below.push(entry.data)
+    tree.remove(entry.data - 1)
+  }
+  expect(below).toEqual([9, 7, 5, 3, 1])
+  expect(tree.validate()).toBe(true)
+}
+
+function testFromSorted() {
+  for (const count of [1, 2, 7, 100, 1000]) {
+    const items = Array.from({ length: count }, (_, index) => index * 2)
+    const tree = BPlusTree.fromSorted(items, undefined, 5)
+
+    expect(tree).toBeInstanceOf(BPlusTree)
+    expect(tree.validate()).toBe(true)
+    expect(Array.from(tree.traverseInOrderly(), entry => entry.data)).toEqual(items)
+  }
+
+  const tree = BPlusTree.fromSorted([1, 2, 3, 4, 5, 6, 7, 8, 9], undefined, 3)
+  tree.add(0)
+  tree.remove(5)
+  expect(tree.validate()).toBe(true)
+  expect(() => BPlusTree.fromSorted(["b", "a"])).toThrow("Items must be sorted")
+}
+
+function testAgainstBruteForce() {
+  let seed = 13
+  const random = () => (seed = (seed * 16807) % 2147483647) % 200
+  const tree = new BPlusTree(undefined, 5)
+  const copies = new Map()
+
+  for (let i = 0; i < 3000; i++) {
+    const item = random()
+    if (random() < 110) {
+      tree.add(item)
+      copies.set(item, (copies.get(item) || 0) + 1)
+    }
+    else {
+      expect(tree.remove(item) !== null).toBe(copies.has(item))
+      copies.delete(item)
+    }
+  }
+
+  const sorted = Array.from(copies.keys()).sort((a, b) => a - b)
+  expect(tree.validate()).toBe(true)
+  expect(Array.from(tree.traverseInOrderly(), entry => entry.data)).toEqual(sorted)
+  expect(Array.from(tree.range(50, 150), entry => entry.data))
+    .toEqual(sorted.filter(item => item >= 50 && item <= 150))
+  for (let item = 0; item < 200; item += 7) {
+    const larger = sorted.filter(other => other > item)
+    expect(tree.higher(item) && tree.higher(item).data).toBe(larger.length > 0 ? larger[0] : null)
+  }
+}
+
+// ------------------ Helpers ---------------------------------------- //
+
+function numbers(order, count) {
+  const tree = new BPlusTree(undefined, order)
+  for (let i = 0; i < count; i++) {
+    tree.add(i)
+  }
+  return tree
+}
@@ -1,4 +1,13 @@
-const { BinarySearchTree } = require("../../source").Trees
+const { AVLTree, BinarySearchTree, RedBlackTree } = require("../../source").Trees
+const { ByKey, ReverseOrder } = require("../../source").Toolbox
+const { degenerate } = require("../helpers/trees")
+
+// Deep enough to overflow the call stack of anything recursing once per level
+const DEGENERATE_SIZE = 1000000
+// Adding items in order takes `O(n²)`, so the chain it builds is kept short
+const ADDED_SIZE = 5000
+// Walking a million nodes takes seconds on a slow machine
+const DEGENERATE_TIMEOUT = 30000
 
 describe("Tree ◊ Binary Search Tree", function() {
   it("should initialise an empty tree",                   testInit)
@@ -25,6 +34,34 @@ describe("Tree ◊ Binary Search Tree", function() {
   it("should be able to traverse the tree pre-orderly",   testTraversePreOrderly)
   it("should be able to traverse the tree post-orderly",  testTraversePostOrderly)
 
+  it("should order nodes with a custom comparator",       testComparator)
+  it("should treat items comparing equal as copies",      testComparatorCopies)
+
+  it("should find closest nodes around a value",          testClosest)
+  it("should walk to in-order successor and predecessor", testSuccessorPredecessor)
+
+  it("should rank items counting copies",                 testRank)
+  it("should select the kth smallest item",               testSelect)
+  it("should get the median",                             testMedian)
+  it("should get percentiles",                            testPercentile)
+  it("should count items in range",                       testCountInRange)
+  it("should keep subtree sizes in sync",                 testSizes)
+  it("should chain items added in order",                 testAddInOrder)
+
+})
+
+describe("Tree ◊ Binary Search Tree ◊ Degenerate", function() {
+  let tree
+
+  beforeAll(() => {
+    tree = degenerate(new BinarySearchTree(), DEGENERATE_SIZE)
+  }, DEGENERATE_TIMEOUT)
+
+  it("should find nodes at the bottom",                   () => testDegenerateFind(tree), DEGENERATE_TIMEOUT)
+  it("should get the leftmost and rightmost nodes",       () => testDegenerateExtremes(tree), DEGENERATE_TIMEOUT)
+  it("should traverse every node in every order",         () => testDegenerateTraversals(tree), DEGENERATE_TIMEOUT)
+  it("should turn into JSON",                             () => testDegenerateJSON(tree), DEGENERATE_TIMEOUT)
+  it("should add and remove at the bottom",               () => testDegenerateAddRemove(tree), DEGENERATE_TIMEOUT)
 })
 
 function testInit() {
@@ -36,7 +73,7 @@ function testAdd() {
   const tree = new BinarySearchTree()
   tree.add(5)
   expect(tree.count).toBe(1)
-  expect(tree.toString()).toMatch(`{"count":1,"nodes":{"data":5,"metadata":{"copies":1}}}`)
+  expect(tree.toString()).toMatch(`{"count":1,"nodes":{"data":5,"metadata":{"copies":1,"size":1}}}`)
 }
 
 function testAddLeft() {
@@ -44,7 +81,7 @@ function testAddLeft() {
   tree.add(5)
   tree.add(2)
   expect(tree.count).toBe(2)
-  expect(tree.toString()).toMatch(`{"count":2,"nodes":{"data":5,"metadata":{"copies":1},"children":{"left":{"data":2,"metadata":{"copies":1}}}}}`)
+  expect(tree.toString()).toMatch(`{"count":2,"nodes":{"data":5,"metadata":{"copies":1,"size":2},"children":{"left":{"data":2,"metadata":{"copies":1,"size":1}}}}}`)
 }
 
 function testAddRight() {
@@ -52,7 +89,7 @@ function testAddRight() {
   tree.add(5)
   tree.add(12)
   expect(tree.count).toBe(2)
-  expect(tree.toString()).toMatch(`{"count":2,"nodes":{"data":5,"metadata":{"copies":1},"children":{"right":{"data":12,"metadata":{"copies":1}}}}}`)
+  expect(tree.toString()).toMatch(`{"count":2,"nodes":{"data":5,"metadata":{"copies":1,"size":2},"children":{"right":{"data":12,"metadata":{"copies":1,"size":1}}}}}`)
 }
 
 function testAddLeftRight() {
@@ -61,7 +98,7 @@ function testAddLeftRight() {
   tree.add(2)
   tree.add(12)
   expect(tree.count).toBe(3)
-  expect(tree.toString()).toMatch(`{"count":3,"nodes":{"data":5,"metadata":{"copies":1},"children":{"left":{"data":2,"metadata":{"copies":1}},"right":{"data":12,"metadata":{"copies":1}}}}}`)
+  expect(tree.toString()).toMatch(`{"count":3,"nodes":{"data":5,"metadata":{"copies":1,"size":3},"children":{"left":{"data":2,"metadata":{"copies":1,"size":1}},"right":{"data":12,"metadata":{"copies":1,"size":1}}}}}`)
 }
 
 function testAddDuplicate() {
@@ -70,7 +107,7 @@ function testAddDuplicate() {
   tree.add(5)
   tree.add(5)
   expect(tree.count).toBe(3)
-  expect(tree.toString()).toMatch(`{"count":3,"nodes":{"data":5,"metadata":{"copies":3}}}`)
+  expect(tree.toString()).toMatch(`{"count":3,"nodes":{"data":5,"metadata":{"copies":3,"size":3}}}`)
 }
 
 function testMax() {
@@ -122,7 +159,7 @@ function testRemove() {
   const node = tree.remove(10)
   expect(tree.count).toBe(2)
   expect(node.data).toBe(10)
-  expect(tree.toString()).toBe(`{"count":2,"nodes":{"data":5,"metadata":{"copies":1},"children":{"left":{"data":1,"metadata":{"copies":1}}}}}`)
+  expect(tree.toString()).toBe(`{"count":2,"nodes":{"data":5,"metadata":{"copies":1,"size":2},"children":{"left":{"data":1,"metadata":{"copies":1,"size":1}}}}}`)
 }
 
 function testRemoveSome() {
@@ -137,7 +174,7 @@ function testRemoveSome() {
   const node = tree.remove(10, 2)
   expect(tree.count).toBe(3)
   expect(node.data).toBe(10)
-  expect(tree.toString()).toBe(`{"count":3,"nodes":{"data":5,"metadata":{"copies":1},"children":{"left":{"data":1,"metadata":{"copies":1}},"right":{"data":10,"metadata":{"copies":1}}}}}`)
+  expect(tree.toString()).toBe(`{"count":3,"nodes":{"data":5,"metadata":{"copies":1,"size":3},"children":{"left":{"data":1,"metadata":{"copies":1,"size":1}},"right":{"data":10,"metadata":{"copies":1,"size":1}}}}}`)
 }
 
 function testRemoveTooMany() {
@@ -152,7 +189,7 @@ function testRemoveTooMany() {
   expect(tree.count).toBe(2)
   expect(node.data).toBe(10)
   console.log
-  expect(tree.toString()).toBe(`{"count":2,"nodes":{"data":5,"metadata":{"copies":1},"children":{"left":{"data":1,"metadata":{"copies":1}}}}}`)
+  expect(tree.toString()).toBe(`{"count":2,"nodes":{"data":5,"metadata":{"copies":1,"size":2},"children":{"left":{"data":1,"metadata":{"copies":1,"size":1}}}}}`)
 }
 
 function testBreadthFirst() {
@@ -249,3 +286,228 @@ function testTraversePostOrderly() {
 
   expect(result).toStrictEqual([3, 4, 5, 15, 40, 30, 10])
 }
+
+function testComparator() {
+  const tree = new BinarySearchTree(ReverseOrder())
+  tree.add(10)
+  tree.add(5)
+  tree.add(30)
+
+  const result = []
+  for (node of tree.traverseInOrderly()) {
+    result.push(node.data)
+  }
+
+  expect(result).toStrictEqual([30, 10, 5])
+  expect(tree.min).toBe(30)
+  expect(tree.max).toBe(5)
+}
+
+function testComparatorCopies() {
+  const tree = new BinarySearchTree(ByKey(user => user.id))
+  tree.add({ id: 2, name: "Animesh" })
+  tree.add({ id: 1, name: "Nicoleta" })
+  tree.add({ id: 2, name: "Chris" })
+
+  expect(tree.count).toBe(3)
+  expect(tree.find({ id: 2 }).metadata.copies).toBe(2)
+  expect(tree.find({ id: 3 })).toBe(null)
+  expect(tree.min.name).toBe("Nicoleta")
+}
+
+function testClosest() {
+  const tree = new BinarySearchTree()
+  ;[10, 5, 30, 4, 15, 40, 3].forEach(n => tree.add(n))
+
+  expect(tree.floor(14).data).toBe(10)
+  expect(tree.floor(15).data).toBe(15)
+  expect(tree.floor(2)).toBe(null)
+  expect(tree.ceiling(16).data).toBe(30)
+  expect(tree.ceiling(41)).toBe(null)
+  expect(tree.lower(15).data).toBe(10)
+  expect(tree.higher(15).data).toBe(30)
+  expect(tree.higher(40)).toBe(null)
+}
+
+function testSuccessorPredecessor() {
+  const tree = new BinarySearchTree()
+  ;[10, 5, 30, 4, 15, 40, 3].forEach(n => tree.add(n))
+
+  const ascending = []
+  for (let node = tree.find(3); node; node = tree.successor(node)) {
+    ascending.push(node.data)
+  }
+  const descending = []
+  for (let node = tree.find(40); node; node = tree.predecessor(node)) {
+    descending.push(node.data)
+  }
+
+  expect(ascending).toStrictEqual([3, 4, 5, 10, 15, 30, 40])
+  expect(descending).toStrictEqual([40, 30, 15, 10, 5, 4, 3])
+  expect(Array.from(tree.range(4.5, 30), node => node.data)).toStrictEqual([5, 10, 15, 30])
+  expect(Array.from(tree.descendingRange(4.5, 30), node => node.data)).toStrictEqual([30, 15, 10, 5])
+  expect(Array.from(tree.range(31, 39))).toStrictEqual([])
+}
+
+function testRank() {
+  const tree = new BinarySearchTree()
+  ;[10, 20, 20, 30].forEach(n => tree.add(n))
+
+  expect(tree.rank(5)).toBe(0)
+  expect(tree.rank(10)).toBe(0)
+  expect(tree.rank(20)).toBe(1)
+  expect(tree.rank(25)).toBe(3)
+  expect(tree.rank(35)).toBe(4)
+}
+
+function testSelect() {
+  const tree = new BinarySearchTree()
+  ;[30, 10, 20, 20].forEach(n => tree.add(n))
+
+  expect([0, 1, 2, 3].map(k => tree.select(k))).toStrictEqual([10, 20, 20, 30])
+  expect(() => tree.select(4)).toThrow()
+  expect(() => tree.select(-1)).toThrow()
+}
+
+function testMedian() {
+  const tree = new BinarySearchTree()
+  expect(tree.median).toBe(null)
+
+  ;[5, 1, 3].forEach(n => tree.add(n))
+  expect(tree.median).toBe(3)
+
+  tree.add(1)
+  expect(tree.median).toBe(1)
+}
+
+function testPercentile() {
+  const tree = new AVLTree()
+  for (let i = 100; i >= 1; i--) {
+    tree.add(i)
+  }
+  tree.add(100)
+
+  expect(tree.percentile(0)).toBe(1)
+  expect(tree.percentile(50)).toBe(51)
+  expect(tree.percentile(99)).toBe(100)
+  expect(tree.percentile(100)).toBe(100)
+  expect(() => tree.percentile(101)).toThrow()
+}
+
+function testCountInRange() {
+  const tree = new BinarySearchTree()
+  ;[10, 5, 30, 4, 15, 40, 3, 15].forEach(n => tree.add(n))
+
+  expect(tree.countInRange(4, 15)).toBe(5)
+  expect(tree.countInRange(16, 29)).toBe(0)
+  expect(tree.countInRange(0, 100)).toBe(8)
+  expect(tree.countInRange(30, 10)).toBe(0)
+}
+
+function testSizes() {
+  for (const Tree of [BinarySearchTree, AVLTree, RedBlackTree]) {
+    const tree = new Tree()
+    let seed = 11
+    const random = () => (seed = (seed * 16807) % 2147483647) % 100
+
+    for (let i = 0; i < 1000; i++) {
+      const value = random()
+      i % 4 === 3 ? tree.remove(value, i % 8 === 3 ? 1 : '*') : tree.add(value)
+      expect(tree._root ? tree._root.metadata.size : 0).toBe(tree.count)
+    }
+
+    for (const node of tree.traversePreOrderly()) {
+      const left = node.leftChild ? node.leftChild.metadata.size : 0
+      const right = node.rightChild ? node.rightChild.metadata.size : 0
+      expect(node.metadata.size).toBe(left + right + node.metadata.copies)
+    }
+  }
+}
+
+function testAddInOrder() {
+  const tree = new BinarySearchTree()
+  for (let i = 0; i < ADDED_SIZE; i++) {
+    tree.add(i)
+  }
+
+  let length = 0
+  for (let node = tree._root; node; node = node.rightChild) {
+    expect(node.leftChild).toBe(null)
+    length += 1
+  }
+  expect(length).toBe(ADDED_SIZE)
+  expect(tree.toString()).toBe(degenerate(new BinarySearchTree(), ADDED_SIZE).toString())
+
+  testDegenerateFind(tree)
+  testDegenerateExtremes(tree)
+  testDegenerateTraversals(tree)
+  testDegenerateJSON(tree)
+  testDegenerateAddRemove(tree)
+}
+
+function testDegenerateFind(tree) {
+  const size = tree.count
+  expect(tree.find(size - 1).data).toBe(size - 1)
+  expect(tree.find(size)).toBe(null)
+  expect(tree.floor(size + 0.5).data).toBe(size - 1)
+  expect(tree.rank(size - 1)).toBe(size - 1)
+}
+
+function testDegenerateExtremes(tree) {
+  expect(tree.min).toBe(0)
+  expect(tree.max).toBe(tree.count - 1)
+  expect(tree.getLeftmost().data).toBe(0)
+  expect(tree.getRightmost().data).toBe(tree.count - 1)
+}
+
+function testDegenerateTraversals(tree) {
+  const size = tree.count
+  for (const traversal of ["traverseInOrderly", "traversePreOrderly"]) {
+    let expected = 0
+    for (const node of tree[traversal]()) {
+      if (node.data !== expected) {
+        throw new Error(`${traversal} visited ${node.data} instead of ${expected}`)
+      }
+      expected += 1
+    }
+    expect(expected).toBe(size)
+  }
+
+  let expected = size
+  for (const node of tree.traversePostOrderly()) {
+    expected -= 1
+    if (node.data !== expected) {
+      throw new Error(`traversePostOrderly visited ${node.data} instead of ${expected}`)
+    }
+  }
+  expect(expected).toBe(0)
+}
+
+function testDegenerateJSON(tree) {
+  const size = tree.count
+  let json = tree._root.toJSON()
+  let depth = 1
+  while (json.children) {
+    json = json.children.right
+    depth += 1
+  }
+  expect(depth).toBe(size)
+  expect(json.data).toBe(size - 1)
+
+  const string = tree.toString()
+  expect(string.startsWith(`{"count":${size},"nodes":{"data":0,`)).toBe(true)
+  expect(string.endsWith("}".repeat(2 * size))).toBe(true)
+}
+
+function testDegenerateAddRemove(tree) {
+  const size = tree.count
+  tree.add(size)
+  expect(tree.count).toBe(size + 1)
+  expect(tree._root.metadata.size).toBe(size + 1)
+
+  tree.remove(size)
+  tree.remove(size / 2)
+  expect(tree.count).toBe(size - 1)
+  expect(tree.find(size / 2)).toBe(null)
+  expect(tree.successor(tree.find(size / 2 - 1)).data).toBe(size / 2 + 1)
+}
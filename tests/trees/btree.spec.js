@@ -0,0 +1,241 @@
+const { BTree } = require("../../source").Trees
+const { ReverseOrder } = require("../../source").Toolbox
+
+describe("Tree ◊ B-Tree", function() {
+  it("should initialise an empty tree",                testInit)
+  it("should add and find items",                      testAddFind)
+  it("should split nodes and grow in height",          testSplit)
+  it("should count copies of the same item",           testCopies)
+  it("should remove items and merge nodes",            testRemove)
+  it("should find closest items",                      testClosest)
+  it("should count items by rank and range",           testRank)
+  it("should traverse in order while changing",        testTraversal)
+  it("should visit nodes before or after children",    testNodeTraversals)
+  it("should walk in order without searching again",   testWalkCost)
+  it("should order items with a comparator",           testComparator)
+  it("should load sorted items in bulk",               testFromSorted)
+  it("should agree with brute force",                  testAgainstBruteForce)
+})
+
+function testInit() {
+  const tree = new BTree()
+  expect(tree.count).toBe(0)
+  expect(tree.order).toBe(64)
+  expect(tree.height).toBe(-1)
+  expect(tree.min).toBe(null)
+  expect(tree.find(1)).toBe(null)
+  expect(tree.remove(1)).toBe(null)
+  expect(Array.from(tree.traverseInOrderly())).toEqual([])
+  expect(() => new BTree(undefined, 2)).toThrow("Order must be at least 3")
+}
+
+function testAddFind() {
+  const tree = new BTree(undefined, 4)
+  const entry = tree.add(10)
+  tree.add(20)
+  tree.add(5)
+
+  expect(entry).toEqual({ data: 10, metadata: { copies: 1 } })
+  expect(tree.find(10)).toBe(entry)
+  expect(tree.find(15)).toBe(null)
+  expect(tree.min).toBe(5)
+  expect(tree.max).toBe(20)
+}
+
+function testSplit() {
+  const tree = numbers(3, 2)
+  expect(tree.height).toBe(0)
+
+  tree.add(2)
+  expect(tree.height).toBe(1)
+  expect(tree._root.entries.map(entry => entry.data)).toEqual([1])
+  expect(tree.validate()).toBe(true)
+
+  const large = numbers(4, 1000)
+  expect(large.validate()).toBe(true)
+  expect(large.height).toBeLessThanOrEqual(Math.ceil(Math.log(1000) / Math.log(2)))
+  expect(Array.from(large.searchBreadthFirst())[0]).toBe(large._root)
+}
+
+function testCopies() {
+  const tree = numbers(4, 20)
+  tree.add(7)
+  tree.add(7)
+
+  expect(tree.count).toBe(22)
+  expect(tree.find(7).metadata.copies).toBe(3)
+  expect(tree.remove(7, 2).metadata.copies).toBe(1)
+  expect(tree.count).toBe(20)
+  expect(tree.remove(7).metadata.copies).toBe(0)
+  expect(tree.find(7)).toBe(null)
+  expect(tree.validate()).toBe(true)
+}
+
+function testRemove() {
+  const tree = numbers(3, 100)
+  for (let i = 0; i < 100; i += 2) {
+    expect(tree.remove(i).data).toBe(i)
+    expect(tree.validate()).toBe(true)
+  }
+
+  expect(tree.count).toBe(50)
+  expect(tree.find(2)).toBe(null)
+  expect(tree.min).toBe(1)
+
+  for (let i = 1; i < 100; i += 2) {
+    tree.remove(i)
+  }
+  expect(tree.count).toBe(0)
+  expect(tree._root).toBe(null)
+}
+
+function testClosest() {
+  const tree = new BTree(undefined, 3)
+  ;[10, 20, 30, 40, 50, 60].forEach(item => tree.add(item))
+
+  expect(tree.floor(35).data).toBe(30)
+  expect(tree.floor(30).data).toBe(30)
+  expect(tree.ceiling(35).data).toBe(40)
+  expect(tree.lower(30).data).toBe(20)
+  expect(tree.higher(30).data).toBe(40)
+  expect(tree.floor(5)).toBe(null)
+  expect(tree.higher(60)).toBe(null)
+  expect(tree.successor(tree.find(40)).data).toBe(50)
+  expect(tree.predecessor(tree.find(10))).toBe(null)
+}
+
+function testRank() {
+  const tree = numbers(4, 100)
+  tree.add(50)
+
+  expect(tree.rank(0)).toBe(0)
+  expect(tree.rank(50)).toBe(50)
+  expect(tree.rank(51)).toBe(52)
+  expect(tree.countInRange(10, 19)).toBe(10)
+  expect(tree.countInRange(45, 54)).toBe(11)
+  expect(tree.countInRange(200, 300)).toBe(0)
+}
+
+function testTraversal() {
+  const tree = numbers(3, 30)
+  expect(Array.from(tree.range(5, 9), entry => entry.data)).toEqual([5, 6, 7, 8, 9])
+  expect(Array.from(tree.descendingRange(4.5, 9), entry => entry.data)).toEqual([9, 8, 7, 6, 5])
+  expect(Array.from(tree.descendingRange(40, 50))).toEqual([])
+
+  const seen = []
+  for (const entry of tree.traverseInOrderly()) {
+    seen.push(entry.data)
+    tree.remove(entry.data + 1)
+  }
+  expect(seen).toEqual([0, 2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 22, 24, 26, 28])
+}
+
+function testWalkCost() {
+  let comparisons = 0
+  const counting = (a, b) => {
+    comparisons += 1
+    return a - b
+  }
+  const tree = BTree.fromSorted(Array.from({ length: 5000 }, (_, index) => index), counting, 4)
+
+  comparisons = 0
+  expect(Array.from(tree.traverseInOrderly()).length).toBe(5000)
+  expect(comparisons).toBe(0)
+
+  comparisons = 0
+  expect(Array.from(tree.range(1000, 3999)).length).toBe(3000)
+  expect(comparisons).toBeLessThan(3000 + 100)
+
+  comparisons = 0
+  expect(Array.from(tree.descendingRange(1000, 3999)).length).toBe(3000)
+  expect(comparisons).toBeLessThan(3000 + 100)
+
+  const below = []
+  for (const entry of tree.descendingRange(30, 40)) {
+    below.push(entry.data)
+    tree.remove(entry.data - 1)
+  }
+  expect(below).toEqual([40, 38, 36, 34, 32, 30])
+
+  const seen = []
+  for (const entry of tree.range(10, 20)) {
+    seen.push(entry.data)
+    tree.remove(entry.data + 1)
+    tree.add(entry.data + 10000)
+  }
+  expect(seen).toEqual([10, 12, 14, 16, 18, 20])
+  expect(tree.validate()).toBe(true)
+}
+
+function testNodeTraversals() {
+  const tree = BTree.fromSorted([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], undefined, 3)
+  const firstOf = node => node.entries[0].data
+
+  expect(Array.from(tree.traversePreOrderly(), firstOf)).toEqual([6, 3, 1, 4, 9, 7, 10])
+  expect(Array.from(tree.searchDepthFirst(), firstOf)).toEqual([6, 3, 1, 4, 9, 7, 10])
+  expect(Array.from(tree.traversePostOrderly(), firstOf)).toEqual([1, 4, 3, 7, 10, 9, 6])
+  expect(Array.from(tree.traversePostOrderly(tree._root.children[1]), firstOf)).toEqual([7, 10, 9])
+  expect(Array.from(new BTree().traversePreOrderly())).toEqual([])
+  expect(Array.from(new BTree().traversePostOrderly())).toEqual([])
+}
+
+function testComparator() {
+  const tree = new BTree(ReverseOrder(), 3)
+  ;[3, 1, 4, 1, 5, 9, 2, 6].forEach(item => tree.add(item))
+
+  expect(Array.from(tree.traverseInOrderly(), entry => entry.data)).toEqual([9, 6, 5, 4, 3, 2, 1])
+  expect(tree.min).toBe(9)
+  expect(tree.floor(7).data).toBe(9)
+}
+
+function testFromSorted() {
+  const items = Array.from({ length: 1000 }, (_, index) => Math.floor(index / 2))
+  for (const order of [3, 4, 5, 64]) {
+    const tree = BTree.fromSorted(items, undefined, order)
+    expect(tree).toBeInstanceOf(BTree)
+    expect(tree.count).toBe(1000)
+    expect(tree.find(7).metadata.copies).toBe(2)
+    expect(tree.validate()).toBe(true)
+  }
+
+  expect(BTree.fromSorted([]).count).toBe(0)
+  expect(() => BTree.fromSorted([1, 3, 2])).toThrow("Items must be sorted")
+}
+
+function testAgainstBruteForce() {
+  let seed = 7
+  const random = () => (seed = (seed * 16807) % 2147483647) % 200
+  const tree = new BTree(undefined, 4)
+  const copies = new Map()
+
+  for (let i = 0; i < 3000; i++) {
+    const item = random()
+    if (random() < 110) {
+      tree.add(item)
+      copies.set(item, (copies.get(item) || 0) + 1)
+    }
+    else {
+      expect(tree.remove(item) !== null).toBe(copies.has(item))
+      copies.delete(item)
+    }
+  }
+
+  const sorted = Array.from(copies.keys()).sort((a, b) => a - b)
+  expect(tree.validate()).toBe(true)
+  expect(Array.from(tree.traverseInOrderly(), entry => entry.data)).toEqual(sorted)
+  for (let item = 0; item < 200; item += 7) {
+    const smaller = sorted.filter(other => other < item)
+    expect(tree.rank(item)).toBe(smaller.reduce((sum, other) => sum + copies.get(other), 0))
+    expect(tree.lower(item) && tree.lower(item).data).toBe(smaller.length > 0 ? smaller.pop() : null)
+  }
+}
+
+// ------------------ Helpers ---------------------------------------- //
+
+function numbers(order, count) {
+  const tree = new BTree(undefined, order)
+  for (let i = 0; i < count; i++) {
+    tree.add(i)
+  }
+  return tree
+}
@@ -0,0 +1,63 @@
+const { FenwickTree } = require("../../source").Trees
+const { OutOfBoundsError } = require("../../source").Errors
+
+describe("Tree ◊ Fenwick Tree", function() {
+  it("should build from any iterable",          testBuild)
+  it("should sum over ranges",                  testSum)
+  it("should add to and set single items",      testUpdate)
+  it("should reject out of bounds indices",     testBounds)
+  it("should agree with brute force",           testAgainstBruteForce)
+})
+
+function testBuild() {
+  expect(new FenwickTree([3, 1, 4, 1, 5]).toArray()).toEqual([3, 1, 4, 1, 5])
+  expect(new FenwickTree(new Set([2, 7])).sum()).toBe(9)
+  expect(new FenwickTree(new Int32Array([1, 2, 3])).count).toBe(3)
+  expect(new FenwickTree().sum()).toBe(0)
+}
+
+function testSum() {
+  const tree = new FenwickTree([3, 1, 4, 1, 5, 9, 2, 6])
+  expect(tree.sum()).toBe(31)
+  expect(tree.sum(0, 3)).toBe(8)
+  expect(tree.sum(2, 6)).toBe(19)
+  expect(tree.sum(4, 4)).toBe(0)
+  expect(tree.get(5)).toBe(9)
+}
+
+function testUpdate() {
+  const tree = new FenwickTree([4, 0, 2, 7])
+  tree.add(1, 3).set(3, 1)
+  expect(tree.toArray()).toEqual([4, 3, 2, 1])
+  expect(tree.sum(1, 4)).toBe(6)
+}
+
+function testBounds() {
+  const tree = new FenwickTree([1, 2])
+  expect(() => tree.get(2)).toThrow(OutOfBoundsError)
+  expect(() => tree.add(-1, 1)).toThrow(OutOfBoundsError)
+  expect(() => tree.sum(0, 3)).toThrow(OutOfBoundsError)
+  expect(() => tree.sum(0.5)).toThrow(OutOfBoundsError)
+}
+
+function testAgainstBruteForce() {
+  const items = Array.from({ length: 50 }, (_, index) => index % 9 - 4)
+  const tree = new FenwickTree(items)
+  let seed = 11
+
+  for (let step = 0; step < 500; step++) {
+    seed = (seed * 16807) % 2147483647
+    const start = seed % items.length
+    const end = start + (seed >> 8) % (items.length - start + 1)
+
+    if (step % 2 === 0) {
+      items[start] += step % 5 - 2
+      tree.add(start, step % 5 - 2)
+    }
+    else {
+      expect(tree.sum(start, end)).toBe(items.slice(start, end).reduce((sum, item) => sum + item, 0))
+    }
+  }
+
+  expect(tree.toArray()).toEqual(items)
+}
@@ -0,0 +1,154 @@
+const { IntervalTree } = require("../../source").Trees
+
+describe("Tree ◊ Interval Tree", function() {
+  it("should initialise an empty tree",              testInit)
+  it("should insert intervals with values",          testInsert)
+  it("should keep the latest end of each subtree",   testMaxEndpoint)
+  it("should find overlapping intervals",            testOverlapping)
+  it("should find intervals containing a point",     testContaining)
+  it("should remove intervals",                      testRemove)
+  it("should merge overlapping and touching ones",   testMerged)
+  it("should order endpoints with a comparator",     testComparator)
+  it("should agree with brute force",                testAgainstBruteForce)
+})
+
+function testInit() {
+  const tree = new IntervalTree()
+  expect(tree.count).toBe(0)
+  expect(Array.from(tree.overlapping(0, 10))).toEqual([])
+  expect(tree.merged()).toEqual([])
+}
+
+function testInsert() {
+  const tree = new IntervalTree()
+  tree.insert([9, 11], "Standup").insert([10, 12], "Review").insert([9, 11], "Lunch")
+
+  expect(tree.count).toBe(3)
+  expect(tree.find({ low: 9, high: 11 }).data.values).toEqual(["Standup", "Lunch"])
+  expect(() => tree.insert([5, 4])).toThrow("Interval must not end before it starts")
+}
+
+function testMaxEndpoint() {
+  const tree = new IntervalTree()
+  const intervals = [[5, 20], [10, 30], [12, 15], [15, 20], [17, 19], [26, 30], [3, 8], [1, 40]]
+  intervals.forEach(interval => tree.insert(interval))
+
+  expect(tree._root.metadata.max).toBe(40)
+  for (const node of tree.traverseInOrderly()) {
+    expect(node.metadata.max).toBe(latestEnd(node))
+  }
+
+  tree.remove([1, 40])
+  expect(tree._root.metadata.max).toBe(30)
+  for (const node of tree.traverseInOrderly()) {
+    expect(node.metadata.max).toBe(latestEnd(node))
+  }
+}
+
+function testOverlapping() {
+  const tree = bookings()
+
+  expect(intervalsOf(tree.overlapping(11, 13))).toEqual([[9, 11], [10, 12], [13, 14]])
+  expect(intervalsOf(tree.overlapping(0, 8))).toEqual([])
+  expect(intervalsOf(tree.overlapping(15, 16))).toEqual([[15, 17]])
+  expect(Array.from(tree.overlapping(16, 16))).toEqual([{ interval: [15, 17], value: "Demo" }])
+
+  const generator = tree.overlapping(0, 24)
+  expect(generator.next().value.value).toBe("Standup")
+}
+
+function testContaining() {
+  const tree = bookings()
+  expect(intervalsOf(tree.containing(10))).toEqual([[9, 11], [10, 12]])
+  expect(intervalsOf(tree.containing(14))).toEqual([[13, 14]])
+  expect(intervalsOf(tree.containing(18))).toEqual([])
+}
+
+function testRemove() {
+  const tree = bookings()
+  tree.insert([9, 11], "Coffee")
+
+  expect(tree.remove([9, 11], "Standup")).toBe(true)
+  expect(tree.remove([9, 11], "Standup")).toBe(false)
+  expect(Array.from(tree.containing(9), entry => entry.value)).toEqual(["Coffee"])
+
+  expect(tree.remove([10, 12])).toBe(true)
+  expect(tree.remove([1, 2])).toBe(false)
+  expect(intervalsOf(tree.overlapping(0, 24))).toEqual([[9, 11], [13, 14], [15, 17]])
+  expect(tree.count).toBe(3)
+}
+
+function testMerged() {
+  const tree = new IntervalTree()
+  tree.insert([6, 7]).insert([1, 3]).insert([9, 10]).insert([2, 6]).insert([2, 4])
+  expect(tree.merged()).toEqual([[1, 7], [9, 10]])
+
+  tree.insert([0, 20])
+  expect(tree.merged()).toEqual([[0, 20]])
+}
+
+function testComparator() {
+  const byTime = (a, b) => a.getTime() - b.getTime()
+  const tree = new IntervalTree(byTime)
+  const at = hour => new Date(2019, 7, 1, hour)
+
+  tree.insert([at(9), at(11)], "Standup").insert([at(14), at(15)], "Review")
+  expect(Array.from(tree.containing(at(10)), entry => entry.value)).toEqual(["Standup"])
+  expect(tree.merged()).toEqual([[at(9), at(11)], [at(14), at(15)]])
+}
+
+function testAgainstBruteForce() {
+  const tree = new IntervalTree()
+  const stored = []
+  let seed = 5
+
+  for (let step = 0; step < 600; step++) {
+    seed = (seed * 16807) % 2147483647
+    const low = seed % 100
+    const high = low + (seed >> 10) % 15
+
+    if (step % 4 === 3 && stored.length > 0) {
+      const [interval, value] = stored.splice(seed % stored.length, 1)[0]
+      expect(tree.remove(interval, value)).toBe(true)
+    }
+    else if (step % 4 === 2) {
+      const expected = stored
+        .filter(([[start, end]]) => start <= high && end >= low)
+        .map(([interval, value]) => value)
+        .sort((a, b) => a - b)
+      const found = Array.from(tree.overlapping(low, high), entry => entry.value).sort((a, b) => a - b)
+      expect(found).toEqual(expected)
+    }
+    else {
+      tree.insert([low, high], step)
+      stored.push([[low, high], step])
+    }
+  }
+
+  expect(tree.count).toBe(stored.length)
+  for (const node of tree.traverseInOrderly()) {
+    expect(node.metadata.max).toBe(latestEnd(node))
+  }
+}
+
+// ------------------ Helpers ---------------------------------------- //
+
+function bookings() {
+  return new IntervalTree()
+    .insert([9, 11], "Standup")
+    .insert([10, 12], "Review")
+    .insert([13, 14], "Lunch")
+    .insert([15, 17], "Demo")
+}
+
+function intervalsOf(entries) {
+  return Array.from(entries, entry => entry.interval)
+}
+
+// Latest end in the subtree of node, worked out the long way
+function latestEnd(node) {
+  if (!node) {
+    return -Infinity
+  }
+  return Math.max(node.data.high, latestEnd(node.leftChild), latestEnd(node.rightChild))
+}
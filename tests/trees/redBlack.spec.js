@@ -0,0 +1,166 @@
+const { RedBlackTree } = require("../../source").Trees
+
+describe("Tree ◊ Red-Black Tree", function() {
+  it("should initialise an empty tree",                   testInit)
+  it("should paint the root black",                       testAdd)
+  it("should not create duplicate nodes",                 testAddDuplicate)
+  it("should recolour when the uncle is red",             testRecolour)
+  it("should rotate when the uncle is black",             testRotate)
+  it("should stay balanced when fed sorted data",         testSortedInsert)
+
+  it("should remove only some copies of node if asked",   testRemoveSome)
+  it("should remove nodes and keep the colour rules",     testRemove)
+  it("should remove every node",                          testRemoveAll)
+  it("should stay valid under random mutations",          testRandomMutations)
+
+  it("should report broken colour rules",                 testValidate)
+})
+
+function testInit() {
+  const tree = new RedBlackTree()
+  expect(tree.count).toBe(0)
+  expect(tree.validate()).toBe(true)
+}
+
+function testAdd() {
+  const tree = new RedBlackTree()
+  tree.add(5)
+  expect(tree.count).toBe(1)
+  expect(tree.toString()).toBe(`{"count":1,"nodes":{"data":5,"metadata":{"copies":1,"size":1,"colour":"black"}}}`)
+}
+
+function testAddDuplicate() {
+  const tree = new RedBlackTree()
+  tree.add(5)
+  tree.add(5)
+  tree.add(5)
+  expect(tree.count).toBe(3)
+  expect(tree.find(5).metadata.copies).toBe(3)
+  expect(tree.validate()).toBe(true)
+}
+
+function testRecolour() {
+  const tree = new RedBlackTree()
+  tree.add(10)
+  tree.add(5)
+  tree.add(15)
+  tree.add(1)
+
+  expect(colours(tree)).toStrictEqual([[10, "black"], [5, "black"], [1, "red"], [15, "black"]])
+  expect(tree.validate()).toBe(true)
+}
+
+function testRotate() {
+  const tree = new RedBlackTree()
+  tree.add(1)
+  tree.add(2)
+  tree.add(3)
+
+  expect(colours(tree)).toStrictEqual([[2, "black"], [1, "red"], [3, "red"]])
+  expect(tree.validate()).toBe(true)
+}
+
+function testSortedInsert() {
+  const tree = new RedBlackTree()
+  for (let i = 0; i < 1024; i++) {
+    tree.add(i)
+  }
+  expect(tree.count).toBe(1024)
+  expect(heightOf(tree._root)).toBeLessThanOrEqual(2 * Math.log2(1025))
+  expect(tree.validate()).toBe(true)
+}
+
+function testRemoveSome() {
+  const tree = new RedBlackTree()
+  tree.add(5)
+  tree.add(10)
+  tree.add(10)
+  tree.add(1)
+
+  const node = tree.remove(10, 1)
+  expect(tree.count).toBe(3)
+  expect(node.metadata.copies).toBe(1)
+  expect(tree.validate()).toBe(true)
+}
+
+function testRemove() {
+  const tree = new RedBlackTree()
+  ;[50, 25, 75, 10, 30, 60, 90, 27, 5].forEach(n => tree.add(n))
+
+  expect(tree.remove(25).data).toBe(25)
+  expect(tree.validate()).toBe(true)
+  expect(tree.remove(50).data).toBe(50)
+  expect(tree.validate()).toBe(true)
+  expect(tree.remove(90).data).toBe(90)
+  expect(tree.validate()).toBe(true)
+  expect(tree.remove(100)).toBe(null)
+
+  expect(inOrder(tree)).toStrictEqual([5, 10, 27, 30, 60, 75])
+  expect(tree.count).toBe(6)
+}
+
+function testRemoveAll() {
+  const tree = new RedBlackTree()
+  for (let i = 0; i < 100; i++) {
+    tree.add(i)
+  }
+  for (let i = 0; i < 100; i++) {
+    tree.remove(i)
+    expect(tree.validate()).toBe(true)
+  }
+  expect(tree.count).toBe(0)
+  expect(tree._root).toBe(null)
+}
+
+function testRandomMutations() {
+  const tree = new RedBlackTree()
+  const reference = new Map()
+  let seed = 7
+  const random = () => (seed = (seed * 16807) % 2147483647) % 300
+
+  for (let i = 0; i < 3000; i++) {
+    const value = random()
+    if (i % 3 === 2) {
+      tree.remove(value)
+      reference.delete(value)
+    }
+    else {
+      tree.add(value)
+      reference.set(value, (reference.get(value) || 0) + 1)
+    }
+  }
+
+  const expected = Array.from(reference.keys()).sort((a, b) => a - b)
+  const total = Array.from(reference.values()).reduce((sum, n) => sum + n, 0)
+  expect(inOrder(tree)).toStrictEqual(expected)
+  expect(tree.count).toBe(total)
+  expect(tree.validate()).toBe(true)
+}
+
+function testValidate() {
+  const tree = new RedBlackTree()
+  tree.add(10)
+  tree.add(5)
+  tree.add(15)
+
+  tree._root.metadata.colour = "red"
+  expect(() => tree.validate()).toThrow("Root must be black")
+
+  tree._root.metadata.colour = "black"
+  tree.find(5).metadata.colour = "black"
+  expect(() => tree.validate()).toThrow("different black heights")
+}
+
+// ------------------ Helpers ---------------------------------------- //
+
+function inOrder(tree) {
+  return Array.from(tree.traverseInOrderly()).map(node => node.data)
+}
+
+function colours(tree) {
+  return Array.from(tree.traversePreOrderly()).map(node => [node.data, node.metadata.colour])
+}
+
+function heightOf(node) {
+  return node ? Math.max(heightOf(node.leftChild), heightOf(node.rightChild)) + 1 : 0
+}
@@ -0,0 +1,130 @@
+const { SegmentTree } = require("../../source").Trees
+const { OutOfBoundsError } = require("../../source").Errors
+
+describe("Tree ◊ Segment Tree", function() {
+  it("should build from any iterable",               testBuild)
+  it("should sum over ranges by default",            testSum)
+  it("should combine with a custom function",        testCustomCombine)
+  it("should update single items",                   testSet)
+  it("should add to ranges lazily",                  testRangeAdd)
+  it("should add to ranges of minimums",             testRangeAddMinimum)
+  it("should take custom update strategies",         testCustomUpdate)
+  it("should reject empty or out of bounds ranges",  testBounds)
+  it("should agree with brute force",                testAgainstBruteForce)
+})
+
+function testBuild() {
+  expect(new SegmentTree([1, 2, 3]).toArray()).toEqual([1, 2, 3])
+  expect(new SegmentTree(new Set([4, 5])).query()).toBe(9)
+  expect(new SegmentTree(numbers(5)).toArray()).toEqual([0, 1, 2, 3, 4])
+  expect(new SegmentTree(new Float64Array([0.5, 0.25])).query()).toBe(0.75)
+  expect(new SegmentTree().count).toBe(0)
+  expect(new SegmentTree().toArray()).toEqual([])
+}
+
+function testSum() {
+  const tree = new SegmentTree([1, 2, 3, 4, 5])
+  expect(tree.count).toBe(5)
+  expect(tree.query()).toBe(15)
+  expect(tree.query(1, 4)).toBe(9)
+  expect(tree.query(4, 5)).toBe(5)
+  expect(tree.get(2)).toBe(3)
+}
+
+function testCustomCombine() {
+  const minimum = new SegmentTree([5, 3, 8, 6, 1, 9], Math.min)
+  expect(minimum.query(0, 4)).toBe(3)
+  expect(minimum.query(2, 4)).toBe(6)
+
+  const gcd = (a, b) => b === 0 ? a : gcd(b, a % b)
+  expect(new SegmentTree([12, 18, 24, 7], gcd).query(0, 3)).toBe(6)
+
+  // Associative but not commutative
+  const words = new SegmentTree(["a", "b", "c", "d"], (a, b) => a + b)
+  expect(words.query(1, 4)).toBe("bcd")
+}
+
+function testSet() {
+  const tree = new SegmentTree([5, 3, 8, 6], Math.max)
+  tree.set(2, 1).set(0, 7)
+  expect(tree.query()).toBe(7)
+  expect(tree.toArray()).toEqual([7, 3, 1, 6])
+}
+
+function testRangeAdd() {
+  const tree = new SegmentTree([1, 2, 3, 4, 5, 6])
+  tree.update(1, 4, 10)
+  expect(tree.query()).toBe(51)
+  expect(tree.query(0, 2)).toBe(13)
+  expect(tree.get(3)).toBe(14)
+
+  tree.update(0, 6, 1).update(2, 3, -5)
+  tree.set(5, 0)
+  expect(tree.toArray()).toEqual([2, 13, 9, 15, 6, 0])
+}
+
+function testRangeAddMinimum() {
+  const tree = new SegmentTree([5, 3, 8, 6], Math.min, SegmentTree.AddToExtremum)
+  tree.update(0, 2, 4)
+  expect(tree.query(0, 3)).toBe(7)
+  expect(tree.query()).toBe(6)
+
+  expect(() => new SegmentTree([1], Math.min).update(0, 1, 1)).toThrow("Range updates need an update strategy")
+}
+
+function testCustomUpdate() {
+  const AssignToSum = {
+    apply: (sum, value, length) => value * length,
+    compose: (older, newer) => newer
+  }
+  const tree = new SegmentTree([1, 2, 3, 4, 5], undefined, AssignToSum)
+  tree.update(0, 3, 2).update(2, 5, 0)
+  expect(tree.toArray()).toEqual([2, 2, 0, 0, 0])
+  expect(tree.query()).toBe(4)
+}
+
+function testBounds() {
+  const tree = new SegmentTree([1, 2, 3])
+  expect(() => tree.query(2, 2)).toThrow(OutOfBoundsError)
+  expect(() => tree.query(0, 4)).toThrow(OutOfBoundsError)
+  expect(() => tree.query(-1, 2)).toThrow(OutOfBoundsError)
+  expect(() => tree.get(3)).toThrow(OutOfBoundsError)
+  expect(() => tree.set(1.5, 0)).toThrow(OutOfBoundsError)
+  expect(() => new SegmentTree().query()).toThrow(OutOfBoundsError)
+}
+
+function testAgainstBruteForce() {
+  const items = Array.from(numbers(37), index => (index * 7919) % 101)
+  const tree = new SegmentTree(items, Math.max, SegmentTree.AddToExtremum)
+  let seed = 3
+
+  for (let step = 0; step < 500; step++) {
+    seed = (seed * 16807) % 2147483647
+    const start = seed % items.length
+    const end = start + 1 + (seed >> 8) % (items.length - start)
+
+    if (step % 3 === 0) {
+      for (let index = start; index < end; index++) {
+        items[index] += step % 7 - 3
+      }
+      tree.update(start, end, step % 7 - 3)
+    }
+    else if (step % 3 === 1) {
+      items[start] = step
+      tree.set(start, step)
+    }
+    else {
+      expect(tree.query(start, end)).toBe(Math.max(...items.slice(start, end)))
+    }
+  }
+
+  expect(tree.toArray()).toEqual(items)
+}
+
+// ------------------ Helpers ---------------------------------------- //
+
+function * numbers(count) {
+  for (let index = 0; index < count; index++) {
+    yield index
+  }
+}
@@ -0,0 +1,206 @@
+const { Trie } = require("../../source").Trees
+
+describe("Tree ◊ Trie", function() {
+  it("should initialise an empty trie",              testInit)
+  it("should insert words with values",              testInsert)
+  it("should tell words from prefixes",              testHas)
+  it("should count insertions of a word",            testFrequency)
+  it("should keep values when counting insertions",  testFrequencyKeepsValue)
+  it("should delete words and unused nodes",         testDelete)
+  it("should iterate over words with a prefix",      testStartsWith)
+  it("should iterate below very long words",         testLongWords)
+  it("should find the longest common prefix",        testLongestCommonPrefix)
+  it("should rank autocompletions by frequency",     testAutocomplete)
+  it("should compress chains of single children",    testCompressed)
+  it("should split and merge compressed nodes",      testCompressedDelete)
+  it("should agree with the plain trie",             testCompressedAgrees)
+})
+
+function testInit() {
+  const trie = new Trie()
+  expect(trie.count).toBe(0)
+  expect(trie.isCompressed).toBe(false)
+  expect(Array.from(trie.startsWith(""))).toEqual([])
+  expect(trie.longestCommonPrefix()).toBe("")
+}
+
+function testInsert() {
+  const trie = new Trie()
+  trie.insert("car", "🚗").insert("cat", "🐈").insert("car", "🏎️")
+
+  expect(trie.count).toBe(2)
+  expect(trie.get("car")).toBe("🏎️")
+  expect(trie.get("cat")).toBe("🐈")
+  expect(trie.get("ca")).toBe(null)
+  expect(trie.get("cart")).toBe(null)
+}
+
+function testHas() {
+  const trie = new Trie()
+  trie.insert("cart").insert("")
+
+  expect(trie.has("cart")).toBe(true)
+  expect(trie.has("car")).toBe(false)
+  expect(trie.has("carts")).toBe(false)
+  expect(trie.has("")).toBe(true)
+}
+
+function testFrequency() {
+  const trie = new Trie()
+  trie.insert("tea").insert("tea").insert("ten", null, 5)
+
+  expect(trie.frequencyOf("tea")).toBe(2)
+  expect(trie.frequencyOf("ten")).toBe(5)
+  expect(trie.frequencyOf("te")).toBe(0)
+  expect(trie._root.childFor("t").childFor("e").metadata).toEqual({ isWord: false, value: null, frequency: 0 })
+}
+
+function testFrequencyKeepsValue() {
+  const trie = new Trie()
+  trie.insert("cat", 5).insert("cat").insert("dog")
+
+  expect(trie.get("cat")).toBe(5)
+  expect(trie.frequencyOf("cat")).toBe(2)
+  expect(trie.get("dog")).toBe(null)
+
+  trie.insert("cat", null)
+  expect(trie.get("cat")).toBe(null)
+}
+
+function testDelete() {
+  const trie = new Trie()
+  trie.insert("car").insert("cart").insert("dog")
+
+  expect(trie.delete("ca")).toBe(false)
+  expect(trie.delete("cart")).toBe(true)
+  expect(trie.delete("cart")).toBe(false)
+  expect(trie.has("car")).toBe(true)
+  expect(trie.count).toBe(2)
+  expect(countNodes(trie)).toBe(7)
+
+  trie.delete("car")
+  trie.delete("dog")
+  expect(countNodes(trie)).toBe(1)
+  expect(Array.from(trie.startsWith(""))).toEqual([])
+}
+
+function testStartsWith() {
+  const trie = new Trie()
+  const words = ["tea", "ted", "ten", "inn", "in", "to", "i", "a"]
+  words.forEach(word => trie.insert(word))
+
+  expect(Array.from(trie.startsWith("te"))).toEqual(["tea", "ted", "ten"])
+  expect(Array.from(trie.startsWith("in"))).toEqual(["in", "inn"])
+  expect(Array.from(trie.startsWith("x"))).toEqual([])
+  expect(Array.from(trie.startsWith(""))).toEqual(words.slice().sort())
+
+  const generator = trie.startsWith("t")
+  expect(generator.next().value).toBe("tea")
+}
+
+function testLongWords() {
+  const long = "a".repeat(50000)
+  for (const trie of [new Trie(), new Trie(true)]) {
+    trie.insert(long).insert(long + "b").insert("b")
+
+    expect(Array.from(trie.startsWith("")).map(word => word.length)).toEqual([50000, 50001, 1])
+    expect(trie.autocomplete("aaa", 1)).toEqual([long])
+  }
+}
+
+function testLongestCommonPrefix() {
+  expect(new Trie().insert("flower").insert("flow").insert("flight").longestCommonPrefix()).toBe("fl")
+  expect(new Trie().insert("interview").insert("internet").insert("inter").longestCommonPrefix()).toBe("inter")
+  expect(new Trie().insert("dog").insert("car").longestCommonPrefix()).toBe("")
+  expect(new Trie(true).insert("flower").insert("flow").longestCommonPrefix()).toBe("flow")
+}
+
+function testAutocomplete() {
+  const trie = new Trie()
+  trie.insert("london", null, 10)
+    .insert("leeds", null, 4)
+    .insert("lincoln", null, 4)
+    .insert("liverpool", null, 7)
+    .insert("manchester", null, 12)
+
+  expect(trie.autocomplete("l")).toEqual(["london", "liverpool", "leeds", "lincoln"])
+  expect(trie.autocomplete("l", 2)).toEqual(["london", "liverpool"])
+  expect(trie.autocomplete("li")).toEqual(["liverpool", "lincoln"])
+  expect(trie.autocomplete("", 1)).toEqual(["manchester"])
+  expect(trie.autocomplete("x")).toEqual([])
+  expect(trie.autocomplete("l", 0)).toEqual([])
+}
+
+function testCompressed() {
+  const plain = new Trie()
+  const compressed = new Trie(true)
+  const words = ["romane", "romanus", "romulus", "rubens", "ruber", "rubicon", "rubicundus"]
+  words.forEach(word => {
+    plain.insert(word)
+    compressed.insert(word)
+  })
+
+  expect(compressed.isCompressed).toBe(true)
+  expect(countNodes(plain)).toBe(28)
+  expect(countNodes(compressed)).toBe(14)
+  expect(labels(compressed._root.childFor("r"))).toEqual(["r", "om", "an", "e", "us", "ulus", "ub", "e", "ns", "r", "ic", "on", "undus"])
+  expect(Array.from(compressed.startsWith("rom"))).toEqual(["romane", "romanus", "romulus"])
+  expect(Array.from(compressed.startsWith("ro"))).toEqual(["romane", "romanus", "romulus"])
+  expect(Array.from(compressed.startsWith("rob"))).toEqual([])
+  expect(compressed.has("rom")).toBe(false)
+  expect(compressed.autocomplete("rubi")).toEqual(["rubicon", "rubicundus"])
+}
+
+function testCompressedDelete() {
+  const trie = new Trie(true)
+  trie.insert("test").insert("team")
+  expect(labels(trie._root.childFor("t"))).toEqual(["te", "am", "st"])
+
+  // A word ending halfway along a label splits the node
+  trie.insert("te", 1)
+  expect(trie.get("te")).toBe(1)
+  expect(countNodes(trie)).toBe(4)
+
+  trie.delete("te")
+  expect(countNodes(trie)).toBe(4)
+  trie.delete("team")
+  expect(labels(trie._root.childFor("t"))).toEqual(["test"])
+  expect(trie.has("test")).toBe(true)
+  expect(countNodes(trie)).toBe(2)
+}
+
+function testCompressedAgrees() {
+  const plain = new Trie()
+  const compressed = new Trie(true)
+  let seed = 7
+
+  for (let step = 0; step < 2000; step++) {
+    seed = (seed * 16807) % 2147483647
+    const word = seed.toString(4).slice(0, 1 + seed % 6)
+    if (seed % 3 === 0) {
+      expect(compressed.delete(word)).toBe(plain.delete(word))
+    }
+    else {
+      plain.insert(word, step)
+      compressed.insert(word, step)
+    }
+  }
+
+  expect(compressed.count).toBe(plain.count)
+  expect(Array.from(compressed.startsWith(""))).toEqual(Array.from(plain.startsWith("")))
+  expect(Array.from(compressed.startsWith("12"))).toEqual(Array.from(plain.startsWith("12")))
+  expect(compressed.get("1")).toBe(plain.get("1"))
+  expect(countNodes(compressed)).toBeLessThan(countNodes(plain))
+}
+
+// ------------------ Helpers ---------------------------------------- //
+
+function countNodes(trie) {
+  const count = node => node.children.reduce((sum, child) => sum + count(child), 1)
+  return count(trie._root)
+}
+
+// Labels of the node and its descendants, depth first
+function labels(node) {
+  return [node.label].concat(...node.children.map(labels))
+}